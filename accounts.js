@@ -0,0 +1,511 @@
+// ===================================
+// SIGNALBOARD ACCOUNTS
+// Customer accounts (tier, ARR, region, owner) linked to signals,
+// account detail pages and per-account churn risk
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // CONFIGURATION
+  // ===================================
+
+  const schema = window.signalboard.schema;
+
+  const ACCOUNTS_CONFIG = {
+    regions: {
+      na: 'North America',
+      latam: 'Latin America',
+      emea: 'EMEA',
+      apac: 'APAC'
+    },
+
+    // Churn risk looks at this many days of an account's signals
+    churnWindowDays: 14,
+
+    // Points per recent signal, capped at 100
+    churnWeights: {
+      highUrgency: 25,
+      negative: 10,
+      openBug: 5
+    },
+
+    churnLevels: {
+      high: 60,
+      medium: 30
+    }
+  };
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  let detailId = null;
+
+  // ===================================
+  // RECORDS
+  // ===================================
+
+  function getAccounts() {
+    const state = window.state;
+    if (!state) return [];
+    if (!Array.isArray(state.accounts)) state.accounts = [];
+    return state.accounts;
+  }
+
+  function getAccount(accountId) {
+    if (!accountId) return null;
+    return getAccounts().find(account => account.id === accountId) || null;
+  }
+
+  function accountName(accountId) {
+    return getAccount(accountId)?.name || '';
+  }
+
+  function normalizeAccount(raw) {
+    const arr = Number(raw.arr);
+    return {
+      id: raw.id || `acct_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: String(raw.name || '').trim(),
+      tier: schema.normalizeField('tier', raw.tier),
+      arr: Number.isFinite(arr) && arr > 0 ? Math.round(arr) : 0,
+      region: Object.prototype.hasOwnProperty.call(ACCOUNTS_CONFIG.regions, raw.region) ? raw.region : '',
+      owner: String(raw.owner || '').trim(),
+      createdAt: raw.createdAt || new Date().toISOString()
+    };
+  }
+
+  function validateAccount(account) {
+    const errors = [];
+    if (!account.name) errors.push('Account name is required');
+
+    const duplicate = getAccounts().find(existing => (
+      existing.id !== account.id && existing.name.toLowerCase() === account.name.toLowerCase()
+    ));
+    if (duplicate) errors.push(`An account named "${duplicate.name}" already exists`);
+
+    return errors;
+  }
+
+  // Creates or updates an account. Returns { account, errors }.
+  function saveAccount(fields) {
+    const denied = window.signalboard.users.permissionError('accounts.edit');
+    if (denied) return { account: null, errors: [denied] };
+
+    const existing = getAccount(fields.id);
+    const account = normalizeAccount({ ...(existing || {}), ...fields });
+    const errors = validateAccount(account);
+    if (errors.length > 0) return { account, errors };
+
+    const accounts = getAccounts();
+    const index = accounts.findIndex(a => a.id === account.id);
+    if (index === -1) accounts.push(account);
+    else accounts[index] = account;
+
+    persist();
+    return { account, errors: [] };
+  }
+
+  // Signals stay; they just lose the link
+  function deleteAccount(accountId) {
+    const state = window.state;
+    state.accounts = getAccounts().filter(account => account.id !== accountId);
+    (state.signals || []).forEach(signal => {
+      if (signal.accountId === accountId) signal.accountId = '';
+    });
+    if (detailId === accountId) detailId = null;
+    persist();
+  }
+
+  function signalsFor(accountId, signals = window.state?.signals || []) {
+    return signals.filter(signal => signal.accountId === accountId);
+  }
+
+  function persist() {
+    if (window.saveState) window.saveState();
+    renderAccountOptions();
+    renderAccounts();
+    // ARR feeds revenue weighting and the dashboard's $ at risk
+    if (typeof window.renderAll === 'function') window.renderAll();
+  }
+
+  // ===================================
+  // CHURN RISK
+  // ===================================
+
+  // Scores an account on its recent signals rather than counting signals
+  // per tier, so three escalations from one customer read as one account
+  function churnRisk(account, options = {}) {
+    const now = options.now ?? Date.now();
+    const weights = ACCOUNTS_CONFIG.churnWeights;
+    const workflow = window.signalboard.workflow;
+
+    const recent = signalsFor(account.id, options.signals).filter(signal => (
+      now - new Date(signal.timestamp).getTime() <= ACCOUNTS_CONFIG.churnWindowDays * DAY_MS
+    ));
+
+    const highUrgency = recent.filter(signal => schema.isHighUrgency(signal)).length;
+    const negative = recent.filter(signal => signal.sentiment === 'negative').length;
+    const openBugs = recent.filter(signal => signal.category === 'bug' && !workflow?.isResolved(signal)).length;
+
+    const score = Math.min(100,
+      highUrgency * weights.highUrgency +
+      negative * weights.negative +
+      openBugs * weights.openBug
+    );
+
+    const { churnLevels } = ACCOUNTS_CONFIG;
+    const level = score >= churnLevels.high ? 'high' : score >= churnLevels.medium ? 'medium' : 'low';
+
+    const reasons = [];
+    if (highUrgency > 0) reasons.push(`${highUrgency} high-urgency signal${highUrgency === 1 ? '' : 's'}`);
+    if (negative > 0) reasons.push(`${negative} negative`);
+    if (openBugs > 0) reasons.push(`${openBugs} open bug${openBugs === 1 ? '' : 's'}`);
+
+    return { score, level, reasons, recent: recent.length };
+  }
+
+  // Accounts at or above a churn level, riskiest first
+  function atRisk(level = 'high', options = {}) {
+    const minimum = ACCOUNTS_CONFIG.churnLevels[level] ?? 0;
+    return getAccounts()
+      .map(account => ({ account, risk: churnRisk(account, options) }))
+      .filter(({ risk }) => risk.score >= minimum && risk.recent > 0)
+      .sort((a, b) => b.risk.score - a.risk.score || b.account.arr - a.account.arr);
+  }
+
+  // ===================================
+  // UI RENDERING
+  // ===================================
+
+  const escapeHtml = window.signalboard.escapeHtml;
+
+  function capitalize(value) {
+    return value ? value.charAt(0).toUpperCase() + value.slice(1) : '';
+  }
+
+  function formatArr(arr) {
+    if (!arr) return '—';
+    if (arr >= 1000000) return `$${Math.round(arr / 100000) / 10}M`;
+    if (arr >= 1000) return `$${Math.round(arr / 1000)}k`;
+    return `$${arr}`;
+  }
+
+  function formatTier(tier) {
+    return typeof window.formatTier === 'function' ? window.formatTier(tier) : capitalize(tier);
+  }
+
+  function renderChurnBadge(risk) {
+    return `<span class="churn-badge churn-${risk.level}" title="${escapeHtml(risk.reasons.join(', ') || 'No recent signals')}">${capitalize(risk.level)} risk</span>`;
+  }
+
+  // Keeps the capture form and editor pickers in step with the account list
+  function renderAccountOptions() {
+    const options = [...getAccounts()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(account => `<option value="${escapeHtml(account.id)}">${escapeHtml(account.name)}</option>`)
+      .join('');
+
+    ['signal-account', 'edit-account'].forEach(id => {
+      const select = document.getElementById(id);
+      if (!select) return;
+      const value = select.value;
+      select.innerHTML = `<option value="">No account</option>${options}`;
+      select.value = getAccount(value) ? value : '';
+    });
+  }
+
+  function renderAccounts() {
+    const list = document.getElementById('accounts-list');
+    const detail = document.getElementById('account-detail');
+    if (!list || !detail) return;
+
+    if (detailId && getAccount(detailId)) {
+      list.classList.add('hidden');
+      detail.classList.remove('hidden');
+      renderDetail(getAccount(detailId));
+      return;
+    }
+
+    detailId = null;
+    detail.classList.add('hidden');
+    list.classList.remove('hidden');
+
+    const accounts = getAccounts();
+    if (accounts.length === 0) {
+      list.innerHTML = `
+        <div class="empty-state">
+          <p>No accounts yet. Add one to link signals to a customer.</p>
+        </div>
+      `;
+      return;
+    }
+
+    const rows = accounts
+      .map(account => ({ account, risk: churnRisk(account), count: signalsFor(account.id).length }))
+      .sort((a, b) => b.risk.score - a.risk.score || b.account.arr - a.account.arr);
+
+    list.innerHTML = rows.map(({ account, risk, count }) => `
+      <div class="rule-card account-card" data-account-id="${escapeHtml(account.id)}">
+        <div class="rule-header">
+          <button type="button" class="account-name" data-action="open">${escapeHtml(account.name)}</button>
+          ${renderChurnBadge(risk)}
+        </div>
+        <p class="form-help">
+          ${escapeHtml(formatTier(account.tier))} • ${formatArr(account.arr)} ARR${account.region ? ` • ${escapeHtml(ACCOUNTS_CONFIG.regions[account.region])}` : ''}${account.owner ? ` • @${escapeHtml(account.owner)}` : ''}
+        </p>
+        <p class="form-help">${count} signal${count === 1 ? '' : 's'}${risk.reasons.length ? ` • last ${ACCOUNTS_CONFIG.churnWindowDays} days: ${escapeHtml(risk.reasons.join(', '))}` : ''}</p>
+        <div class="rule-actions">
+          <button type="button" class="btn-secondary" data-action="edit" data-permission="accounts.edit">Edit</button>
+          <button type="button" class="btn-secondary" data-action="delete" data-permission="accounts.edit">Delete</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  function renderDetail(account) {
+    const container = document.getElementById('account-detail');
+    const risk = churnRisk(account);
+    const signals = signalsFor(account.id);
+    const scoring = window.signalboard.scoring;
+    const workflow = window.signalboard.workflow;
+    const open = signals.filter(signal => !workflow?.isResolved(signal)).length;
+
+    container.innerHTML = `
+      <button type="button" class="btn-secondary" data-action="back">← All accounts</button>
+      <div class="account-detail-header">
+        <div>
+          <h2 class="section-title">${escapeHtml(account.name)}</h2>
+          <p class="form-help">
+            ${escapeHtml(formatTier(account.tier))} • ${formatArr(account.arr)} ARR${account.region ? ` • ${escapeHtml(ACCOUNTS_CONFIG.regions[account.region])}` : ''} • Owner: ${escapeHtml(account.owner || 'Unassigned')}
+          </p>
+        </div>
+        <div class="rule-actions">
+          ${renderChurnBadge(risk)}
+          <button type="button" class="btn-secondary" data-action="edit" data-permission="accounts.edit">Edit</button>
+        </div>
+      </div>
+
+      <div class="predictions-grid">
+        <div class="prediction-card">
+          <div class="prediction-date">Signals</div>
+          <div class="prediction-value">${signals.length}</div>
+          <p class="form-help">${open} open</p>
+        </div>
+        <div class="prediction-card">
+          <div class="prediction-date">Churn Risk</div>
+          <div class="prediction-value">${risk.score}</div>
+          <p class="form-help">${escapeHtml(risk.reasons.join(', ') || `Nothing in the last ${ACCOUNTS_CONFIG.churnWindowDays} days`)}</p>
+        </div>
+        <div class="prediction-card">
+          <div class="prediction-date">Priority Score</div>
+          <div class="prediction-value">${Math.round(scoring.totalScore(signals.filter(signal => !workflow?.isResolved(signal))))}</div>
+          <p class="form-help">open signals combined</p>
+        </div>
+      </div>
+
+      <div class="section-header" style="margin-top: 2rem;">
+        <h3 class="section-title">Signal History</h3>
+      </div>
+      <div class="timeline-list">
+        ${signals.length === 0 ? '<p class="form-help">No signals linked to this account yet.</p>' : signals.map(signal => `
+          <div class="timeline-item">
+            <div class="history-info">
+              <h4>${escapeHtml(signal.title)}</h4>
+              <p class="history-meta">
+                ${new Date(signal.timestamp).toLocaleDateString()} •
+                ${escapeHtml(typeof window.formatCategory === 'function' ? window.formatCategory(signal.category) : signal.category)} •
+                ${escapeHtml(workflow?.statusLabels[signal.status] || signal.status)}
+              </p>
+            </div>
+            <div class="history-stats">
+              <div class="history-stat">
+                <span class="history-stat-value">${Math.round(scoring.score(signal))}</span>
+                <span class="history-stat-label">score</span>
+              </div>
+              <div class="history-stat">
+                <span class="history-stat-value">${escapeHtml(typeof window.formatUrgency === 'function' ? window.formatUrgency(signal.urgency) : signal.urgency)}</span>
+                <span class="history-stat-label">urgency</span>
+              </div>
+              <button class="btn-icon" onclick="editSignal('${escapeHtml(signal.id)}')" aria-label="Edit signal">
+                <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+                  <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
+                </svg>
+              </button>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  // ===================================
+  // FORM
+  // ===================================
+
+  function fillForm(account = {}) {
+    const form = document.getElementById('account-form');
+    if (!form) return;
+
+    document.getElementById('account-id').value = account.id || '';
+    document.getElementById('account-name').value = account.name || '';
+    document.getElementById('account-tier').value = account.tier || schema.definition.tiers[0];
+    document.getElementById('account-arr').value = account.arr || '';
+    document.getElementById('account-region').value = account.region || '';
+    document.getElementById('account-owner').value = account.owner || '';
+    document.getElementById('account-submit').textContent = account.id ? 'Save Account' : 'Add Account';
+
+    form.classList.remove('hidden');
+    document.getElementById('account-name').focus();
+  }
+
+  function hideForm() {
+    const form = document.getElementById('account-form');
+    if (!form) return;
+    form.reset();
+    form.classList.add('hidden');
+  }
+
+  function handleSubmit(event) {
+    event.preventDefault();
+
+    const fields = {
+      id: document.getElementById('account-id')?.value || undefined,
+      name: document.getElementById('account-name')?.value,
+      tier: document.getElementById('account-tier')?.value,
+      arr: document.getElementById('account-arr')?.value,
+      region: document.getElementById('account-region')?.value,
+      owner: document.getElementById('account-owner')?.value
+    };
+
+    const isNew = !fields.id;
+    const { errors } = window.signalboard.history.perform(isNew ? 'Add account' : 'Edit account', () => saveAccount(fields));
+    if (errors.length > 0) {
+      showToast(errors[0]);
+      return;
+    }
+
+    hideForm();
+    window.signalboard.history.notify(isNew ? 'Account added' : 'Account saved');
+  }
+
+  function handleListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const card = button.closest('[data-account-id]');
+    const accountId = card?.dataset.accountId || detailId;
+
+    switch (button.dataset.action) {
+      case 'open':
+        detailId = accountId;
+        renderAccounts();
+        break;
+      case 'back':
+        detailId = null;
+        renderAccounts();
+        break;
+      case 'edit':
+        fillForm(getAccount(accountId));
+        break;
+      case 'delete': {
+        const denied = window.signalboard.users.permissionError('accounts.edit');
+        if (denied) {
+          showToast(denied);
+          return;
+        }
+        // No confirm(): the toast offers Undo instead
+        window.signalboard.history.perform('Delete account', () => deleteAccount(accountId), { toast: 'Account deleted' });
+        break;
+      }
+    }
+  }
+
+  // Picking an account on the capture form brings its tier along
+  function handleSignalAccountChange(event) {
+    const account = getAccount(event.target.value);
+    const tier = document.getElementById('signal-tier');
+    if (account && tier) tier.value = account.tier;
+  }
+
+  function showToast(message) {
+    if (typeof window.showToast === 'function') {
+      window.showToast(message);
+    } else {
+      console.log('Toast:', message);
+    }
+  }
+
+  // ===================================
+  // INITIALIZATION
+  // ===================================
+
+  // Account names on signal cards (formatAccount in app.js)
+  function handleAccountLinkClick(event) {
+    const link = event.target.closest('.account-link[data-account-id]');
+    if (!link) return;
+    event.preventDefault();
+    window.signalboard.accounts.open(link.dataset.accountId);
+  }
+
+  function bindEvents() {
+    const regionSelect = document.getElementById('account-region');
+    if (regionSelect) {
+      regionSelect.innerHTML = '<option value="">—</option>' + Object.entries(ACCOUNTS_CONFIG.regions)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    }
+
+    document.getElementById('account-new')?.addEventListener('click', () => fillForm());
+    document.getElementById('account-cancel')?.addEventListener('click', hideForm);
+    document.getElementById('account-form')?.addEventListener('submit', handleSubmit);
+    document.getElementById('accounts-list')?.addEventListener('click', handleListClick);
+    document.getElementById('account-detail')?.addEventListener('click', handleListClick);
+    document.getElementById('signal-account')?.addEventListener('change', handleSignalAccountChange);
+    document.addEventListener('click', handleAccountLinkClick);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindEvents);
+  } else {
+    bindEvents();
+  }
+
+  document.addEventListener('signalboard:state-loaded', renderAccountOptions);
+
+  // Render accounts when switching to the accounts view
+  const originalSwitchView = window.switchView;
+  if (originalSwitchView) {
+    window.switchView = function (viewName) {
+      originalSwitchView(viewName);
+      if (viewName === 'accounts') renderAccounts();
+      if (viewName === 'capture') renderAccountOptions();
+    };
+  }
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.accounts = {
+    getAccounts,
+    getAccount,
+    accountName,
+    saveAccount,
+    deleteAccount,
+    signalsFor,
+    churnRisk,
+    atRisk,
+    formatArr,
+    open: accountId => {
+      detailId = accountId;
+      if (window.switchView) window.switchView('accounts');
+    },
+    render: renderAccounts,
+    renderOptions: renderAccountOptions,
+    config: ACCOUNTS_CONFIG
+  };
+
+})();
+
+console.log('🏢 SignalBoard Accounts Loaded');
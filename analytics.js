@@ -6,19 +6,31 @@
 
 class SignalBoardAnalytics {
   constructor() {
+    this.schema = window.signalboard.schema;
     this.chartInstances = {};
     this.insights = [];
     this.predictions = [];
+    this.forecast = null;
+    this.anomalies = { method: null, metrics: [], anomalies: [] };
+    this.changePoints = [];
     this.trendData = {
       daily: [],
       weekly: [],
-      monthly: []
+      monthly: [],
       yearly: []
     };
     this.riskIndicators = [];
+    this.bindControls();
     this.initializeAnalytics();
   }
 
+  // Controls that live across refreshes, bound once
+  bindControls() {
+    document.getElementById('category-tier-measure')?.addEventListener('change', () => {
+      this.renderCategoryTierMatrix('category-tier-matrix');
+    });
+  }
+
   // ===================================
   // INITIALIZATION
   // ===================================
@@ -26,6 +38,8 @@ class SignalBoardAnalytics {
     console.log('Initializing SignalBoard Analytics Engine...');
     
     this.calculateTrends();
+    this.detectAnomalies();
+    this.detectChangePoints();
     this.generateInsights();
     this.predictFutureTrends();
     this.detectRisks();
@@ -38,21 +52,27 @@ class SignalBoardAnalytics {
   // TREND CALCULATIONS
   // ===================================
   calculateTrends() {
-    const signals = window.state?.signals || [];
+    // Shipped and closed signals drop out unless the workflow says otherwise
+    const signals = window.signalboard.workflow.countedSignals();
     const now = new Date();
 
     // Reset trend data
     this.trendData = {
       daily: [],
       weekly: [],
-      monthly: []
+      monthly: [],
+      tags: []
     };
 
+    // One spelling per tag, so "kv" and "KV" share a series
+    const tagNames = new Map((window.signalboard.tags?.allTags(signals) || [])
+      .map(entry => [entry.tag.toLowerCase(), entry.tag]));
+
     // Daily signal volume last 30 days
     for (let i = 29; i >= 0; i--) {
       const date = new Date(now);
       date.setDate(date.getDate() - i);
-      const dateStr = date.toLocaleDateString();
+      const dateStr = this.schema.dayKey(date);
 
       const daySignals = signals.filter(s => s.date === dateStr);
 
@@ -60,15 +80,31 @@ class SignalBoardAnalytics {
         date: dateStr,
         timestamp: date.getTime(),
         totalSignals: daySignals.length,
-        totalImpact: this.calculateTotalImpact(daySignals),
-        criticalCount: daySignals.filter(s => s.urgency >= 3).length,
+        totalImpact: this.calculateTotalImpact(daySignals, date),
+        criticalCount: daySignals.filter(s => this.schema.isHighUrgency(s)).length,
         bugCount: daySignals.filter(s => s.category === 'bug').length,
         featureCount: daySignals.filter(s => s.category === 'feature').length,
         avgUrgency: this.calculateAverage(daySignals.map(s => s.urgency)),
-        enterpriseCount: daySignals.filter(s => s.tier === 'enterprise').length
+        enterpriseCount: daySignals.filter(s => s.tier === 'enterprise').length,
+        // One count per taxonomy category, custom ones included
+        categories: Object.fromEntries(this.schema.definition.categories.map(category => [
+          category,
+          daySignals.filter(s => s.category === category).length
+        ])),
+        tiers: Object.fromEntries(this.schema.definition.tiers.map(tier => [
+          tier,
+          daySignals.filter(s => s.tier === tier).length
+        ])),
+        tags: this.countTags(daySignals, tagNames),
+        // The same split for impact and high-urgency signals, so a shift in
+        // either names its own drivers (changepoints.js)
+        impactBy: this.breakdownBy(daySignals, tagNames, group => this.calculateTotalImpact(group, date)),
+        criticalBy: this.breakdownBy(daySignals.filter(s => this.schema.isHighUrgency(s)), tagNames, group => group.length)
       });
     }
 
+    this.trendData.tags = this.calculateTagTrends([...tagNames.values()]);
+
     // Weekly trends last 12 weeks
     for (let i = 11; i >= 0; i--) {
       const weekStart = new Date(now);
@@ -85,19 +121,149 @@ class SignalBoardAnalytics {
         week: `W${12 - i}`,
         timestamp: weekStart.getTime(),
         totalSignals: weekSignals.length,
-        totalImpact: this.calculateTotalImpact(weekSignals),
+        totalImpact: this.calculateTotalImpact(weekSignals, weekEnd),
         avgUrgency: this.calculateAverage(weekSignals.map(s => s.urgency)),
         bugRatio: this.calculateCategoryRatio(weekSignals, 'bug'),
         enterpriseRatio: this.calculateTierRatio(weekSignals, 'enterprise')
       });
     }
 
+    this.trendData.breakdown = this.calculateBreakdown(signals, now);
+
     console.log(`→ Calculated trends for ${this.trendData.daily.length} days`);
   }
 
-  calculateTotalImpact(signals) {
+  // Category × tier counts and weighted impact over the same 30 days as the
+  // daily trend, plus the last 12 Monday-to-Sunday weeks day by day (volume
+  // calendar) and week by week (category shares)
+  calculateBreakdown(signals, now) {
+    const { categories, tiers } = this.schema.definition;
+    const from = this.trendData.daily[0].date;
+    const to = this.trendData.daily[this.trendData.daily.length - 1].date;
+    const recent = signals.filter(s => s.date >= from && s.date <= to);
+    const cells = categories.map(category => tiers.map(tier => recent.filter(s => s.category === category && s.tier === tier)));
+
+    const matrix = {
+      from,
+      to,
+      counts: cells.map(row => row.map(cell => cell.length)),
+      impact: cells.map(row => row.map(cell => Math.round(this.calculateTotalImpact(cell, now))))
+    };
+
+    const weekCount = 12;
+    const start = new Date(now);
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7) - (weekCount - 1) * 7);
+
+    const byDay = new Map();
+    signals.forEach(s => byDay.set(s.date, (byDay.get(s.date) || 0) + 1));
+
+    const calendar = Array.from({ length: weekCount * 7 }, (_, i) => {
+      const date = new Date(start);
+      date.setDate(date.getDate() + i);
+      const key = this.schema.dayKey(date);
+      return { date: key, timestamp: date.getTime(), future: date > now, count: byDay.get(key) || 0 };
+    });
+
+    const weeks = Array.from({ length: weekCount }, (_, w) => {
+      const days = calendar.slice(w * 7, w * 7 + 7);
+      const weekFrom = days[0].date;
+      const weekTo = days[6].date;
+      const weekSignals = signals.filter(s => s.date >= weekFrom && s.date <= weekTo);
+      return {
+        from: weekFrom,
+        to: weekTo,
+        timestamp: days[0].timestamp,
+        total: weekSignals.length,
+        categories: Object.fromEntries(categories.map(category => [
+          category,
+          weekSignals.filter(s => s.category === category).length
+        ]))
+      };
+    });
+
+    return { matrix, calendar, weeks };
+  }
+
+  // Per-metric baselines from anomalies.js, over the same counted signals as
+  // the trend chart so its anomaly markers line up
+  detectAnomalies() {
+    this.anomalies = window.signalboard.anomalies.detect(window.signalboard.workflow.countedSignals());
+    console.log(`→ Found ${this.anomalies.anomalies.length} anomalies (${this.anomalies.method})`);
+  }
+
+  // Sustained level shifts in the 30-day series (changepoints.js): the slow
+  // ramps a one-day spike check misses
+  detectChangePoints() {
+    this.changePoints = window.signalboard.changepoints.detect(this.trendData.daily);
+    console.log(`→ Found ${this.changePoints.length} change points`);
+  }
+
+  countTags(signals, tagNames) {
+    const counts = {};
+    signals.forEach(s => {
+      (s.tags || []).forEach(tag => {
+        const name = tagNames.get(tag.toLowerCase()) || tag;
+        counts[name] = (counts[name] || 0) + 1;
+      });
+    });
+    return counts;
+  }
+
+  // Daily series per tag over the 30-day window, busiest tags first, with
+  // this week against last week
+  calculateTagTrends(tags, limit = 8) {
+    const daily = this.trendData.daily;
+
+    return tags
+      .map(tag => {
+        const series = daily.map(day => day.tags[tag] || 0);
+        const sum = values => values.reduce((a, b) => a + b, 0);
+        const recent = sum(series.slice(-7));
+        const previous = sum(series.slice(-14, -7));
+        return {
+          tag,
+          series,
+          total: sum(series),
+          recent,
+          previous,
+          change: previous > 0 ? (recent - previous) / previous : (recent > 0 ? 1 : 0),
+          slope: this.calculateTrendSlope(series.slice(-14))
+        };
+      })
+      .filter(trend => trend.total > 0)
+      .sort((a, b) => b.total - a.total || a.tag.localeCompare(b.tag))
+      .slice(0, limit);
+  }
+
+  // Weighted priority score (scoring.js). Recency decays from the end of the
+  // bucket rather than from today, so older buckets stay comparable.
+  // { categories, tiers, tags } of valueOf(signals in that group)
+  breakdownBy(signals, tagNames, valueOf) {
+    const tagged = {};
+    signals.forEach(s => {
+      (s.tags || []).forEach(tag => {
+        const name = tagNames.get(tag.toLowerCase()) || tag;
+        (tagged[name] = tagged[name] || []).push(s);
+      });
+    });
+
+    return {
+      categories: Object.fromEntries(this.schema.definition.categories.map(category => [
+        category,
+        valueOf(signals.filter(s => s.category === category))
+      ])),
+      tiers: Object.fromEntries(this.schema.definition.tiers.map(tier => [
+        tier,
+        valueOf(signals.filter(s => s.tier === tier))
+      ])),
+      tags: Object.fromEntries(Object.entries(tagged).map(([tag, group]) => [tag, valueOf(group)]))
+    };
+  }
+
+  calculateTotalImpact(signals, asOf) {
     if (!signals.length) return 0;
-    return signals.reduce((sum, s) => sum + (s.impact || 0), 0);
+    return window.signalboard.scoring.totalScore(signals, { asOf });
   }
 
   calculateAverage(values) {
@@ -137,30 +303,32 @@ class SignalBoardAnalytics {
     }
 
     const recentDays = this.trendData.daily.slice(-7);
-    const previousWeek = this.trendData.daily.slice(-14, -7);
+    const detector = window.signalboard.anomalies;
+    const anomalies = this.anomalies.anomalies;
 
-    // Volume Analysis
-    const recentAvg = this.calculateAverage(recentDays.map(d => d.totalSignals));
-    const previousAvg = this.calculateAverage(previousWeek.map(d => d.totalSignals));
-    const volumeChange = previousAvg > 0 ? ((recentAvg - previousAvg) / previousAvg) : 0;
+    // Volume Analysis: the strongest volume anomaly of the last week, judged
+    // against that weekday's usual level
+    const volumeAnomaly = anomalies.find(a => a.metric === 'volume');
 
-    if (volumeChange > 0.3) {
+    if (volumeAnomaly?.direction === 'up') {
       this.insights.push({
         type: 'alert',
         icon: '🚨',
         title: 'Signal Volume Spike',
-        message: `Signal volume increased ${Math.round(volumeChange * 100)}% week over week. This may indicate product friction, a recent release issue, or increased customer engagement.`,
-        score: Math.min(100, 50 + Math.round(volumeChange * 50))
+        message: `${this.escapeHtml(detector.describe(volumeAnomaly))}. This may indicate product friction, a recent release issue, or increased customer engagement.`,
+        score: Math.min(100, 50 + Math.round(volumeAnomaly.score * 5))
       });
-    } else if (volumeChange < -0.3) {
+    } else if (volumeAnomaly) {
       this.insights.push({
         type: 'warning',
         icon: '📉',
-        title: 'Signal Volume Declining',
-        message: `Signal volume decreased ${Math.abs(Math.round(volumeChange * 100))}% week over week. Monitor customer engagement levels.`,
+        title: 'Signal Volume Drop',
+        message: `${this.escapeHtml(detector.describe(volumeAnomaly))}. Check that capture and imports are still running, then monitor customer engagement levels.`,
         score: 60
       });
-    } else {
+    } else if (!this.changePoints.some(change => change.metric === 'volume')) {
+      // A sustained volume shift gets its own insight below; calling the flow
+      // stable alongside it would contradict it
       this.insights.push({
         type: 'success',
         icon: '✅',
@@ -193,20 +361,58 @@ class SignalBoardAnalytics {
       });
     }
 
-    // Critical Signal Analysis
-    const criticalCount = recentDays.reduce((sum, d) => sum + d.criticalCount, 0);
-    const criticalRatio = totalRecent > 0 ? criticalCount / totalRecent : 0;
+    // Sustained Shifts: one insight per direction, led by volume when it moved,
+    // with the other metrics that shifted alongside it and what drove it
+    const changepoints = window.signalboard.changepoints;
+    ['up', 'down'].forEach(direction => {
+      const changes = this.changePoints.filter(change => change.direction === direction);
+      if (changes.length === 0) return;
+
+      const lead = changes.find(change => change.metric === 'volume') || changes[0];
+      const others = changes.filter(change => change !== lead)
+        .map(change => changepoints.describeShort(change).toLowerCase());
+      const drivers = changepoints.describeDrivers(lead);
+
+      this.insights.push({
+        type: direction === 'up' ? 'alert' : 'warning',
+        icon: direction === 'up' ? '📈' : '📉',
+        title: `Sustained ${direction === 'up' ? 'Rise' : 'Drop'}: ${this.escapeHtml(lead.label)}`,
+        message: `${this.escapeHtml(changepoints.describe(lead))}, not a one-day spike.` +
+          `${others.length > 0 ? ` Also ${this.escapeHtml(others.join(', '))}.` : ''}` +
+          `${drivers ? ` Driven by ${this.escapeHtml(drivers)}.` : ''}`,
+        score: Math.max(30, 60 - Math.round(Math.abs(lead.sigmas) * 5))
+      });
+    });
+
+    // Critical Signal Analysis: a day with an unusual share of high-urgency signals
+    const criticalAnomaly = anomalies.find(a => a.metric === 'critical' && a.direction === 'up');
 
-    if (criticalRatio > 0.2) {
+    if (criticalAnomaly) {
       this.insights.push({
         type: 'alert',
         icon: '🔥',
         title: 'High Critical Signal Rate',
-        message: `${Math.round(criticalRatio * 100)}% of recent signals are marked as high urgency or critical. Immediate action may be required.`,
+        message: `${this.escapeHtml(detector.describe(criticalAnomaly))}. Immediate action may be required.`,
         score: 35
       });
     }
 
+    // Category and tier spikes, strongest first, one per metric
+    const segmentAnomalies = anomalies
+      .filter(a => /^(category|tier):/.test(a.metric) && a.direction === 'up')
+      .filter((a, i, list) => list.findIndex(other => other.metric === a.metric) === i);
+
+    if (segmentAnomalies.length > 0) {
+      const [strongest, ...others] = segmentAnomalies;
+      this.insights.push({
+        type: strongest.severity === 'high' ? 'alert' : 'warning',
+        icon: '📊',
+        title: `Unusual ${this.escapeHtml(strongest.label)}`,
+        message: `${this.escapeHtml(detector.describe(strongest))}.${others.length > 0 ? ` Also unusual: ${others.slice(0, 2).map(a => this.escapeHtml(a.label)).join(', ')}.` : ''}`,
+        score: 50
+      });
+    }
+
     // Urgency Trend
     const urgencyValues = recentDays.map(d => d.avgUrgency);
     const urgencySlope = this.calculateTrendSlope(urgencyValues);
@@ -243,18 +449,46 @@ class SignalBoardAnalytics {
       });
     }
 
-    // Actionable Recommendation
+    // Tag Trends: the tag growing fastest week over week
+    const risingTag = this.trendData.tags
+      .filter(trend => trend.recent >= 3 && trend.recent >= trend.previous * 1.5)
+      .sort((a, b) => (b.recent - b.previous) - (a.recent - a.previous))[0];
+
+    if (risingTag) {
+      this.insights.push({
+        type: 'warning',
+        icon: '🔖',
+        title: `Rising Tag: ${this.escapeHtml(risingTag.tag)}`,
+        message: `Signals tagged ${this.escapeHtml(risingTag.tag)} went from ${risingTag.previous} last week to ${risingTag.recent} this week. Filter the Timeline by this tag to see what's behind it.`,
+        score: 60
+      });
+    }
+
+    // Actionable Recommendation, pointing at the heaviest recurring themes
+    const topThemes = window.signalboard.clustering
+      ? window.signalboard.clustering.computeThemes().slice(0, 3)
+      : [];
+    const themeList = topThemes
+      .map(theme => `"${this.escapeHtml(theme.name)}" (${theme.size} signals)`)
+      .join(', ');
+
     this.insights.push({
       type: 'info',
       icon: '💡',
       title: 'Recommended Action',
-      message: 'Review top recurring signal themes to identify quick wins for the next sprint. Focus on high-impact, low-effort improvements.',
+      message: topThemes.length > 0
+        ? `Review top recurring signal themes: ${themeList}. Open Themes to confirm or split them, then look for quick wins for the next sprint.`
+        : 'Review top recurring signal themes to identify quick wins for the next sprint. Focus on high-impact, low-effort improvements.',
       score: 75
     });
 
     console.log(`→ Generated ${this.insights.length} insights`);
   }
 
+  escapeHtml(value) {
+    return window.signalboard.escapeHtml(value);
+  }
+
   calculateTrendSlope(values) {
     if (values.length < 2) return 0;
     const x = values.map((_, i) => i);
@@ -266,36 +500,57 @@ class SignalBoardAnalytics {
   // ===================================
   // FORECASTING
   // ===================================
+  // Holt-Winters or a moving average, whichever backtests better
+  // (forecasting.js), over the same counted signals as the trend chart
   predictFutureTrends() {
     this.predictions = [];
-    const recent = this.trendData.daily.slice(-14);
-    
-    if (recent.length < 7) {
+    const forecasting = window.signalboard.forecasting;
+    const counts = this.countByDay(window.signalboard.workflow.countedSignals(), forecasting.config.historyDays);
+    this.forecast = forecasting.forecast(counts);
+
+    if (!this.forecast) {
       console.log('→ Insufficient data for forecasting');
       return;
     }
 
-    const x = recent.map((_, i) => i);
-    const y = recent.map(d => d.totalSignals);
-    const regression = this.linearRegression(x, y);
+    // The week from today against the last 7 full days, ±10% is stable
+    const lastWeek = counts.slice(-7).reduce((sum, count) => sum + count, 0);
+    const nextWeek = this.forecast.points.reduce((sum, point) => sum + point.value, 0);
+    const trend = nextWeek > lastWeek * 1.1 ? 'increasing' : nextWeek < lastWeek * 0.9 ? 'decreasing' : 'stable';
 
-    // Predict next 7 days
-    for (let i = 1; i <= 7; i++) {
+    this.forecast.points.forEach(point => {
+      // Step 1 is today: the series ends yesterday
       const futureDate = new Date();
-      futureDate.setDate(futureDate.getDate() + i);
+      futureDate.setDate(futureDate.getDate() + point.step - 1);
 
-      const predicted = regression.slope * (recent.length + i) + regression.intercept;
-      
       this.predictions.push({
-        date: futureDate.toLocaleDateString(),
+        date: this.schema.dayKey(futureDate),
+        timestamp: futureDate.getTime(),
         day: futureDate.toLocaleDateString('en-US', { weekday: 'short' }),
-        projectedSignals: Math.max(0, Math.round(predicted)),
-        confidence: Math.max(60, 95 - i * 5), // Confidence decreases over time
-        trend: regression.slope > 0 ? 'increasing' : regression.slope < 0 ? 'decreasing' : 'stable'
+        projectedSignals: Math.round(point.value),
+        value: point.value,
+        lower: point.lower,
+        upper: point.upper,
+        model: this.forecast.model,
+        trend
       });
-    }
+    });
+
+    console.log(`→ Generated ${this.predictions.length} predictions (${this.forecast.label})`);
+  }
+
+  // Signals per day for the last `days` full days, oldest first, ending
+  // yesterday: today's count so far would read as a slow day
+  countByDay(signals, days) {
+    const counts = new Map();
+    signals.forEach(signal => counts.set(signal.date, (counts.get(signal.date) || 0) + 1));
 
-    console.log(`→ Generated ${this.predictions.length} predictions`);
+    const now = new Date();
+    return Array.from({ length: days }, (_, i) => {
+      const date = new Date(now);
+      date.setDate(date.getDate() - (days - i));
+      return counts.get(this.schema.dayKey(date)) || 0;
+    });
   }
 
   linearRegression(x, y) {
@@ -327,23 +582,28 @@ class SignalBoardAnalytics {
       return daysAgo <= 7;
     });
 
-    // Churn Risk Detection
-    const enterpriseSignals = recentSignals.filter(s => s.tier === 'enterprise');
-    const criticalEnterpriseSignals = enterpriseSignals.filter(s => s.urgency >= 3);
+    // Churn Risk Detection: scored per account (accounts.js), so several
+    // escalations from one customer count as one account at risk
+    const accounts = window.signalboard.accounts;
+    const highRisk = accounts.atRisk('high');
     
-    if (criticalEnterpriseSignals.length >= 3) {
+    if (highRisk.length > 0) {
+      const arrAtRisk = highRisk.reduce((sum, { account }) => sum + account.arr, 0);
+      const names = highRisk.slice(0, 3).map(({ account }) => account.name).join(', ');
+      
       this.riskIndicators.push({
         type: 'churn',
         severity: 'high',
-        title: 'Enterprise Churn Risk',
-        description: `${criticalEnterpriseSignals.length} critical signals from enterprise customers in the last week`,
-        affectedCount: new Set(criticalEnterpriseSignals.map(s => s.id)).size
+        title: 'Account Churn Risk',
+        description: `${highRisk.length} account${highRisk.length === 1 ? '' : 's'} at high churn risk (${accounts.formatArr(arrAtRisk)} ARR): ${names}${highRisk.length > 3 ? ', …' : ''}`,
+        affectedCount: highRisk.length,
+        accounts: highRisk.map(({ account, risk }) => ({ id: account.id, name: account.name, arr: account.arr, score: risk.score }))
       });
     }
 
     // Reliability Risk
     const bugSignals = recentSignals.filter(s => s.category === 'bug');
-    const highPriorityBugs = bugSignals.filter(s => s.urgency >= 3);
+    const highPriorityBugs = bugSignals.filter(s => this.schema.isHighUrgency(s));
     
     if (highPriorityBugs.length >= 5) {
       this.riskIndicators.push({
@@ -373,138 +633,320 @@ class SignalBoardAnalytics {
   // ===================================
   // CHART RENDERING
   // ===================================
+  // Daily volume and high-urgency signals over 30 days, then the forecast
+  // with its prediction band (charts.js). Opens on the last 14 days and the
+  // next 7; zooming out shows the rest.
   renderSignalTrendChart(canvasId) {
-    const canvas = document.getElementById(canvasId);
-    if (!canvas) {
-      console.warn(`Canvas ${canvasId} not found`);
-      return;
+    const changepoints = window.signalboard.changepoints;
+    const data = this.trendData.daily;
+    const forecast = this.predictions;
+    // The forecast starts today, the last (partial) actual day
+    const ahead = forecast.slice(1);
+    const days = [...data, ...ahead];
+    const last = data.length - 1;
+    const noForecast = ahead.map(() => null);
+
+    const series = [
+      { key: 'signals', name: 'Signals', color: '--primary-500', values: [...data.map(d => d.totalSignals), ...noForecast] },
+      { key: 'critical', name: 'High urgency', color: '--error-500', width: 2, values: [...data.map(d => d.criticalCount), ...noForecast] }
+    ];
+
+    if (forecast.length > 0) {
+      // Starts from yesterday's count so the two lines join
+      const joined = data.slice(0, last).map((d, i) => (i === last - 1 ? d.totalSignals : null));
+      const projected = field => [...joined, ...forecast.map(p => p[field])];
+      series.push({
+        key: 'forecast',
+        name: 'Forecast',
+        color: '--primary-500',
+        dashed: true,
+        values: projected('value'),
+        band: {
+          lower: projected('lower'),
+          upper: projected('upper')
+        }
+      });
     }
 
-    const ctx = canvas.getContext('2d');
-    const data = this.trendData.daily.slice(-14);
+    // Volume anomalies: ringed with the count and what was expected
+    const volume = this.anomalies.metrics.find(metric => metric.key === 'volume');
+    const annotations = (volume?.series || [])
+      .filter(point => point.anomaly)
+      .map(point => ({ point, index: data.findIndex(d => d.date === point.date) }))
+      .filter(({ index }) => index !== -1)
+      .map(({ point, index }) => ({
+        type: 'ring',
+        index,
+        series: 'signals',
+        color: '--error-500',
+        position: point.direction === 'up' ? 'above' : 'below',
+        label: `${point.direction === 'up' ? '▲' : '▼'} ${data[index].totalSignals} (~${Math.round(point.expected)})`,
+        tooltip: `Unusual volume: about ${Math.round(point.expected)} expected`
+      }));
+
+    // Sustained shifts: a dashed line where the new level starts
+    this.changePoints.forEach(change => {
+      const index = data.findIndex(d => d.date === change.start);
+      if (index === -1) return;
+      annotations.push({
+        type: 'line',
+        index,
+        color: '--warning-600',
+        label: `${change.direction === 'up' ? '↑' : '↓'} ${changepoints.describeShort(change)}`,
+        tooltip: changepoints.describe(change)
+      });
+    });
 
-    if (data.length === 0) {
-      this.renderEmptyChart(ctx, canvas);
-      return;
-    }
+    const shown = 14 + ahead.length;
+    this.chartInstances.trend = window.signalboard.charts.render(canvasId, {
+      type: 'line',
+      title: 'Signal volume',
+      labels: days.map(d => {
+        const date = new Date(d.timestamp);
+        return `${date.getMonth() + 1}/${date.getDate()}`;
+      }),
+      series,
+      annotations,
+      integer: true,
+      range: [Math.max(0, days.length - shown), days.length - 1],
+      tooltipTitle: hit => {
+        const day = new Date(days[hit.index].timestamp).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+        return hit.index > last ? `${day} (forecast)` : hit.index === last ? `${day} (so far)` : day;
+      },
+      tooltip: hit => (hit.index >= last && this.forecast ? [`${this.forecast.label}; 95% range in brackets`] : [])
+    });
+  }
 
-    // Setup canvas for high DPI displays
-    const dpr = window.devicePixelRatio || 1;
-    const rect = canvas.getBoundingClientRect();
-    canvas.width = rect.width * dpr;
-    canvas.height = rect.height * dpr;
-    ctx.scale(dpr, dpr);
-
-    const padding = 50;
-    const w = rect.width - padding * 2;
-    const h = rect.height - padding * 2;
-
-    // Clear canvas
-    ctx.clearRect(0, 0, rect.width, rect.height);
-
-    // Get data values
-    const values = data.map(d => d.totalSignals);
-    const max = Math.max(...values, 10);
-    const min = Math.min(...values, 0);
-
-    // Draw grid lines
-    this.drawGrid(ctx, padding, w, h, max);
-
-    // Draw line chart
-    ctx.strokeStyle = '#6366f1';
-    ctx.lineWidth = 3;
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-    ctx.beginPath();
-
-    data.forEach((d, i) => {
-      const x = padding + (w / (data.length - 1)) * i;
-      const y = padding + h - ((d.totalSignals - min) / (max - min || 1)) * h;
-      
-      if (i === 0) {
-        ctx.moveTo(x, y);
-      } else {
-        ctx.lineTo(x, y);
-      }
+  // Share of each category over the last 14 days, in taxonomy colors
+  renderCategoryMix(canvasId) {
+    const taxonomy = window.signalboard.taxonomy;
+    const totals = {};
+    this.trendData.daily.slice(-14).forEach(day => {
+      Object.entries(day.categories || {}).forEach(([category, count]) => {
+        totals[category] = (totals[category] || 0) + count;
+      });
     });
 
-    ctx.stroke();
+    this.chartInstances.categoryMix = window.signalboard.charts.render(canvasId, {
+      type: 'donut',
+      title: 'Category mix, last 14 days',
+      height: 260,
+      centerLabel: 'signals',
+      emptyMessage: 'No signals in the last 14 days',
+      series: this.schema.definition.categories
+        .filter(category => totals[category] > 0)
+        .map(category => ({
+          key: category,
+          name: `${taxonomy.icon('categories', category)} ${taxonomy.label('categories', category)}`.trim(),
+          color: taxonomy.color('categories', category),
+          value: totals[category]
+        }))
+    });
+  }
 
-    // Draw points
-    ctx.fillStyle = '#6366f1';
-    data.forEach((d, i) => {
-      const x = padding + (w / (data.length - 1)) * i;
-      const y = padding + h - ((d.totalSignals - min) / (max - min || 1)) * h;
-      
-      ctx.beginPath();
-      ctx.arc(x, y, 4, 0, Math.PI * 2);
-      ctx.fill();
+  // Signals (or weighted impact) per category and tier over 30 days; a
+  // cell opens the timeline on its signals
+  renderCategoryTierMatrix(canvasId) {
+    const taxonomy = window.signalboard.taxonomy;
+    const { categories, tiers } = this.schema.definition;
+    const { matrix } = this.trendData.breakdown;
+    const measure = document.getElementById('category-tier-measure')?.value === 'impact' ? 'impact' : 'counts';
+
+    this.chartInstances.categoryTier = window.signalboard.charts.render(canvasId, {
+      type: 'heatmap',
+      title: 'Signals by category and tier, last 30 days',
+      height: Math.max(160, categories.length * 36 + 28),
+      rows: categories.map(category => taxonomy.label('categories', category)),
+      columns: tiers.map(tier => taxonomy.label('tiers', tier)),
+      values: matrix[measure],
+      showValues: true,
+      valueLabel: measure === 'impact' ? 'Weighted impact' : 'Signals',
+      emptyMessage: 'No signals in the last 30 days',
+      tooltip: hit => {
+        const count = matrix.counts[hit.row][hit.column];
+        const impact = matrix.impact[hit.row][hit.column];
+        return [measure === 'impact' ? `${count} signal${count === 1 ? '' : 's'}` : `${impact} impact points`];
+      },
+      onClick: hit => this.drillDown({
+        from: matrix.from,
+        to: matrix.to,
+        facets: { category: [categories[hit.row]], tier: [tiers[hit.column]] }
+      })
     });
+  }
 
-    // Draw labels
-    this.drawLabels(ctx, data, padding, w, h);
-  }
-
-  drawGrid(ctx, padding, w, h, max) {
-    ctx.strokeStyle = '#e5e7eb';
-    ctx.lineWidth = 1;
-    ctx.setLineDash([5, 5]);
-
-    // Horizontal grid lines
-    for (let i = 0; i <= 4; i++) {
-      const y = padding + (h / 4) * i;
-      ctx.beginPath();
-      ctx.moveTo(padding, y);
-      ctx.lineTo(padding + w, y);
-      ctx.stroke();
-
-      // Y-axis labels
-      const value = Math.round(max * (1 - i / 4));
-      ctx.fillStyle = '#6b7280';
-      ctx.font = '12px Inter, sans-serif';
-      ctx.textAlign = 'right';
-      ctx.fillText(value.toString(), padding - 10, y + 4);
-    }
+  // Daily volume over 12 weeks, a column per week; a day opens the timeline
+  // on that day
+  renderVolumeCalendar(canvasId) {
+    const { calendar } = this.trendData.breakdown;
+    const weekCount = calendar.length / 7;
+    const weekdays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+    const dayAt = hit => calendar[hit.column * 7 + hit.row];
+
+    this.chartInstances.calendar = window.signalboard.charts.render(canvasId, {
+      type: 'heatmap',
+      title: 'Daily signal volume, last 12 weeks',
+      height: 7 * 24 + 28,
+      rows: weekdays,
+      columns: Array.from({ length: weekCount }, (_, w) => {
+        const monday = new Date(calendar[w * 7].timestamp);
+        return `${monday.getMonth() + 1}/${monday.getDate()}`;
+      }),
+      // Days still to come this week are left blank
+      values: weekdays.map((_, row) => Array.from({ length: weekCount }, (__, column) => {
+        const day = calendar[column * 7 + row];
+        return day.future ? null : day.count;
+      })),
+      valueLabel: 'Signals',
+      emptyMessage: 'No signals in the last 12 weeks',
+      tooltipTitle: hit => new Date(dayAt(hit).timestamp).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' }),
+      onClick: hit => this.drillDown({ from: dayAt(hit).date, to: dayAt(hit).date })
+    });
+  }
 
-    ctx.setLineDash([]);
+  // Each category's share of the week's signals over 12 weeks; a band opens
+  // the timeline on that category and week
+  renderCategoryShares(canvasId) {
+    const taxonomy = window.signalboard.taxonomy;
+    const { weeks } = this.trendData.breakdown;
+    const categories = this.schema.definition.categories.filter(category => weeks.some(week => week.categories[category] > 0));
+
+    this.chartInstances.categoryShares = window.signalboard.charts.render(canvasId, {
+      type: 'area',
+      title: 'Category share of weekly signals',
+      height: 260,
+      normalize: true,
+      labels: weeks.map(week => {
+        const monday = new Date(week.timestamp);
+        return `${monday.getMonth() + 1}/${monday.getDate()}`;
+      }),
+      series: categories.map(category => ({
+        key: category,
+        name: taxonomy.label('categories', category),
+        color: taxonomy.color('categories', category),
+        values: weeks.map(week => week.categories[category])
+      })),
+      emptyMessage: 'No signals in the last 12 weeks',
+      tooltipTitle: hit => `Week of ${new Date(weeks[hit.index].timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} (${weeks[hit.index].total} signals)`,
+      onClick: hit => this.drillDown({
+        from: weeks[hit.index].from,
+        to: weeks[hit.index].to,
+        facets: hit.series ? { category: [hit.series] } : {}
+      })
+    });
   }
 
-  drawLabels(ctx, data, padding, w, h) {
-    ctx.fillStyle = '#6b7280';
-    ctx.font = '11px Inter, sans-serif';
-    ctx.textAlign = 'center';
+  // Opens the timeline on the signals behind a chart. Resolved signals are
+  // filtered out there too when analytics leaves them out (workflow.js).
+  drillDown(filters) {
+    const settings = window.signalboard.workflow.settings();
+    const status = settings.excludeResolved
+      ? this.schema.definition.statuses.filter(value => !settings.resolvedStatuses.includes(value))
+      : [];
+    window.signalboard.search.openTimeline({ ...filters, facets: { status, ...filters.facets } });
+  }
 
-    // X-axis labels (every other day)
-    data.forEach((d, i) => {
-      if (i % 2 === 0 || i === data.length - 1) {
-        const x = padding + (w / (data.length - 1)) * i;
-        const date = new Date(d.date);
-        const label = `${date.getMonth() + 1}/${date.getDate()}`;
-        ctx.fillText(label, x, padding + h + 20);
-      }
-    });
+  // One row per busy tag: 30-day bar sparkline, this week's count and the
+  // change from last week
+  renderTagTrends(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const trends = this.trendData.tags || [];
+    if (trends.length === 0) {
+      container.innerHTML = '<p class="form-help">No tagged signals in the last 30 days</p>';
+      return;
+    }
+
+    container.innerHTML = trends.map(trend => {
+      const max = Math.max(...trend.series, 1);
+      const change = Math.round(trend.change * 100);
+      const direction = change > 0 ? 'negative' : change < 0 ? 'positive' : 'neutral';
+      return `
+        <div class="tag-trend-row">
+          <span class="tag-chip">${this.escapeHtml(trend.tag)}</span>
+          <span class="tag-trend-spark" title="${trend.total} signals in 30 days">
+            ${trend.series.map(count => `<span style="height: ${Math.max((count / max) * 100, count > 0 ? 8 : 0)}%"></span>`).join('')}
+          </span>
+          <span class="tag-trend-count">${trend.recent}</span>
+          <span class="stat-change ${direction}">${change > 0 ? '↑' : change < 0 ? '↓' : '→'} ${Math.abs(change)}%</span>
+        </div>
+      `;
+    }).join('');
+  }
+
+  // Titles and messages are escaped where they're built in generateInsights
+  renderInsights(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    container.innerHTML = this.insights.map(insight => `
+      <div class="insight-card insight-${insight.type}">
+        <span class="insight-icon">${insight.icon}</span>
+        <div class="insight-content">
+          <h4 class="insight-title">${insight.title}</h4>
+          <p class="insight-message">${insight.message}</p>
+        </div>
+      </div>
+    `).join('');
   }
 
-  renderEmptyChart(ctx, canvas) {
-    const rect = canvas.getBoundingClientRect();
-    canvas.width = rect.width;
-    canvas.height = rect.height;
+  // Today, the 7 days from today and which model produced them. The range is
+  // the prediction interval for one day; weekly totals have no such band.
+  renderForecast(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const forecast = this.forecast;
+    if (!forecast) {
+      const days = window.signalboard.forecasting.config.minHistory;
+      container.innerHTML = `<p class="form-help">Forecasts start once there are ${days} days of signals</p>`;
+      return;
+    }
 
-    ctx.fillStyle = '#9ca3af';
-    ctx.font = '14px Inter, sans-serif';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText('No data available yet', rect.width / 2, rect.height / 2);
+    const level = Math.round(forecast.level * 100);
+    const [today] = this.predictions;
+    const nextWeek = Math.round(this.predictions.reduce((sum, p) => sum + p.value, 0));
+    const trendLabel = { increasing: '↑ Up on the last 7 days', decreasing: '↓ Down on the last 7 days', stable: '→ In line with the last 7 days' };
+    const scores = Object.entries(forecast.backtest)
+      .filter(([, mae]) => mae !== null)
+      .map(([name, mae]) => `${name === forecast.model ? '<strong>' : ''}${this.escapeHtml(window.signalboard.forecasting.models[name].label)}: ±${mae}/day${name === forecast.model ? '</strong>' : ''}`);
+
+    container.innerHTML = `
+      <div class="prediction-card">
+        <div class="prediction-date">Today</div>
+        <div class="prediction-value">${today.projectedSignals}</div>
+        <p class="form-help">Expected by end of day, ${level}% range ${Math.floor(today.lower)}–${Math.ceil(today.upper)}</p>
+      </div>
+      <div class="prediction-card">
+        <div class="prediction-date">Next 7 Days</div>
+        <div class="prediction-value">${nextWeek}</div>
+        <p class="form-help">${trendLabel[today.trend]}</p>
+      </div>
+      <div class="prediction-card">
+        <div class="prediction-date">Model</div>
+        <div class="prediction-value prediction-model">${this.escapeHtml(forecast.label)}</div>
+        <p class="form-help">${scores.length > 0 ? `Backtest error ${scores.join(' • ')}` : `Too little history to backtest; ${forecast.historyDays} days`}</p>
+      </div>
+    `;
   }
 
   // ===================================
   // ANALYTICS VIEW SETUP
   // ===================================
   setupAnalyticsView() {
-    // Render charts if canvas exists
-    setTimeout(() => {
-      this.renderSignalTrendChart('trend-chart');
-    }, 100);
+    // Charts drawn while the view is hidden draw themselves once it's shown
+    this.renderSignalTrendChart('trend-chart');
+    this.renderInsights('insights-grid');
+    this.renderCategoryMix('category-mix');
+    this.renderCategoryTierMatrix('category-tier-matrix');
+    this.renderVolumeCalendar('volume-calendar');
+    this.renderCategoryShares('category-shares');
+    this.renderTagTrends('tag-trends');
+    this.renderForecast('forecast-cards');
+
+    // Time-to-triage / time-to-resolution cards (workflow.js)
+    window.signalboard.workflow.renderMetrics();
 
     console.log('→ Analytics view configured');
   }
@@ -544,6 +986,20 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 });
 
+// Recompute once persisted signals are available (storage loads asynchronously)
+document.addEventListener('signalboard:state-loaded', () => {
+  if (window.analyticsInstance) {
+    window.analyticsInstance.refresh();
+  }
+});
+
+// ...and again for another workspace's signals (workspaces.js)
+document.addEventListener('signalboard:workspace-changed', () => {
+  if (window.analyticsInstance) {
+    window.analyticsInstance.refresh();
+  }
+});
+
 // Refresh analytics when switching to analytics view
 const originalSwitchView = window.switchView;
 if (originalSwitchView) {
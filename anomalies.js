@@ -0,0 +1,312 @@
+// ===================================
+// SIGNALBOARD ANOMALY DETECTION
+// Per-metric daily baselines (rolling median/MAD or EWMA control limits)
+// for volume, weighted impact, critical ratio, categories and tiers, with
+// day-of-week baselines and minimum-volume guards
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // CONFIGURATION
+  // ===================================
+
+  const ANOMALY_CONFIG = {
+    // 'mad': a day is anomalous when its robust z-score against the rolling
+    // baseline passes madThreshold. 'ewma': when the exponentially weighted
+    // average of those z-scores leaves its control limits, which catches
+    // smaller shifts that last several days.
+    method: 'mad',
+    madThreshold: 3.5,
+    ewma: { lambda: 0.3, limit: 3 },
+
+    // Days of history evaluated, and the days before each one it's compared to
+    historyDays: 56,
+    baselineDays: 28,
+    // Compare Mondays with Mondays once the baseline has this many of them
+    dayOfWeek: true,
+    minSameWeekday: 3,
+    // Anomalies reported (insights, PM metrics) only from the last N days;
+    // the chart marks any day it shows
+    recentDays: 7,
+
+    // Minimum-volume guards: counts are only flagged when the day or its
+    // baseline reaches minCount, ratios only on days with minDenominator signals
+    minCount: 3,
+    minDenominator: 5,
+
+    // "high" severity from this multiple of the threshold
+    highSeverityFactor: 1.5
+  };
+
+  // Consistency constant: 1.4826 × MAD estimates σ for normal data
+  const MAD_SCALE = 1.4826;
+
+  const schema = window.signalboard.schema;
+
+  // ===================================
+  // HELPERS
+  // ===================================
+
+  function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  function round(value, places = 2) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+  }
+
+  function taxonomyLabel(kind, value) {
+    return window.signalboard.taxonomy?.label(kind, value) || value;
+  }
+
+  // ===================================
+  // METRICS
+  // ===================================
+
+  // Each metric turns one day's signals into { value, denominator? }.
+  // kind decides the noise floor and the minimum-volume guard.
+  function metricDefinitions() {
+    const scoring = window.signalboard.scoring;
+    return [
+      { key: 'volume', label: 'Signal volume', kind: 'count', unit: 'signals', measure: signals => ({ value: signals.length }) },
+      {
+        key: 'impact',
+        label: 'Weighted impact',
+        kind: 'amount',
+        unit: 'points',
+        measure: (signals, date) => ({ value: scoring ? scoring.totalScore(signals, { asOf: date }) : signals.reduce((sum, s) => sum + s.impact, 0) })
+      },
+      {
+        key: 'critical',
+        label: 'Critical ratio',
+        kind: 'ratio',
+        unit: 'of signals',
+        measure: signals => ({
+          value: signals.length > 0 ? signals.filter(s => schema.isHighUrgency(s)).length / signals.length : 0,
+          denominator: signals.length
+        })
+      },
+      ...schema.definition.categories.map(category => ({
+        key: `category:${category}`,
+        label: `${taxonomyLabel('categories', category)} signals`,
+        kind: 'count',
+        unit: 'signals',
+        measure: signals => ({ value: signals.filter(s => s.category === category).length })
+      })),
+      ...schema.definition.tiers.map(tier => ({
+        key: `tier:${tier}`,
+        label: `${taxonomyLabel('tiers', tier)} signals`,
+        kind: 'count',
+        unit: 'signals',
+        measure: signals => ({ value: signals.filter(s => s.tier === tier).length })
+      }))
+    ];
+  }
+
+  // One entry per day, oldest first, ending today (marked partial)
+  function dailyBuckets(signals, days) {
+    const byDay = new Map();
+    signals.forEach(signal => {
+      if (!byDay.has(signal.date)) byDay.set(signal.date, []);
+      byDay.get(signal.date).push(signal);
+    });
+
+    const now = new Date();
+    return Array.from({ length: days }, (_, i) => {
+      const date = new Date(now);
+      date.setDate(date.getDate() - (days - 1 - i));
+      return {
+        date,
+        key: schema.dayKey(date),
+        weekday: date.getDay(),
+        partial: i === days - 1,
+        signals: byDay.get(schema.dayKey(date)) || []
+      };
+    });
+  }
+
+  // ===================================
+  // BASELINES
+  // ===================================
+
+  // Center and scale for day t from the baselineDays before it (never
+  // reaching back past `start`): same weekday only when there are enough of
+  // those. The scale never drops below the noise a metric of that size has
+  // anyway (Poisson for counts, binomial for ratios, Poisson counts of an
+  // average-impact signal for impact), so a quiet metric doesn't fire on one
+  // extra signal.
+  function baselineFor(points, t, kind, start) {
+    const { baselineDays, dayOfWeek, minSameWeekday } = ANOMALY_CONFIG;
+    const before = points.slice(Math.max(start, t - baselineDays), t);
+    const sameDay = before.filter(point => point.weekday === points[t].weekday);
+    const useWeekday = dayOfWeek && sameDay.length >= minSameWeekday;
+    const days = useWeekday ? sameDay : before;
+    const sample = days.map(point => point.value);
+
+    const center = median(sample);
+    const spread = MAD_SCALE * median(sample.map(value => Math.abs(value - center)));
+    const volume = median(days.map(point => point.volume));
+
+    let floor;
+    if (kind === 'count') {
+      floor = Math.sqrt(Math.max(center, 1));
+    } else if (kind === 'ratio') {
+      floor = Math.sqrt(Math.max(center * (1 - center), 0.05) / Math.max(points[t].denominator || 1, 1));
+    } else {
+      const signals = days.reduce((sum, point) => sum + point.volume, 0);
+      const perSignal = signals > 0 ? sample.reduce((sum, value) => sum + value, 0) / signals : 1;
+      floor = Math.max(perSignal * Math.sqrt(Math.max(volume, 1)), 1);
+    }
+
+    return {
+      center,
+      scale: Math.max(spread, floor),
+      days: before.length,
+      weekday: useWeekday,
+      volume
+    };
+  }
+
+  // Too little behind the number to call it unusual. Impact is guarded by
+  // the signal counts behind it.
+  function passesGuards(point, baseline, kind) {
+    const { minCount, minDenominator } = ANOMALY_CONFIG;
+    if (kind === 'ratio') return (point.denominator || 0) >= minDenominator;
+    if (kind === 'count') return Math.max(point.value, baseline.center) >= minCount;
+    return Math.max(point.volume, baseline.volume) >= minCount;
+  }
+
+  // Scores are in robust z units either way, so one threshold reads the same
+  function thresholdFor(method) {
+    return method === 'ewma' ? ANOMALY_CONFIG.ewma.limit : ANOMALY_CONFIG.madThreshold;
+  }
+
+  // ===================================
+  // DETECTION
+  // ===================================
+
+  // Flags every day that has a baseline: a week of history since the board's
+  // first signal, so a new board's first days aren't "spikes" over zero.
+  // Each point carries its expected value and band so charts can draw what
+  // "normal" was.
+  function evaluate(points, kind, method) {
+    const { lambda } = ANOMALY_CONFIG.ewma;
+    const threshold = thresholdFor(method);
+    // EWMA of z-scores has standard deviation sqrt(λ / (2 − λ)); rescaling
+    // by it puts the smoothed score back on the z scale
+    const ewmaScale = Math.sqrt(lambda / (2 - lambda));
+    const minDays = Math.min(7, ANOMALY_CONFIG.baselineDays);
+    const start = Math.max(0, points.findIndex(point => point.volume > 0));
+    let smoothed = 0;
+
+    return points.map((point, t) => {
+      const baseline = baselineFor(points, t, kind, start);
+      if (t < start || baseline.days < minDays) return { ...point, expected: null, anomaly: false };
+
+      const z = (point.value - baseline.center) / baseline.scale;
+      smoothed = lambda * z + (1 - lambda) * smoothed;
+      const score = method === 'ewma' ? smoothed / ewmaScale : z;
+      // Today is still filling up: its count can already be a spike, but
+      // falling short of a full day's baseline isn't a drop (ratios don't
+      // depend on how much of the day has passed)
+      const partialDrop = point.partial && kind !== 'ratio' && score < 0;
+      const anomaly = !partialDrop && Math.abs(score) >= threshold && passesGuards(point, baseline, kind);
+
+      // The range a single day could take without being flagged (under
+      // EWMA, where days add up, the same band as a guide)
+      const band = threshold * baseline.scale;
+      return {
+        ...point,
+        expected: round(baseline.center, 3),
+        lower: round(Math.max(0, baseline.center - band), 3),
+        upper: round(baseline.center + band, 3),
+        score: round(score),
+        weekdayBaseline: baseline.weekday,
+        anomaly,
+        direction: anomaly ? (score > 0 ? 'up' : 'down') : null
+      };
+    });
+  }
+
+  // signals: usually workflow.countedSignals(). Returns every metric's daily
+  // series and the anomalies from the last recentDays, strongest first.
+  function detect(signals, options = {}) {
+    const method = options.method || ANOMALY_CONFIG.method;
+    const days = dailyBuckets(signals, options.historyDays || ANOMALY_CONFIG.historyDays);
+    const recentFrom = days.length - (options.recentDays || ANOMALY_CONFIG.recentDays);
+
+    const metrics = metricDefinitions().map(metric => {
+      const points = days.map(day => ({
+        date: day.key,
+        timestamp: day.date.getTime(),
+        weekday: day.weekday,
+        partial: day.partial,
+        volume: day.signals.length,
+        ...metric.measure(day.signals, day.date)
+      }));
+
+      return {
+        key: metric.key,
+        label: metric.label,
+        kind: metric.kind,
+        unit: metric.unit,
+        series: evaluate(points, metric.kind, method)
+      };
+    });
+
+    const threshold = thresholdFor(method);
+    const anomalies = metrics.flatMap(metric => metric.series
+      .map((point, index) => ({ point, index }))
+      .filter(({ point, index }) => point.anomaly && index >= recentFrom)
+      .map(({ point }) => ({
+        metric: metric.key,
+        label: metric.label,
+        kind: metric.kind,
+        unit: metric.unit,
+        date: point.date,
+        timestamp: point.timestamp,
+        value: round(point.value, 3),
+        expected: point.expected,
+        lower: point.lower,
+        upper: point.upper,
+        score: point.score,
+        direction: point.direction,
+        weekdayBaseline: point.weekdayBaseline,
+        severity: Math.abs(point.score) >= threshold * ANOMALY_CONFIG.highSeverityFactor ? 'high' : 'medium'
+      })))
+      .sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+
+    return { method, metrics, anomalies };
+  }
+
+  // "Signal volume spiked on Tue, Oct 14: 24 signals, against about 9 on a typical Tuesday"
+  function describe(anomaly) {
+    const day = new Date(anomaly.timestamp).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    const format = value => (anomaly.kind === 'ratio' ? `${Math.round(value * 100)}%` : `${Math.round(value * 10) / 10}`);
+    const unit = anomaly.kind === 'ratio' ? anomaly.unit : ` ${anomaly.unit}`;
+    const baseline = anomaly.weekdayBaseline ? `a typical ${new Date(anomaly.timestamp).toLocaleDateString('en-US', { weekday: 'long' })}` : 'recent days';
+    return `${anomaly.label} ${anomaly.direction === 'up' ? 'spiked' : 'dropped'} on ${day}: ${format(anomaly.value)}${unit}, against about ${format(anomaly.expected)} on ${baseline}`;
+  }
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.anomalies = {
+    detect,
+    describe,
+    median,
+    config: ANOMALY_CONFIG
+  };
+
+})();
+
+console.log('🚨 SignalBoard Anomaly Detection Loaded');
@@ -7,14 +7,37 @@
 // ===================================
 // STATE MANAGEMENT
 // ===================================
-const state = {
-  currentView: 'dashboard',
-  
-  // Customer feedback signals
-  signals: [],
-  
-  // Baseline metrics for comparison
-  benchmarks: [
+
+// Canonical signal shape (schema.js). Every signal in state goes through it.
+const signalSchema = window.signalboard.schema;
+
+// Weighted priority score (scoring.js), driven by the active benchmark.
+const signalScoring = window.signalboard.scoring;
+
+// Timeline search index and filter state (search.js).
+const signalSearch = window.signalboard.search;
+
+// Status transitions and which signals still count (workflow.js).
+const signalWorkflow = window.signalboard.workflow;
+
+// Undo/redo for anything that changes signals, benchmarks or the profile (history.js).
+const signalHistory = window.signalboard.history;
+
+// Timeline multi-select and batch edits (bulk-actions.js).
+const signalBulk = window.signalboard.bulk;
+
+// Source, category, tier and urgency labels, colors and icons (taxonomy.js).
+const signalTaxonomy = window.signalboard.taxonomy;
+
+// Tag input, tag suggestions and product-area groupings (tags.js).
+const signalTags = window.signalboard.tags;
+
+// Signed-in user, roles and permissions (users.js).
+const signalUsers = window.signalboard.users;
+
+// Every workspace starts with this benchmark
+function defaultBenchmarks() {
+  return [
     {
       id: 'default',
       name: 'Q1 Baseline',
@@ -23,20 +46,65 @@ const state = {
       customerTierWeight: { enterprise: 3, pro: 2, free: 1 },
       active: true
     }
-  ],
+  ];
+}
+
+const state = {
+  currentView: 'dashboard',
+  
+  // Customer feedback signals (active workspace)
+  signals: [],
+  
+  // Baseline metrics for comparison (active workspace)
+  benchmarks: defaultBenchmarks(),
   
   currentBenchmark: null,
   
-  // PM user profile
+  // Signed-in user: a record from users once users.js restores the session.
+  // Until then, the built-in profile that seeds the first admin.
   user: {
     name: 'Emmanuel Ahishakiye',
     email: 'emmanuel@cloudflare.com',
     productArea: 'Developer Platform',
     team: 'Product Management',
-    focus: 'reliability'
+    focus: 'reliability',
+    // Start the dashboard filtered to productArea (tags.js)
+    filterDashboard: false
   },
   
+  // User records with roles (users.js); shared by every workspace
+  users: [],
+  
+  // Dashboard product-area toggle for this session; starts from user.filterDashboard
+  dashboardAreaOnly: false,
+  
   theme: 'light',
+  
+  // Theme review decisions (clustering.js): confirmed groups and split-off pairs
+  clusters: {
+    confirmed: [],
+    separated: []
+  },
+  
+  // Customer accounts (accounts.js); signals link to them by accountId
+  accounts: [],
+  
+  // Prioritization rules (rules.js); seeded with defaults on first use
+  rules: null,
+  
+  // Workflow overrides (workflow.js): allowed transitions, whether resolved signals count
+  workflow: {},
+  
+  // Custom sources, categories, tiers and urgency labels (taxonomy.js); empty uses the defaults.
+  // Per workspace.
+  taxonomy: {},
+  
+  // Named workspaces (workspaces.js); signals, benchmarks, taxonomy and events belong to the active one
+  workspaces: {
+    list: [{ id: 'default', name: 'My Workspace' }],
+    active: 'default'
+  },
+  
   captureStream: null,
   currentFacingMode: 'environment',
   currentCapture: null
@@ -49,11 +117,11 @@ document.addEventListener('DOMContentLoaded', () => {
   initializeApp();
 });
 
-function initializeApp() {
+async function initializeApp() {
   console.log('Initializing SignalBoard...');
   
   // Load persisted data
-  loadFromLocalStorage();
+  await loadState();
   
   // Setup event listeners
   setupNavigation();
@@ -62,7 +130,7 @@ function initializeApp() {
   setupSignalForm();
   setupBenchmarkForm();
   setupProfileForm();
-  setupTimelineFilter();
+  setupDashboardFilter();
   
   // Initialize current benchmark
   if (state.benchmarks.length > 0 && !state.currentBenchmark) {
@@ -74,8 +142,13 @@ function initializeApp() {
   renderRecentSignals();
   renderTimeline();
   renderBenchmarks();
+  loadSavedAvatar();
+  
+  // Let other modules know persisted data is in place
+  document.dispatchEvent(new CustomEvent('signalboard:state-loaded'));
   
   console.log('✓ SignalBoard initialized successfully');
+  console.log(`→ Storage: ${window.signalboard.storage.backend}`);
   console.log(`→ Signals: ${state.signals.length}`);
   console.log(`→ Benchmarks: ${state.benchmarks.length}`);
 }
@@ -140,7 +213,7 @@ function setupThemeToggle() {
       document.body.classList.remove('dark-theme');
       state.theme = 'light';
     }
-    saveToLocalStorage();
+    saveState();
   });
 }
 
@@ -180,13 +253,20 @@ function setupCaptureControls() {
   
   // Paste feedback
   pasteBtn?.addEventListener('click', () => {
-    showSignalForm();
-    showToast('Manual entry mode activated');
+    if (window.signalboard?.pasteImport) {
+      window.signalboard.pasteImport.open();
+    } else {
+      showSignalForm();
+    }
   });
   
-  // GitHub import (mock)
+  // GitHub import
   githubBtn?.addEventListener('click', () => {
-    showToast('GitHub integration coming soon');
+    if (window.signalboard?.githubImport) {
+      window.signalboard.githubImport.open();
+    } else {
+      showToast('GitHub importer unavailable');
+    }
   });
   
   // Analyze button
@@ -197,13 +277,23 @@ function setupCaptureControls() {
 
 function handleFileUpload(content, filename) {
   console.log(`Processing file: ${filename}`);
-  showLoading('Parsing feedback data...');
   
-  setTimeout(() => {
-    hideLoading();
-    showSignalForm();
+  if (!window.signalboard?.csvImport) {
+    showToast('CSV importer unavailable');
+    return;
+  }
+  
+  window.signalboard.pasteImport?.close();
+  window.signalboard.githubImport?.close();
+  
+  // Parse and hand off to the column-mapping step
+  if (window.signalboard.csvImport.open(content, filename)) {
     showToast(`Loaded ${filename} successfully`);
-  }, 1000);
+  }
+  
+  // Allow re-selecting the same file
+  const fileInput = document.getElementById('file-input');
+  if (fileInput) fileInput.value = '';
 }
 
 function showSignalForm() {
@@ -229,86 +319,45 @@ function stopCapture() {
 }
 
 // ===================================
-// SIGNAL ANALYSIS (AI Simulation)
+// SIGNAL ANALYSIS
 // ===================================
 async function analyzeSignal() {
-  if (!state.currentCapture) {
-    showToast('No input to analyze');
+  const title = document.getElementById('signal-title')?.value.trim() || '';
+  const context = document.getElementById('signal-context')?.value.trim() || '';
+  const text = [title, context].filter(Boolean).join('\n');
+  
+  if (!text) {
+    showToast('Paste feedback into Context to analyze');
     return;
   }
   
-  showLoading('Analyzing signal with AI...');
-  
-  // Simulate AI processing delay
-  await new Promise(resolve => setTimeout(resolve, 2000));
+  showLoading('Analyzing signal...');
   
-  // Simulate AI analysis result
-  const analysis = simulateAIAnalysis();
-  
-  hideLoading();
+  let analysis;
+  try {
+    analysis = await window.signalboard.classifier.classify(text);
+  } catch (error) {
+    console.error('Signal analysis failed:', error);
+    showToast('Analysis failed');
+    return;
+  } finally {
+    hideLoading();
+  }
   
-  // Populate form with AI results
-  document.getElementById('signal-title').value = analysis.title;
-  document.getElementById('signal-impact').value = analysis.impact;
-  document.getElementById('signal-urgency').value = analysis.urgency;
-  document.getElementById('signal-source').value = analysis.source;
-  document.getElementById('signal-category').value = analysis.category;
-  document.getElementById('signal-tier').value = analysis.tier;
-  document.getElementById('signal-context').value = analysis.context;
+  state.currentCapture = analysis;
   
-  showToast('AI analysis complete');
-}
-
-function simulateAIAnalysis() {
-  const samples = [
-    {
-      title: 'Workers timeout under high load in EU region',
-      impact: 85,
-      urgency: 4,
-      source: 'support',
-      category: 'bug',
-      tier: 'enterprise',
-      context: 'Multiple enterprise customers in EU reporting 504 errors during peak traffic. Affects Workers deployments with >1000 req/s.'
-    },
-    {
-      title: 'TypeScript bindings request for Workers KV',
-      impact: 72,
-      urgency: 2,
-      source: 'github',
-      category: 'feature',
-      tier: 'pro',
-      context: '12 developers requesting native TypeScript support for KV bindings. Current workaround requires manual type generation.'
-    },
-    {
-      title: 'R2 pricing feedback - highly positive',
-      impact: 65,
-      urgency: 1,
-      source: 'community',
-      category: 'feedback',
-      tier: 'enterprise',
-      context: 'Storage-heavy users praising new pricing model. Migration tools cited as key differentiator.'
-    },
-    {
-      title: 'Pages deployment speed regression',
-      impact: 78,
-      urgency: 3,
-      source: 'internal',
-      category: 'performance',
-      tier: 'pro',
-      context: 'Build times increased 40% after recent infra change. Affecting CI/CD pipelines for large projects.'
-    },
-    {
-      title: 'KV consistency model documentation gap',
-      impact: 55,
-      urgency: 2,
-      source: 'support',
-      category: 'documentation',
-      tier: 'free',
-      context: 'Support tickets show confusion around eventual consistency. Need better examples and edge case documentation.'
-    }
-  ];
+  // Only overwrite fields the classifier could determine
+  if (!title) document.getElementById('signal-title').value = analysis.title;
+  if (analysis.impact !== null) document.getElementById('signal-impact').value = analysis.impact;
+  if (analysis.urgency !== null) document.getElementById('signal-urgency').value = analysis.urgency;
+  if (analysis.source) document.getElementById('signal-source').value = analysis.source;
+  if (analysis.category) document.getElementById('signal-category').value = analysis.category;
+  if (analysis.tier) document.getElementById('signal-tier').value = analysis.tier;
+  document.getElementById('signal-sentiment').value = analysis.sentiment;
+  if (!context) document.getElementById('signal-context').value = analysis.context;
+  signalTags.addTags('signal-tags', signalTags.detect(text));
   
-  return samples[Math.floor(Math.random() * samples.length)];
+  showToast(`Analysis complete: ${formatCategory(analysis.category || 'feedback')}, ${analysis.sentiment}`);
 }
 
 // ===================================
@@ -334,13 +383,23 @@ function setupSignalForm() {
 }
 
 function saveSignal() {
+  const denied = signalUsers.permissionError('signals.create');
+  if (denied) {
+    showToast(denied);
+    return;
+  }
+  
   const title = document.getElementById('signal-title')?.value.trim();
   const impact = parseFloat(document.getElementById('signal-impact')?.value) || 0;
   const urgency = parseInt(document.getElementById('signal-urgency')?.value) || 1;
   const source = document.getElementById('signal-source')?.value || 'internal';
   const category = document.getElementById('signal-category')?.value || 'feedback';
-  const tier = document.getElementById('signal-tier')?.value || 'free';
+  const tier = document.getElementById('signal-tier')?.value || signalSchema.definition.defaults.tier;
   const context = document.getElementById('signal-context')?.value.trim() || '';
+  // Blank means auto-detect from the text
+  const sentiment = document.getElementById('signal-sentiment')?.value || undefined;
+  const accountId = document.getElementById('signal-account')?.value || '';
+  const tags = signalTags.getValue('signal-tags');
   
   // Validation
   if (!title || impact <= 0) {
@@ -354,22 +413,30 @@ function saveSignal() {
   }
   
   // Create signal object
-  const signal = {
-    id: Date.now(),
+  const signal = signalSchema.createSignal({
     title,
     impact,
     urgency,
     source,
     category,
     tier,
-    context,
-    timestamp: new Date().toISOString(),
-    date: new Date().toLocaleDateString()
-  };
+    sentiment,
+    accountId,
+    tags,
+    context
+  });
+  
+  const errors = signalSchema.validateSignal(signal);
+  if (errors.length > 0) {
+    showToast(errors[0]);
+    return;
+  }
   
   // Add to state
-  state.signals.unshift(signal);
-  saveToLocalStorage();
+  signalHistory.perform('Capture signal', () => {
+    state.signals.unshift(signal);
+    saveState();
+  });
   
   // Reset form
   resetSignalForm();
@@ -382,13 +449,14 @@ function saveSignal() {
   // Navigate back
   switchView('dashboard');
   
-  showToast('Signal saved successfully');
+  signalHistory.notify('Signal saved successfully');
   console.log('→ Signal saved:', signal.title);
 }
 
 function resetSignalForm() {
   const form = document.getElementById('signal-form');
   if (form) form.reset();
+  signalTags.setValue('signal-tags', []);
   
   hideSignalForm();
   state.currentCapture = null;
@@ -397,22 +465,49 @@ function resetSignalForm() {
 // ===================================
 // DASHBOARD UPDATES
 // ===================================
+// Signals the dashboard counts: open ones (workflow.js), narrowed to the
+// profile's product area while that filter is on
+function dashboardSignals() {
+  const signals = signalWorkflow.countedSignals();
+  if (!state.dashboardAreaOnly) return signals;
+  return signals.filter(signal => signalTags.inArea(signal, state.user.productArea));
+}
+
+function setupDashboardFilter() {
+  const toggle = document.getElementById('dashboard-area-filter');
+  if (!toggle) return;
+  
+  state.dashboardAreaOnly = Boolean(state.user.filterDashboard);
+  renderDashboardFilter();
+  
+  toggle.addEventListener('change', () => {
+    state.dashboardAreaOnly = toggle.checked;
+    updateDashboard();
+    renderRecentSignals();
+  });
+}
+
+function renderDashboardFilter() {
+  const toggle = document.getElementById('dashboard-area-filter');
+  const name = document.getElementById('dashboard-area-name');
+  
+  if (toggle) toggle.checked = state.dashboardAreaOnly;
+  if (name) name.textContent = state.user.productArea || 'my product area';
+}
+
 function updateDashboard() {
-  const today = new Date().toLocaleDateString();
-  const todaySignals = state.signals.filter(signal => signal.date === today);
+  const today = signalSchema.todayKey();
+  const todaySignals = dashboardSignals().filter(signal => signal.date === today);
   
-  // Calculate daily impact
-  const dailyImpact = todaySignals.reduce((sum, signal) => {
-    // Weight by tier
-    const tierWeight = state.currentBenchmark?.customerTierWeight?.[signal.tier] || 1;
-    return sum + (signal.impact * tierWeight);
-  }, 0);
+  // Calculate daily impact as the weighted priority score (scoring.js)
+  const dailyImpact = signalScoring.totalScore(todaySignals);
   
   // Calculate benchmark progress
   const benchmark = state.currentBenchmark;
   if (!benchmark) return;
   
   updateStatCard('daily-impact', dailyImpact, benchmark.targetImpact);
+  updateBenchmarkProgress(dailyImpact, benchmark, todaySignals);
   
   // Update critical signals count
   const criticalCount = todaySignals.filter(s => s.urgency >= 3).length;
@@ -421,10 +516,39 @@ function updateDashboard() {
   // Update signal velocity (signals per week)
   const weekAgo = new Date();
   weekAgo.setDate(weekAgo.getDate() - 7);
-  const weekSignals = state.signals.filter(s => new Date(s.timestamp) >= weekAgo);
+  const weekSignals = dashboardSignals().filter(s => new Date(s.timestamp) >= weekAgo);
   updateStatCard('signal-velocity', weekSignals.length, 50);
 }
 
+// Progress toward the active benchmark, with the ARR behind the signals
+// next to it (today's on the impact card, everything still open here)
+function updateBenchmarkProgress(dailyImpact, benchmark, todaySignals) {
+  const setText = (id, text) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  };
+  
+  const progress = benchmark.targetImpact > 0 ? Math.round((dailyImpact / benchmark.targetImpact) * 100) : 0;
+  setText('benchmark-value', `${progress}%`);
+  setText('benchmark-target-label', `Target: ${Math.round(benchmark.targetImpact)}`);
+  
+  const status = document.getElementById('benchmark-status');
+  if (status) {
+    status.textContent = progress >= 100 ? 'Reached' : 'In progress';
+    status.className = `stat-change ${progress >= 100 ? 'positive' : 'neutral'}`;
+  }
+  
+  const todayRisk = signalScoring.revenueAtRisk(todaySignals);
+  const openRisk = signalScoring.revenueAtRisk(
+    state.signals.filter(signal => !signalWorkflow.isResolved(signal) && (!state.dashboardAreaOnly || signalTags.inArea(signal, state.user.productArea)))
+  );
+  const mode = signalScoring.weightsFor(benchmark).weightingMode;
+  
+  setText('daily-impact-risk', signalScoring.formatRevenue(todayRisk.arr));
+  setText('benchmark-risk', signalScoring.formatRevenue(openRisk.arr));
+  setText('benchmark-risk-label', `open ARR at risk • ${mode === 'revenue' ? 'revenue' : 'tier'} weighted`);
+}
+
 function updateStatCard(id, value, target) {
   const valueEl = document.getElementById(id);
   const progressEl = document.getElementById(`${id}-progress`);
@@ -446,8 +570,8 @@ function renderRecentSignals() {
   const container = document.getElementById('recent-signals');
   if (!container) return;
   
-  const today = new Date().toLocaleDateString();
-  const todaySignals = state.signals.filter(signal => signal.date === today);
+  const today = signalSchema.todayKey();
+  const todaySignals = dashboardSignals().filter(signal => signal.date === today);
   
   if (todaySignals.length === 0) {
     container.innerHTML = `
@@ -455,8 +579,8 @@ function renderRecentSignals() {
         <svg width="64" height="64" viewBox="0 0 20 20" fill="currentColor" opacity="0.3">
           <path fill-rule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h1a1 1 0 100-2v-3a1 1 0 00-1-1H9z" />
         </svg>
-        <p>No signals captured yet today</p>
-        <button class="btn-primary" onclick="switchView('capture')">Capture First Signal</button>
+        <p>${state.dashboardAreaOnly ? `No ${state.user.productArea} signals captured yet today` : 'No signals captured yet today'}</p>
+        <button class="btn-primary" onclick="switchView('capture')" data-permission="signals.create">Capture First Signal</button>
       </div>
     `;
     return;
@@ -466,16 +590,25 @@ function renderRecentSignals() {
     <div class="signal-card">
       <div class="signal-header">
         <div>
-          <h4 class="signal-title">${signal.title}</h4>
+          <h4 class="signal-title">${formatPriority(signal)}${escapeHtml(signal.title)}</h4>
           <p class="signal-source">
-            ${formatSource(signal.source)} • ${formatCategory(signal.category)} • ${signal.tier.toUpperCase()}
+            ${formatStatus(signal)} ${escapeHtml(formatSource(signal.source))} • ${signalTaxonomy.renderChip('categories', signal.category)} ${signalTaxonomy.renderChip('tiers', signal.tier)} • ${formatSentiment(signal.sentiment)}
           </p>
+          ${signal.tags?.length ? `<p class="signal-tags">${signalTags.renderTags(signal)}</p>` : ''}
+        </div>
+        <div class="signal-actions">
+          <button class="btn-icon" onclick="editSignal('${signal.id}')" aria-label="Edit signal" data-permission="signals.edit">
+            <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+              <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
+            </svg>
+          </button>
+          ${signalUsers.can('signals.delete', signal) ? `
+          <button class="btn-icon" onclick="deleteSignal('${signal.id}')" aria-label="Delete signal">
+            <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+              <path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" />
+            </svg>
+          </button>` : ''}
         </div>
-        <button class="btn-icon" onclick="deleteSignal(${signal.id})" aria-label="Delete signal">
-          <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
-            <path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" />
-          </svg>
-        </button>
       </div>
       <div class="signal-meta">
         <div class="signal-metric">
@@ -484,12 +617,16 @@ function renderRecentSignals() {
         </div>
         <div class="signal-metric">
           <span class="metric-label">Urgency</span>
-          <span class="metric-value">${formatUrgency(signal.urgency)}</span>
+          <span class="metric-value">${escapeHtml(formatUrgency(signal.urgency))}</span>
         </div>
         <div class="signal-metric">
           <span class="metric-label">Time</span>
           <span class="metric-value">${new Date(signal.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
         </div>
+        <div class="signal-metric" title="${escapeHtml(signalScoring.explain(signal))}">
+          <span class="metric-label">Score</span>
+          <span class="metric-value">${Math.round(signalScoring.score(signal))}</span>
+        </div>
       </div>
     </div>
   `).join('');
@@ -498,83 +635,90 @@ function renderRecentSignals() {
 // ===================================
 // TIMELINE RENDERING
 // ===================================
-function setupTimelineFilter() {
-  const filterSelect = document.getElementById('history-filter');
-  if (filterSelect) {
-    filterSelect.addEventListener('change', () => {
-      renderTimeline();
-    });
-  }
-  
-  const sourceFilter = document.getElementById('source-filter');
-  if (sourceFilter) {
-    sourceFilter.addEventListener('change', () => {
-      renderTimeline();
-    });
-  }
-}
-
 function renderTimeline() {
   const container = document.getElementById('timeline-list');
   if (!container) return;
   
-  const filter = document.getElementById('history-filter')?.value || 'all';
-  const sourceFilter = document.getElementById('source-filter')?.value || 'all';
-  
-  let filteredSignals = [...state.signals];
-  const now = new Date();
-  
-  // Time filter
-  if (filter === 'today') {
-    const today = now.toLocaleDateString();
-    filteredSignals = filteredSignals.filter(signal => signal.date === today);
-  } else if (filter === 'week') {
-    const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-    filteredSignals = filteredSignals.filter(signal => new Date(signal.timestamp) >= weekAgo);
-  } else if (filter === 'month') {
-    const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-    filteredSignals = filteredSignals.filter(signal => new Date(signal.timestamp) >= monthAgo);
-  }
+  // Query, facets and date range (search.js); the facet panel shows counts for this result
+  const result = signalSearch.filter(state.signals);
+  signalSearch.renderFacets(result);
   
-  // Source filter
-  if (sourceFilter !== 'all') {
-    filteredSignals = filteredSignals.filter(signal => signal.source === sourceFilter);
+  let filteredSignals = result.signals;
+  
+  // Sort: state.signals is already newest first
+  if (signalSearch.getFilters().sort === 'score') {
+    filteredSignals = signalScoring.rank(filteredSignals);
   }
   
+  // Drops selected signals the filters now hide; ranges follow this order
+  signalBulk.sync(filteredSignals);
+  
   if (filteredSignals.length === 0) {
     container.innerHTML = `
       <div class="empty-state">
         <svg width="64" height="64" viewBox="0 0 20 20" fill="currentColor" opacity="0.3">
           <path fill-rule="evenodd" d="M6 2a1 1 0 00-1 1v1H4a2 2 0 00-2 2v10a2 2 0 002 2h12a2 2 0 002-2V6a2 2 0 00-2-2h-1V3a1 1 0 10-2 0v1H7V3a1 1 0 00-1-1zm0 5a1 1 0 000 2h8a1 1 0 100-2H6z" />
         </svg>
-        <p>No signals found for this period</p>
+        <p>No signals match these filters</p>
       </div>
     `;
     return;
   }
   
-  container.innerHTML = filteredSignals.map(signal => `
-    <div class="timeline-item">
+  container.innerHTML = filteredSignals.map(signal => {
+    const score = signalScoring.breakdown(signal);
+    return `
+    <div class="timeline-item ${signalBulk.isSelected(signal.id) ? 'selected' : ''}">
+      ${signalBulk.renderCheckbox(signal)}
       <div class="history-info">
-        <h4>${signal.title}</h4>
+        <h4>${formatPriority(signal)}${escapeHtml(signal.title)}</h4>
         <p class="history-meta">
           ${new Date(signal.timestamp).toLocaleDateString()} • 
           ${new Date(signal.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} • 
-          ${formatSource(signal.source)}
+          ${signalTaxonomy.renderChip('categories', signal.category)} ${escapeHtml(formatSource(signal.source))}${formatAccount(signal)}${(signal.flags || []).map(flag => ` • ${escapeHtml(flag)}`).join('')}${signal.owner ? ` • @${escapeHtml(signal.owner)}` : ''}${formatAttribution(signal)}${signal.revisions?.length ? ` • edited ${signal.revisions.length}×` : ''}${signal.resolution ? ` • ${signalWorkflow.resolutionLabels[signal.resolution.reason] || signal.resolution.reason}` : ''}
         </p>
+        ${signal.tags?.length ? `<p class="signal-tags">${signalTags.renderTags(signal)}</p>` : ''}
+        ${renderScoreBreakdown(score)}
       </div>
       <div class="history-stats">
+        <div class="history-stat">
+          <span class="history-stat-value">${Math.round(score.score)}</span>
+          <span class="history-stat-label">score</span>
+        </div>
         <div class="history-stat">
           <span class="history-stat-value">${Math.round(signal.impact)}</span>
           <span class="history-stat-label">impact</span>
         </div>
         <div class="history-stat">
-          <span class="history-stat-value">${formatUrgency(signal.urgency)}</span>
+          <span class="history-stat-value">${escapeHtml(formatUrgency(signal.urgency))}</span>
           <span class="history-stat-label">urgency</span>
         </div>
+        ${signalWorkflow.renderStatusControl(signal)}
+        <button class="btn-icon" onclick="editSignal('${signal.id}')" aria-label="Edit signal" data-permission="signals.edit">
+          <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+            <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
+          </svg>
+        </button>
       </div>
     </div>
-  `).join('');
+  `;
+  }).join('');
+}
+
+// Per-signal explanation so a ranking can be defended in review
+function renderScoreBreakdown(score) {
+  return `
+    <details class="score-breakdown">
+      <summary>Why ${Math.round(score.score)}?</summary>
+      <ul>
+        <li><span>Impact</span><span>${score.impact}</span></li>
+        ${score.factors.map(factor => `
+          <li><span>${escapeHtml(factor.label)}</span><span>× ${factor.multiplier}</span></li>
+        `).join('')}
+        <li class="score-breakdown-total"><span>Priority score</span><span>${score.score}</span></li>
+      </ul>
+    </details>
+  `;
 }
 
 // ===================================
@@ -591,11 +735,20 @@ function setupBenchmarkForm() {
 }
 
 function createBenchmark() {
-  const name = document.getElementById('plan-name')?.value.trim();
-  const targetImpact = parseFloat(document.getElementById('plan-calories')?.value) || 0;
-  const urgencyWeight = parseFloat(document.getElementById('plan-protein')?.value) || 1;
-  const tierWeight = parseFloat(document.getElementById('plan-carbs')?.value) || 1;
-  const categoryWeight = parseFloat(document.getElementById('plan-fats')?.value) || 1;
+  const readNumber = (id, fallback) => {
+    const value = parseFloat(document.getElementById(id)?.value);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+  
+  const name = document.getElementById('benchmark-name')?.value.trim();
+  const targetImpact = readNumber('benchmark-target', 0);
+  const defaults = signalScoring.defaults;
+  
+  const denied = signalUsers.permissionError('settings.manage');
+  if (denied) {
+    showToast(denied);
+    return;
+  }
   
   if (!name || targetImpact <= 0) {
     showToast('Benchmark name and target impact required');
@@ -606,17 +759,27 @@ function createBenchmark() {
     id: Date.now().toString(),
     name,
     targetImpact,
-    urgencyWeight,
-    tierWeight,
-    categoryWeight,
+    urgencyThreshold: 3,
+    urgencyWeight: readNumber('benchmark-urgency-weight', defaults.urgencyWeight),
+    tierWeight: readNumber('benchmark-tier-weight', defaults.tierWeight),
+    categoryWeight: readNumber('benchmark-category-weight', defaults.categoryWeight),
+    customerTierWeight: Object.fromEntries(signalSchema.definition.tiers.map(tier => [
+      tier,
+      readNumber(`benchmark-tier-${tier}`, defaults.customerTierWeight[tier] ?? 1)
+    ])),
+    weightingMode: document.getElementById('benchmark-weighting')?.value === 'revenue' ? 'revenue' : 'tier',
+    revenueReferenceArr: readNumber('benchmark-revenue-reference', defaults.revenueReferenceArr) || defaults.revenueReferenceArr,
+    recencyHalfLifeDays: readNumber('benchmark-half-life', defaults.recencyHalfLifeDays),
     active: false
   };
   
-  state.benchmarks.push(benchmark);
-  saveToLocalStorage();
+  signalHistory.perform('Create benchmark', () => {
+    state.benchmarks.push(benchmark);
+    saveState();
+  });
   renderBenchmarks();
   hideCreateBenchmark();
-  showToast('Benchmark created');
+  signalHistory.notify('Benchmark created');
 }
 
 function renderBenchmarks() {
@@ -643,7 +806,7 @@ function renderBenchmarks() {
           <h3 class="plan-name">${benchmark.name}</h3>
           ${benchmark.active ? '<span class="plan-badge">Active</span>' : ''}
         </div>
-        <button class="btn-icon" onclick="deleteBenchmark(event, '${benchmark.id}')">
+        <button class="btn-icon" onclick="deleteBenchmark(event, '${benchmark.id}')" data-permission="settings.manage">
           <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
             <path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" />
           </svg>
@@ -651,54 +814,107 @@ function renderBenchmarks() {
       </div>
       <div class="plan-goals">
         <div class="plan-goal">
-          <span class="plan-goal-label">Target Impact</span>
+          <span class="plan-goal-label">Target Score</span>
           <span class="plan-goal-value">${Math.round(benchmark.targetImpact)}</span>
         </div>
+        ${renderBenchmarkWeights(signalScoring.weightsFor(benchmark))}
       </div>
     </div>
   `).join('');
 }
 
-function selectBenchmark(benchmarkId) {
-  state.benchmarks.forEach(b => b.active = false);
+function renderBenchmarkWeights(weights) {
+  const tiers = signalSchema.definition.tiers.map(tier => weights.customerTierWeight[tier] ?? 1);
+  const customer = weights.weightingMode === 'revenue'
+    ? ['Revenue', `×${weights.tierWeight} (ref ${signalScoring.formatRevenue(weights.revenueReferenceArr)})`]
+    : ['Tier', `×${weights.tierWeight} (${tiers.join('/')})`];
+  const goals = [
+    ['Urgency', `×${weights.urgencyWeight}`],
+    customer,
+    ['Category', `×${weights.categoryWeight}`],
+    ['Half-Life', weights.recencyHalfLifeDays > 0 ? `${weights.recencyHalfLifeDays}d` : 'Off']
+  ];
   
-  const selected = state.benchmarks.find(b => b.id === benchmarkId);
-  if (selected) {
-    selected.active = true;
-    state.currentBenchmark = selected;
+  return goals.map(([label, value]) => `
+    <div class="plan-goal">
+      <span class="plan-goal-label">${label}</span>
+      <span class="plan-goal-value">${value}</span>
+    </div>
+  `).join('');
+}
+
+function selectBenchmark(benchmarkId) {
+  const denied = signalUsers.permissionError('settings.manage');
+  if (denied) {
+    showToast(denied);
+    return;
   }
   
-  saveToLocalStorage();
+  signalHistory.perform('Activate benchmark', () => {
+    state.benchmarks.forEach(b => b.active = false);
+    
+    const selected = state.benchmarks.find(b => b.id === benchmarkId);
+    if (selected) {
+      selected.active = true;
+      state.currentBenchmark = selected;
+    }
+    
+    saveState();
+  });
+  
   renderBenchmarks();
   updateDashboard();
-  showToast('Benchmark activated');
+  signalHistory.notify('Benchmark activated');
 }
 
 function deleteBenchmark(event, benchmarkId) {
   event.stopPropagation();
   
-  if (!confirm('Delete this benchmark?')) return;
-  
-  state.benchmarks = state.benchmarks.filter(b => b.id !== benchmarkId);
+  const denied = signalUsers.permissionError('settings.manage');
+  if (denied) {
+    showToast(denied);
+    return;
+  }
   
-  if (state.currentBenchmark?.id === benchmarkId) {
-    state.currentBenchmark = state.benchmarks[0] || null;
-    if (state.currentBenchmark) {
-      state.currentBenchmark.active = true;
+  // No confirm(): the toast offers Undo instead
+  signalHistory.perform('Delete benchmark', () => {
+    state.benchmarks = state.benchmarks.filter(b => b.id !== benchmarkId);
+    
+    if (state.currentBenchmark?.id === benchmarkId) {
+      state.currentBenchmark = state.benchmarks[0] || null;
+      if (state.currentBenchmark) {
+        state.currentBenchmark.active = true;
+      }
     }
-  }
+    
+    saveState();
+  });
   
-  saveToLocalStorage();
   renderBenchmarks();
   updateDashboard();
-  showToast('Benchmark deleted');
+  signalHistory.notify('Benchmark deleted');
 }
 
 function showCreateBenchmark() {
+  renderTierWeightInputs();
   const modal = document.getElementById('create-plan-modal');
   if (modal) modal.classList.remove('hidden');
 }
 
+// One multiplier per tier in the taxonomy
+function renderTierWeightInputs() {
+  const container = document.getElementById('benchmark-tier-weights');
+  if (!container) return;
+  
+  const defaults = signalScoring.defaults.customerTierWeight;
+  container.innerHTML = signalSchema.definition.tiers.map(tier => `
+    <label class="score-weight">
+      <span>${escapeHtml(formatTier(tier))}</span>
+      <input type="number" id="benchmark-tier-${tier}" class="form-input" min="0" step="0.1" value="${defaults[tier] ?? 1}" />
+    </label>
+  `).join('');
+}
+
 function hideCreateBenchmark() {
   const modal = document.getElementById('create-plan-modal');
   if (modal) modal.classList.add('hidden');
@@ -714,9 +930,7 @@ function setupProfileForm() {
   const form = document.getElementById('profile-form');
   if (!form) return;
   
-  // Load current profile
-  document.getElementById('user-name').value = state.user.name;
-  document.getElementById('user-email').value = state.user.email;
+  fillProfileForm();
   
   form.addEventListener('submit', (e) => {
     e.preventDefault();
@@ -724,84 +938,187 @@ function setupProfileForm() {
   });
 }
 
-function saveProfile() {
-  state.user = {
-    name: document.getElementById('user-name')?.value.trim() || state.user.name,
-    email: document.getElementById('user-email')?.value.trim() || state.user.email,
-    productArea: document.getElementById('user-product-area')?.value || state.user.productArea,
-    team: document.getElementById('user-team')?.value.trim() || state.user.team,
-    focus: document.getElementById('user-focus')?.value || state.user.focus
+// Also refilled when another user signs in (users.js)
+function fillProfileForm() {
+  const setValue = (id, value) => {
+    const input = document.getElementById(id);
+    if (input && value !== undefined) input.value = value;
   };
   
-  // Update display
+  setValue('user-name', state.user.name);
+  setValue('user-email', state.user.email);
+  setValue('user-product-area', state.user.productArea);
+  setValue('user-team', state.user.team);
+  setValue('user-focus', state.user.focus);
+  
+  const filterDashboard = document.getElementById('user-filter-dashboard');
+  if (filterDashboard) filterDashboard.checked = Boolean(state.user.filterDashboard);
+}
+
+function saveProfile() {
+  const email = document.getElementById('user-email')?.value.trim() || state.user.email;
+  const taken = state.users.some(user => user.id !== state.user.id && user.email.toLowerCase() === email.toLowerCase());
+  if (taken) {
+    showToast(`${email} already has an account`);
+    return;
+  }
+  
+  signalHistory.perform('Update profile', () => {
+    // In place: state.user is the signed-in record in state.users
+    Object.assign(state.user, {
+      name: document.getElementById('user-name')?.value.trim() || state.user.name,
+      email,
+      productArea: document.getElementById('user-product-area')?.value || state.user.productArea,
+      team: document.getElementById('user-team')?.value.trim() || state.user.team,
+      focus: document.getElementById('user-focus')?.value || state.user.focus,
+      filterDashboard: Boolean(document.getElementById('user-filter-dashboard')?.checked)
+    });
+    
+    saveState();
+  });
+  
+  // The saved default applies right away
+  state.dashboardAreaOnly = state.user.filterDashboard;
+  updateDashboard();
+  renderRecentSignals();
+  renderProfile();
+  signalHistory.notify('Profile updated successfully');
+}
+
+function renderProfile() {
   const displayName = document.getElementById('profile-display-name');
   const displayEmail = document.getElementById('profile-display-email');
   
   if (displayName) displayName.textContent = state.user.name;
   if (displayEmail) displayEmail.textContent = state.user.email;
-  
-  saveToLocalStorage();
-  showToast('Profile updated successfully');
+  renderDashboardFilter();
+  signalUsers.render();
 }
 
 // ===================================
 // DELETE AND CLEAR
 // ===================================
+// Opens the editor modal (signal-editor.js), which keeps the revision log
+// Closing asks for a resolution reason first (workflow.js)
+function changeSignalStatus(signalId, status) {
+  signalWorkflow.requestTransition(signalId, status);
+}
+
+function editSignal(signalId) {
+  window.signalboard.editor?.open(signalId);
+}
+
+// No confirm() on delete or clear: the toast offers Undo instead
 function deleteSignal(signalId) {
-  if (!confirm('Remove this signal?')) return;
+  const denied = signalUsers.permissionError('signals.delete', state.signals.find(signal => signal.id === signalId));
+  if (denied) {
+    showToast(denied);
+    return;
+  }
+  
+  signalHistory.perform('Remove signal', () => {
+    state.signals = state.signals.filter(signal => signal.id !== signalId);
+    saveState();
+  });
   
-  state.signals = state.signals.filter(signal => signal.id !== signalId);
-  saveToLocalStorage();
   updateDashboard();
   renderRecentSignals();
   renderTimeline();
-  showToast('Signal removed');
+  signalHistory.notify('Signal removed');
 }
 
 function clearTodaySignals() {
-  if (!confirm('Clear all signals from today?')) return;
+  const today = signalSchema.todayKey();
+  const denied = signalUsers.permissionError('signals.delete');
+  if (denied) {
+    showToast(denied);
+    return;
+  }
   
-  const today = new Date().toLocaleDateString();
-  state.signals = state.signals.filter(signal => signal.date !== today);
+  signalHistory.perform('Clear today\'s signals', () => {
+    state.signals = state.signals.filter(signal => signal.date !== today);
+    saveState();
+  });
   
-  saveToLocalStorage();
   updateDashboard();
   renderRecentSignals();
   renderTimeline();
-  showToast('Today\'s signals cleared');
+  signalHistory.notify('Today\'s signals cleared');
+}
+
+// Re-renders every view from state, e.g. after undo/redo swapped it out
+function renderAll() {
+  updateDashboard();
+  renderRecentSignals();
+  renderTimeline();
+  renderBenchmarks();
+  renderProfile();
 }
 
 // ===================================
-// LOCAL STORAGE
+// PERSISTENCE
 // ===================================
-function saveToLocalStorage() {
-  try {
-    localStorage.setItem('signalboard-state', JSON.stringify({
-      signals: state.signals,
-      benchmarks: state.benchmarks,
-      user: state.user,
-      theme: state.theme
-    }));
-  } catch (error) {
-    console.error('Error saving to localStorage:', error);
-  }
+function saveState() {
+  // Priorities depend on aggregates over every signal, so re-run rules first
+  window.signalboard.rules?.applyAll(state.signals);
+  
+  // Incremental: the storage layer only writes records that changed
+  window.signalboard.storage.saveState({
+    signals: state.signals,
+    benchmarks: state.benchmarks,
+    accounts: state.accounts,
+    users: state.users,
+    theme: state.theme,
+    clusters: state.clusters,
+    rules: state.rules,
+    workflow: state.workflow,
+    taxonomy: state.taxonomy,
+    workspaces: state.workspaces
+  }).catch(() => {
+    // Already reported to the user by the storage layer
+  });
 }
 
-function loadFromLocalStorage() {
+// Loads the saved active workspace, or the given one when switching (workspaces.js)
+async function loadState(workspaceId = null) {
+  let migrated = false;
+  
   try {
-    const saved = localStorage.getItem('signalboard-state');
+    const saved = await window.signalboard.storage.loadState(workspaceId);
+    
     if (saved) {
-      const data = JSON.parse(saved);
-      state.signals = data.signals || [];
-      state.benchmarks = data.benchmarks || state.benchmarks;
-      state.user = data.user || state.user;
+      // Custom values have to be known before normalization, or they'd be reset to defaults
+      state.taxonomy = saved.taxonomy || {};
+      signalTaxonomy.apply();
+      
+      const { data, fromVersion, repaired, dropped } = signalSchema.migrateState(saved);
+      state.signals = data.signals;
+      state.benchmarks = data.benchmarks || defaultBenchmarks();
+      state.accounts = data.accounts || state.accounts;
+      state.users = data.users || state.users;
       state.theme = data.theme || 'light';
+      state.clusters = data.clusters || state.clusters;
+      state.rules = data.rules || state.rules;
+      state.workflow = data.workflow || state.workflow;
+      state.workspaces = data.workspaces || state.workspaces;
+      state.workspaces.active = saved.workspaceId || state.workspaces.active;
       
       state.currentBenchmark = state.benchmarks.find(b => b.active) || state.benchmarks[0];
+      
+      if (fromVersion < signalSchema.version || repaired > 0 || dropped > 0) {
+        console.log(`→ Migrated stored state v${fromVersion} → v${signalSchema.version} (${repaired} repaired, ${dropped} dropped)`);
+        migrated = true;
+      }
     }
   } catch (error) {
-    console.error('Error loading from localStorage:', error);
+    console.error('Error loading saved state:', error);
   }
+  
+  // Signed in before anything is saved, so saves are checked against a role
+  await signalUsers.restoreSession();
+  
+  // Persist the migrated shape so it only happens once
+  if (migrated) saveState();
 }
 
 // ===================================
@@ -819,14 +1136,29 @@ function hideLoading() {
   if (overlay) overlay.classList.add('hidden');
 }
 
-function showToast(message, duration = 3000) {
+let toastTimer = null;
+
+// action: optional { label, onClick } shown as a button, e.g. Undo
+function showToast(message, duration = 3000, action = null) {
   const toast = document.getElementById('toast');
   const toastMessage = document.getElementById('toast-message');
+  const toastAction = document.getElementById('toast-action');
   
   if (toastMessage) toastMessage.textContent = message;
+  
+  if (toastAction) {
+    toastAction.classList.toggle('hidden', !action);
+    toastAction.textContent = action?.label || '';
+    toastAction.onclick = action ? () => {
+      toast?.classList.add('hidden');
+      action.onClick();
+    } : null;
+  }
+  
   if (toast) {
     toast.classList.remove('hidden');
-    setTimeout(() => {
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
       toast.classList.add('hidden');
     }, duration);
   }
@@ -835,37 +1167,57 @@ function showToast(message, duration = 3000) {
 // ===================================
 // FORMATTING UTILITIES
 // ===================================
+// User-entered text (titles, handles, names) goes through this before reaching innerHTML
+const escapeHtml = window.signalboard.escapeHtml;
+
+// Labels come from the taxonomy, so renamed and custom values read the same everywhere
 function formatSource(source) {
-  const sources = {
-    github: 'GitHub',
-    support: 'Support',
-    community: 'Community',
-    sales: 'Sales',
-    internal: 'Internal'
-  };
-  return sources[source] || source;
+  return signalTaxonomy.label('sources', source);
 }
 
 function formatCategory(category) {
-  const categories = {
-    bug: 'Bug',
-    feature: 'Feature',
-    performance: 'Performance',
-    ux: 'UX',
-    documentation: 'Docs',
-    feedback: 'Feedback'
+  return signalTaxonomy.label('categories', category);
+}
+
+function formatTier(tier) {
+  return signalTaxonomy.label('tiers', tier);
+}
+
+function formatSentiment(sentiment) {
+  const sentiments = {
+    positive: 'Positive',
+    neutral: 'Neutral',
+    negative: 'Negative'
   };
-  return categories[category] || category;
+  return sentiments[sentiment] || sentiment;
 }
 
 function formatUrgency(urgency) {
-  const levels = {
-    1: 'Low',
-    2: 'Medium',
-    3: 'High',
-    4: 'Critical'
-  };
-  return levels[urgency] || 'Unknown';
+  return signalTaxonomy.entry('urgency', urgency)?.label || 'Unknown';
+}
+
+// Badge for the priority assigned by rules.js; empty when unassigned
+function formatPriority(signal) {
+  if (!signal.priority) return '';
+  return `<span class="priority-badge priority-${signal.priority.toLowerCase()}">${signal.priority}</span> `;
+}
+
+// Links to the account detail page; accounts.js handles the click
+function formatAccount(signal) {
+  const name = window.signalboard.accounts?.accountName(signal.accountId);
+  if (!name) return '';
+  return ` • <a href="#" class="account-link" data-account-id="${escapeHtml(signal.accountId)}">${escapeHtml(name)}</a>`;
+}
+
+// Who captured the signal and, if someone else, who changed it last (users.js)
+function formatAttribution(signal) {
+  const createdBy = signalUsers.displayName(signal.createdBy);
+  const updatedBy = signal.updatedBy && signal.updatedBy !== signal.createdBy ? signalUsers.displayName(signal.updatedBy) : '';
+  return `${createdBy ? ` • by ${escapeHtml(createdBy)}` : ''}${updatedBy ? ` • last edited by ${escapeHtml(updatedBy)}` : ''}`;
+}
+
+function formatStatus(signal) {
+  return `<span class="status-badge status-${signal.status}">${signalWorkflow.statusLabels[signal.status] || signal.status}</span>`;
 }
 
 function formatDate(date) {
@@ -943,7 +1295,7 @@ function setupProfilePictureUpload() {
       }
 
       state.user.avatar = imageData;
-      saveToLocalStorage();
+      saveState();
       showToast('Profile picture updated');
     };
 
@@ -954,11 +1306,16 @@ function setupProfilePictureUpload() {
 }
 
 function loadSavedAvatar() {
-  if (!state.user || !state.user.avatar) return;
-
   const avatarImg = document.getElementById('profile-avatar-img');
   const avatarPlaceholder = document.getElementById('profile-avatar-placeholder');
 
+  // Another user signed in without a picture
+  if (!state.user || !state.user.avatar) {
+    if (avatarImg) avatarImg.classList.add('hidden');
+    if (avatarPlaceholder) avatarPlaceholder.style.display = '';
+    return;
+  }
+
   if (avatarImg && state.user.avatar) {
     avatarImg.src = state.user.avatar;
     avatarImg.classList.remove('hidden');
@@ -1015,15 +1372,26 @@ document.addEventListener('keydown', (e) => {
   if (e.key === 'Escape') {
     hideCreateBenchmark();
     hideSignalForm();
+    window.signalboard?.editor?.close();
+    signalWorkflow.closeResolve();
+    window.signalboard?.csvImport?.close();
+    window.signalboard?.pasteImport?.close();
+    window.signalboard?.githubImport?.close();
   }
 });
 
 // ===================================
 // EXPORT FOR GLOBAL ACCESS
 // ===================================
+window.state = state;
 window.switchView = switchView;
+window.editSignal = editSignal;
+window.changeSignalStatus = changeSignalStatus;
 window.deleteSignal = deleteSignal;
 window.clearTodaySignals = clearTodaySignals;
+window.renderAll = renderAll;
+window.fillProfileForm = fillProfileForm;
+window.loadSavedAvatar = loadSavedAvatar;
 window.selectBenchmark = selectBenchmark;
 window.deleteBenchmark = deleteBenchmark;
 window.showCreateBenchmark = showCreateBenchmark;
@@ -1060,13 +1428,10 @@ if (window.location.hostname === 'localhost' || window.location.hostname === '12
       'Dashboard load time increase'
     ];
     
-    const sources = ['github', 'support', 'community', 'sales', 'internal'];
-    const categories = ['bug', 'feature', 'performance', 'ux', 'documentation'];
-    const tiers = ['enterprise', 'pro', 'free'];
+    const { sources, categories, tiers } = signalSchema.definition;
     
     for (let i = 0; i < count; i++) {
-      const signal = {
-        id: Date.now() + i,
+      const signal = signalSchema.createSignal({
         title: titles[Math.floor(Math.random() * titles.length)],
         impact: Math.floor(Math.random() * 100) + 1,
         urgency: Math.floor(Math.random() * 4) + 1,
@@ -1074,14 +1439,13 @@ if (window.location.hostname === 'localhost' || window.location.hostname === '12
         category: categories[Math.floor(Math.random() * categories.length)],
         tier: tiers[Math.floor(Math.random() * tiers.length)],
         context: 'Generated demo signal for testing',
-        timestamp: new Date(Date.now() - Math.random() * 7 * 24 * 60 * 60 * 1000).toISOString(),
-        date: new Date(Date.now() - Math.random() * 7 * 24 * 60 * 60 * 1000).toLocaleDateString()
-      };
+        timestamp: new Date(Date.now() - Math.random() * 7 * 24 * 60 * 60 * 1000).toISOString()
+      });
       
       state.signals.push(signal);
     }
     
-    saveToLocalStorage();
+    saveState();
     updateDashboard();
     renderRecentSignals();
     renderTimeline();
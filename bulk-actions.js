@@ -0,0 +1,430 @@
+// ===================================
+// SIGNALBOARD BULK ACTIONS
+// Timeline multi-select (shift-click ranges, select all in filter)
+// and batch edits that undo as one step
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // CONFIGURATION
+  // ===================================
+
+  const schema = window.signalboard.schema;
+  const users = window.signalboard.users;
+
+  // Batch field edits offered by the toolbar selects
+  const BULK_FIELDS = {
+    category: { label: 'Category', values: () => schema.definition.categories, parse: String, format: 'formatCategory' },
+    tier: { label: 'Tier', values: () => schema.definition.tiers, parse: String, format: 'formatTier' },
+    urgency: {
+      label: 'Urgency',
+      values: () => Object.keys(schema.definition.urgencyLevels).reverse(),
+      parse: value => parseInt(value, 10),
+      format: 'formatUrgency'
+    }
+  };
+
+  const EXPORT_COLUMNS = ['id', 'title', 'impact', 'urgency', 'source', 'category', 'tier', 'sentiment', 'status', 'owner', 'priority', 'score', 'timestamp', 'tags', 'context'];
+
+  const selection = new Set();
+  let visibleIds = [];
+  let anchorId = null;
+
+  // ===================================
+  // SELECTION
+  // ===================================
+
+  // Called by renderTimeline with the signals it shows, in display order.
+  // Selection never reaches past what the filters show.
+  function sync(signals) {
+    visibleIds = signals.map(signal => signal.id);
+    const visible = new Set(visibleIds);
+    [...selection].forEach(id => {
+      if (!visible.has(id)) selection.delete(id);
+    });
+    if (anchorId && !visible.has(anchorId)) anchorId = null;
+    renderToolbar();
+  }
+
+  function toggle(signalId, selected = !selection.has(signalId)) {
+    if (selected) selection.add(signalId);
+    else selection.delete(signalId);
+    anchorId = signalId;
+  }
+
+  // Shift-click: everything between the last clicked item and this one
+  function selectRange(fromId, toId, selected = true) {
+    const start = visibleIds.indexOf(fromId);
+    const end = visibleIds.indexOf(toId);
+    if (start === -1 || end === -1) return toggle(toId, selected);
+
+    visibleIds.slice(Math.min(start, end), Math.max(start, end) + 1).forEach(id => {
+      if (selected) selection.add(id);
+      else selection.delete(id);
+    });
+    anchorId = toId;
+  }
+
+  function selectAll() {
+    visibleIds.forEach(id => selection.add(id));
+  }
+
+  function clear() {
+    selection.clear();
+    anchorId = null;
+  }
+
+  function isSelected(signalId) {
+    return selection.has(signalId);
+  }
+
+  function selected() {
+    return (window.state?.signals || []).filter(signal => selection.has(signal.id));
+  }
+
+  // ===================================
+  // BATCH OPERATIONS
+  // ===================================
+
+  function refreshViews() {
+    if (window.saveState) window.saveState();
+    if (typeof window.updateDashboard === 'function') window.updateDashboard();
+    if (typeof window.renderRecentSignals === 'function') window.renderRecentSignals();
+    if (typeof window.renderTimeline === 'function') window.renderTimeline();
+  }
+
+  function plural(count) {
+    return `${count} signal${count === 1 ? '' : 's'}`;
+  }
+
+  // Edits go through the editor so each signal keeps its revision log
+  function updateSelected(fields) {
+    const ids = selected().map(signal => signal.id);
+    if (ids.length === 0) return { updated: 0, errors: [] };
+
+    const label = Object.keys(fields).map(field => BULK_FIELDS[field]?.label || field).join(', ');
+
+    return window.signalboard.history.perform(`Set ${label.toLowerCase()} on ${plural(ids.length)}`, () => {
+      let updated = 0;
+      const errors = [];
+
+      ids.forEach(id => {
+        const result = window.signalboard.editor.updateSignal(id, fields, { defer: true });
+        if (result.errors.length > 0) errors.push(result.errors[0]);
+        else if (result.revision) updated++;
+      });
+
+      if (updated > 0) refreshViews();
+      return { updated, errors };
+    });
+  }
+
+  function assignOwner(owner) {
+    return updateSelected({ owner: String(owner || '').trim() });
+  }
+
+  function setStatus(status) {
+    const ids = selected().map(signal => signal.id);
+    if (ids.length > 0) window.signalboard.workflow.requestTransition(ids, status);
+  }
+
+  // Contributors may only delete what they captured, so one signal they
+  // can't delete stops the whole batch
+  function deleteSelected() {
+    const signals = selected();
+    if (signals.length === 0) return { deleted: 0, errors: [] };
+
+    const denied = signals.map(signal => users.permissionError('signals.delete', signal)).find(Boolean);
+    if (denied) return { deleted: 0, errors: [denied] };
+
+    const ids = new Set(signals.map(signal => signal.id));
+    window.signalboard.history.perform(`Delete ${plural(ids.size)}`, () => {
+      window.state.signals = window.state.signals.filter(signal => !ids.has(signal.id));
+      clear();
+      refreshViews();
+    });
+    return { deleted: ids.size, errors: [] };
+  }
+
+  // Folds the selection into its highest-scoring signal: strongest impact,
+  // urgency and tier win, tags are combined, the others' text is appended
+  // to the context and their ids are kept in mergedFrom
+  function merge() {
+    const signals = selected();
+    if (signals.length < 2) return { signal: null, errors: ['Select at least two signals to merge'] };
+
+    const scoring = window.signalboard.scoring;
+    const [primary, ...others] = [...signals].sort((a, b) => scoring.score(b) - scoring.score(a));
+    const tiers = schema.definition.tiers;
+
+    // The others are removed, so merging needs delete rights on them
+    const denied = others.map(signal => users.permissionError('signals.delete', signal)).find(Boolean);
+    if (denied) return { signal: null, errors: [denied] };
+
+    const fields = {
+      impact: Math.max(...signals.map(signal => signal.impact)),
+      urgency: Math.max(...signals.map(signal => signal.urgency)),
+      tier: tiers[Math.min(...signals.map(signal => tiers.indexOf(signal.tier)))],
+      tags: [primary, ...others].flatMap(signal => signal.tags || []),
+      context: [
+        primary.context,
+        ...others.map(signal => `Merged "${signal.title}" (${signal.date}, ${signal.source})${signal.context ? `: ${signal.context}` : ''}`)
+      ].filter(Boolean).join('\n')
+    };
+
+    return window.signalboard.history.perform(`Merge ${plural(signals.length)}`, () => {
+      const result = window.signalboard.editor.updateSignal(primary.id, fields, { defer: true });
+      if (result.errors.length > 0) return { signal: null, errors: result.errors };
+
+      const merged = result.signal;
+      merged.mergedFrom = [
+        ...(merged.mergedFrom || []),
+        ...others.map(signal => ({ id: signal.id, title: signal.title, timestamp: signal.timestamp, source: signal.source, tier: signal.tier }))
+      ];
+
+      const removed = new Set(others.map(signal => signal.id));
+      window.state.signals = window.state.signals.filter(signal => !removed.has(signal.id));
+
+      clear();
+      selection.add(merged.id);
+      refreshViews();
+      return { signal: merged, errors: [] };
+    });
+  }
+
+  // Text starting like a formula gets a leading ' so spreadsheets show it
+  // instead of running it (titles come from GitHub and pasted text)
+  function csvCell(value) {
+    let text = Array.isArray(value) ? value.join('; ') : String(value ?? '');
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Same columns the CSV importer maps, so an export can be re-imported
+  function toCsv(signals) {
+    const scoring = window.signalboard.scoring;
+    const rows = signals.map(signal => EXPORT_COLUMNS.map(column => (
+      csvCell(column === 'score' ? Math.round(scoring.score(signal) * 10) / 10 : signal[column])
+    )).join(','));
+    return [EXPORT_COLUMNS.join(','), ...rows].join('\n');
+  }
+
+  function exportSelected() {
+    const signals = selected();
+    if (signals.length === 0) return 0;
+
+    const blob = new Blob([toCsv(signals)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `signalboard-signals-${schema.todayKey()}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    if (window.signalboard?.trackEvent) {
+      window.signalboard.trackEvent('signals_exported', { format: 'csv', count: signals.length });
+    }
+    return signals.length;
+  }
+
+  // ===================================
+  // UI RENDERING
+  // ===================================
+
+  const escapeHtml = window.signalboard.escapeHtml;
+
+  function format(helper, value) {
+    return helper && typeof window[helper] === 'function' ? window[helper](value) : value.charAt(0).toUpperCase() + value.slice(1);
+  }
+
+  function renderCheckbox(signal) {
+    return `<input type="checkbox" class="timeline-select" data-signal-id="${escapeHtml(signal.id)}" ${selection.has(signal.id) ? 'checked' : ''} aria-label="Select ${escapeHtml(signal.title)}" />`;
+  }
+
+  // Field options follow the taxonomy, so they're rebuilt behind the placeholder
+  function fillSelects() {
+    Object.entries(BULK_FIELDS).forEach(([field, config]) => {
+      const select = document.getElementById(`bulk-${field}`);
+      if (!select) return;
+      select.length = 1;
+      select.insertAdjacentHTML('beforeend', config.values().map(value => (
+        `<option value="${escapeHtml(value)}">${escapeHtml(format(config.format, String(value)))}</option>`
+      )).join(''));
+    });
+
+    const status = document.getElementById('bulk-status');
+    if (status && status.options.length <= 1) {
+      const labels = window.signalboard.workflow?.statusLabels || {};
+      status.insertAdjacentHTML('beforeend', schema.definition.statuses.map(value => (
+        `<option value="${value}">${escapeHtml(labels[value] || value)}</option>`
+      )).join(''));
+    }
+  }
+
+  function renderToolbar() {
+    const count = selection.size;
+    const total = visibleIds.length;
+
+    const master = document.getElementById('bulk-select-all');
+    if (master) {
+      master.checked = total > 0 && count === total;
+      master.indeterminate = count > 0 && count < total;
+      master.disabled = total === 0;
+    }
+
+    const label = document.getElementById('bulk-count');
+    if (label) label.textContent = count > 0 ? `${count} of ${total} selected` : `Select all ${total}`;
+
+    document.getElementById('bulk-actions')?.classList.toggle('hidden', count === 0);
+
+    const mergeButton = document.getElementById('bulk-merge');
+    if (mergeButton) mergeButton.disabled = count < 2;
+
+    document.querySelectorAll('#timeline-list .timeline-select').forEach(input => {
+      const isChecked = selection.has(input.dataset.signalId);
+      input.checked = isChecked;
+      input.closest('.timeline-item')?.classList.toggle('selected', isChecked);
+    });
+  }
+
+  // ===================================
+  // EVENT HANDLERS
+  // ===================================
+
+  function handleListClick(event) {
+    const input = event.target.closest('.timeline-select');
+    if (!input) return;
+
+    const id = input.dataset.signalId;
+    if (event.shiftKey && anchorId) {
+      selectRange(anchorId, id, input.checked);
+    } else {
+      toggle(id, input.checked);
+    }
+    renderToolbar();
+  }
+
+  function handleFieldChange(event) {
+    const field = event.target.dataset.bulkField;
+    const raw = event.target.value;
+    event.target.value = '';
+    if (!raw) return;
+
+    const { updated, errors } = updateSelected({ [field]: BULK_FIELDS[field].parse(raw) });
+    if (errors.length > 0 && updated === 0) {
+      showToast(errors[0]);
+    } else {
+      window.signalboard.history.notify(`Updated ${plural(updated)}`);
+    }
+  }
+
+  function handleAssign() {
+    const input = document.getElementById('bulk-owner');
+    const owner = input?.value.trim() || '';
+    const { updated, errors } = assignOwner(owner);
+    if (input) input.value = '';
+    if (errors.length > 0 && updated === 0) {
+      showToast(errors[0]);
+      return;
+    }
+    window.signalboard.history.notify(owner ? `Assigned ${plural(updated)} to ${owner}` : `Unassigned ${plural(updated)}`);
+  }
+
+  function handleMerge() {
+    const { signal, errors } = merge();
+    if (errors.length > 0) {
+      showToast(errors[0]);
+      return;
+    }
+    window.signalboard.history.notify(`Merged into "${signal.title}"`);
+  }
+
+  // No confirm(): the toast offers Undo instead
+  function handleDelete() {
+    const { deleted, errors } = deleteSelected();
+    if (errors.length > 0) {
+      showToast(errors[0]);
+      return;
+    }
+    if (deleted > 0) window.signalboard.history.notify(`Deleted ${plural(deleted)}`);
+  }
+
+  function showToast(message) {
+    if (typeof window.showToast === 'function') {
+      window.showToast(message);
+    } else {
+      console.log('Toast:', message);
+    }
+  }
+
+  // ===================================
+  // INITIALIZATION
+  // ===================================
+
+  function bindEvents() {
+    fillSelects();
+    document.addEventListener('signalboard:taxonomy-changed', fillSelects);
+
+    document.getElementById('timeline-list')?.addEventListener('click', handleListClick);
+    document.getElementById('bulk-select-all')?.addEventListener('change', event => {
+      if (event.target.checked) selectAll();
+      else clear();
+      renderToolbar();
+    });
+
+    Object.keys(BULK_FIELDS).forEach(field => {
+      document.getElementById(`bulk-${field}`)?.addEventListener('change', handleFieldChange);
+    });
+    document.getElementById('bulk-status')?.addEventListener('change', event => {
+      const status = event.target.value;
+      event.target.value = '';
+      if (status) setStatus(status);
+    });
+
+    document.getElementById('bulk-assign')?.addEventListener('click', handleAssign);
+    document.getElementById('bulk-merge')?.addEventListener('click', handleMerge);
+    document.getElementById('bulk-export')?.addEventListener('click', () => {
+      const count = exportSelected();
+      if (count > 0) showToast(`Exported ${plural(count)}`);
+    });
+    document.getElementById('bulk-delete')?.addEventListener('click', handleDelete);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindEvents);
+  } else {
+    bindEvents();
+  }
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.bulk = {
+    sync,
+    toggle,
+    selectRange,
+    selectAll,
+    clear,
+    isSelected,
+    selected,
+    updateSelected,
+    assignOwner,
+    setStatus,
+    merge,
+    deleteSelected,
+    exportSelected,
+    toCsv,
+    renderCheckbox,
+    fields: BULK_FIELDS
+  };
+
+})();
+
+console.log('☑️ SignalBoard Bulk Actions Loaded');
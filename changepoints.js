@@ -0,0 +1,230 @@
+// ===================================
+// SIGNALBOARD CHANGE-POINT DETECTION
+// Two-sided CUSUM over the daily trend series: when a metric's level
+// shifted, by how much, and which categories, tiers and tags drove it
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // CONFIGURATION
+  // ===================================
+
+  const CHANGEPOINT_CONFIG = {
+    metrics: {
+      // breakdown: where the daily entry splits the metric by category, tier
+      // and tag (volume's split is the entry itself)
+      volume: { label: 'Signal volume', short: 'Volume', unit: 'signals/day', field: 'totalSignals', breakdown: null },
+      impact: { label: 'Weighted impact', short: 'Impact', unit: 'points/day', field: 'totalImpact', breakdown: 'impactBy' },
+      critical: { label: 'High-urgency signals', short: 'High urgency', unit: 'signals/day', field: 'criticalCount', breakdown: 'criticalBy' }
+    },
+
+    // The level is learned from the first days after the first signal, and
+    // only the days after that are monitored
+    baselineDays: 10,
+    minMonitoredDays: 5,
+
+    // In baseline standard deviations: each day adds its z-score less the
+    // drift, so shifts under 0.5σ don't build up, and an alarm needs the
+    // running sum past the threshold (tuned for shifts of about 1σ)
+    drift: 0.5,
+    threshold: 5,
+
+    // Shifts smaller than this fraction of the baseline level aren't reported
+    minRelativeShift: 0.25,
+
+    // Drivers listed per change
+    maxDrivers: 3
+  };
+
+  const MAD_SCALE = 1.4826;
+
+  // ===================================
+  // HELPERS
+  // ===================================
+
+  function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+  }
+
+  function median(values) {
+    return window.signalboard.anomalies.median(values);
+  }
+
+  function round(value, places = 2) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+  }
+
+  // ===================================
+  // CUSUM
+  // ===================================
+
+  // Level and spread of the baseline days. The level is the mean (daily
+  // counts are often 0 or 1, where a median says nothing); the spread is
+  // the MAD, never below the Poisson noise of the signal counts behind it.
+  function baselineOf(values, volumes) {
+    const level = mean(values);
+    const spread = MAD_SCALE * median(values.map(value => Math.abs(value - median(values))));
+
+    const signals = volumes.reduce((sum, count) => sum + count, 0);
+    const perSignal = signals > 0 ? values.reduce((sum, value) => sum + value, 0) / signals : 1;
+    const floor = perSignal * Math.sqrt(Math.max(median(volumes), 1));
+
+    return { level, sigma: Math.max(spread, floor, 0.5) };
+  }
+
+  // Page's two-sided CUSUM from `start`. Returns the first alarm per
+  // direction, dating the change to the day after the sum last sat at zero.
+  function cusum(values, baseline, start) {
+    const { drift, threshold } = CHANGEPOINT_CONFIG;
+    const sums = { up: 0, down: 0 };
+    const lastZero = { up: start - 1, down: start - 1 };
+    const alarms = [];
+
+    for (let t = start; t < values.length; t++) {
+      const z = (values[t] - baseline.level) / baseline.sigma;
+      sums.up = Math.max(0, sums.up + z - drift);
+      sums.down = Math.max(0, sums.down - z - drift);
+
+      ['up', 'down'].forEach(direction => {
+        if (sums[direction] === 0) lastZero[direction] = t;
+        if (sums[direction] > threshold && !alarms.some(alarm => alarm.direction === direction)) {
+          alarms.push({ direction, start: lastZero[direction] + 1, detected: t });
+        }
+      });
+    }
+
+    return alarms;
+  }
+
+  // ===================================
+  // DRIVERS
+  // ===================================
+
+  // Per-day change in the shifted metric for each category, tier and tag
+  // between the baseline and the days since the shift, biggest contributors
+  // in the shift's direction
+  function driversOf(daily, metric, baselineRange, shiftStart, direction) {
+    const taxonomy = window.signalboard.taxonomy;
+    const split = day => (metric.breakdown ? day[metric.breakdown] : day) || {};
+    const before = daily.slice(baselineRange[0], baselineRange[1]).map(split);
+    const after = daily.slice(shiftStart).map(split);
+    const sign = direction === 'up' ? 1 : -1;
+
+    const groups = [
+      { kind: 'category', field: 'categories', label: key => taxonomy?.label('categories', key) || key },
+      { kind: 'tier', field: 'tiers', label: key => taxonomy?.label('tiers', key) || key },
+      { kind: 'tag', field: 'tags', label: key => key }
+    ];
+
+    return groups.flatMap(group => {
+      const keys = new Set([...before, ...after].flatMap(day => Object.keys(day[group.field] || {})));
+      return [...keys].map(key => {
+        const previous = mean(before.map(day => day[group.field]?.[key] || 0));
+        const current = mean(after.map(day => day[group.field]?.[key] || 0));
+        return {
+          kind: group.kind,
+          key,
+          label: group.label(key),
+          before: round(previous),
+          after: round(current),
+          change: round(current - previous)
+        };
+      });
+    })
+      .filter(driver => driver.change * sign > 0)
+      .sort((a, b) => (b.change - a.change) * sign);
+  }
+
+  // ===================================
+  // DETECTION
+  // ===================================
+
+  // daily: analytics trendData.daily (oldest first). Returns the level shifts
+  // found, most recent first.
+  function detect(daily, options = {}) {
+    const { baselineDays, minMonitoredDays, minRelativeShift, maxDrivers } = CHANGEPOINT_CONFIG;
+    const first = daily.findIndex(day => day.totalSignals > 0);
+    if (first === -1 || daily.length - first < baselineDays + minMonitoredDays) return [];
+
+    const baselineRange = [first, first + baselineDays];
+    const volumes = daily.map(day => day.totalSignals);
+    const metrics = options.metrics || Object.keys(CHANGEPOINT_CONFIG.metrics);
+
+    return metrics.flatMap(key => {
+      const metric = CHANGEPOINT_CONFIG.metrics[key];
+      const values = daily.map(day => Number(day[metric.field]) || 0);
+      const baseline = baselineOf(values.slice(...baselineRange), volumes.slice(...baselineRange));
+
+      return cusum(values, baseline, baselineRange[1]).map(alarm => {
+        const after = mean(values.slice(alarm.start));
+        const change = after - baseline.level;
+        // A shift up from nothing counts as +100%
+        const relative = baseline.level > 0 ? change / baseline.level : Math.sign(change);
+
+        return {
+          metric: key,
+          label: metric.label,
+          short: metric.short,
+          unit: metric.unit,
+          direction: alarm.direction,
+          start: daily[alarm.start].date,
+          startTimestamp: daily[alarm.start].timestamp,
+          detected: daily[alarm.detected].date,
+          before: round(baseline.level),
+          after: round(after),
+          change: round(change),
+          relative: round(relative),
+          sigmas: round(change / baseline.sigma),
+          drivers: driversOf(daily, metric, baselineRange, alarm.start, alarm.direction).slice(0, maxDrivers)
+        };
+      });
+    })
+      .filter(change => Math.abs(change.relative) >= minRelativeShift && Math.sign(change.change) === (change.direction === 'up' ? 1 : -1))
+      .sort((a, b) => b.startTimestamp - a.startTimestamp || Math.abs(b.sigmas) - Math.abs(a.sigmas));
+  }
+
+  function formatLevel(value) {
+    return Math.abs(value) >= 100 ? Math.round(value).toLocaleString('en-US') : String(round(value, 1));
+  }
+
+  // "Signal volume rose from 1.5 to 4.2 signals/day (+180%) from Oct 8"
+  function describe(change) {
+    const day = new Date(change.startTimestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    const percent = Math.round(change.relative * 100);
+    const relative = change.before > 0 ? ` (${percent > 0 ? '+' : ''}${percent}%)` : '';
+    return `${change.label} ${change.direction === 'up' ? 'rose' : 'fell'} from ${formatLevel(change.before)} to ${formatLevel(change.after)} ${change.unit}${relative} from ${day}`;
+  }
+
+  // "Impact 35 → 326/day", for chart labels and secondary mentions
+  function describeShort(change) {
+    return `${change.short} ${formatLevel(change.before)} → ${formatLevel(change.after)}/day`;
+  }
+
+  // "Performance +2.1 signals/day, tag APAC +0.9 signals/day", in the
+  // shifted metric's unit
+  function describeDrivers(change) {
+    return change.drivers
+      .map(driver => `${driver.kind === 'tag' ? 'tag ' : ''}${driver.label} ${driver.change > 0 ? '+' : ''}${formatLevel(driver.change)} ${change.unit}`)
+      .join(', ');
+  }
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.changepoints = {
+    detect,
+    describe,
+    describeShort,
+    describeDrivers,
+    config: CHANGEPOINT_CONFIG
+  };
+
+})();
+
+console.log('📐 SignalBoard Change-Point Detection Loaded');
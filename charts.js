@@ -0,0 +1,1070 @@
+// ===================================
+// SIGNALBOARD CHARTS
+// Canvas charts with no dependencies: line, stacked area, bar, donut and
+// heatmap, with hover tooltips, a legend that toggles series, zoom and
+// pan over time, theme-aware colors and redraws on resize
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // CONFIGURATION
+  // ===================================
+
+  const CHART_CONFIG = {
+    height: 300,
+    padding: { top: 16, right: 16, bottom: 32, left: 40 },
+    font: '11px Inter, system-ui, sans-serif',
+    yTicks: 4,
+
+    // Line dots are drawn when points are at least this far apart (px)
+    minDotSpacing: 12,
+
+    // Zoom: each step in keeps this share of the visible range, down to
+    // minZoomPoints points
+    zoomStep: 0.75,
+    minZoomPoints: 5,
+    // Pointer travel (px) before a press counts as a drag, not a click
+    dragThreshold: 4,
+
+    // Series without a color take the next of these. CSS variables are read
+    // at draw time, so they follow the theme.
+    palette: ['--primary-500', '--success-500', '--warning-500', '--error-500', '--secondary-500', '#0ea5e9', '#ec4899', '#14b8a6']
+  };
+
+  const TYPES = ['line', 'area', 'bar', 'donut', 'heatmap'];
+  // Types with an x axis of labels, which zoom and pan
+  const XY_TYPES = ['line', 'area', 'bar'];
+
+  const instances = new WeakMap();
+  const live = new Set();
+
+  // ===================================
+  // HELPERS
+  // ===================================
+
+  const escapeHtml = window.signalboard.escapeHtml;
+
+  function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+  }
+
+  function isValue(value) {
+    return value !== null && value !== undefined && !Number.isNaN(value);
+  }
+
+  // 3, 2.5, 1,234, 12.5k
+  function formatNumber(value) {
+    if (!isValue(value)) return '–';
+    const abs = Math.abs(value);
+    if (abs >= 1e6) return `${Math.round(value / 1e5) / 10}M`;
+    if (abs >= 1e4) return `${Math.round(value / 1e2) / 10}k`;
+    if (abs >= 100 || Number.isInteger(value)) return Math.round(value).toLocaleString('en-US');
+    return String(Math.round(value * 10) / 10);
+  }
+
+  function formatShare(value) {
+    return `${Math.round(value * 100)}%`;
+  }
+
+  // 1, 2 or 5 × a power of ten, so axis ticks land on round numbers
+  function niceStep(range, ticks) {
+    const raw = range / ticks;
+    const magnitude = 10 ** Math.floor(Math.log10(raw));
+    const residual = raw / magnitude;
+    return (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+  }
+
+  // ===================================
+  // THEME
+  // ===================================
+
+  // Read on every draw, so switching themes only needs a redraw
+  function readTheme() {
+    const style = getComputedStyle(document.body);
+    const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+    return {
+      style,
+      text: read('--text-secondary', '#6b7280'),
+      strong: read('--text-primary', '#111827'),
+      grid: read('--border-color', '#e5e7eb'),
+      background: read('--bg-primary', '#ffffff'),
+      empty: read('--bg-tertiary', '#f3f4f6')
+    };
+  }
+
+  // Colors may name a CSS variable: '--primary-500' or 'var(--primary-500)'
+  function resolveColor(color, theme) {
+    const variable = typeof color === 'string' && color.match(/^(?:var\()?(--[\w-]+)\)?$/);
+    return variable ? theme.style.getPropertyValue(variable[1]).trim() || '#6366f1' : color;
+  }
+
+  // One observer for every chart; only a light/dark switch redraws them
+  let themeObserver = null;
+  function watchTheme() {
+    if (themeObserver || typeof MutationObserver === 'undefined') return;
+    let dark = document.body.classList.contains('dark-theme');
+    themeObserver = new MutationObserver(() => {
+      if (document.body.classList.contains('dark-theme') === dark) return;
+      dark = !dark;
+      live.forEach(chart => {
+        chart.renderLegend();
+        chart.draw();
+      });
+    });
+    themeObserver.observe(document.body, { attributes: true, attributeFilter: ['class'] });
+  }
+
+  // ===================================
+  // SPEC
+  // ===================================
+
+  // Defaults and a key and color for every series
+  function normalizeSpec(spec) {
+    return {
+      height: CHART_CONFIG.height,
+      legend: true,
+      zoom: true,
+      emptyMessage: 'No data available yet',
+      formatValue: formatNumber,
+      ...spec,
+      labels: spec.labels || [],
+      annotations: spec.annotations || [],
+      series: (spec.series || []).map((series, index) => ({
+        ...series,
+        key: String(series.key ?? `series-${index}`),
+        name: series.name ?? `Series ${index + 1}`,
+        color: series.color || CHART_CONFIG.palette[index % CHART_CONFIG.palette.length]
+      }))
+    };
+  }
+
+  // ===================================
+  // CHART
+  // ===================================
+
+  class Chart {
+    constructor(canvas) {
+      this.canvas = canvas;
+      this.spec = null;
+      this.hidden = new Set();
+      this.view = null;
+      this.hover = null;
+      this.press = null;
+      this.frame = null;
+      this.width = 0;
+      this.height = 0;
+
+      // Canvas, legend and tooltip share a positioned wrapper
+      this.container = document.createElement('div');
+      this.container.className = 'chart-frame';
+      canvas.parentNode.insertBefore(this.container, canvas);
+      this.container.appendChild(canvas);
+
+      this.legend = document.createElement('div');
+      this.legend.className = 'chart-legend';
+      this.container.appendChild(this.legend);
+
+      this.tooltip = document.createElement('div');
+      this.tooltip.className = 'chart-tooltip hidden';
+      this.container.appendChild(this.tooltip);
+
+      canvas.style.width = '100%';
+      canvas.setAttribute('role', 'img');
+
+      this.bindEvents();
+      live.add(this);
+      watchTheme();
+    }
+
+    bindEvents() {
+      this.listeners = {
+        pointerdown: event => this.onPointerDown(event),
+        pointermove: event => this.onPointerMove(event),
+        pointerup: event => this.onPointerUp(event),
+        pointerleave: () => this.onPointerLeave(),
+        wheel: event => this.onWheel(event),
+        dblclick: () => this.resetZoom()
+      };
+      Object.entries(this.listeners).forEach(([type, listener]) => {
+        this.canvas.addEventListener(type, listener, type === 'wheel' ? { passive: false } : false);
+      });
+
+      this.onLegendClick = this.onLegendClick.bind(this);
+      this.legend.addEventListener('click', this.onLegendClick);
+
+      // Redraw at the new width; also catches a hidden view being shown
+      this.scheduleDraw = this.scheduleDraw.bind(this);
+      if (typeof ResizeObserver !== 'undefined') {
+        this.resizeObserver = new ResizeObserver(this.scheduleDraw);
+        this.resizeObserver.observe(this.container);
+      } else {
+        window.addEventListener('resize', this.scheduleDraw);
+      }
+    }
+
+    update(spec) {
+      const previous = this.spec;
+      this.spec = normalizeSpec(spec);
+
+      const keys = new Set(this.spec.series.map(series => series.key));
+      this.hidden.forEach(key => {
+        if (!keys.has(key)) this.hidden.delete(key);
+      });
+      if (!previous) {
+        this.spec.series.filter(series => series.hidden).forEach(series => this.hidden.add(series.key));
+      }
+
+      // Keep the zoom across refreshes of the same x axis
+      const sameAxis = previous && previous.type === this.spec.type && previous.labels.join('\n') === this.spec.labels.join('\n');
+      if (!sameAxis || !this.view) this.view = this.initialView();
+
+      this.hover = null;
+      this.tooltip.classList.add('hidden');
+      this.canvas.setAttribute('aria-label', this.spec.ariaLabel || this.spec.title || `${this.spec.type} chart`);
+      this.renderLegend();
+      this.draw();
+    }
+
+    destroy() {
+      Object.entries(this.listeners).forEach(([type, listener]) => this.canvas.removeEventListener(type, listener));
+      this.legend.removeEventListener('click', this.onLegendClick);
+      if (this.resizeObserver) this.resizeObserver.disconnect();
+      else window.removeEventListener('resize', this.scheduleDraw);
+      if (this.drawRequest) cancelAnimationFrame(this.drawRequest);
+
+      live.delete(this);
+      instances.delete(this.canvas);
+      this.container.parentNode?.insertBefore(this.canvas, this.container);
+      this.container.remove();
+    }
+
+    isXY() {
+      return XY_TYPES.includes(this.spec.type);
+    }
+
+    visibleSeries() {
+      return this.spec.series.filter(series => !this.hidden.has(series.key));
+    }
+
+    isEmpty() {
+      const { type, series, values } = this.spec;
+      if (type === 'heatmap') return !(values || []).some(row => (row || []).some(value => value > 0));
+      if (type === 'donut') return !series.some(s => s.value > 0);
+      return this.spec.labels.length === 0 || !series.some(s => (s.values || []).some(value => value > 0));
+    }
+
+    // ===================================
+    // ZOOM AND PAN
+    // ===================================
+
+    initialView() {
+      const last = this.spec.labels.length - 1;
+      const [start, end] = this.spec.range || [0, last];
+      const from = clamp(start, 0, Math.max(last, 0));
+      return [from, clamp(end, from, Math.max(last, 0))];
+    }
+
+    zoomable() {
+      return this.isXY() && this.spec.zoom !== false && this.spec.labels.length > CHART_CONFIG.minZoomPoints;
+    }
+
+    isZoomed() {
+      const [start, end] = this.initialView();
+      return this.view[0] !== start || this.view[1] !== end;
+    }
+
+    // factor < 1 zooms in, keeping `anchor` (an index) where it is
+    zoom(factor, anchor = null) {
+      const total = this.spec.labels.length;
+      const [start, end] = this.view;
+      const count = end - start + 1;
+      const next = clamp(Math.round(count * factor), Math.min(CHART_CONFIG.minZoomPoints, total), total);
+      if (next === count) return;
+
+      const center = anchor ?? (start + end) / 2;
+      const from = clamp(Math.round(center - (center - start) * next / count), 0, total - next);
+      this.view = [from, from + next - 1];
+      this.renderLegend();
+      this.draw();
+    }
+
+    pan(fromView, steps) {
+      const total = this.spec.labels.length;
+      const count = fromView[1] - fromView[0] + 1;
+      const from = clamp(fromView[0] + steps, 0, total - count);
+      if (from === this.view[0]) return;
+      this.view = [from, from + count - 1];
+      this.renderLegend();
+      this.draw();
+    }
+
+    resetZoom() {
+      if (!this.zoomable() || !this.isZoomed()) return;
+      this.view = this.initialView();
+      this.renderLegend();
+      this.draw();
+    }
+
+    // ===================================
+    // EVENTS
+    // ===================================
+
+    pointerPosition(event) {
+      const rect = this.canvas.getBoundingClientRect();
+      return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+
+    onPointerDown(event) {
+      const { x, y } = this.pointerPosition(event);
+      this.press = { x, y, view: [...this.view], dragging: false };
+      if (this.zoomable()) this.canvas.setPointerCapture?.(event.pointerId);
+    }
+
+    onPointerMove(event) {
+      const { x, y } = this.pointerPosition(event);
+
+      // Dragging pans a zoomed chart by whole points
+      if (this.press && this.zoomable() && this.frame?.step) {
+        if (Math.abs(x - this.press.x) > CHART_CONFIG.dragThreshold) this.press.dragging = true;
+        if (this.press.dragging) {
+          this.canvas.style.cursor = 'grabbing';
+          this.tooltip.classList.add('hidden');
+          this.pan(this.press.view, Math.round((this.press.x - x) / this.frame.step));
+          return;
+        }
+      }
+
+      this.hover = this.hitTest(x, y);
+      this.canvas.style.cursor = this.hover && this.spec.onClick ? 'pointer' : this.zoomable() && this.isZoomed() ? 'grab' : '';
+      this.draw();
+      this.showTooltip(x, y);
+    }
+
+    onPointerUp(event) {
+      const press = this.press;
+      this.press = null;
+      this.canvas.releasePointerCapture?.(event.pointerId);
+      if (!press || press.dragging) {
+        this.canvas.style.cursor = '';
+        return;
+      }
+
+      const { x, y } = this.pointerPosition(event);
+      const hit = this.hitTest(x, y);
+      if (hit && this.spec.onClick) this.spec.onClick(hit);
+    }
+
+    onPointerLeave() {
+      if (this.press?.dragging) return;
+      this.hover = null;
+      this.tooltip.classList.add('hidden');
+      this.draw();
+    }
+
+    // Ctrl/⌘ + scroll (or a trackpad pinch) zooms; plain scrolling still
+    // scrolls the page
+    onWheel(event) {
+      if (!this.zoomable() || !(event.ctrlKey || event.metaKey)) return;
+      event.preventDefault();
+      const { x, y } = this.pointerPosition(event);
+      const anchor = this.hitTest(x, y)?.index;
+      this.zoom(event.deltaY > 0 ? 1 / CHART_CONFIG.zoomStep : CHART_CONFIG.zoomStep, anchor);
+    }
+
+    onLegendClick(event) {
+      const zoom = event.target.closest('[data-zoom]');
+      if (zoom) {
+        if (zoom.dataset.zoom === 'in') this.zoom(CHART_CONFIG.zoomStep);
+        if (zoom.dataset.zoom === 'out') this.zoom(1 / CHART_CONFIG.zoomStep);
+        if (zoom.dataset.zoom === 'reset') this.resetZoom();
+        return;
+      }
+
+      const item = event.target.closest('[data-series]');
+      if (!item) return;
+      const key = item.dataset.series;
+      if (this.hidden.has(key)) this.hidden.delete(key);
+      else this.hidden.add(key);
+      this.renderLegend();
+      this.draw();
+    }
+
+    scheduleDraw() {
+      if (this.drawRequest) return;
+      this.drawRequest = requestAnimationFrame(() => {
+        this.drawRequest = null;
+        this.draw();
+      });
+    }
+
+    // ===================================
+    // LEGEND AND TOOLTIP
+    // ===================================
+
+    renderLegend() {
+      const spec = this.spec;
+      const theme = readTheme();
+      const parts = [];
+
+      const listed = spec.legend && !this.isEmpty() && (spec.type === 'donut' || (this.isXY() && spec.series.length > 1));
+      if (listed) {
+        spec.series.forEach(series => {
+          parts.push(`
+            <button type="button" class="chart-legend-item" data-series="${escapeHtml(series.key)}" aria-pressed="${!this.hidden.has(series.key)}">
+              <span class="chart-swatch${series.dashed ? ' chart-swatch-dashed' : ''}" style="--swatch: ${escapeHtml(resolveColor(series.color, theme))}"></span>
+              ${escapeHtml(series.name)}
+            </button>
+          `);
+        });
+      }
+
+      if (spec.type === 'heatmap' && spec.legend && !this.isEmpty()) {
+        const max = Math.max(...spec.values.flat().filter(isValue));
+        parts.push(`
+          <span class="chart-ramp-label">${escapeHtml(spec.formatValue(0))}</span>
+          <span class="chart-ramp" style="background: linear-gradient(to right, ${escapeHtml(theme.empty)}, ${escapeHtml(resolveColor(spec.color || CHART_CONFIG.palette[0], theme))})"></span>
+          <span class="chart-ramp-label">${escapeHtml(spec.formatValue(max))}</span>
+        `);
+      }
+
+      if (this.zoomable() && !this.isEmpty()) {
+        parts.push(`
+          <span class="chart-tools" title="Ctrl + scroll to zoom, drag to pan, double-click to reset">
+            <button type="button" class="btn-icon" data-zoom="out" aria-label="Zoom out">−</button>
+            <button type="button" class="btn-icon" data-zoom="in" aria-label="Zoom in">+</button>
+            <button type="button" class="btn-secondary" data-zoom="reset"${this.isZoomed() ? '' : ' disabled'}>Reset</button>
+          </span>
+        `);
+      }
+
+      this.legend.innerHTML = parts.join('');
+      this.legend.classList.toggle('hidden', parts.length === 0);
+    }
+
+    tooltipContent(hit) {
+      const spec = this.spec;
+      const theme = readTheme();
+      const format = spec.formatValue;
+      const row = (color, name, value) => `
+        <div class="chart-tooltip-row">
+          <span class="chart-swatch" style="--swatch: ${escapeHtml(resolveColor(color, theme))}"></span>
+          <span>${escapeHtml(name)}</span>
+          <strong>${escapeHtml(value)}</strong>
+        </div>
+      `;
+
+      let title;
+      const rows = [];
+      const notes = [];
+
+      if (this.isXY()) {
+        const i = hit.index;
+        title = spec.labels[i];
+        this.frame.series.forEach(series => {
+          const value = series.values[i];
+          if (!isValue(value)) return;
+          let text = format(value);
+          if (spec.normalize) text = `${formatShare(this.frame.stacks.shares[series.key][i])} (${text})`;
+          if (series.band && isValue(series.band.lower[i]) && isValue(series.band.upper[i])) {
+            text += ` (${format(series.band.lower[i])}–${format(series.band.upper[i])})`;
+          }
+          rows.push(row(series.color, series.name, text));
+        });
+        spec.annotations
+          .filter(annotation => annotation.index === i && (annotation.tooltip || annotation.label))
+          .forEach(annotation => notes.push(annotation.tooltip || annotation.label));
+      } else if (spec.type === 'donut') {
+        const series = spec.series.find(s => s.key === hit.series);
+        title = series.name;
+        rows.push(row(series.color, formatShare(hit.value / this.frame.total), format(hit.value)));
+      } else {
+        title = `${spec.rows[hit.row]} · ${spec.columns[hit.column]}`;
+        rows.push(row(spec.color || CHART_CONFIG.palette[0], spec.valueLabel || 'Value', format(hit.value)));
+      }
+
+      if (spec.tooltipTitle) title = spec.tooltipTitle(hit) ?? title;
+      if (spec.tooltip) notes.push(...(spec.tooltip(hit) || []));
+
+      return `
+        <div class="chart-tooltip-title">${escapeHtml(title)}</div>
+        ${rows.join('')}
+        ${notes.map(note => `<div class="chart-tooltip-note">${escapeHtml(note)}</div>`).join('')}
+      `;
+    }
+
+    showTooltip(x, y) {
+      if (!this.hover) {
+        this.tooltip.classList.add('hidden');
+        return;
+      }
+
+      this.tooltip.innerHTML = this.tooltipContent(this.hover);
+      this.tooltip.classList.remove('hidden');
+
+      // Right of the pointer, or left of it near the edge
+      const { offsetWidth: width, offsetHeight: height } = this.tooltip;
+      const left = x + 14 + width > this.width ? x - 14 - width : x + 14;
+      this.tooltip.style.left = `${Math.max(0, left)}px`;
+      this.tooltip.style.top = `${clamp(y - height / 2, 0, Math.max(0, this.height - height))}px`;
+    }
+
+    // ===================================
+    // DRAWING
+    // ===================================
+
+    draw() {
+      const width = this.container.clientWidth;
+      // Not laid out (e.g. an inactive view); the resize observer draws it
+      // once it is
+      if (!this.spec || width === 0) return;
+
+      const height = this.spec.height;
+      const dpr = window.devicePixelRatio || 1;
+      this.canvas.width = Math.round(width * dpr);
+      this.canvas.height = Math.round(height * dpr);
+      this.canvas.style.height = `${height}px`;
+      this.width = width;
+      this.height = height;
+
+      const ctx = this.canvas.getContext('2d');
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, width, height);
+      ctx.font = CHART_CONFIG.font;
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+
+      const theme = readTheme();
+      this.frame = null;
+
+      if (this.isEmpty()) {
+        ctx.fillStyle = theme.text;
+        ctx.font = '14px Inter, system-ui, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.spec.emptyMessage, width / 2, height / 2);
+        return;
+      }
+
+      if (this.isXY()) this.drawXY(ctx, theme);
+      else if (this.spec.type === 'donut') this.drawDonut(ctx, theme);
+      else this.drawHeatmap(ctx, theme);
+    }
+
+    // ===================================
+    // LINE, AREA AND BAR
+    // ===================================
+
+    // Each visible series' [base, top] per point, added onto the series
+    // before it; with `normalize`, as shares of the point's total
+    stack(series) {
+      const length = this.spec.labels.length;
+      const totals = Array.from({ length }, (_, i) => series.reduce((sum, s) => sum + (Number(s.values[i]) || 0), 0));
+      const base = new Array(length).fill(0);
+      const ranges = {};
+      const shares = {};
+
+      series.forEach(s => {
+        shares[s.key] = s.values.map((value, i) => (totals[i] > 0 ? (Number(value) || 0) / totals[i] : 0));
+        ranges[s.key] = s.values.map((value, i) => {
+          const amount = this.spec.normalize ? shares[s.key][i] : Number(value) || 0;
+          const range = [base[i], base[i] + amount];
+          base[i] += amount;
+          return range;
+        });
+      });
+
+      return { ranges, shares, tops: base };
+    }
+
+    layoutXY(ctx) {
+      const spec = this.spec;
+      const { padding, yTicks } = CHART_CONFIG;
+      const [start, end] = this.view;
+      const series = this.visibleSeries();
+      const stacked = spec.type === 'area' || (spec.type === 'bar' && spec.stacked);
+      const stacks = this.stack(series);
+
+      // The y range fits what's in view, bands included
+      let max = 0;
+      let min = 0;
+      for (let i = start; i <= end; i++) {
+        if (stacked) {
+          max = Math.max(max, stacks.tops[i]);
+          continue;
+        }
+        series.forEach(s => {
+          [s.values[i], s.band?.lower[i], s.band?.upper[i]].filter(isValue).forEach(value => {
+            max = Math.max(max, value);
+            min = Math.min(min, value);
+          });
+        });
+      }
+      if (spec.normalize) max = 1;
+      if (isValue(spec.max)) max = Math.max(max, spec.max);
+
+      let tickStep = niceStep((max - min) || 1, yTicks);
+      if (spec.integer) tickStep = Math.max(1, tickStep);
+      const top = Math.ceil(max / tickStep) * tickStep || tickStep;
+      const bottom = Math.floor(min / tickStep) * tickStep;
+      const formatTick = spec.normalize ? formatShare : spec.formatValue;
+
+      const ticks = [];
+      for (let value = bottom; value <= top + tickStep / 2; value += tickStep) ticks.push(value);
+      const labelWidth = Math.max(...ticks.map(value => ctx.measureText(formatTick(value)).width));
+
+      const left = Math.max(padding.left, Math.ceil(labelWidth) + 14);
+      const plot = {
+        left,
+        top: padding.top,
+        width: Math.max(this.width - left - padding.right, 1),
+        height: Math.max(this.height - padding.top - padding.bottom, 1)
+      };
+
+      // Pixels between points. Bars sit in slots; lines and areas run edge
+      // to edge.
+      const count = end - start + 1;
+      const isBar = spec.type === 'bar';
+      const step = isBar ? plot.width / count : plot.width / Math.max(count - 1, 1);
+      const xAt = isBar
+        ? i => plot.left + step * (i - start + 0.5)
+        : i => (count > 1 ? plot.left + step * (i - start) : plot.left + plot.width / 2);
+      const yAt = value => plot.top + plot.height - ((value - bottom) / (top - bottom)) * plot.height;
+      const valueAt = y => bottom + ((plot.top + plot.height - y) / plot.height) * (top - bottom);
+
+      return { plot, start, end, count, step, xAt, yAt, valueAt, ticks, formatTick, series, stacked, stacks };
+    }
+
+    drawXY(ctx, theme) {
+      const frame = this.frame = this.layoutXY(ctx);
+      const { plot } = frame;
+      this.drawAxes(ctx, frame, theme);
+
+      // One point either side of the view, clipped, so lines run off the
+      // edges of a zoomed chart
+      const from = Math.max(0, frame.start - 1);
+      const to = Math.min(this.spec.labels.length - 1, frame.end + 1);
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(plot.left, plot.top - 6, plot.width, plot.height + 12);
+      ctx.clip();
+      if (this.spec.type === 'area') this.drawAreas(ctx, frame, theme, from, to);
+      else if (this.spec.type === 'bar') this.drawBars(ctx, frame, theme);
+      else this.drawLines(ctx, frame, theme, from, to);
+      ctx.restore();
+
+      if (this.hover && this.spec.type !== 'bar') {
+        const x = frame.xAt(this.hover.index);
+        ctx.strokeStyle = theme.text;
+        ctx.globalAlpha = 0.4;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, plot.top);
+        ctx.lineTo(x, plot.top + plot.height);
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+      }
+
+      this.drawAnnotations(ctx, frame, theme);
+    }
+
+    drawAxes(ctx, { plot, start, end, step, xAt, yAt, ticks, formatTick }, theme) {
+      ctx.strokeStyle = theme.grid;
+      ctx.fillStyle = theme.text;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 4]);
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'middle';
+
+      ticks.forEach(value => {
+        const y = Math.round(yAt(value)) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(plot.left, y);
+        ctx.lineTo(plot.left + plot.width, y);
+        ctx.stroke();
+        ctx.fillText(formatTick(value), plot.left - 8, y);
+      });
+      ctx.setLineDash([]);
+
+      // Every nth label, so they never overlap
+      const labels = this.spec.labels;
+      const widest = Math.max(...labels.slice(start, end + 1).map(label => ctx.measureText(String(label)).width));
+      const every = Math.max(1, Math.ceil((widest + 12) / step));
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      for (let i = start; i <= end; i++) {
+        if ((end - i) % every === 0) ctx.fillText(String(labels[i]), xAt(i), plot.top + plot.height + 10);
+      }
+    }
+
+    // Traces the series, breaking the line at missing values
+    tracePath(ctx, values, from, to, xAt, yAt) {
+      ctx.beginPath();
+      let drawing = false;
+      for (let i = from; i <= to; i++) {
+        if (!isValue(values[i])) {
+          drawing = false;
+          continue;
+        }
+        if (drawing) ctx.lineTo(xAt(i), yAt(values[i]));
+        else ctx.moveTo(xAt(i), yAt(values[i]));
+        drawing = true;
+      }
+    }
+
+    drawLines(ctx, { xAt, yAt, step, series }, theme, from, to) {
+      series.forEach(s => {
+        const color = resolveColor(s.color, theme);
+
+        if (s.band) {
+          const indexes = [];
+          for (let i = from; i <= to; i++) {
+            if (isValue(s.band.lower[i]) && isValue(s.band.upper[i])) indexes.push(i);
+          }
+          if (indexes.length > 1) {
+            ctx.fillStyle = color;
+            ctx.globalAlpha = 0.15;
+            ctx.beginPath();
+            indexes.forEach((i, n) => (n === 0 ? ctx.moveTo(xAt(i), yAt(s.band.upper[i])) : ctx.lineTo(xAt(i), yAt(s.band.upper[i]))));
+            [...indexes].reverse().forEach(i => ctx.lineTo(xAt(i), yAt(s.band.lower[i])));
+            ctx.closePath();
+            ctx.fill();
+            ctx.globalAlpha = 1;
+          }
+        }
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = s.width || 2.5;
+        ctx.setLineDash(s.dashed ? [6, 4] : []);
+        this.tracePath(ctx, s.values, from, to, xAt, yAt);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = color;
+        for (let i = from; i <= to; i++) {
+          const hovered = this.hover?.index === i;
+          if (!isValue(s.values[i]) || (step < CHART_CONFIG.minDotSpacing && !hovered) || (s.dashed && !hovered)) continue;
+          ctx.beginPath();
+          ctx.arc(xAt(i), yAt(s.values[i]), hovered ? 5 : 3.5, 0, Math.PI * 2);
+          ctx.fill();
+        }
+      });
+    }
+
+    drawAreas(ctx, { xAt, yAt, series, stacks }, theme, from, to) {
+      series.forEach(s => {
+        const ranges = stacks.ranges[s.key];
+        const color = resolveColor(s.color, theme);
+
+        ctx.beginPath();
+        for (let i = from; i <= to; i++) {
+          if (i === from) ctx.moveTo(xAt(i), yAt(ranges[i][1]));
+          else ctx.lineTo(xAt(i), yAt(ranges[i][1]));
+        }
+        for (let i = to; i >= from; i--) ctx.lineTo(xAt(i), yAt(ranges[i][0]));
+        ctx.closePath();
+        ctx.fillStyle = color;
+        ctx.globalAlpha = this.hover?.series === s.key ? 0.85 : 0.6;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        this.tracePath(ctx, ranges.map(range => range[1]), from, to, xAt, yAt);
+        ctx.stroke();
+      });
+    }
+
+    barGeometry(frame) {
+      const slot = frame.step * 0.7;
+      const grouped = !frame.stacked;
+      return { slot, width: grouped ? slot / Math.max(frame.series.length, 1) : slot, grouped };
+    }
+
+    drawBars(ctx, frame, theme) {
+      const { xAt, yAt, series, stacks, start, end } = frame;
+      const bar = this.barGeometry(frame);
+
+      series.forEach((s, n) => {
+        ctx.fillStyle = resolveColor(s.color, theme);
+        for (let i = start; i <= end; i++) {
+          if (!isValue(s.values[i])) continue;
+          const [low, high] = bar.grouped ? [0, s.values[i]] : stacks.ranges[s.key][i];
+          const x = xAt(i) - bar.slot / 2 + (bar.grouped ? n * bar.width : 0);
+          const y = yAt(Math.max(low, high));
+          ctx.globalAlpha = this.hover && this.hover.index !== i ? 0.6 : 1;
+          ctx.fillRect(x, y, Math.max(bar.width - 1, 1), Math.abs(yAt(low) - yAt(high)));
+        }
+        ctx.globalAlpha = 1;
+      });
+    }
+
+    // { type: 'line', index, label } draws a dashed marker across the plot;
+    // { type: 'ring', index, series, label } circles a point of a series
+    drawAnnotations(ctx, { plot, start, end, xAt, yAt, stacks, stacked }, theme) {
+      let lineRow = 0;
+      ctx.textBaseline = 'alphabetic';
+
+      this.spec.annotations.forEach(annotation => {
+        const { index } = annotation;
+        if (index < start || index > end) return;
+        const color = resolveColor(annotation.color || '--warning-500', theme);
+        const x = xAt(index);
+
+        if (annotation.type === 'line') {
+          ctx.strokeStyle = color;
+          ctx.lineWidth = 1.5;
+          ctx.setLineDash([4, 4]);
+          ctx.beginPath();
+          ctx.moveTo(x, plot.top);
+          ctx.lineTo(x, plot.top + plot.height);
+          ctx.stroke();
+          ctx.setLineDash([]);
+
+          if (annotation.label) {
+            const flip = x > plot.left + plot.width * 0.66;
+            ctx.fillStyle = color;
+            ctx.textAlign = flip ? 'right' : 'left';
+            ctx.fillText(annotation.label, x + (flip ? -4 : 4), plot.top + 12 + lineRow++ * 14);
+          }
+          return;
+        }
+
+        const series = this.spec.series.find(s => s.key === annotation.series);
+        if (!series || this.hidden.has(series.key)) return;
+        const value = stacked ? stacks.ranges[series.key][index][1] : annotation.value ?? series.values[index];
+        if (!isValue(value)) return;
+
+        const y = yAt(value);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, 8, 0, Math.PI * 2);
+        ctx.stroke();
+
+        if (annotation.label) {
+          const below = annotation.position === 'below';
+          ctx.fillStyle = color;
+          ctx.textAlign = 'center';
+          ctx.fillText(annotation.label, x, y + (below ? 22 : -14));
+        }
+      });
+    }
+
+    hitTestXY(x, y) {
+      const frame = this.frame;
+      const { plot, start, end, step, xAt, valueAt, series, stacks, stacked } = frame;
+      if (y < plot.top || y > plot.top + plot.height || x < plot.left - step / 2 || x > plot.left + plot.width + step / 2) return null;
+
+      const offset = this.spec.type === 'bar' ? Math.floor((x - plot.left) / step) : Math.round((x - plot.left) / step);
+      const index = clamp(start + offset, start, end);
+      const value = valueAt(y);
+
+      // The series under the pointer: the stacked band it's in, the bar
+      // column, or the nearest line within a few pixels
+      let hit = null;
+      if (stacked) {
+        hit = series.find(s => value >= stacks.ranges[s.key][index][0] && value <= stacks.ranges[s.key][index][1]);
+      } else if (this.spec.type === 'bar') {
+        const bar = this.barGeometry(frame);
+        hit = series[Math.floor((x - (xAt(index) - bar.slot / 2)) / bar.width)];
+      } else {
+        const distance = s => Math.abs(frame.yAt(s.values[index]) - y);
+        hit = series
+          .filter(s => isValue(s.values[index]) && distance(s) <= 12)
+          .sort((a, b) => distance(a) - distance(b))[0];
+      }
+
+      return {
+        index,
+        label: this.spec.labels[index],
+        series: hit?.key ?? null,
+        value: hit ? hit.values[index] : null
+      };
+    }
+
+    // ===================================
+    // DONUT
+    // ===================================
+
+    drawDonut(ctx, theme) {
+      const series = this.visibleSeries().filter(s => s.value > 0);
+      const total = series.reduce((sum, s) => sum + s.value, 0);
+      const cx = this.width / 2;
+      const cy = this.height / 2;
+      const radius = Math.max(Math.min(this.width, this.height) / 2 - 8, 10);
+      const inner = radius * 0.6;
+      const slices = [];
+
+      let angle = -Math.PI / 2;
+      series.forEach(s => {
+        const sweep = (s.value / total) * Math.PI * 2;
+        const outer = this.hover?.series === s.key ? radius + 4 : radius;
+        ctx.beginPath();
+        ctx.arc(cx, cy, outer, angle, angle + sweep);
+        ctx.arc(cx, cy, inner, angle + sweep, angle, true);
+        ctx.closePath();
+        ctx.fillStyle = resolveColor(s.color, theme);
+        ctx.fill();
+        ctx.strokeStyle = theme.background;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        slices.push({ key: s.key, value: s.value, start: angle, end: angle + sweep });
+        angle += sweep;
+      });
+
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillStyle = theme.strong;
+      ctx.font = '700 20px Inter, system-ui, sans-serif';
+      ctx.fillText(this.spec.formatValue(total), cx, cy - 8);
+      ctx.fillStyle = theme.text;
+      ctx.font = CHART_CONFIG.font;
+      ctx.fillText(this.spec.centerLabel || 'total', cx, cy + 12);
+
+      this.frame = { cx, cy, radius, inner, slices, total };
+    }
+
+    hitTestDonut(x, y) {
+      const { cx, cy, radius, inner, slices } = this.frame;
+      const distance = Math.hypot(x - cx, y - cy);
+      if (distance < inner || distance > radius + 4) return null;
+
+      // atan2 runs from -π; slices start at the top (-π/2)
+      let angle = Math.atan2(y - cy, x - cx);
+      if (angle < -Math.PI / 2) angle += Math.PI * 2;
+      const slice = slices.find(s => angle >= s.start && angle < s.end);
+      return slice ? { series: slice.key, value: slice.value } : null;
+    }
+
+    // ===================================
+    // HEATMAP
+    // ===================================
+
+    // rows × columns of values; null leaves a cell out
+    drawHeatmap(ctx, theme) {
+      const { rows, columns, values } = this.spec;
+      const labelWidth = Math.max(...rows.map(row => ctx.measureText(String(row)).width));
+      const plot = {
+        left: Math.ceil(labelWidth) + 12,
+        top: 4,
+        width: Math.max(this.width - Math.ceil(labelWidth) - 12 - CHART_CONFIG.padding.right, 1),
+        height: Math.max(this.height - 4 - 24, 1)
+      };
+      const cellWidth = plot.width / columns.length;
+      const cellHeight = plot.height / rows.length;
+      const max = Math.max(...values.flat().filter(isValue), 0);
+      const color = resolveColor(this.spec.color || CHART_CONFIG.palette[0], theme);
+      const gap = cellWidth > 6 && cellHeight > 6 ? 1 : 0;
+
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      rows.forEach((_, r) => {
+        columns.forEach((__, c) => {
+          const value = values[r]?.[c];
+          if (!isValue(value)) return;
+
+          const x = plot.left + c * cellWidth + gap;
+          const y = plot.top + r * cellHeight + gap;
+          const w = cellWidth - gap * 2;
+          const h = cellHeight - gap * 2;
+          const intensity = max > 0 ? value / max : 0;
+
+          ctx.fillStyle = theme.empty;
+          ctx.fillRect(x, y, w, h);
+          if (value > 0) {
+            ctx.fillStyle = color;
+            ctx.globalAlpha = 0.15 + 0.85 * intensity;
+            ctx.fillRect(x, y, w, h);
+            ctx.globalAlpha = 1;
+          }
+
+          if (this.hover?.row === r && this.hover?.column === c) {
+            ctx.strokeStyle = theme.strong;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(x + 1, y + 1, w - 2, h - 2);
+          }
+
+          if (this.spec.showValues && w >= 28 && h >= 16) {
+            ctx.fillStyle = intensity > 0.55 ? '#ffffff' : theme.strong;
+            ctx.fillText(this.spec.formatValue(value), x + w / 2, y + h / 2);
+          }
+        });
+      });
+
+      ctx.fillStyle = theme.text;
+      ctx.textAlign = 'right';
+      rows.forEach((row, r) => ctx.fillText(String(row), plot.left - 8, plot.top + (r + 0.5) * cellHeight));
+
+      const widest = Math.max(...columns.map(column => ctx.measureText(String(column)).width));
+      const every = Math.max(1, Math.ceil((widest + 12) / cellWidth));
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      columns.forEach((column, c) => {
+        if (c % every === 0) ctx.fillText(String(column), plot.left + (c + 0.5) * cellWidth, plot.top + plot.height + 8);
+      });
+
+      this.frame = { plot, cellWidth, cellHeight };
+    }
+
+    hitTestHeatmap(x, y) {
+      const { plot, cellWidth, cellHeight } = this.frame;
+      const column = Math.floor((x - plot.left) / cellWidth);
+      const row = Math.floor((y - plot.top) / cellHeight);
+      const value = this.spec.values[row]?.[column];
+      if (column < 0 || column >= this.spec.columns.length || row < 0 || !isValue(value)) return null;
+      return { row, column, rowLabel: this.spec.rows[row], columnLabel: this.spec.columns[column], value };
+    }
+
+    // Whatever is under (x, y): a point index for line/area/bar, a slice
+    // for donuts, a cell for heatmaps
+    hitTest(x, y) {
+      if (!this.frame) return null;
+      if (this.isXY()) return this.hitTestXY(x, y);
+      if (this.spec.type === 'donut') return this.hitTestDonut(x, y);
+      return this.hitTestHeatmap(x, y);
+    }
+  }
+
+  // ===================================
+  // PUBLIC API
+  // ===================================
+
+  // Draws `spec` on the canvas (element or id), reusing the chart already
+  // there so hidden series and zoom survive a refresh
+  function render(target, spec) {
+    const canvas = typeof target === 'string' ? document.getElementById(target) : target;
+    if (!canvas) {
+      console.warn(`Chart canvas ${target} not found`);
+      return null;
+    }
+    if (!TYPES.includes(spec.type)) throw new Error(`Unknown chart type "${spec.type}"`);
+
+    let chart = instances.get(canvas);
+    if (!chart) {
+      chart = new Chart(canvas);
+      instances.set(canvas, chart);
+    }
+    chart.update(spec);
+    return chart;
+  }
+
+  function get(target) {
+    const canvas = typeof target === 'string' ? document.getElementById(target) : target;
+    return (canvas && instances.get(canvas)) || null;
+  }
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.charts = {
+    render,
+    get,
+    types: TYPES,
+    formatNumber,
+    config: CHART_CONFIG
+  };
+
+})();
+
+console.log('📉 SignalBoard Charts Loaded');
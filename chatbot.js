@@ -72,10 +72,10 @@
     // Analytics & Insights
     analytics: {
       trends:
-        "Trend detection looks at 7-day and 30-day windows to identify: volume spikes (signal influx), category shifts (bug ratio increasing), sentiment changes (negative feedback rising), and tier concentration (enterprise vs free).",
+        "Anomaly detection compares each day with its own baseline (the same weekday over the previous four weeks) for volume, weighted impact, critical ratio, and every category and tier. A day is flagged when it's far outside the usual spread, and low-volume days need at least a few signals before they count, so one extra bug on a quiet Sunday isn't an alert.",
       
       forecasting:
-        "We use linear regression to project 7-day signal volume with confidence intervals. Confidence decreases over time (95% day 1 → 60% day 7). Use forecasts to anticipate capacity needs.",
+        "We forecast the next 7 days of signal volume with Holt-Winters (weekly seasonality, so quiet weekends are expected) or a 7-day moving average, whichever had the smaller error when backtested on recent weeks. The shaded band is a 95% prediction interval built from the model's past errors, so it widens when volume is erratic. Use forecasts to anticipate capacity needs.",
       
       insights:
         "AI-generated insights surface actionable patterns: 'Timeout errors increased 32% week-over-week from APAC enterprise customers' is more useful than 'many bugs reported'.",
@@ -90,7 +90,7 @@
         "Prioritization combines impact score, customer tier, urgency, and category. Enterprise bugs with high impact beat free-tier feature requests. Use weighted impact to rank your backlog objectively.",
       
       rules:
-        "Prioritization Rules let you define thresholds: 'All enterprise bugs with impact >70 are P0', 'Feature requests need 5+ signals to prioritize', 'Documentation gaps are P2 unless blocking sales'.",
+        "Prioritization Rules let you define thresholds: 'All enterprise bugs with impact >70 are P0', 'Feature requests need 5+ signals to prioritize', 'Documentation gaps are P2 unless blocking sales'. Edit them in the Rules view, e.g. `tier = enterprise and category = bug and impact > 70` → P0.",
       
       tradeoffs:
         "Every prioritization is a tradeoff. High-impact enterprise work might alienate your free tier. Fast feature delivery might compromise reliability. SignalBoard helps you see those tradeoffs clearly.",
@@ -144,6 +144,9 @@
     productOverview: /(what is|tell me about|explain) signalboard/i,
     productPurpose: /(why|purpose|goal|benefit)/i,
     
+    // Recurring themes (before signals: "recurring signal themes")
+    themes: /(theme|recurring|duplicate|cluster)/i,
+    
     // Signal Operations
     signals: /(signal|signals|feedback|input)/i,
     addSignal: /(how.*add|create.*signal|capture|ingest|submit)/i,
@@ -220,6 +223,9 @@
         if (msg.includes('category')) return pmKnowledgeBase.signals.categorization;
         return pmKnowledgeBase.signals.definition + "\n\n" + pmKnowledgeBase.signals.categorization;
       
+      case 'themes':
+        return generateThemesResponse();
+      
       case 'addSignal':
         return pmKnowledgeBase.signals.captureWorkflow;
       
@@ -287,6 +293,27 @@
     return greetings[Math.floor(Math.random() * greetings.length)];
   }
 
+  function generateThemesResponse() {
+    const clustering = window.signalboard?.clustering;
+    const themes = clustering ? clustering.computeThemes().slice(0, 3) : [];
+    
+    if (themes.length === 0) {
+      return "No recurring themes yet. Themes appear once two or more signals look alike, so keep capturing and check the **Themes** view.";
+    }
+    
+    const escape = text => String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+    const lines = themes.map((theme, i) => {
+      const sources = Object.entries(theme.sourceMix)
+        .sort(([, a], [, b]) => b - a)
+        .map(([source, count]) => `${source} ${count}`)
+        .join(', ');
+      return `${i + 1}. **${escape(theme.name)}** – ${theme.size} signals, priority score ${theme.score.toLocaleString()} (${sources})`;
+    });
+    
+    return "Top recurring themes right now:\n\n" + lines.join("\n") + "\n\n" +
+           "Open **Themes** to confirm them or split off signals that don't belong.";
+  }
+
   function generateHelpResponse(message) {
     if (message.includes('signal') || message.includes('feedback')) {
       return "I can help you understand:\n\n" +
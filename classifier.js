@@ -0,0 +1,411 @@
+// ===================================
+// SIGNALBOARD SIGNAL CLASSIFIER
+// Offline sentiment, category, tier and urgency detection behind
+// a swappable provider interface (local lexicon, Workers AI, mock server)
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // LEXICONS
+  // ===================================
+
+  // Word polarity from -3 (very negative) to +3 (very positive)
+  const SENTIMENT_LEXICON = {
+    // Negative
+    broken: -3, outage: -3, down: -2, crash: -3, crashes: -3, crashing: -3,
+    fail: -2, fails: -2, failing: -2, failed: -2, failure: -2, error: -2, errors: -2,
+    bug: -1, bugs: -1, buggy: -2, timeout: -2, timeouts: -2, slow: -2, slower: -2,
+    sluggish: -2, lag: -1, laggy: -2, latency: -1, regression: -2, degraded: -2,
+    degradation: -2, unusable: -3, frustrating: -2, frustrated: -2, annoying: -2,
+    confusing: -2, confused: -2, unclear: -1, difficult: -1, hard: -1, painful: -2,
+    terrible: -3, awful: -3, horrible: -3, bad: -2, worse: -2, worst: -3, poor: -2,
+    disappointed: -2, disappointing: -2, unhappy: -2, angry: -3, upset: -2,
+    blocked: -2, blocking: -2, blocker: -2, missing: -1, lacking: -1, lost: -2,
+    loss: -2, churn: -3, cancel: -2, cancelling: -2, canceling: -2, expensive: -1,
+    outdated: -1, incomplete: -1, inconsistent: -2, inconsistency: -2, stuck: -2,
+    problem: -1, problems: -1, issue: -1, issues: -1, complaint: -2, complaints: -2,
+    unreliable: -2, flaky: -2, wrong: -2, incorrect: -2, unacceptable: -3,
+    // Positive
+    love: 3, loving: 3, loved: 3, great: 3, excellent: 3, amazing: 3, awesome: 3,
+    fantastic: 3, perfect: 3, praise: 2, praising: 2, good: 2, nice: 2, happy: 2,
+    glad: 2, like: 1, likes: 1, helpful: 2, useful: 2, easy: 2, simple: 1, fast: 2,
+    faster: 2, quick: 1, smooth: 2, reliable: 2, stable: 1, improved: 2,
+    improvement: 1, impressive: 3, thanks: 2, thank: 2, appreciate: 2, positive: 2,
+    recommend: 2, delighted: 3, clear: 1, intuitive: 2, differentiator: 2
+  };
+
+  const NEGATIONS = new Set(['not', 'no', 'never', "don't", 'dont', "doesn't", 'doesnt',
+    "isn't", 'isnt', "wasn't", 'wasnt', "can't", 'cant', 'cannot', "won't", 'wont', 'without']);
+
+  const INTENSIFIERS = { very: 1.5, really: 1.5, extremely: 2, super: 1.5, totally: 1.5, so: 1.3, highly: 1.5 };
+
+  // Seed vocabulary per category; existing signals are added to these at runtime
+  const CATEGORY_SEEDS = {
+    bug: 'bug error errors broken crash fails failing failure exception 500 504 502 incorrect wrong ' +
+      'timeout outage inconsistent inconsistency stuck regression defect reproduce repro returns fix',
+    feature: 'feature request support add adding would like wish please need native new capability ' +
+      'integration api option ability allow enable roadmap ask requested requesting bindings',
+    performance: 'slow slower latency performance throughput speed cold start fast faster load ' +
+      'degraded degradation p99 milliseconds ms seconds cpu memory cache hit ratio build time',
+    ux: 'confusing confused ui ux interface dashboard navigation unclear hard find click flow ' +
+      'onboarding usability design layout button error message console filter discoverability',
+    documentation: 'docs documentation guide example examples tutorial reference readme explain ' +
+      'explanation outdated missing unclear migration how to walkthrough api reference gap',
+    feedback: 'love great thanks pricing praise impressed happy feedback general opinion ' +
+      'experience like enjoy positive differentiator recommend'
+  };
+
+  const TIER_HINTS = [
+    { tier: 'enterprise', pattern: /\b(enterprise|sla|slas|fortune\s*\d+|soc\s*2|sso|saml|compliance|contract|account manager|dedicated support|procurement|renewal)\b/i },
+    { tier: 'pro', pattern: /\b(pro (plan|tier|customer|user)s?|business plan|paid plan|team plan|paying customer|upgraded)\b/i },
+    { tier: 'free', pattern: /\b(free (plan|tier|user)s?|hobby|hobbyist|side project|personal project|student|trial)\b/i }
+  ];
+
+  const SOURCE_HINTS = [
+    { source: 'github', pattern: /\b(github|issue #?\d+|pull request|\bpr\b|repo(sitory)?)\b/i },
+    { source: 'support', pattern: /\b(tickets?|support (case|request)s?|zendesk|helpdesk)\b/i },
+    { source: 'sales', pattern: /\b(sales|prospect|deal|account executive|\bae\b|poc|proof of concept)\b/i },
+    { source: 'community', pattern: /\b(forum|discord|reddit|twitter|community|stack ?overflow|hacker news)\b/i },
+    { source: 'internal', pattern: /\b(internal|our team|on-call|oncall|postmortem|dogfood)\b/i }
+  ];
+
+  // Checked highest first; the first level with a match wins
+  const URGENCY_HINTS = [
+    { level: 4, pattern: /\b(outage|down for|all regions|data loss|security|breach|vulnerability|production (is )?down|sev ?[01]|p0|cannot deploy|can't deploy|completely broken|revenue impact)\b/i },
+    { level: 3, pattern: /\b(timeout|timeouts|failing|fails|broken|errors?|5\d\d|regression|degraded|blocking|blocked|churn|escalat\w*|urgent|asap|sla)\b/i },
+    { level: 2, pattern: /\b(slow|confusing|unclear|request|would like|missing|workaround|annoying|inconsistent)\b/i }
+  ];
+
+  // ===================================
+  // TEXT HELPERS
+  // ===================================
+
+  const STOPWORDS = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'for',
+    'with', 'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'we', 'our',
+    'they', 'their', 'i', 'you', 'your', 'at', 'by', 'from', 'as', 'has', 'have', 'had', 'when',
+    'after', 'before', 'about', 'into', 'than', 'then', 'there', 'these', 'those', 'some']);
+
+  function tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9'#\s-]/g, ' ')
+      .split(/\s+/)
+      .map(token => token.replace(/^[-']+|[-']+$/g, ''))
+      .filter(Boolean);
+  }
+
+  function contentTokens(text) {
+    return tokenize(text).filter(token => !STOPWORDS.has(token) && token.length > 1);
+  }
+
+  function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+  }
+
+  // ===================================
+  // SENTIMENT
+  // ===================================
+
+  function analyzeSentiment(text) {
+    const tokens = tokenize(text);
+    let score = 0;
+    let hits = 0;
+
+    tokens.forEach((token, i) => {
+      const polarity = SENTIMENT_LEXICON[token];
+      if (polarity === undefined) return;
+
+      let value = polarity;
+      const preceding = tokens.slice(Math.max(0, i - 3), i);
+
+      if (preceding.some(previous => NEGATIONS.has(previous))) value *= -0.5;
+
+      const intensifier = INTENSIFIERS[tokens[i - 1]];
+      if (intensifier) value *= intensifier;
+
+      score += value;
+      hits++;
+    });
+
+    // Normalize so long texts don't dominate
+    const comparative = tokens.length > 0 ? score / Math.sqrt(tokens.length) : 0;
+    const label = comparative <= -0.35 ? 'negative' : comparative >= 0.35 ? 'positive' : 'neutral';
+
+    return {
+      label,
+      score: Math.round(score * 10) / 10,
+      comparative: Math.round(comparative * 100) / 100,
+      matches: hits
+    };
+  }
+
+  // ===================================
+  // CATEGORY (TF-IDF)
+  // ===================================
+
+  function buildCategoryModel(signals) {
+    const documents = {};
+
+    Object.entries(CATEGORY_SEEDS).forEach(([category, seed]) => {
+      // Seeds count double so a handful of signals can't swamp them
+      documents[category] = [...contentTokens(seed), ...contentTokens(seed)];
+    });
+
+    (signals || []).forEach(signal => {
+      if (!documents[signal.category]) return;
+      documents[signal.category].push(...contentTokens(`${signal.title} ${signal.context || ''}`));
+    });
+
+    const categories = Object.keys(documents);
+    const documentFrequency = new Map();
+    const termFrequencies = {};
+
+    categories.forEach(category => {
+      const counts = new Map();
+      documents[category].forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+      termFrequencies[category] = { counts, total: documents[category].length || 1 };
+      counts.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    });
+
+    const idf = term => Math.log((categories.length + 1) / ((documentFrequency.get(term) || 0) + 1)) + 1;
+
+    return { categories, termFrequencies, idf };
+  }
+
+  function detectCategory(text, model) {
+    const terms = contentTokens(text);
+    if (terms.length === 0) return { category: null, confidence: 0, scores: {} };
+
+    const queryCounts = new Map();
+    terms.forEach(term => queryCounts.set(term, (queryCounts.get(term) || 0) + 1));
+
+    const scores = {};
+    model.categories.forEach(category => {
+      const { counts, total } = model.termFrequencies[category];
+      let score = 0;
+
+      queryCounts.forEach((queryCount, term) => {
+        const termCount = counts.get(term);
+        if (!termCount) return;
+        const weight = model.idf(term);
+        score += (queryCount / terms.length) * weight * (termCount / total) * weight;
+      });
+
+      scores[category] = score;
+    });
+
+    const ranked = Object.entries(scores).sort(([, a], [, b]) => b - a);
+    const [best, second] = ranked;
+    if (!best || best[1] === 0) return { category: null, confidence: 0, scores };
+
+    const margin = second && second[1] > 0 ? (best[1] - second[1]) / best[1] : 1;
+    return {
+      category: best[0],
+      confidence: Math.round(clamp(0.4 + margin * 0.6, 0, 1) * 100) / 100,
+      scores
+    };
+  }
+
+  // ===================================
+  // TIER, SOURCE, URGENCY, IMPACT
+  // ===================================
+
+  function detectHint(text, hints, key) {
+    const match = hints.find(hint => hint.pattern.test(text));
+    return match ? match[key] : null;
+  }
+
+  function estimateUrgency(text, sentiment, tier) {
+    const hinted = URGENCY_HINTS.find(hint => hint.pattern.test(text));
+    let level = hinted ? hinted.level : 1;
+
+    // Strongly negative enterprise feedback is at least high urgency
+    if (sentiment.label === 'negative' && tier === 'enterprise') level = Math.max(level, 3);
+    if (sentiment.label === 'negative' && level === 1) level = 2;
+
+    return level;
+  }
+
+  function estimateImpact(text, urgency, tier, sentiment) {
+    let impact = 25 + urgency * 12;
+
+    if (tier === 'enterprise') impact += 10;
+    else if (tier === 'pro') impact += 5;
+
+    // Reach: "multiple customers", "12 developers", "all users"...
+    if (/\b(multiple|many|several|all|every)\s+(customers|users|developers|teams|accounts|regions)\b/i.test(text)) {
+      impact += 8;
+    }
+    const countMatch = text.match(/\b(\d{1,5})\s+(customers|users|developers|teams|accounts|tickets|reports)\b/i);
+    if (countMatch) {
+      impact += clamp(Math.round(Math.log10(Number(countMatch[1]) + 1) * 6), 0, 15);
+    }
+
+    if (sentiment.label === 'negative') impact += Math.min(8, Math.abs(sentiment.comparative) * 4);
+
+    return Math.round(clamp(impact, 1, 100));
+  }
+
+  function suggestTitle(text) {
+    const firstLine = String(text || '').trim().split(/\n|(?<=[.!?])\s/)[0] || '';
+    const clean = firstLine.replace(/^[-*•>\s"']+/, '').replace(/[.\s]+$/, '').replace(/\s+/g, ' ').trim();
+    return clean.length > 80 ? `${clean.slice(0, 77).replace(/\s+\S*$/, '')}…` : clean;
+  }
+
+  // ===================================
+  // PROVIDERS
+  // ===================================
+
+  // Provider contract: { name, classify(text, context) => Promise<Classification> }
+  // Classification fields: title, impact, urgency (1-4), source, category, tier,
+  // sentiment ('positive' | 'neutral' | 'negative'), context, confidence, provider.
+  // Fields a provider cannot determine may be null; the form keeps its value.
+
+  const localProvider = {
+    name: 'local',
+
+    async classify(text, context = {}) {
+      const model = buildCategoryModel(context.signals);
+      const sentiment = analyzeSentiment(text);
+      const category = detectCategory(text, model);
+      const tier = detectHint(text, TIER_HINTS, 'tier');
+      const urgency = estimateUrgency(text, sentiment, tier);
+
+      return {
+        title: suggestTitle(text),
+        impact: estimateImpact(text, urgency, tier, sentiment),
+        urgency,
+        source: detectHint(text, SOURCE_HINTS, 'source'),
+        category: category.category,
+        tier,
+        sentiment: sentiment.label,
+        context: String(text || '').trim(),
+        confidence: category.confidence,
+        provider: 'local',
+        details: { sentiment, categoryScores: category.scores }
+      };
+    }
+  };
+
+  // Remote provider for a Workers AI endpoint or a local mock server.
+  // POSTs { text } and expects a Classification-shaped JSON body.
+  function createHttpProvider({ name = 'http', endpoint, headers = {}, timeoutMs = 8000 }) {
+    if (!endpoint) throw new Error('HTTP classifier provider needs an endpoint');
+
+    return {
+      name,
+
+      async classify(text) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+        try {
+          const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify({ text }),
+            signal: controller.signal
+          });
+
+          if (!response.ok) {
+            throw new Error(`Classifier endpoint returned ${response.status}`);
+          }
+
+          return { ...(await response.json()), provider: name };
+        } finally {
+          clearTimeout(timer);
+        }
+      }
+    };
+  }
+
+  // ===================================
+  // PROVIDER REGISTRY
+  // ===================================
+
+  const providers = new Map([[localProvider.name, localProvider]]);
+  let activeProvider = localProvider.name;
+
+  function registerProvider(provider) {
+    if (!provider || !provider.name || typeof provider.classify !== 'function') {
+      throw new Error('Provider must have a name and a classify(text) method');
+    }
+    providers.set(provider.name, provider);
+    return provider.name;
+  }
+
+  function useProvider(name) {
+    if (!providers.has(name)) throw new Error(`Unknown classifier provider "${name}"`);
+    activeProvider = name;
+    console.log(`→ Classifier provider: ${name}`);
+  }
+
+  function useEndpoint(endpoint, options = {}) {
+    const name = registerProvider(createHttpProvider({ endpoint, ...options }));
+    useProvider(name);
+  }
+
+  async function classify(text) {
+    const input = String(text || '').trim();
+    if (!input) throw new Error('Nothing to classify');
+
+    const context = { signals: window.state?.signals || [] };
+    const provider = providers.get(activeProvider);
+
+    try {
+      return normalizeResult(await provider.classify(input, context), input);
+    } catch (error) {
+      if (provider === localProvider) throw error;
+
+      // Remote providers are optional; never leave the user without a result
+      console.warn(`Classifier "${provider.name}" failed, using local:`, error);
+      return normalizeResult(await localProvider.classify(input, context), input);
+    }
+  }
+
+  function normalizeResult(result, input) {
+    const schema = window.signalboard.schema;
+    const { sources, categories, tiers, sentiments } = schema.definition;
+    const pick = (value, allowed) => (allowed.includes(value) ? value : null);
+    // Missing means "no estimate"; Number(null) would make it 0, clamped to 1
+    const impact = result.impact === null || result.impact === undefined || result.impact === '' ? null : Number(result.impact);
+
+    return {
+      ...result,
+      title: result.title ? String(result.title) : suggestTitle(input),
+      impact: Number.isFinite(impact) ? Math.round(clamp(impact, 1, 100)) : null,
+      urgency: schema.normalizeUrgency(result.urgency),
+      source: pick(result.source, sources),
+      category: pick(result.category, categories),
+      tier: pick(result.tier, tiers),
+      sentiment: pick(result.sentiment, sentiments) || analyzeSentiment(input).label,
+      context: result.context ? String(result.context) : input
+    };
+  }
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.classifier = {
+    classify,
+    analyzeSentiment,
+    registerProvider,
+    useProvider,
+    useEndpoint,
+    createHttpProvider,
+    get provider() {
+      return activeProvider;
+    },
+    get providers() {
+      return [...providers.keys()];
+    }
+  };
+
+})();
+
+console.log('🧠 SignalBoard Classifier Loaded');
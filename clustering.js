@@ -0,0 +1,593 @@
+// ===================================
+// SIGNALBOARD THEME CLUSTERING
+// Groups duplicate and near-duplicate signals into themes using
+// MinHash signatures with LSH banding over normalized title shingles
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // CONFIGURATION
+  // ===================================
+
+  const CLUSTER_CONFIG = {
+    // 32 bands x 2 rows: pairs with title Jaccard >= 0.3 almost always
+    // become candidates; every candidate is then checked exactly
+    numHashes: 64,
+    bands: 32,
+
+    // Combined similarity needed to link two signals
+    threshold: 0.5,
+    titleWeight: 0.75,
+
+    // Context alone never links signals (demo and import contexts are templated)
+    minTitleSimilarity: 0.3,
+
+    maxContextTokens: 40,
+    minThemeSize: 2
+  };
+
+  const STOPWORDS = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'for',
+    'with', 'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'we', 'our',
+    'they', 'their', 'i', 'you', 'your', 'at', 'by', 'from', 'as', 'has', 'have', 'had', 'when',
+    'after', 'before', 'about', 'into', 'than', 'then', 'there', 'these', 'those', 'some', 'not',
+    'no', 'can', 'cannot', 'via', 'per']);
+
+  // ===================================
+  // TEXT NORMALIZATION
+  // ===================================
+
+  function stem(token) {
+    if (token.length > 7 && token.endsWith('ment')) return token.slice(0, -4);
+    if (token.length > 5 && token.endsWith('ing')) return token.slice(0, -3);
+    if (token.length > 4 && token.endsWith('ed')) return token.slice(0, -2);
+    if (token.length > 4 && token.endsWith('es')) return token.slice(0, -2);
+    if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+    return token;
+  }
+
+  function normalizeTokens(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(token => token && !STOPWORDS.has(token))
+      .map(stem);
+  }
+
+  // Word unigrams plus bigrams, so word order counts for a little
+  function shingles(tokens) {
+    const set = new Set(tokens);
+    for (let i = 0; i < tokens.length - 1; i++) {
+      set.add(`${tokens[i]} ${tokens[i + 1]}`);
+    }
+    return set;
+  }
+
+  function jaccard(a, b) {
+    if (a.size === 0 && b.size === 0) return 0;
+
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    let shared = 0;
+    small.forEach(item => {
+      if (large.has(item)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
+  }
+
+  // ===================================
+  // MINHASH
+  // ===================================
+
+  function hashString(value) {
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  function mix(hash, seed) {
+    // murmur3 finalizer over the seeded hash
+    let h = (hash ^ seed) >>> 0;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+  }
+
+  // Fixed seeds so signatures are stable across reloads
+  const SEEDS = Array.from({ length: CLUSTER_CONFIG.numHashes }, (_, i) => hashString(`signalboard-minhash-${i}`));
+
+  function minhash(set) {
+    const signature = new Array(SEEDS.length).fill(0xffffffff);
+
+    set.forEach(item => {
+      const base = hashString(item);
+      for (let i = 0; i < SEEDS.length; i++) {
+        const value = mix(base, SEEDS[i]);
+        if (value < signature[i]) signature[i] = value;
+      }
+    });
+
+    return signature;
+  }
+
+  // Per-signal features, reused while title and context are unchanged
+  const featureCache = new Map();
+
+  function features(signal) {
+    const key = `${signal.title}\u0000${signal.context || ''}`;
+    const cached = featureCache.get(signal.id);
+    if (cached && cached.key === key) return cached;
+
+    const title = shingles(normalizeTokens(signal.title));
+    const context = new Set(normalizeTokens(signal.context).slice(0, CLUSTER_CONFIG.maxContextTokens));
+    const entry = { key, title, context, signature: minhash(title) };
+
+    featureCache.set(signal.id, entry);
+    return entry;
+  }
+
+  function similarity(a, b) {
+    const titleSimilarity = jaccard(a.title, b.title);
+    if (titleSimilarity < CLUSTER_CONFIG.minTitleSimilarity) return titleSimilarity;
+
+    if (a.context.size === 0 || b.context.size === 0) return titleSimilarity;
+
+    const weight = CLUSTER_CONFIG.titleWeight;
+    return weight * titleSimilarity + (1 - weight) * jaccard(a.context, b.context);
+  }
+
+  // ===================================
+  // CANDIDATE PAIRS (LSH)
+  // ===================================
+
+  function candidatePairs(entries) {
+    const rows = CLUSTER_CONFIG.numHashes / CLUSTER_CONFIG.bands;
+    const pairs = new Set();
+
+    for (let band = 0; band < CLUSTER_CONFIG.bands; band++) {
+      const buckets = new Map();
+
+      entries.forEach((entry, index) => {
+        if (entry.features.title.size === 0) return;
+
+        const key = entry.features.signature.slice(band * rows, band * rows + rows).join(',');
+        const bucket = buckets.get(key);
+        if (bucket) bucket.push(index);
+        else buckets.set(key, [index]);
+      });
+
+      buckets.forEach(bucket => {
+        for (let i = 0; i < bucket.length; i++) {
+          for (let j = i + 1; j < bucket.length; j++) {
+            pairs.add(`${bucket[i]}:${bucket[j]}`);
+          }
+        }
+      });
+    }
+
+    return [...pairs].map(pair => pair.split(':').map(Number));
+  }
+
+  // ===================================
+  // CLUSTERING
+  // ===================================
+
+  function separatedPartners(review) {
+    const partners = new Map();
+    (review?.separated || []).forEach(([a, b]) => {
+      if (!partners.has(a)) partners.set(a, new Set());
+      if (!partners.has(b)) partners.set(b, new Set());
+      partners.get(a).add(b);
+      partners.get(b).add(a);
+    });
+    return partners;
+  }
+
+  // Union-find that refuses to join groups containing a split-off pair
+  function linkGroups(entries, partners) {
+    const parent = entries.map((_, i) => i);
+    const members = entries.map((_, i) => [i]);
+    const indexById = new Map(entries.map((entry, i) => [entry.signal.id, i]));
+
+    const find = i => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+
+    const blocked = (rootA, rootB) => members[rootA].some(i => {
+      const separated = partners.get(entries[i].signal.id);
+      if (!separated) return false;
+      return [...separated].some(id => indexById.has(id) && find(indexById.get(id)) === rootB);
+    });
+
+    const links = candidatePairs(entries)
+      .map(([a, b]) => ({ a, b, score: similarity(entries[a].features, entries[b].features) }))
+      .filter(link => link.score >= CLUSTER_CONFIG.threshold)
+      .sort((x, y) => y.score - x.score);
+
+    links.forEach(({ a, b }) => {
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA === rootB || blocked(rootA, rootB) || blocked(rootB, rootA)) return;
+
+      const [big, small] = members[rootA].length >= members[rootB].length ? [rootA, rootB] : [rootB, rootA];
+      parent[small] = big;
+      members[big].push(...members[small]);
+      members[small] = [];
+    });
+
+    return members.filter(group => group.length > 0).map(group => group.map(i => entries[i].signal));
+  }
+
+  function countBy(signals, field) {
+    return signals.reduce((counts, signal) => {
+      counts[signal[field]] = (counts[signal[field]] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  // The member most similar to the rest names the theme
+  function representative(signals) {
+    let best = signals[0];
+    let bestScore = -1;
+
+    signals.forEach(candidate => {
+      const own = features(candidate);
+      const score = signals.reduce((sum, other) => (
+        other === candidate ? sum : sum + jaccard(own.title, features(other).title)
+      ), 0);
+
+      if (score > bestScore || (score === bestScore && candidate.impact > best.impact)) {
+        best = candidate;
+        bestScore = score;
+      }
+    });
+
+    return best;
+  }
+
+  function summarizeTheme(signals, confirmed = null) {
+    const sorted = [...signals].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const urgencyTotal = sorted.reduce((sum, signal) => sum + signal.urgency, 0);
+    const lead = representative(sorted);
+
+    return {
+      id: confirmed ? confirmed.id : `auto_${sorted.map(s => s.id).sort()[0]}`,
+      name: confirmed?.name || lead.title,
+      confirmed: Boolean(confirmed),
+      signals: sorted,
+      size: sorted.length,
+      totalImpact: Math.round(sorted.reduce((sum, signal) => sum + signal.impact, 0)),
+      score: Math.round(window.signalboard.scoring.totalScore(sorted)),
+      avgUrgency: Math.round((urgencyTotal / sorted.length) * 10) / 10,
+      sourceMix: countBy(sorted, 'source'),
+      tierMix: countBy(sorted, 'tier'),
+      categoryMix: countBy(sorted, 'category'),
+      firstSeen: sorted[sorted.length - 1].timestamp,
+      lastSeen: sorted[0].timestamp
+    };
+  }
+
+  // Confirmed themes keep their membership; everything else is clustered fresh
+  function computeThemes(signals = window.state?.signals || [], review = window.state?.clusters) {
+    const byId = new Map(signals.map(signal => [signal.id, signal]));
+    const pinned = new Set();
+    const themes = [];
+
+    (review?.confirmed || []).forEach(theme => {
+      const members = theme.signalIds.map(id => byId.get(id)).filter(Boolean);
+      members.forEach(signal => pinned.add(signal.id));
+      if (members.length > 0) themes.push(summarizeTheme(members, theme));
+    });
+
+    const entries = signals
+      .filter(signal => !pinned.has(signal.id))
+      .map(signal => ({ signal, features: features(signal) }));
+
+    linkGroups(entries, separatedPartners(review))
+      .filter(group => group.length >= CLUSTER_CONFIG.minThemeSize)
+      .forEach(group => themes.push(summarizeTheme(group)));
+
+    // Drop cache entries for deleted signals
+    featureCache.forEach((_, id) => {
+      if (!byId.has(id)) featureCache.delete(id);
+    });
+
+    return themes.sort((a, b) => b.score - a.score);
+  }
+
+  // Theme size per signal id, for rules.js. Rules run on every save, so the
+  // sizes are kept until the signals, a title or context, or a review
+  // decision changes; edits to other fields don't recluster.
+  let sizeCache = { key: null, sizes: new Map() };
+
+  function themeSizes(signals = window.state?.signals || [], review = window.state?.clusters) {
+    const key = JSON.stringify([
+      review?.confirmed || [],
+      review?.separated || [],
+      signals.map(signal => `${signal.id}\u0000${features(signal).key}`)
+    ]);
+    if (sizeCache.key === key) return sizeCache.sizes;
+
+    const sizes = new Map();
+    computeThemes(signals, review).forEach(theme => {
+      theme.signals.forEach(member => sizes.set(member.id, theme.size));
+    });
+    sizeCache = { key, sizes };
+    return sizes;
+  }
+
+  // ===================================
+  // REVIEW ACTIONS
+  // ===================================
+
+  let lastThemes = [];
+
+  function getThemes() {
+    lastThemes = computeThemes();
+    return lastThemes;
+  }
+
+  function reviewState() {
+    const state = window.state;
+    if (!state.clusters) state.clusters = { confirmed: [], separated: [] };
+    return state.clusters;
+  }
+
+  function persist() {
+    if (window.saveState) window.saveState();
+    renderThemes();
+  }
+
+  function confirmTheme(themeId) {
+    const theme = lastThemes.find(t => t.id === themeId);
+    if (!theme || theme.confirmed) return;
+    const denied = window.signalboard.users.permissionError('signals.edit');
+    if (denied) {
+      showToast(denied);
+      return;
+    }
+
+    const history = window.signalboard.history;
+    history.perform('Confirm theme', () => {
+      reviewState().confirmed.push({
+        id: `theme_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        name: theme.name,
+        signalIds: theme.signals.map(signal => signal.id),
+        confirmedAt: new Date().toISOString()
+      });
+      persist();
+    });
+    history.notify(`Confirmed theme "${theme.name}"`);
+  }
+
+  function unconfirmTheme(themeId) {
+    const denied = window.signalboard.users.permissionError('signals.edit');
+    if (denied) {
+      showToast(denied);
+      return;
+    }
+    const history = window.signalboard.history;
+    history.perform('Unconfirm theme', () => {
+      const review = reviewState();
+      review.confirmed = review.confirmed.filter(theme => theme.id !== themeId);
+      persist();
+    });
+    history.notify('Theme unconfirmed');
+  }
+
+  // Splits one signal out of a theme and keeps it apart on later runs
+  function splitSignal(themeId, signalId) {
+    const theme = lastThemes.find(t => t.id === themeId);
+    if (!theme) return;
+    const denied = window.signalboard.users.permissionError('signals.edit');
+    if (denied) {
+      showToast(denied);
+      return;
+    }
+
+    const history = window.signalboard.history;
+    history.perform('Split signal from theme', () => {
+      const review = reviewState();
+      theme.signals
+        .filter(signal => signal.id !== signalId)
+        .forEach(signal => review.separated.push([signalId, signal.id]));
+
+      if (theme.confirmed) {
+        const confirmed = review.confirmed.find(t => t.id === themeId);
+        if (confirmed) {
+          confirmed.signalIds = confirmed.signalIds.filter(id => id !== signalId);
+          if (confirmed.signalIds.length < CLUSTER_CONFIG.minThemeSize) {
+            review.confirmed = review.confirmed.filter(t => t.id !== themeId);
+          }
+        }
+      }
+
+      persist();
+    });
+    history.notify('Signal split from theme');
+  }
+
+  // ===================================
+  // UI RENDERING
+  // ===================================
+
+  const escapeHtml = window.signalboard.escapeHtml;
+
+  function formatLabel(field, value) {
+    if (field === 'source' && typeof window.formatSource === 'function') return window.formatSource(value);
+    if (field === 'tier' && typeof window.formatTier === 'function') return window.formatTier(value);
+    return value;
+  }
+
+  function renderMix(mix, field, total) {
+    return Object.entries(mix)
+      .sort(([, a], [, b]) => b - a)
+      .map(([value, count]) => `
+        <span class="theme-chip" title="${Math.round((count / total) * 100)}%">
+          ${escapeHtml(formatLabel(field, value))} · ${count}
+        </span>
+      `).join('');
+  }
+
+  function renderThemes() {
+    const container = document.getElementById('themes-list');
+    const summary = document.getElementById('themes-summary');
+    if (!container) return;
+
+    const filter = document.getElementById('themes-filter')?.value || 'all';
+    const themes = getThemes().filter(theme => (
+      filter === 'all' || (filter === 'confirmed' ? theme.confirmed : !theme.confirmed)
+    ));
+
+    if (summary) {
+      const clustered = lastThemes.reduce((sum, theme) => sum + theme.size, 0);
+      summary.textContent = `${lastThemes.length} themes covering ${clustered} of ${window.state?.signals.length || 0} signals`;
+    }
+
+    if (themes.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <p>No recurring themes yet. Themes appear once two or more signals look alike.</p>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = themes.map(theme => `
+      <div class="signal-card theme-card ${theme.confirmed ? 'theme-confirmed' : ''}" data-theme-id="${escapeHtml(theme.id)}">
+        <div class="signal-header">
+          <div>
+            <h4 class="signal-title">${escapeHtml(theme.name)}</h4>
+            <p class="signal-source">
+              ${theme.size} signals • ${theme.confirmed ? 'Confirmed' : 'Suggested'} •
+              Last seen ${new Date(theme.lastSeen).toLocaleDateString()}
+            </p>
+          </div>
+          ${theme.confirmed
+            ? '<button type="button" class="btn-secondary" data-action="unconfirm" data-permission="signals.edit">Unconfirm</button>'
+            : '<button type="button" class="btn-primary" data-action="confirm" data-permission="signals.edit">Confirm Theme</button>'}
+        </div>
+
+        <div class="signal-meta">
+          <div class="signal-metric">
+            <span class="metric-label">Priority Score</span>
+            <span class="metric-value">${theme.score.toLocaleString()}</span>
+          </div>
+          <div class="signal-metric">
+            <span class="metric-label">Avg Urgency</span>
+            <span class="metric-value">${theme.avgUrgency}</span>
+          </div>
+        </div>
+
+        <div class="theme-mix">
+          <span class="metric-label">Sources</span>
+          <div class="theme-chips">${renderMix(theme.sourceMix, 'source', theme.size)}</div>
+        </div>
+        <div class="theme-mix">
+          <span class="metric-label">Tiers</span>
+          <div class="theme-chips">${renderMix(theme.tierMix, 'tier', theme.size)}</div>
+        </div>
+
+        <details class="theme-members">
+          <summary>Show ${theme.size} signals</summary>
+          <ul>
+            ${theme.signals.map(signal => `
+              <li>
+                <div>
+                  <span>${escapeHtml(signal.title)}</span>
+                  <small>${escapeHtml(formatLabel('source', signal.source))} • ${escapeHtml(formatLabel('tier', signal.tier))} • ${new Date(signal.timestamp).toLocaleDateString()}</small>
+                </div>
+                <button type="button" class="btn-icon" data-action="split" data-permission="signals.edit" data-signal-id="${escapeHtml(signal.id)}">Split off</button>
+              </li>
+            `).join('')}
+          </ul>
+        </details>
+      </div>
+    `).join('');
+  }
+
+  function handleThemeClick(event) {
+    const button = event.target.closest('button[data-action]');
+    const card = event.target.closest('[data-theme-id]');
+    if (!button || !card) return;
+
+    const themeId = card.dataset.themeId;
+
+    switch (button.dataset.action) {
+      case 'confirm':
+        confirmTheme(themeId);
+        break;
+      case 'unconfirm':
+        unconfirmTheme(themeId);
+        break;
+      case 'split':
+        splitSignal(themeId, button.dataset.signalId);
+        break;
+    }
+  }
+
+  function showToast(message) {
+    if (typeof window.showToast === 'function') {
+      window.showToast(message);
+    } else {
+      console.log('Toast:', message);
+    }
+  }
+
+  // ===================================
+  // INITIALIZATION
+  // ===================================
+
+  function bindEvents() {
+    document.getElementById('themes-list')?.addEventListener('click', handleThemeClick);
+    document.getElementById('themes-filter')?.addEventListener('change', renderThemes);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindEvents);
+  } else {
+    bindEvents();
+  }
+
+  // Render themes when switching to the themes view
+  const originalSwitchView = window.switchView;
+  if (originalSwitchView) {
+    window.switchView = function (viewName) {
+      originalSwitchView(viewName);
+      if (viewName === 'themes') renderThemes();
+    };
+  }
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.clustering = {
+    getThemes,
+    computeThemes,
+    themeSizes,
+    confirmTheme,
+    unconfirmTheme,
+    splitSignal,
+    render: renderThemes,
+    similarity: (a, b) => similarity(features(a), features(b)),
+    config: CLUSTER_CONFIG
+  };
+
+})();
+
+console.log('🧩 SignalBoard Theme Clustering Loaded');
@@ -0,0 +1,499 @@
+// ===================================
+// SIGNALBOARD CSV IMPORTER
+// RFC-4180 parsing, column mapping, row validation and bulk insert
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // CONFIGURATION
+  // ===================================
+  const IMPORT_CONFIG = {
+    // Rows shown in the preview table
+    previewRows: 10,
+
+    // Candidate delimiters, checked against the header line
+    delimiters: [',', ';', '\t'],
+
+    // Signal fields that can be mapped to a column
+    fields: [
+      { key: 'title', label: 'Title', required: true },
+      { key: 'impact', label: 'Impact', required: true },
+      { key: 'urgency', label: 'Urgency' },
+      { key: 'source', label: 'Source' },
+      { key: 'category', label: 'Category' },
+      { key: 'tier', label: 'Tier' },
+      { key: 'sentiment', label: 'Sentiment' },
+      { key: 'context', label: 'Context' },
+      { key: 'tags', label: 'Tags' },
+      { key: 'timestamp', label: 'Timestamp' }
+    ],
+
+    // Normalized header names recognised for each field
+    headerAliases: {
+      title: ['title', 'summary', 'subject', 'headline', 'issue', 'name'],
+      impact: ['impact', 'impactscore', 'score'],
+      urgency: ['urgency', 'priority', 'severity'],
+      source: ['source', 'channel', 'origin'],
+      category: ['category', 'type', 'kind'],
+      tier: ['tier', 'customertier', 'plan', 'segment'],
+      sentiment: ['sentiment', 'tone', 'mood'],
+      context: ['context', 'description', 'details', 'body', 'notes', 'comment', 'message'],
+      tags: ['tags', 'labels', 'keywords'],
+      timestamp: ['timestamp', 'date', 'createdat', 'created', 'time', 'reportedat', 'submittedat']
+    }
+  };
+
+  const schema = window.signalboard.schema;
+
+  // Current import session
+  const importState = {
+    filename: null,
+    headers: [],
+    rows: [],
+    mapping: {}
+  };
+
+  // ===================================
+  // CSV PARSING (RFC-4180)
+  // ===================================
+
+  function detectDelimiter(text) {
+    let headerLine = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (ch === '"') inQuotes = !inQuotes;
+      if (!inQuotes && (ch === '\n' || ch === '\r')) break;
+      headerLine += ch;
+    }
+
+    let best = IMPORT_CONFIG.delimiters[0];
+    let bestCount = 0;
+
+    IMPORT_CONFIG.delimiters.forEach(delimiter => {
+      const count = headerLine.split(delimiter).length - 1;
+      if (count > bestCount) {
+        best = delimiter;
+        bestCount = count;
+      }
+    });
+
+    return best;
+  }
+
+  function parseCSV(text, delimiter = null) {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const sep = delimiter || detectDelimiter(input);
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let quoteStartLine = 0;
+    let line = 1;
+    let i = 0;
+
+    while (i < input.length) {
+      const ch = input[i];
+
+      if (inQuotes) {
+        if (ch === '"') {
+          // Escaped quote ("") inside a quoted field
+          if (input[i + 1] === '"') {
+            field += '"';
+            i += 2;
+            continue;
+          }
+          inQuotes = false;
+          i++;
+          continue;
+        }
+        if (ch === '\n') line++;
+        field += ch;
+        i++;
+        continue;
+      }
+
+      if (ch === '"' && field === '') {
+        inQuotes = true;
+        quoteStartLine = line;
+        i++;
+        continue;
+      }
+
+      if (ch === sep) {
+        row.push(field);
+        field = '';
+        i++;
+        continue;
+      }
+
+      if (ch === '\r' || ch === '\n') {
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+        if (ch === '\r' && input[i + 1] === '\n') i++;
+        line++;
+        i++;
+        continue;
+      }
+
+      field += ch;
+      i++;
+    }
+
+    if (inQuotes) {
+      throw new Error(`Unterminated quoted field starting on line ${quoteStartLine}`);
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+  }
+
+  // ===================================
+  // COLUMN MAPPING
+  // ===================================
+
+  function normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  function guessMapping(headers) {
+    const normalized = headers.map(normalizeHeader);
+    const mapping = {};
+    const used = new Set();
+
+    IMPORT_CONFIG.fields.forEach(({ key }) => {
+      const aliases = IMPORT_CONFIG.headerAliases[key] || [key];
+      const index = normalized.findIndex((h, i) => !used.has(i) && aliases.includes(h));
+      mapping[key] = index;
+      if (index >= 0) used.add(index);
+    });
+
+    return mapping;
+  }
+
+  // ===================================
+  // ROW VALIDATION
+  // ===================================
+
+  function matchOption(value, options, formatter) {
+    const needle = value.toLowerCase();
+    return options.find(option => {
+      if (option === needle) return true;
+      const label = typeof formatter === 'function' ? String(formatter(option)).toLowerCase() : null;
+      return label === needle;
+    }) || null;
+  }
+
+  function validateRow(row, mapping) {
+    const { sources, categories, tiers, sentiments, defaults } = schema.definition;
+    const errors = [];
+    // Drops the ' that bulk export puts before formula-like text
+    const read = key => {
+      const index = mapping[key];
+      return index >= 0 && index < row.length ? row[index].trim().replace(/^'(?=[=+\-@])/, '') : '';
+    };
+
+    const title = read('title');
+    if (!title) errors.push('Title is required');
+
+    const impactRaw = read('impact');
+    // Number(), unlike parseFloat, rejects trailing text such as "50abc"
+    const impact = Number(impactRaw);
+    if (!impactRaw) {
+      errors.push('Impact is required');
+    } else if (!Number.isFinite(impact) || impact < 0 || impact > 100) {
+      errors.push(`Impact "${impactRaw}" must be a number from 0 to 100`);
+    }
+
+    const urgencyRaw = read('urgency');
+    const urgency = urgencyRaw ? schema.normalizeUrgency(urgencyRaw) : defaults.urgency;
+    if (!urgency) errors.push(`Unknown urgency "${urgencyRaw}"`);
+
+    const sourceRaw = read('source');
+    const source = sourceRaw ? matchOption(sourceRaw, sources, window.formatSource) : defaults.source;
+    if (!source) errors.push(`Unknown source "${sourceRaw}"`);
+
+    const categoryRaw = read('category');
+    const category = categoryRaw ? matchOption(categoryRaw, categories, window.formatCategory) : defaults.category;
+    if (!category) errors.push(`Unknown category "${categoryRaw}"`);
+
+    const tierRaw = read('tier');
+    const tier = tierRaw ? matchOption(tierRaw, tiers) : defaults.tier;
+    if (!tier) errors.push(`Unknown tier "${tierRaw}"`);
+
+    // Left blank, sentiment is detected from the text when the signal is built
+    const sentimentRaw = read('sentiment');
+    const sentiment = sentimentRaw ? matchOption(sentimentRaw, sentiments) : undefined;
+    if (sentiment === null) errors.push(`Unknown sentiment "${sentimentRaw}"`);
+
+    const timestampRaw = read('timestamp');
+    const date = timestampRaw ? new Date(timestampRaw) : new Date();
+    if (Number.isNaN(date.getTime())) errors.push(`Unrecognized date "${timestampRaw}"`);
+
+    if (errors.length > 0) {
+      return { signal: null, errors };
+    }
+
+    return {
+      signal: schema.createSignal({
+        title,
+        impact,
+        urgency,
+        source,
+        category,
+        tier,
+        sentiment,
+        context: read('context'),
+        // "KV; EU" or "KV, EU" (schema.normalizeTags splits either)
+        tags: read('tags'),
+        timestamp: date.toISOString()
+      }),
+      errors
+    };
+  }
+
+  function validateAll() {
+    return importState.rows.map(row => validateRow(row, importState.mapping));
+  }
+
+  // ===================================
+  // UI RENDERING
+  // ===================================
+
+  const escapeHtml = window.signalboard.escapeHtml;
+
+  function renderMapping() {
+    const container = document.getElementById('csv-mapping');
+    if (!container) return;
+
+    const columnOptions = index => [
+      `<option value="-1">— Skip —</option>`,
+      ...importState.headers.map((header, i) => `
+        <option value="${i}" ${i === index ? 'selected' : ''}>${escapeHtml(header || `Column ${i + 1}`)}</option>
+      `)
+    ].join('');
+
+    container.innerHTML = IMPORT_CONFIG.fields.map(field => `
+      <div class="form-group">
+        <label class="form-label" for="csv-map-${field.key}">
+          ${field.label}${field.required ? ' *' : ''}
+        </label>
+        <select id="csv-map-${field.key}" class="form-input" data-field="${field.key}">
+          ${columnOptions(importState.mapping[field.key])}
+        </select>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('select').forEach(select => {
+      select.addEventListener('change', () => {
+        importState.mapping[select.dataset.field] = parseInt(select.value, 10);
+        renderPreview();
+      });
+    });
+  }
+
+  function renderPreview() {
+    const container = document.getElementById('csv-preview');
+    const summary = document.getElementById('csv-summary');
+    const confirmBtn = document.getElementById('csv-import-confirm');
+    if (!container) return;
+
+    const results = validateAll();
+    const validCount = results.filter(r => r.signal).length;
+    const mappedFields = IMPORT_CONFIG.fields.filter(f => importState.mapping[f.key] >= 0);
+
+    const previewRows = importState.rows.slice(0, IMPORT_CONFIG.previewRows).map((row, i) => {
+      const result = results[i];
+      const cells = mappedFields.map(field => {
+        const value = row[importState.mapping[field.key]] || '';
+        return `<td>${escapeHtml(value.length > 80 ? `${value.slice(0, 80)}…` : value)}</td>`;
+      }).join('');
+      const status = result.signal
+        ? '<span class="csv-row-ok">✓ Ready</span>'
+        : `<span class="csv-row-error">${result.errors.map(escapeHtml).join('<br>')}</span>`;
+
+      return `<tr class="${result.signal ? '' : 'csv-row-invalid'}"><td>${i + 1}</td>${cells}<td>${status}</td></tr>`;
+    }).join('');
+
+    container.innerHTML = `
+      <table class="csv-preview-table">
+        <thead>
+          <tr>
+            <th>#</th>
+            ${mappedFields.map(f => `<th>${f.label}</th>`).join('')}
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>${previewRows}</tbody>
+      </table>
+    `;
+
+    if (summary) {
+      const invalidCount = results.length - validCount;
+      summary.textContent = `${validCount} of ${results.length} rows ready to import` +
+        (invalidCount > 0 ? ` • ${invalidCount} with errors will be skipped` : '');
+    }
+
+    if (confirmBtn) {
+      confirmBtn.disabled = validCount === 0;
+      confirmBtn.textContent = `Import ${validCount} Signal${validCount === 1 ? '' : 's'}`;
+    }
+  }
+
+  function showImporter() {
+    const container = document.getElementById('csv-import-container');
+    const title = document.getElementById('csv-import-filename');
+
+    if (title) title.textContent = importState.filename || '';
+    if (window.hideSignalForm) window.hideSignalForm();
+
+    if (container) {
+      container.classList.remove('hidden');
+      container.scrollIntoView({ behavior: 'smooth' });
+    }
+  }
+
+  function hideImporter() {
+    const container = document.getElementById('csv-import-container');
+    if (container) container.classList.add('hidden');
+
+    importState.filename = null;
+    importState.headers = [];
+    importState.rows = [];
+    importState.mapping = {};
+  }
+
+  // ===================================
+  // IMPORT FLOW
+  // ===================================
+
+  function openImport(content, filename) {
+    let table;
+
+    try {
+      table = parseCSV(content);
+    } catch (error) {
+      console.error('CSV parse failed:', error);
+      showToast(`Could not parse ${filename}: ${error.message}`);
+      return false;
+    }
+
+    if (table.length < 2) {
+      showToast(`${filename} has no data rows`);
+      return false;
+    }
+
+    importState.filename = filename;
+    importState.headers = table[0].map(h => h.trim());
+    importState.rows = table.slice(1);
+    importState.mapping = guessMapping(importState.headers);
+
+    showImporter();
+    renderMapping();
+    renderPreview();
+
+    console.log(`→ Parsed ${importState.rows.length} rows from ${filename}`);
+    return true;
+  }
+
+  function confirmImport() {
+    const state = window.state;
+    if (!state) return;
+    const denied = window.signalboard.users.permissionError('signals.create');
+    if (denied) {
+      showToast(denied);
+      return;
+    }
+
+    const results = validateAll();
+    const signals = results
+      .filter(r => r.signal)
+      .map(r => r.signal)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    if (signals.length === 0) {
+      showToast('No valid rows to import');
+      return;
+    }
+
+    const skipped = results.length - signals.length;
+    const filename = importState.filename;
+
+    window.signalboard.history.perform(`Import ${signals.length} signals from CSV`, () => {
+      state.signals.unshift(...signals);
+      if (window.saveState) window.saveState();
+    });
+
+    hideImporter();
+
+    if (window.updateDashboard) window.updateDashboard();
+    if (window.renderRecentSignals) window.renderRecentSignals();
+    if (window.renderTimeline) window.renderTimeline();
+
+    if (window.signalboard?.trackEvent) {
+      window.signalboard.trackEvent('signals_imported', {
+        format: 'csv',
+        imported: signals.length,
+        skipped
+      });
+    }
+
+    if (window.switchView) window.switchView('history');
+
+    window.signalboard.history.notify(`Imported ${signals.length} signals from ${filename}` +
+      (skipped > 0 ? ` (${skipped} skipped)` : ''));
+    console.log(`✓ Imported ${signals.length} signals, skipped ${skipped}`);
+  }
+
+  function showToast(message) {
+    if (typeof window.showToast === 'function') {
+      window.showToast(message);
+    } else {
+      console.log('Toast:', message);
+    }
+  }
+
+  // ===================================
+  // INITIALIZATION
+  // ===================================
+
+  function bindEvents() {
+    document.getElementById('csv-import-confirm')?.addEventListener('click', confirmImport);
+    document.getElementById('csv-import-cancel')?.addEventListener('click', hideImporter);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindEvents);
+  } else {
+    bindEvents();
+  }
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.csvImport = {
+    open: openImport,
+    close: hideImporter,
+    parse: parseCSV,
+    guessMapping,
+    validateRow,
+    config: IMPORT_CONFIG
+  };
+
+})();
+
+console.log('📥 SignalBoard CSV Importer Loaded');
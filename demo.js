@@ -11,14 +11,26 @@
   // DEMO DATA GENERATORS
   // ===================================
 
+  const schema = window.signalboard.schema;
+
   const DEMO_CONFIG = {
     userCount: 100,
     signalCount: 250,
     timeRangeDays: 45,
-    categories: ['bug', 'feature', 'performance', 'ux', 'documentation'],
-    sources: ['github', 'support', 'community', 'sales', 'internal'],
-    tiers: ['enterprise', 'pro', 'free'],
-    urgencyLevels: ['low', 'medium', 'high', 'critical']
+    // Read from the taxonomy at generation time; categories need templates below
+    get categories() {
+      const available = schema.definition.categories.filter(category => SIGNAL_TEMPLATES[category]);
+      return available.length > 0 ? available : Object.keys(SIGNAL_TEMPLATES);
+    },
+    get sources() {
+      return schema.definition.sources;
+    },
+    get tiers() {
+      return schema.definition.tiers;
+    },
+    get urgencyLevels() {
+      return Object.values(schema.definition.urgencyLevels);
+    }
   };
 
   // Realistic signal templates
@@ -93,15 +105,13 @@
     const impactVariation = randomInt(-10, 10);
     const impact = Math.max(0, Math.min(100, template.impact + impactVariation));
     
-    const urgencyOptions = ['low', 'medium', 'high', 'critical'];
-    const urgency = Math.random() > 0.7 ? template.urgency : randomItem(urgencyOptions);
+    const urgency = Math.random() > 0.7 ? template.urgency : randomItem(DEMO_CONFIG.urgencyLevels);
     
     // Generate timestamp
     const maxDays = daysAgo !== null ? daysAgo : DEMO_CONFIG.timeRangeDays;
     const timestamp = randomDate(randomInt(0, maxDays));
     
-    return {
-      id: `signal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    return schema.createSignal({
       title: template.title,
       impact,
       urgency,
@@ -109,9 +119,8 @@
       category,
       tier,
       context: generateContext(category, tier),
-      timestamp,
-      date: timestamp.split('T')[0]
-    };
+      timestamp
+    });
   }
 
   function generateContext(category, tier) {
@@ -205,8 +214,7 @@
         ];
         
         incidentSignals.forEach(title => {
-          signals.push({
-            id: `signal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          signals.push(schema.createSignal({
             title,
             impact: randomInt(80, 95),
             urgency: 'critical',
@@ -214,9 +222,8 @@
             category: 'bug',
             tier: randomItem(['enterprise', 'pro', 'free']),
             context: 'Part of platform-wide incident - immediate investigation required',
-            timestamp: randomDate(randomInt(0, 2)),
-            date: randomDate(randomInt(0, 2)).split('T')[0]
-          });
+            timestamp: randomDate(randomInt(0, 2))
+          }));
         });
         
         return signals;
@@ -245,8 +252,7 @@
         ];
         
         features.forEach(title => {
-          signals.push({
-            id: `signal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          signals.push(schema.createSignal({
             title,
             impact: randomInt(60, 80),
             urgency: randomItem(['medium', 'high']),
@@ -254,9 +260,8 @@
             category: 'feature',
             tier: randomItem(['enterprise', 'pro', 'free']),
             context: 'Post-conference feedback - high developer interest',
-            timestamp: randomDate(randomInt(0, 3)),
-            date: randomDate(randomInt(0, 3)).split('T')[0]
-          });
+            timestamp: randomDate(randomInt(0, 3))
+          }));
         });
         
         // Background signals
@@ -280,22 +285,26 @@
           signals.push(generateSignal(30));
         }
         
-        // Performance issues (increasing over time)
+        // Performance issues ramping up over two weeks: APAC first, then
+        // EU, US-East and US-West three days apart, each region reporting
+        // more often the longer it has been degraded
         const regions = ['APAC', 'EU', 'US-East', 'US-West'];
-        regions.forEach(region => {
-          for (let i = 0; i < 4; i++) {
-            signals.push({
-              id: `signal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-              title: `${randomItem(['Workers', 'R2', 'KV'])} latency spike in ${region}`,
-              impact: randomInt(65, 85),
-              urgency: randomItem(['high', 'critical']),
-              source: randomItem(['support', 'internal']),
-              category: 'performance',
-              tier: randomItem(['enterprise', 'pro']),
-              context: `${region} region showing degraded performance metrics`,
-              timestamp: randomDate(randomInt(0, 14)),
-              date: randomDate(randomInt(0, 14)).split('T')[0]
-            });
+        regions.forEach((region, index) => {
+          const onset = 14 - index * 3;
+          for (let daysAgo = onset; daysAgo >= 0; daysAgo--) {
+            const count = Math.floor((onset - daysAgo) / 5) + (Math.random() < 0.5 ? 1 : 0);
+            for (let i = 0; i < count; i++) {
+              signals.push(schema.createSignal({
+                title: `${randomItem(['Workers', 'R2', 'KV'])} latency spike in ${region}`,
+                impact: randomInt(65, 85),
+                urgency: randomItem(['high', 'critical']),
+                source: randomItem(['support', 'internal']),
+                category: 'performance',
+                tier: randomItem(['enterprise', 'pro']),
+                context: `${region} region showing degraded performance metrics`,
+                timestamp: randomDate(daysAgo)
+              }));
+            }
           }
         });
         
@@ -321,8 +330,7 @@
         ];
         
         enterpriseIssues.forEach(issue => {
-          signals.push({
-            id: `signal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          signals.push(schema.createSignal({
             title: issue.title,
             impact: issue.impact,
             urgency: issue.urgency,
@@ -330,9 +338,8 @@
             category: issue.category,
             tier: 'enterprise',
             context: 'Enterprise customer - revenue impact if not resolved quickly',
-            timestamp: randomDate(randomInt(0, 7)),
-            date: randomDate(randomInt(0, 7)).split('T')[0]
-          });
+            timestamp: randomDate(randomInt(0, 7))
+          }));
         });
         
         // Mixed background signals
@@ -345,6 +352,58 @@
     }
   };
 
+  // ===================================
+  // DEMO ACCOUNTS
+  // ===================================
+
+  // Stable ids so reloading a scenario reuses the same accounts
+  const DEMO_ACCOUNTS = [
+    { id: 'demo_acct_northwind', name: 'Northwind Logistics', tier: 'enterprise', arr: 480000, region: 'na', owner: 'Priya' },
+    { id: 'demo_acct_globex', name: 'Globex Media', tier: 'enterprise', arr: 320000, region: 'emea', owner: 'Marco' },
+    { id: 'demo_acct_kaiju', name: 'Kaiju Games', tier: 'enterprise', arr: 250000, region: 'apac', owner: 'Aiko' },
+    { id: 'demo_acct_lumen', name: 'Lumen Health', tier: 'pro', arr: 36000, region: 'na', owner: 'Priya' },
+    { id: 'demo_acct_fjord', name: 'Fjord Analytics', tier: 'pro', arr: 24000, region: 'emea', owner: 'Marco' },
+    { id: 'demo_acct_sprout', name: 'Sprout Studio', tier: 'pro', arr: 12000, region: 'latam', owner: 'Diego' }
+  ];
+
+  // Adds the demo accounts next to any real ones
+  function withDemoAccounts(accounts = []) {
+    const existing = new Set(accounts.map(account => account.id));
+    return [
+      ...accounts,
+      ...DEMO_ACCOUNTS
+        .filter(account => !existing.has(account.id))
+        .map(account => ({ ...account, createdAt: new Date().toISOString() }))
+    ];
+  }
+
+  // Paid-tier signals come from one of the demo accounts of that tier
+  function linkDemoAccounts(signals) {
+    signals.forEach(signal => {
+      const candidates = DEMO_ACCOUNTS.filter(account => account.tier === signal.tier);
+      if (!signal.accountId && candidates.length > 0) signal.accountId = randomItem(candidates).id;
+    });
+    return signals;
+  }
+
+  // Region tags for the demo accounts' regions
+  const REGION_TAGS = { na: 'US', emea: 'EU', apac: 'APAC' };
+
+  // Product and region tags from the text (tags.js), plus the linked
+  // account's region, so tag facets and trends have data to show
+  function tagDemoSignals(signals) {
+    const tags = window.signalboard.tags;
+    signals.forEach(signal => {
+      const account = DEMO_ACCOUNTS.find(candidate => candidate.id === signal.accountId);
+      signal.tags = schema.normalizeTags([
+        ...(signal.tags || []),
+        ...tags.detect(`${signal.title} ${signal.context}`),
+        ...(account && REGION_TAGS[account.region] ? [REGION_TAGS[account.region]] : [])
+      ]);
+    });
+    return signals;
+  }
+
   // ===================================
   // DEMO BENCHMARKS
   // ===================================
@@ -355,6 +414,11 @@
         id: 'benchmark_reliability',
         name: 'Reliability Baseline',
         targetImpact: 2000,
+        urgencyWeight: 1.5,
+        tierWeight: 1,
+        categoryWeight: 1,
+        categoryWeights: { bug: 1.5, performance: 1.4 },
+        recencyHalfLifeDays: 7,
         customerTierWeight: {
           enterprise: 3,
           pro: 2,
@@ -366,6 +430,11 @@
         id: 'benchmark_growth',
         name: 'Growth Target',
         targetImpact: 2500,
+        urgencyWeight: 1,
+        tierWeight: 0.5,
+        categoryWeight: 1,
+        categoryWeights: { feature: 1.5, ux: 1.3 },
+        recencyHalfLifeDays: 30,
         customerTierWeight: {
           enterprise: 3,
           pro: 2,
@@ -377,12 +446,28 @@
         id: 'benchmark_enterprise',
         name: 'Enterprise Excellence',
         targetImpact: 1800,
+        urgencyWeight: 1,
+        tierWeight: 1.5,
+        categoryWeight: 1,
+        recencyHalfLifeDays: 14,
         customerTierWeight: {
           enterprise: 5,
           pro: 2,
           free: 0.5
         },
         active: false
+      },
+      {
+        id: 'benchmark_revenue',
+        name: 'Revenue Protection',
+        targetImpact: 1500,
+        urgencyWeight: 1,
+        tierWeight: 1,
+        categoryWeight: 1,
+        recencyHalfLifeDays: 14,
+        weightingMode: 'revenue',
+        revenueReferenceArr: 100000,
+        active: false
       }
     ];
   }
@@ -391,6 +476,14 @@
   // DEMO EXECUTION
   // ===================================
 
+  // Demo data replaces every signal in the workspace, so it takes a role
+  // that may delete any signal (users.js)
+  function canReplaceSignals() {
+    const denied = window.signalboard.users?.permissionError('signals.delete');
+    if (denied) console.error(`${denied}. Sign in as an admin to load or clear demo data.`);
+    return !denied;
+  }
+
   function loadDemoScenario(scenarioName) {
     const scenario = demoScenarios[scenarioName];
     
@@ -399,28 +492,28 @@
       console.log('Available scenarios:', Object.keys(demoScenarios));
       return;
     }
+    if (!canReplaceSignals()) return;
 
     console.log(`\n📊 Loading Demo: ${scenario.name}`);
     console.log(`Description: ${scenario.description}\n`);
 
     // Generate signals
-    const signals = scenario.generate();
+    const signals = tagDemoSignals(linkDemoAccounts(scenario.generate()));
     
-    // Update global state
+    // Update global state; undoable, since this replaces real signals
     if (window.state) {
-      window.state.signals = signals;
-      
-      // Update benchmarks if needed
-      if (!window.state.benchmarks || window.state.benchmarks.length === 0) {
-        window.state.benchmarks = generateDemoBenchmarks();
-      }
-      
-      // Save to localStorage
-      try {
-        localStorage.setItem('signalboard_state', JSON.stringify(window.state));
-      } catch (error) {
-        console.warn('Failed to save demo data to localStorage');
-      }
+      window.signalboard.history.perform(`Load demo: ${scenario.name}`, () => {
+        window.state.signals = signals;
+        window.state.accounts = withDemoAccounts(window.state.accounts);
+        
+        // Update benchmarks if needed
+        if (!window.state.benchmarks || window.state.benchmarks.length === 0) {
+          window.state.benchmarks = generateDemoBenchmarks();
+        }
+        
+        // Persist through the app so the stored blob keeps its schema version
+        if (window.saveState) window.saveState();
+      }, { toast: `Loaded demo "${scenario.name}"` });
     }
 
     console.log(`✓ Generated ${signals.length} signals`);
@@ -437,7 +530,8 @@
     
     // Show urgency distribution
     const urgencyDist = signals.reduce((acc, signal) => {
-      acc[signal.urgency] = (acc[signal.urgency] || 0) + 1;
+      const label = schema.urgencyLabel(signal.urgency);
+      acc[label] = (acc[label] || 0) + 1;
       return acc;
     }, {});
     
@@ -447,6 +541,7 @@
     // Refresh UI
     if (window.updateDashboard) window.updateDashboard();
     if (window.renderRecentSignals) window.renderRecentSignals();
+    if (window.renderTimeline) window.renderTimeline();
     if (window.renderAnalyticsView) window.renderAnalyticsView();
     if (window.renderPMMetrics) window.renderPMMetrics();
     
@@ -455,21 +550,23 @@
   }
 
   function generateRandomSignals(count = 50) {
+    if (!canReplaceSignals()) return;
+
     console.log(`\n📊 Generating ${count} random signals...\n`);
     
     const signals = [];
     for (let i = 0; i < count; i++) {
       signals.push(generateSignal());
     }
+    tagDemoSignals(linkDemoAccounts(signals));
     
     if (window.state) {
-      window.state.signals = signals;
-      
-      try {
-        localStorage.setItem('signalboard_state', JSON.stringify(window.state));
-      } catch (error) {
-        console.warn('Failed to save to localStorage');
-      }
+      window.signalboard.history.perform(`Generate ${count} random signals`, () => {
+        window.state.signals = signals;
+        window.state.accounts = withDemoAccounts(window.state.accounts);
+        
+        if (window.saveState) window.saveState();
+      }, { toast: `Generated ${count} random signals` });
     }
     
     console.log(`✓ Generated ${count} signals`);
@@ -482,6 +579,9 @@
   }
 
   function clearAllData() {
+    if (!canReplaceSignals()) return;
+
+    // Analytics events cannot be undone, so this one still asks first
     if (!confirm('Are you sure you want to clear all demo data?')) {
       return;
     }
@@ -489,16 +589,22 @@
     console.log('\n🗑️  Clearing all data...\n');
     
     if (window.state) {
-      window.state.signals = [];
-      window.state.benchmarks = generateDemoBenchmarks();
+      window.signalboard.history.perform('Clear all data', () => {
+        window.state.signals = [];
+        window.state.accounts = [];
+        window.state.benchmarks = generateDemoBenchmarks();
+        window.state.currentBenchmark = window.state.benchmarks.find(b => b.active) || null;
+        window.state.clusters = { confirmed: [], separated: [] };
+        if (window.saveState) window.saveState();
+      }, { toast: 'All data cleared' });
     }
     
-    try {
-      localStorage.removeItem('signalboard_state');
-      localStorage.removeItem('signalboard_analytics_events');
-    } catch (error) {
-      console.warn('Failed to clear localStorage');
+    if (window.signalboard.analytics) {
+      window.signalboard.analytics.events = [];
     }
+    window.signalboard.storage.clearEvents().catch(() => {
+      console.warn('Failed to clear stored analytics events');
+    });
     
     // Refresh UI
     if (window.updateDashboard) window.updateDashboard();
@@ -0,0 +1,269 @@
+// ===================================
+// SIGNALBOARD FORECASTING
+// Daily signal volume forecasts: Holt-Winters with additive weekly
+// seasonality against a moving-average baseline, picked by backtest,
+// with prediction intervals from each model's residuals
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // CONFIGURATION
+  // ===================================
+
+  const FORECAST_CONFIG = {
+    horizon: 7,
+    // Days of history fed to the models (leading days before the first
+    // signal are dropped, so a new board isn't a run of zeros)
+    historyDays: 56,
+    // Holt-Winters needs two full seasons to initialise
+    seasonLength: 7,
+    minHistory: 14,
+    movingAverageWindow: 7,
+
+    // Smoothing parameters are picked per fit from this grid by in-sample
+    // one-step squared error
+    grid: {
+      alpha: [0.1, 0.3, 0.5, 0.7, 0.9],
+      beta: [0, 0.05, 0.1, 0.2],
+      gamma: [0.05, 0.1, 0.3, 0.5]
+    },
+
+    // Rolling-origin backtest: each fold holds out the `horizon` days after
+    // its origin, origins stepping back a week at a time
+    backtestFolds: 3,
+
+    // Two-sided prediction interval
+    level: 0.95,
+    z: 1.96
+  };
+
+  const MODELS = {
+    'holt-winters': { label: 'Holt-Winters (weekly)', minTrain: 2 * FORECAST_CONFIG.seasonLength },
+    'moving-average': { label: `${FORECAST_CONFIG.movingAverageWindow}-day moving average`, minTrain: FORECAST_CONFIG.movingAverageWindow + 1 }
+  };
+
+  // ===================================
+  // HELPERS
+  // ===================================
+
+  function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+  }
+
+  // Root mean square of the residuals, i.e. their standard deviation about zero
+  function residualSigma(residuals) {
+    return residuals.length > 0 ? Math.sqrt(mean(residuals.map(value => value * value))) : 0;
+  }
+
+  function round(value, places = 2) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+  }
+
+  // ===================================
+  // HOLT-WINTERS (ADDITIVE)
+  // ===================================
+
+  // Level and trend start from the first two seasons' means; seasonal
+  // indices from each weekday's average deviation from its season's mean
+  function initialState(series, m) {
+    const first = series.slice(0, m);
+    const second = series.slice(m, 2 * m);
+    const firstMean = mean(first);
+    const secondMean = mean(second);
+
+    return {
+      level: firstMean,
+      trend: (secondMean - firstMean) / m,
+      seasonal: first.map((value, i) => ((value - firstMean) + (second[i] - secondMean)) / 2)
+    };
+  }
+
+  // One pass over the series with fixed parameters. Residuals are one-step
+  // forecast errors, skipping the first season the initial state was fitted on.
+  function runHoltWinters(series, { alpha, beta, gamma }, m) {
+    const { level: startLevel, trend: startTrend, seasonal } = initialState(series, m);
+    let level = startLevel;
+    let trend = startTrend;
+    const residuals = [];
+
+    series.forEach((value, t) => {
+      const season = t % m;
+      const predicted = level + trend + seasonal[season];
+      if (t >= m) residuals.push(value - predicted);
+
+      const previousLevel = level;
+      level = alpha * (value - seasonal[season]) + (1 - alpha) * (level + trend);
+      trend = beta * (level - previousLevel) + (1 - beta) * trend;
+      seasonal[season] = gamma * (value - level) + (1 - gamma) * seasonal[season];
+    });
+
+    return { level, trend, seasonal, residuals, length: series.length };
+  }
+
+  function fitHoltWinters(series) {
+    const m = FORECAST_CONFIG.seasonLength;
+    const { alpha: alphas, beta: betas, gamma: gammas } = FORECAST_CONFIG.grid;
+    let best = null;
+
+    alphas.forEach(alpha => betas.forEach(beta => gammas.forEach(gamma => {
+      const fit = runHoltWinters(series, { alpha, beta, gamma }, m);
+      const sse = fit.residuals.reduce((sum, value) => sum + value * value, 0);
+      if (!best || sse < best.sse) best = { ...fit, sse, params: { alpha, beta, gamma } };
+    })));
+
+    const { alpha, beta, gamma } = best.params;
+    const sigma = residualSigma(best.residuals);
+
+    return {
+      model: 'holt-winters',
+      params: best.params,
+      sigma,
+      trend: best.trend,
+      predict(h) {
+        return best.level + h * best.trend + best.seasonal[(best.length + h - 1) % m];
+      },
+      // h-step error variance for additive Holt-Winters (Hyndman et al.,
+      // ETS(A,A,A)): σ²(1 + Σ c_j²) with c_j = α(1 + jβ) + γ on whole seasons
+      spread(h) {
+        let variance = 1;
+        for (let j = 1; j < h; j++) {
+          const c = alpha * (1 + j * beta) + (j % m === 0 ? gamma : 0);
+          variance += c * c;
+        }
+        return sigma * Math.sqrt(variance);
+      }
+    };
+  }
+
+  // ===================================
+  // MOVING-AVERAGE BASELINE
+  // ===================================
+
+  // Flat forecast at the mean of the last k days. Residuals are each day
+  // against the mean of the k days before it.
+  function fitMovingAverage(series) {
+    const k = FORECAST_CONFIG.movingAverageWindow;
+    const residuals = [];
+    for (let t = k; t < series.length; t++) {
+      residuals.push(series[t] - mean(series.slice(t - k, t)));
+    }
+
+    const value = mean(series.slice(-k));
+    const sigma = residualSigma(residuals);
+
+    return {
+      model: 'moving-average',
+      params: { window: k },
+      sigma,
+      trend: 0,
+      predict() {
+        return value;
+      },
+      // The mean itself is uncertain too: σ²(1 + 1/k)
+      spread() {
+        return sigma * Math.sqrt(1 + 1 / k);
+      }
+    };
+  }
+
+  const FITTERS = {
+    'holt-winters': fitHoltWinters,
+    'moving-average': fitMovingAverage
+  };
+
+  // ===================================
+  // BACKTESTING
+  // ===================================
+
+  // Mean absolute error per day over the folds, or null when the series is
+  // too short to hold out a fold with enough training data for the model
+  function backtest(series, modelName) {
+    const { horizon, backtestFolds } = FORECAST_CONFIG;
+    const errors = [];
+
+    for (let fold = 0; fold < backtestFolds; fold++) {
+      const origin = series.length - horizon - fold * FORECAST_CONFIG.seasonLength;
+      if (origin < MODELS[modelName].minTrain) break;
+
+      const fit = FITTERS[modelName](series.slice(0, origin));
+      series.slice(origin, origin + horizon).forEach((actual, i) => {
+        errors.push(Math.abs(actual - Math.max(0, fit.predict(i + 1))));
+      });
+    }
+
+    return errors.length > 0 ? mean(errors) : null;
+  }
+
+  // ===================================
+  // FORECAST
+  // ===================================
+
+  // Drop the days before the first signal
+  function trimLeading(series) {
+    const first = series.findIndex(value => value > 0);
+    return first === -1 ? [] : series.slice(first);
+  }
+
+  // series: daily counts of full days, oldest first, ending yesterday; step 1
+  // is today.
+  // Returns null when there's too little history to forecast.
+  function forecast(series, options = {}) {
+    const horizon = options.horizon || FORECAST_CONFIG.horizon;
+    const history = trimLeading(series.slice(-FORECAST_CONFIG.historyDays));
+    if (history.length < FORECAST_CONFIG.minHistory) return null;
+
+    const scores = Object.fromEntries(Object.keys(MODELS).map(name => [name, backtest(history, name)]));
+
+    // Lower backtest error wins; the baseline stands in when neither could be tested
+    const ranked = Object.keys(MODELS)
+      .filter(name => scores[name] !== null && history.length >= MODELS[name].minTrain)
+      .sort((a, b) => scores[a] - scores[b]);
+    const chosen = ranked[0] || 'moving-average';
+
+    const fit = FITTERS[chosen](history);
+    const points = [];
+    for (let h = 1; h <= horizon; h++) {
+      const value = Math.max(0, fit.predict(h));
+      const margin = FORECAST_CONFIG.z * fit.spread(h);
+      points.push({
+        step: h,
+        value: round(value),
+        lower: round(Math.max(0, value - margin)),
+        upper: round(value + margin)
+      });
+    }
+
+    return {
+      model: chosen,
+      label: MODELS[chosen].label,
+      params: fit.params,
+      level: FORECAST_CONFIG.level,
+      sigma: round(fit.sigma),
+      trend: fit.trend,
+      historyDays: history.length,
+      backtest: Object.fromEntries(Object.entries(scores).map(([name, mae]) => [name, mae === null ? null : round(mae)])),
+      points
+    };
+  }
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.forecasting = {
+    forecast,
+    backtest,
+    fitHoltWinters,
+    fitMovingAverage,
+    models: MODELS,
+    config: FORECAST_CONFIG
+  };
+
+})();
+
+console.log('📈 SignalBoard Forecasting Loaded');
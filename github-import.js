@@ -0,0 +1,607 @@
+// ===================================
+// SIGNALBOARD GITHUB IMPORT
+// Imports issues and comments from a `gh issue list --json` export
+// or a GitHub-compatible REST API (api.github.com or a local mock)
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // CONFIGURATION
+  // ===================================
+
+  const GITHUB_CONFIG = {
+    defaultBaseUrl: 'https://api.github.com',
+    perPage: 100,
+    maxIssues: 300,
+    maxContextLength: 600,
+    commentsInContext: 3,
+
+    // Lowercased label names; the first matching entry wins
+    categoryLabels: {
+      bug: ['bug', 'defect', 'regression', 'crash', 'type: bug', 'kind/bug'],
+      performance: ['performance', 'perf', 'slow', 'latency', 'type: performance'],
+      feature: ['enhancement', 'feature', 'feature request', 'proposal', 'type: feature', 'kind/feature'],
+      ux: ['ux', 'ui', 'design', 'usability', 'dx'],
+      documentation: ['docs', 'documentation', 'type: docs', 'kind/docs'],
+      feedback: ['feedback', 'question', 'discussion']
+    },
+
+    urgencyLabels: {
+      4: ['p0', 'critical', 'severity: critical', 'priority: critical', 'sev0', 'sev1', 'security'],
+      3: ['p1', 'high', 'severity: high', 'priority: high', 'urgent'],
+      2: ['p2', 'medium', 'severity: medium', 'priority: medium'],
+      1: ['p3', 'low', 'severity: low', 'priority: low']
+    },
+
+    tierLabels: {
+      enterprise: ['enterprise', 'customer: enterprise', 'tier: enterprise'],
+      pro: ['pro', 'customer: pro', 'tier: pro'],
+      free: ['free', 'customer: free', 'tier: free']
+    },
+
+    // Weight of each reaction when estimating reach
+    reactionWeights: {
+      THUMBS_UP: 1,
+      HEART: 1,
+      ROCKET: 1,
+      HOORAY: 0.5,
+      EYES: 0.5,
+      CONFUSED: 0.5,
+      LAUGH: 0,
+      THUMBS_DOWN: -0.5
+    }
+  };
+
+  // REST reaction keys → GraphQL/gh reaction names
+  const REST_REACTIONS = {
+    '+1': 'THUMBS_UP',
+    '-1': 'THUMBS_DOWN',
+    laugh: 'LAUGH',
+    hooray: 'HOORAY',
+    confused: 'CONFUSED',
+    heart: 'HEART',
+    rocket: 'ROCKET',
+    eyes: 'EYES'
+  };
+
+  const schema = window.signalboard.schema;
+
+  // Current import session
+  const importState = {
+    label: null,
+    plan: []
+  };
+
+  // ===================================
+  // ISSUE NORMALIZATION
+  // ===================================
+
+  function repoFromUrl(url) {
+    const match = /github\.com\/([^/]+\/[^/]+)\/(?:issues|pull)\//i.exec(url || '') ||
+      /\/repos\/([^/]+\/[^/]+)\/issues\//i.exec(url || '');
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  function countReactions(groups) {
+    const counts = {};
+    (groups || []).forEach(group => {
+      const total = group.users?.totalCount ?? group.totalCount ?? 0;
+      if (group.content && total > 0) counts[group.content] = total;
+    });
+    return counts;
+  }
+
+  function countRestReactions(reactions) {
+    const counts = {};
+    Object.entries(REST_REACTIONS).forEach(([key, name]) => {
+      if (reactions?.[key] > 0) counts[name] = reactions[key];
+    });
+    return counts;
+  }
+
+  function normalizeComment(comment) {
+    return {
+      author: comment.author?.login || comment.user?.login || null,
+      body: String(comment.body || '').trim(),
+      createdAt: comment.createdAt || comment.created_at || null
+    };
+  }
+
+  // Only web links survive, so an export can't plant a javascript: URL
+  function webUrl(url) {
+    return typeof url === 'string' && /^https?:\/\//i.test(url) ? url : null;
+  }
+
+  // Accepts `gh issue list --json ...` items and REST API issues
+  function normalizeIssue(raw, repo = null) {
+    if (!raw || typeof raw !== 'object' || raw.number === undefined || !raw.title) return null;
+
+    // The REST issues endpoint also returns pull requests
+    if (raw.pull_request) return null;
+
+    const url = raw.url?.includes('github.com/') && !raw.url.includes('api.github.com')
+      ? raw.url
+      : raw.html_url || raw.url || null;
+
+    return {
+      repo: (repo || repoFromUrl(url) || repoFromUrl(raw.url) || 'unknown').toLowerCase(),
+      number: Number(raw.number),
+      title: String(raw.title).trim(),
+      body: String(raw.body || '').trim(),
+      url: webUrl(url),
+      state: String(raw.state || 'open').toLowerCase(),
+      author: raw.author?.login || raw.user?.login || null,
+      labels: (raw.labels || []).map(label => String(label.name || label).toLowerCase()),
+      createdAt: raw.createdAt || raw.created_at || null,
+      updatedAt: raw.updatedAt || raw.updated_at || null,
+      reactions: raw.reactionGroups
+        ? countReactions(raw.reactionGroups)
+        : countRestReactions(raw.reactions),
+      comments: Array.isArray(raw.comments) ? raw.comments.map(normalizeComment) : [],
+      commentCount: Array.isArray(raw.comments) ? raw.comments.length : Number(raw.comments) || 0
+    };
+  }
+
+  // ===================================
+  // SOURCES
+  // ===================================
+
+  function parseExport(content) {
+    let data;
+
+    try {
+      data = JSON.parse(String(content || '').replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new Error(`Not valid JSON: ${error.message}`);
+    }
+
+    // `gh issue list --json` writes an array; `gh issue view --json` a single object
+    const items = Array.isArray(data) ? data : Array.isArray(data?.issues) ? data.issues : [data];
+    const issues = items.map(item => normalizeIssue(item)).filter(Boolean);
+
+    if (issues.length === 0) {
+      throw new Error('No issues found. Export with: gh issue list --json number,title,body,labels,url,createdAt,updatedAt,comments,reactionGroups,author,state');
+    }
+
+    return issues;
+  }
+
+  function nextPageUrl(linkHeader) {
+    const match = /<([^>]+)>;\s*rel="next"/.exec(linkHeader || '');
+    return match ? match[1] : null;
+  }
+
+  async function fetchJSON(url, token) {
+    const headers = { Accept: 'application/vnd.github+json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(url, { headers });
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText || ''} from ${url}`.trim());
+    }
+
+    return { body: await response.json(), link: response.headers.get('Link') };
+  }
+
+  async function fetchIssues({ baseUrl, repo, token = '', state = 'open' }) {
+    const slug = String(repo || '').trim().replace(/^https?:\/\/github\.com\//i, '').replace(/\/+$/, '');
+    if (!/^[\w.-]+\/[\w.-]+$/.test(slug)) {
+      throw new Error('Repository must be in owner/name form');
+    }
+
+    const root = String(baseUrl || GITHUB_CONFIG.defaultBaseUrl).replace(/\/+$/, '');
+    let url = `${root}/repos/${slug}/issues?state=${encodeURIComponent(state)}&per_page=${GITHUB_CONFIG.perPage}`;
+    const issues = [];
+
+    while (url && issues.length < GITHUB_CONFIG.maxIssues) {
+      const { body, link } = await fetchJSON(url, token);
+      if (!Array.isArray(body)) throw new Error('Unexpected response: expected a list of issues');
+
+      body.forEach(raw => {
+        const issue = normalizeIssue(raw, slug);
+        if (issue) issues.push(issue);
+      });
+
+      url = nextPageUrl(link);
+    }
+
+    // One request per issue, so keep it sequential to stay under rate limits
+    for (const issue of issues.slice(0, GITHUB_CONFIG.maxIssues)) {
+      if (issue.commentCount === 0) continue;
+
+      try {
+        const { body } = await fetchJSON(`${root}/repos/${slug}/issues/${issue.number}/comments?per_page=${GITHUB_CONFIG.perPage}`, token);
+        issue.comments = Array.isArray(body) ? body.map(normalizeComment) : [];
+      } catch (error) {
+        console.warn(`Could not load comments for #${issue.number}:`, error);
+      }
+    }
+
+    return issues.slice(0, GITHUB_CONFIG.maxIssues);
+  }
+
+  // ===================================
+  // MAPPING
+  // ===================================
+
+  function matchLabel(labels, table) {
+    const match = Object.entries(table).find(([, names]) => labels.some(label => names.includes(label)));
+    return match ? match[0] : null;
+  }
+
+  // Reach grows logarithmically with reactions and discussion
+  function estimateImpact(issue, baseImpact) {
+    const weights = GITHUB_CONFIG.reactionWeights;
+    const reactionScore = Object.entries(issue.reactions)
+      .reduce((sum, [name, count]) => sum + (weights[name] ?? 0) * count, 0);
+    const discussion = Math.max(issue.commentCount, issue.comments.length);
+
+    const reach = Math.log2(1 + Math.max(0, reactionScore)) * 8 + Math.log2(1 + discussion) * 4;
+    return Math.round(Math.max(1, Math.min(100, baseImpact * 0.6 + reach)));
+  }
+
+  function buildContext(issue) {
+    const limit = GITHUB_CONFIG.maxContextLength;
+    const body = issue.body.length > limit ? `${issue.body.slice(0, limit).trim()}…` : issue.body;
+
+    const comments = issue.comments
+      .filter(comment => comment.body)
+      .slice(0, GITHUB_CONFIG.commentsInContext)
+      .map(comment => {
+        const text = comment.body.replace(/\s+/g, ' ');
+        return `- ${comment.author || 'unknown'}: ${text.length > 160 ? `${text.slice(0, 160)}…` : text}`;
+      });
+
+    return [
+      body,
+      comments.length > 0 ? `Comments (${Math.max(issue.commentCount, issue.comments.length)}):\n${comments.join('\n')}` : ''
+    ].filter(Boolean).join('\n\n');
+  }
+
+  function signalId(issue) {
+    return `github_${issue.repo.replace(/[^\w]+/g, '-')}_${issue.number}`;
+  }
+
+  async function issueToSignal(issue) {
+    const text = [issue.title, issue.body, ...issue.comments.map(c => c.body)].join('\n');
+    let analysis = {};
+
+    try {
+      analysis = await window.signalboard.classifier.classify(text);
+    } catch (error) {
+      console.warn(`Could not classify #${issue.number}:`, error);
+    }
+
+    const { defaults } = schema.definition;
+    const labelUrgency = matchLabel(issue.labels, GITHUB_CONFIG.urgencyLabels);
+
+    return schema.createSignal({
+      id: signalId(issue),
+      title: issue.title,
+      impact: estimateImpact(issue, analysis.impact ?? 50),
+      urgency: labelUrgency ? Number(labelUrgency) : analysis.urgency ?? defaults.urgency,
+      source: 'github',
+      category: matchLabel(issue.labels, GITHUB_CONFIG.categoryLabels) || analysis.category || defaults.category,
+      tier: matchLabel(issue.labels, GITHUB_CONFIG.tierLabels) || analysis.tier || defaults.tier,
+      sentiment: analysis.sentiment,
+      context: buildContext(issue),
+      timestamp: issue.createdAt || undefined,
+      github: {
+        repo: issue.repo,
+        number: issue.number,
+        url: issue.url,
+        state: issue.state,
+        author: issue.author,
+        labels: issue.labels,
+        reactions: issue.reactions,
+        comments: Math.max(issue.commentCount, issue.comments.length),
+        updatedAt: issue.updatedAt
+      }
+    });
+  }
+
+  // ===================================
+  // DEDUPLICATION
+  // ===================================
+
+  function issueKey(signal) {
+    return signal?.github?.number !== undefined && signal.github.repo
+      ? `${signal.github.repo}#${signal.github.number}`
+      : null;
+  }
+
+  // What a re-import refreshes: the issue's own text and metadata, the
+  // impact derived from its reactions and discussion, plus category, tier
+  // and urgency only where a label sets them (otherwise they're the
+  // classifier's guess and the stored, possibly triaged, value stays).
+  // Status, owner, account, tags and attribution are never touched.
+  function githubFields(signal) {
+    const labels = signal.github?.labels || [];
+    const fields = { title: signal.title, context: signal.context, impact: signal.impact, github: signal.github };
+    if (matchLabel(labels, GITHUB_CONFIG.categoryLabels)) fields.category = signal.category;
+    if (matchLabel(labels, GITHUB_CONFIG.tierLabels)) fields.tier = signal.tier;
+    if (matchLabel(labels, GITHUB_CONFIG.urgencyLabels)) fields.urgency = signal.urgency;
+    return fields;
+  }
+
+  // Pairs each imported signal with the stored signal for the same issue
+  function planImport(signals, existing) {
+    const byKey = new Map();
+    existing.forEach(signal => {
+      const key = issueKey(signal);
+      if (key) byKey.set(key, signal);
+    });
+
+    const seen = new Set();
+    return signals.filter(signal => {
+      // An export can list the same issue twice; keep the first
+      const key = issueKey(signal);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    }).map(signal => {
+      const current = byKey.get(issueKey(signal));
+      if (!current) return { signal, status: 'new' };
+
+      const updated = { ...current, ...githubFields(signal) };
+      return {
+        signal: updated,
+        previous: current,
+        status: JSON.stringify(updated) === JSON.stringify(current) ? 'unchanged' : 'updated'
+      };
+    });
+  }
+
+  function applyImport(plan, signals) {
+    const positions = new Map(signals.map((signal, i) => [signal.id, i]));
+
+    plan.forEach(({ signal, previous, status }) => {
+      if (status === 'new') {
+        signals.push(signal);
+      } else if (status === 'updated') {
+        signals[positions.get(previous.id)] = signal;
+      }
+    });
+
+    signals.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  // ===================================
+  // UI RENDERING
+  // ===================================
+
+  const escapeHtml = window.signalboard.escapeHtml;
+
+  function renderPreview() {
+    const container = document.getElementById('github-preview');
+    const summary = document.getElementById('github-summary');
+    const confirmBtn = document.getElementById('github-import-confirm');
+    if (!container) return;
+
+    const { plan } = importState;
+    const statusLabels = { new: 'New', updated: 'Update', unchanged: 'Unchanged' };
+
+    container.innerHTML = plan.length === 0 ? '' : `
+      <table class="csv-preview-table">
+        <thead>
+          <tr>
+            <th>Issue</th>
+            <th>Title</th>
+            <th>Labels</th>
+            <th>Reactions</th>
+            <th>Impact</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${plan.map(({ signal, status }) => {
+            const reactions = Object.values(signal.github.reactions).reduce((sum, count) => sum + count, 0);
+            return `
+              <tr>
+                <td>${signal.github.url ? `<a href="${escapeHtml(signal.github.url)}" target="_blank" rel="noopener">#${signal.github.number}</a>` : `#${signal.github.number}`}</td>
+                <td>${escapeHtml(signal.title)}</td>
+                <td>${escapeHtml(signal.github.labels.join(', '))}</td>
+                <td>${reactions}</td>
+                <td>${Math.round(signal.impact)}</td>
+                <td><span class="github-status github-status-${status}">${statusLabels[status]}</span></td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+    `;
+
+    const counts = { new: 0, updated: 0, unchanged: 0 };
+    plan.forEach(({ status }) => counts[status]++);
+    const changes = counts.new + counts.updated;
+
+    if (summary) {
+      summary.textContent = plan.length > 0
+        ? `${plan.length} issues from ${importState.label} • ${counts.new} new, ${counts.updated} updated, ${counts.unchanged} unchanged`
+        : '';
+    }
+
+    if (confirmBtn) {
+      confirmBtn.disabled = changes === 0;
+      confirmBtn.textContent = changes > 0 ? `Import ${changes} Issue${changes === 1 ? '' : 's'}` : 'Nothing to Import';
+    }
+  }
+
+  function showImporter() {
+    const container = document.getElementById('github-import-container');
+    if (window.hideSignalForm) window.hideSignalForm();
+    window.signalboard.csvImport?.close();
+    window.signalboard.pasteImport?.close();
+
+    if (container) {
+      container.classList.remove('hidden');
+      container.scrollIntoView({ behavior: 'smooth' });
+    }
+  }
+
+  function hideImporter() {
+    const container = document.getElementById('github-import-container');
+    if (container) container.classList.add('hidden');
+
+    importState.label = null;
+    importState.plan = [];
+    renderPreview();
+  }
+
+  // ===================================
+  // IMPORT FLOW
+  // ===================================
+
+  async function preview(issues, label) {
+    const signals = await Promise.all(issues.map(issueToSignal));
+    importState.label = label;
+    importState.plan = planImport(signals, window.state?.signals || []);
+    renderPreview();
+    console.log(`→ Loaded ${issues.length} GitHub issues from ${label}`);
+  }
+
+  async function importExport(content, filename) {
+    let issues;
+
+    try {
+      issues = parseExport(content);
+    } catch (error) {
+      console.error('GitHub export parse failed:', error);
+      showToast(`Could not read ${filename}: ${error.message}`);
+      return false;
+    }
+
+    showImporter();
+    await preview(issues, filename);
+    return true;
+  }
+
+  async function importFromApi() {
+    const baseUrl = document.getElementById('github-base-url')?.value.trim();
+    const repo = document.getElementById('github-repo')?.value.trim();
+    const token = document.getElementById('github-token')?.value.trim();
+    const issueState = document.getElementById('github-state')?.value || 'open';
+
+    if (typeof window.showLoading === 'function') window.showLoading('Fetching GitHub issues...');
+
+    try {
+      const issues = await fetchIssues({ baseUrl, repo, token, state: issueState });
+      await preview(issues, repo);
+    } catch (error) {
+      console.error('GitHub fetch failed:', error);
+      showToast(`GitHub import failed: ${error.message}`);
+    } finally {
+      if (typeof window.hideLoading === 'function') window.hideLoading();
+    }
+  }
+
+  function confirmImport() {
+    const state = window.state;
+    if (!state) return;
+
+    const changes = importState.plan.filter(({ status }) => status !== 'unchanged');
+    if (changes.length === 0) {
+      showToast('All issues are already up to date');
+      return;
+    }
+
+    const created = changes.filter(({ status }) => status === 'new').length;
+    const updated = changes.length - created;
+
+    const users = window.signalboard.users;
+    const denied = (created > 0 && users.permissionError('signals.create')) || (updated > 0 && users.permissionError('signals.edit'));
+    if (denied) {
+      showToast(denied);
+      return;
+    }
+
+    window.signalboard.history.perform(`Import ${changes.length} GitHub issues`, () => {
+      applyImport(changes, state.signals);
+      if (window.saveState) window.saveState();
+    });
+
+    hideImporter();
+
+    if (window.updateDashboard) window.updateDashboard();
+    if (window.renderRecentSignals) window.renderRecentSignals();
+    if (window.renderTimeline) window.renderTimeline();
+
+    if (window.signalboard?.trackEvent) {
+      window.signalboard.trackEvent('signals_imported', {
+        format: 'github',
+        imported: created,
+        updated
+      });
+    }
+
+    if (window.switchView) window.switchView('history');
+
+    window.signalboard.history.notify(`Imported ${created} new and updated ${updated} GitHub issue${updated === 1 ? '' : 's'}`);
+    console.log(`✓ GitHub import: ${created} new, ${updated} updated`);
+  }
+
+  function showToast(message) {
+    if (typeof window.showToast === 'function') {
+      window.showToast(message);
+    } else {
+      console.log('Toast:', message);
+    }
+  }
+
+  // ===================================
+  // INITIALIZATION
+  // ===================================
+
+  function bindEvents() {
+    const fileInput = document.getElementById('github-file-input');
+    const baseUrlInput = document.getElementById('github-base-url');
+
+    if (baseUrlInput && !baseUrlInput.value) baseUrlInput.value = GITHUB_CONFIG.defaultBaseUrl;
+
+    document.getElementById('github-file-btn')?.addEventListener('click', () => fileInput?.click());
+    document.getElementById('github-fetch-btn')?.addEventListener('click', importFromApi);
+    document.getElementById('github-import-confirm')?.addEventListener('click', confirmImport);
+    document.getElementById('github-import-cancel')?.addEventListener('click', hideImporter);
+
+    fileInput?.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = (event) => importExport(event.target.result, file.name);
+      reader.readAsText(file);
+
+      // Allow re-selecting the same file
+      fileInput.value = '';
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindEvents);
+  } else {
+    bindEvents();
+  }
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.githubImport = {
+    open: showImporter,
+    close: hideImporter,
+    importExport,
+    parseExport,
+    fetchIssues,
+    issueToSignal,
+    planImport,
+    applyImport,
+    config: GITHUB_CONFIG
+  };
+
+})();
+
+console.log('🐙 SignalBoard GitHub Import Loaded');
@@ -0,0 +1,291 @@
+// ===================================
+// SIGNALBOARD COMMAND HISTORY
+// Application-wide undo/redo for signal, benchmark, profile
+// and bulk import operations
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // CONFIGURATION
+  // ===================================
+
+  const HISTORY_CONFIG = {
+    maxEntries: 50,
+
+    // Arrays of records with an id: diffed per record so an undo only
+    // touches what the command changed, not edits made since
+    collections: ['signals', 'benchmarks', 'accounts', 'users'],
+
+    // Everything else is restored as a whole value
+    values: ['clusters', 'rules', 'workflow', 'taxonomy'],
+
+    toastDuration: 6000
+  };
+
+  const stacks = {
+    undo: [],
+    redo: []
+  };
+
+  let recording = false;
+  let lastRecorded = false;
+  let nextId = 1;
+
+  // ===================================
+  // SNAPSHOTS
+  // ===================================
+
+  function capture() {
+    const state = window.state || {};
+    const snapshot = {};
+
+    HISTORY_CONFIG.collections.forEach(key => {
+      snapshot[key] = new Map((state[key] || []).map((record, index) => [
+        record.id,
+        { index, json: JSON.stringify(record) }
+      ]));
+    });
+
+    HISTORY_CONFIG.values.forEach(key => {
+      snapshot[key] = JSON.stringify(state[key] ?? null);
+    });
+
+    return snapshot;
+  }
+
+  function diffCollection(before, after) {
+    const removed = [];
+    const added = [];
+    const changed = [];
+
+    before.forEach((entry, id) => {
+      const next = after.get(id);
+      if (!next) {
+        removed.push({ index: entry.index, record: JSON.parse(entry.json) });
+      } else if (next.json !== entry.json) {
+        changed.push({ before: JSON.parse(entry.json), after: JSON.parse(next.json) });
+      }
+    });
+
+    after.forEach((entry, id) => {
+      if (!before.has(id)) added.push({ index: entry.index, record: JSON.parse(entry.json) });
+    });
+
+    if (removed.length + added.length + changed.length === 0) return null;
+    return { removed, added, changed };
+  }
+
+  function diff(before, after) {
+    const changes = {};
+
+    HISTORY_CONFIG.collections.forEach(key => {
+      const collection = diffCollection(before[key], after[key]);
+      if (collection) changes[key] = collection;
+    });
+
+    HISTORY_CONFIG.values.forEach(key => {
+      if (before[key] !== after[key]) {
+        changes[key] = { before: JSON.parse(before[key]), after: JSON.parse(after[key]) };
+      }
+    });
+
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  // Applies one side of a collection diff onto the current array
+  function patchCollection(records, change, direction) {
+    const undoing = direction === 'undo';
+    const drop = new Set((undoing ? change.added : change.removed).map(({ record }) => record.id));
+    const replace = new Map(change.changed.map(pair => {
+      const record = undoing ? pair.before : pair.after;
+      return [record.id, record];
+    }));
+
+    const result = records
+      .filter(record => !drop.has(record.id))
+      .map(record => replace.get(record.id) || record);
+
+    [...(undoing ? change.removed : change.added)]
+      .sort((a, b) => a.index - b.index)
+      .forEach(({ index, record }) => {
+        if (result.some(existing => existing.id === record.id)) return;
+        result.splice(Math.min(index, result.length), 0, record);
+      });
+
+    return result;
+  }
+
+  function restore(changes, direction) {
+    const state = window.state;
+
+    Object.entries(changes).forEach(([key, change]) => {
+      if (HISTORY_CONFIG.collections.includes(key)) {
+        state[key] = patchCollection(state[key] || [], change, direction);
+      } else {
+        state[key] = direction === 'undo' ? change.before : change.after;
+      }
+    });
+
+    // Benchmarks were replaced by copies, so re-resolve the active one
+    if (changes.benchmarks) {
+      state.currentBenchmark = state.benchmarks.find(b => b.active) || state.benchmarks[0] || null;
+    }
+
+    // Same for the signed-in user, whose record may have been swapped
+    if (changes.users) window.signalboard.users?.resync();
+  }
+
+  // ===================================
+  // COMMANDS
+  // ===================================
+
+  // Runs a state change and records it as one undoable step:
+  //   history.perform('Delete signal', () => { ...mutate, saveState() }, { toast: 'Signal removed' })
+  // Nested calls fold into the outer command.
+  function perform(label, run, options = {}) {
+    if (recording) return run();
+
+    const before = capture();
+    let result;
+
+    recording = true;
+    try {
+      result = run();
+    } finally {
+      recording = false;
+    }
+
+    const changes = diff(before, capture());
+    lastRecorded = Boolean(changes);
+    if (changes) {
+      stacks.undo.push({ id: nextId++, label, at: new Date().toISOString(), changes });
+      if (stacks.undo.length > HISTORY_CONFIG.maxEntries) stacks.undo.shift();
+      stacks.redo = [];
+    }
+
+    if (options.toast) notify(options.toast);
+    return result;
+  }
+
+  function step(from, to, direction) {
+    const entry = stacks[from].pop();
+    if (!entry) return null;
+
+    restore(entry.changes, direction);
+    stacks[to].push(entry);
+    lastRecorded = false;
+
+    if (window.saveState) window.saveState();
+    refreshViews();
+    return entry;
+  }
+
+  function undo() {
+    const entry = step('undo', 'redo', 'undo');
+    if (entry) {
+      showToast(`Undid: ${entry.label}`, { label: 'Redo', onClick: redo });
+    } else {
+      showToast('Nothing to undo');
+    }
+    return entry;
+  }
+
+  function redo() {
+    const entry = step('redo', 'undo', 'redo');
+    if (entry) {
+      showToast(`Redid: ${entry.label}`, { label: 'Undo', onClick: undo });
+    } else {
+      showToast('Nothing to redo');
+    }
+    return entry;
+  }
+
+  // Toast with an Undo button for the step just recorded (none if it changed nothing)
+  function notify(message) {
+    showToast(message, lastRecorded ? { label: 'Undo', onClick: undo } : null);
+  }
+
+  function clear() {
+    stacks.undo = [];
+    stacks.redo = [];
+  }
+
+  function entries() {
+    return {
+      undo: stacks.undo.map(({ id, label, at }) => ({ id, label, at })),
+      redo: stacks.redo.map(({ id, label, at }) => ({ id, label, at }))
+    };
+  }
+
+  // ===================================
+  // UI RENDERING
+  // ===================================
+
+  function refreshViews() {
+    // Lists first, so restored signals render against the right values
+    window.signalboard.taxonomy?.apply();
+    if (typeof window.renderAll === 'function') window.renderAll();
+    window.signalboard.rules?.render();
+    window.signalboard.accounts?.render();
+    window.signalboard.accounts?.renderOptions();
+    window.signalboard.workflow?.renderMetrics();
+  }
+
+  function showToast(message, action = null) {
+    if (typeof window.showToast === 'function') {
+      window.showToast(message, HISTORY_CONFIG.toastDuration, action);
+    } else {
+      console.log('Toast:', message);
+    }
+  }
+
+  // ===================================
+  // INITIALIZATION
+  // ===================================
+
+  function isTextField(element) {
+    if (!element) return false;
+    return element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
+  }
+
+  function handleKeydown(event) {
+    if (!(event.metaKey || event.ctrlKey) || event.altKey) return;
+
+    // Leave text fields their native undo
+    if (isTextField(event.target)) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      undo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+      event.preventDefault();
+      redo();
+    }
+  }
+
+  document.addEventListener('keydown', handleKeydown);
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.history = {
+    perform,
+    undo,
+    redo,
+    notify,
+    clear,
+    entries,
+    canUndo: () => stacks.undo.length > 0,
+    canRedo: () => stacks.redo.length > 0,
+    config: HISTORY_CONFIG
+  };
+
+})();
+
+console.log('↩️ SignalBoard Command History Loaded');
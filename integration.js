@@ -23,24 +23,12 @@
       'benchmark_created'
     ],
     
-    // Anomaly detection thresholds
-    anomalyThresholds: {
-      signalVolumeDelta: 0.30,      // 30% change triggers alert
-      impactScoreDelta: 0.25,       // 25% change triggers alert
-      sentimentDelta: 0.20,         // 20% change triggers alert
-      criticalSignalRatio: 0.15     // 15% critical signals triggers alert
-    },
+    // Anomaly detection: baselines, thresholds and guards live in anomalies.js
+    maxAnomalies: 5,
     
     // Event storage limits
     maxStoredEvents: 5000,
-    maxDisplayedEvents: 100,
-    
-    // Analysis windows
-    analysisWindows: {
-      short: 7,    // days
-      medium: 14,  // days
-      long: 30     // days
-    }
+    maxDisplayedEvents: 100
   };
 
   // ===================================
@@ -52,12 +40,11 @@
     return Number.isFinite(num) ? num : fallback;
   }
 
+  const schema = window.signalboard.schema;
+  const escapeHtml = window.signalboard.escapeHtml;
+
   function dayKey(date) {
-    const d = new Date(date);
-    const year = d.getFullYear();
-    const month = String(d.getMonth() + 1).padStart(2, '0');
-    const day = String(d.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+    return schema.dayKey(date);
   }
 
   function clamp(value, min, max) {
@@ -180,8 +167,8 @@
 
     window.signalboard.analytics.events.push(event);
 
-    // Persist to localStorage (with size limit)
-    persistEvents();
+    // Persist incrementally (storage layer caps the stored history)
+    persistEvent(event);
 
     // Log to console in development
     if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
@@ -191,29 +178,28 @@
     return event;
   }
 
-  function persistEvents() {
-    try {
-      const events = window.signalboard.analytics.events;
-      const limited = events.slice(-CONFIG.maxStoredEvents);
-      window.signalboard.analytics.events = limited;
-      
-      localStorage.setItem('signalboard_analytics_events', JSON.stringify(limited));
-    } catch (error) {
-      console.warn('Failed to persist events:', error);
+  function persistEvent(event) {
+    const analytics = window.signalboard.analytics;
+    if (analytics.events.length > CONFIG.maxStoredEvents) {
+      analytics.events = analytics.events.slice(-CONFIG.maxStoredEvents);
     }
+    
+    window.signalboard.storage.appendEvent(event).catch(error => {
+      console.warn('Failed to persist event:', error);
+    });
   }
 
-  function restoreEvents() {
+  async function restoreEvents() {
     ensurePMStore();
     
     try {
-      const stored = localStorage.getItem('signalboard_analytics_events');
-      if (stored) {
-        const parsed = JSON.parse(stored);
-        if (Array.isArray(parsed)) {
-          window.signalboard.analytics.events = parsed;
-          console.log(`✓ Restored ${parsed.length} analytics events`);
-        }
+      const stored = await window.signalboard.storage.loadEvents();
+      if (Array.isArray(stored)) {
+        // Keep events tracked while the store was loading
+        const storedIds = new Set(stored.map(e => e.id));
+        const pending = window.signalboard.analytics.events.filter(e => !storedIds.has(e.id));
+        window.signalboard.analytics.events = [...stored, ...pending].slice(-CONFIG.maxStoredEvents);
+        console.log(`✓ Restored ${stored.length} analytics events`);
       }
     } catch (error) {
       console.warn('Failed to restore events:', error);
@@ -243,7 +229,7 @@
       : 0;
     
     // Critical Signal Ratio
-    const criticalSignals = last7Days.filter(s => s.urgency === 'critical').length;
+    const criticalSignals = last7Days.filter(s => schema.isCritical(s)).length;
     const criticalRatio = last7Days.length 
       ? criticalSignals / last7Days.length 
       : 0;
@@ -288,88 +274,6 @@
     return streak;
   }
 
-  // ===================================
-  // DAILY TIME SERIES
-  // ===================================
-  
-  function computeDailyTimeSeries(signals, days = 30) {
-    const map = new Map();
-    const today = new Date();
-    
-    // Initialize all days
-    for (let i = days - 1; i >= 0; i--) {
-      const date = new Date(today);
-      date.setDate(today.getDate() - i);
-      map.set(dayKey(date), {
-        date: dayKey(date),
-        signalCount: 0,
-        totalImpact: 0,
-        avgImpact: 0,
-        criticalCount: 0,
-        highCount: 0,
-        mediumCount: 0,
-        lowCount: 0,
-        negativeCount: 0,
-        categories: {
-          bug: 0,
-          feature: 0,
-          performance: 0,
-          ux: 0,
-          documentation: 0
-        },
-        tiers: {
-          enterprise: 0,
-          pro: 0,
-          free: 0
-        }
-      });
-    }
-    
-    // Aggregate signals
-    signals.forEach(signal => {
-      const key = dayKey(signal.timestamp || new Date());
-      if (!map.has(key)) return;
-      
-      const day = map.get(key);
-      day.signalCount++;
-      day.totalImpact += safeNumber(signal.impact, 0);
-      
-      // Count by urgency
-      const urgency = (signal.urgency || 'low').toLowerCase();
-      if (urgency === 'critical') day.criticalCount++;
-      else if (urgency === 'high') day.highCount++;
-      else if (urgency === 'medium') day.mediumCount++;
-      else day.lowCount++;
-      
-      // Count negative sentiment (if tracked)
-      if (signal.sentiment === 'negative') day.negativeCount++;
-      
-      // Count by category
-      const category = (signal.category || 'other').toLowerCase();
-      if (day.categories[category] !== undefined) {
-        day.categories[category]++;
-      }
-      
-      // Count by tier
-      const tier = (signal.tier || 'free').toLowerCase();
-      if (day.tiers[tier] !== undefined) {
-        day.tiers[tier]++;
-      }
-      
-      map.set(key, day);
-    });
-    
-    // Calculate averages
-    const series = Array.from(map.values()).map(day => ({
-      ...day,
-      avgImpact: day.signalCount > 0 
-        ? Math.round(day.totalImpact / day.signalCount) 
-        : 0
-    }));
-    
-    return series;
-  }
-
   // ===================================
   // FUNNEL ANALYSIS
   // ===================================
@@ -499,102 +403,30 @@
   // ANOMALY DETECTION
   // ===================================
   
-  function detectAnomalies(timeSeries) {
-    if (!timeSeries || timeSeries.length < 14) {
-      return [];
-    }
-    
-    const anomalies = [];
-    const windows = CONFIG.analysisWindows;
-    
-    // Get comparison windows
-    const recentData = timeSeries.slice(-windows.short);
-    const previousData = timeSeries.slice(-windows.medium, -windows.short);
-    
-    if (previousData.length === 0) return anomalies;
-    
-    // Signal Volume Analysis
-    const recentVolume = average(recentData.map(d => d.signalCount));
-    const previousVolume = average(previousData.map(d => d.signalCount));
-    const volumeDelta = previousVolume > 0 
-      ? (recentVolume - previousVolume) / previousVolume 
-      : 0;
-    
-    if (Math.abs(volumeDelta) >= CONFIG.anomalyThresholds.signalVolumeDelta) {
-      anomalies.push({
-        type: 'signal_volume_anomaly',
-        severity: Math.abs(volumeDelta) > 0.5 ? 'high' : 'medium',
-        message: `Signal volume ${volumeDelta > 0 ? 'increased' : 'decreased'} by ${Math.abs(volumeDelta * 100).toFixed(0)}% week-over-week`,
-        delta: volumeDelta,
-        metric: 'volume',
-        current: Math.round(recentVolume),
-        previous: Math.round(previousVolume)
-      });
-    }
-    
-    // Average Impact Analysis
-    const recentImpact = average(recentData.map(d => d.avgImpact));
-    const previousImpact = average(previousData.map(d => d.avgImpact));
-    const impactDelta = previousImpact > 0 
-      ? (recentImpact - previousImpact) / previousImpact 
-      : 0;
-    
-    if (Math.abs(impactDelta) >= CONFIG.anomalyThresholds.impactScoreDelta) {
-      anomalies.push({
-        type: 'impact_score_anomaly',
-        severity: Math.abs(impactDelta) > 0.4 ? 'high' : 'medium',
-        message: `Average impact score ${impactDelta > 0 ? 'increased' : 'decreased'} by ${Math.abs(impactDelta * 100).toFixed(0)}% week-over-week`,
-        delta: impactDelta,
-        metric: 'impact',
-        current: Math.round(recentImpact),
-        previous: Math.round(previousImpact)
-      });
-    }
-    
-    // Critical Signal Ratio
-    const recentCritical = recentData.reduce((sum, d) => sum + d.criticalCount, 0);
-    const recentTotal = recentData.reduce((sum, d) => sum + d.signalCount, 0);
-    const criticalRatio = recentTotal > 0 ? recentCritical / recentTotal : 0;
-    
-    if (criticalRatio >= CONFIG.anomalyThresholds.criticalSignalRatio) {
-      anomalies.push({
-        type: 'critical_signal_spike',
-        severity: 'high',
-        message: `${formatPercent(criticalRatio)} of recent signals are critical urgency`,
-        delta: criticalRatio,
-        metric: 'critical_ratio',
-        current: recentCritical,
-        total: recentTotal
-      });
-    }
-    
-    // Category Concentration
-    const categoryTotals = recentData.reduce((acc, day) => {
-      Object.keys(day.categories).forEach(cat => {
-        acc[cat] = (acc[cat] || 0) + day.categories[cat];
-      });
-      return acc;
-    }, {});
-    
-    const dominantCategory = Object.entries(categoryTotals)
-      .sort(([, a], [, b]) => b - a)[0];
-    
-    if (dominantCategory && recentTotal > 0) {
-      const concentration = dominantCategory[1] / recentTotal;
-      if (concentration > 0.5) {
-        anomalies.push({
-          type: 'category_concentration',
-          severity: 'medium',
-          message: `${formatPercent(concentration)} of recent signals are ${dominantCategory[0]} related`,
-          delta: concentration,
-          metric: 'category',
-          category: dominantCategory[0],
-          count: dominantCategory[1]
-        });
-      }
-    }
-    
-    return anomalies;
+  // How far out the day is, in the terms of the detector's method
+  function describeScore(score, method) {
+    return method === 'ewma'
+      ? `Smoothed score ${Math.abs(score)}, past the ±${window.signalboard.anomalies.config.ewma.limit} control limit`
+      : `${Math.abs(score)} robust standard deviations from the usual level`;
+  }
+
+  // One card per anomaly from the shared detector, strongest first
+  function detectAnomalies(signals) {
+    const detector = window.signalboard.anomalies;
+    const { method, anomalies } = detector.detect(signals);
+    return anomalies.slice(0, CONFIG.maxAnomalies).map(anomaly => ({
+      type: `${anomaly.metric}_${anomaly.direction === 'up' ? 'spike' : 'drop'}`,
+      direction: anomaly.direction,
+      severity: anomaly.severity,
+      message: detector.describe(anomaly),
+      metric: anomaly.metric,
+      label: anomaly.label,
+      date: anomaly.date,
+      current: anomaly.value,
+      expected: anomaly.expected,
+      score: anomaly.score,
+      detail: describeScore(anomaly.score, method)
+    }));
   }
 
   // ===================================
@@ -733,8 +565,7 @@
     
     // Compute all metrics
     const northStar = computeNorthStarMetrics();
-    const timeSeries = computeDailyTimeSeries(signals, 30);
-    const anomalies = detectAnomalies(timeSeries);
+    const anomalies = detectAnomalies(signals);
     const funnel = computeFunnelAnalysis(events);
     const retention = computeRetentionAnalysis(events);
     
@@ -767,9 +598,10 @@
     // Render Anomalies
     if (anomalies.length > 0) {
       renderMetricCards('pm-anomalies-container', anomalies.map(a => ({
-        title: formatStepName(a.type),
-        message: a.message,
-        detail: a.current && a.previous ? `Current: ${a.current} | Previous: ${a.previous}` : null,
+        // Labels and messages carry taxonomy labels
+        title: `${escapeHtml(a.label)} ${a.direction === 'up' ? 'spike' : 'drop'}`,
+        message: escapeHtml(a.message),
+        detail: a.detail,
         severity: a.severity
       })));
     } else {
@@ -823,6 +655,19 @@
   // DATA EXPORT/IMPORT
   // ===================================
   
+  // Signals ranked by priority score, each carrying the breakdown behind it
+  function exportScoredSignals() {
+    const scoring = window.signalboard.scoring;
+    return scoring.rank(getSignals()).map(signal => {
+      const breakdown = scoring.breakdown(signal);
+      return {
+        ...signal,
+        priorityScore: breakdown.score,
+        scoreFactors: breakdown.factors
+      };
+    });
+  }
+
   function exportAnalyticsData() {
     ensurePMStore();
     
@@ -831,8 +676,9 @@
       version: '1.0.0',
       userId: window.signalboard.analytics.userId,
       events: window.signalboard.analytics.events.slice(-CONFIG.maxStoredEvents),
-      signals: getSignals(),
+      signals: exportScoredSignals(),
       benchmarks: getBenchmarks(),
+      scoringWeights: window.signalboard.scoring.weightsFor(),
       metrics: computeNorthStarMetrics()
     };
     
@@ -865,11 +711,9 @@
     
     window.signalboard.analytics.events = [];
     
-    try {
-      localStorage.removeItem('signalboard_analytics_events');
-    } catch (error) {
-      console.warn('Failed to clear localStorage:', error);
-    }
+    window.signalboard.storage.clearEvents().catch(error => {
+      console.warn('Failed to clear stored events:', error);
+    });
     
     showToast('Analytics data cleared');
     
@@ -996,6 +840,13 @@
     ensurePMStore();
     restoreEvents();
     
+    // Each workspace keeps its own events (storage.js)
+    document.addEventListener('signalboard:workspace-changed', async () => {
+      window.signalboard.analytics.events = [];
+      await restoreEvents();
+      if (typeof window.renderPMMetrics === 'function') window.renderPMMetrics();
+    });
+    
     // Set user and session IDs
     window.signalboard.analytics.userId = getOrCreateUserId();
     window.signalboard.analytics.sessionId = getOrCreateSessionId();
@@ -75,8 +75,9 @@
     // File input change handler
     fileInput.addEventListener('change', handleAvatarUpload);
 
-    // Load saved avatar on init
+    // Load saved avatar on init, and again once stored state has loaded
     loadSavedAvatar();
+    document.addEventListener('signalboard:state-loaded', loadSavedAvatar);
   }
 
   function createProfileUploadElements() {
@@ -238,11 +239,9 @@
         }
         window.state.user.avatar = imageData;
         
-        // Save to localStorage
-        try {
-          localStorage.setItem('signalboard_state', JSON.stringify(window.state));
-        } catch (error) {
-          console.warn('Failed to save avatar to localStorage:', error);
+        // Save through the app's versioned state blob
+        if (typeof window.saveState === 'function') {
+          window.saveState();
         }
       }
 
@@ -0,0 +1,578 @@
+// ===================================
+// SIGNALBOARD PASTE IMPORT
+// Splits pasted Slack threads, email digests and interview notes
+// into candidate signals for review before saving
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // CONFIGURATION
+  // ===================================
+
+  const PASTE_CONFIG = {
+    // Candidates shorter than this are treated as chatter ("+1", "thanks!")
+    minWords: 4,
+    maxCandidates: 100,
+
+    // Lines that carry no feedback on their own
+    noisePatterns: [
+      /^(from|to|cc|bcc|sent|date|subject|reply-to):/i,
+      /^on .+ wrote:$/i,
+      /^-{2,}\s*(original message|forwarded message)?\s*-*$/i,
+      /^_{3,}$|^={3,}$/,
+      /^\d+ repl(y|ies)\b/i,
+      /^(view thread|show more|reply in thread)$/i,
+      /^:[a-z0-9_+-]+:(\s*\d+)?$/i
+    ]
+  };
+
+  // Leading "- ", "* ", "• ", "1. ", "2) "
+  const BULLET_PATTERN = /^(?:[-*•◦▪‣]|\d{1,3}[.)])\s+/;
+
+  // Leading "[10:42]", "10:42 AM -", "2024-03-04 10:42:", "[2024-03-04]"
+  const TIMESTAMP_PATTERN = /^\[?(\d{4}-\d{2}-\d{2}(?:[ T]\d{1,2}:\d{2}(?::\d{2})?)?|\d{1,2}:\d{2}(?::\d{2})?\s*(?:[ap]\.?m\.?)?)\]?(?:\s*[-–—:|]\s*|\s+)/i;
+
+  // Slack-style header line: "Jane Doe  10:42 AM" with the message below it
+  const SLACK_HEADER_PATTERN = /^(@?[A-Z][\w.'-]*(?: [A-Z][\w.'-]*){0,3})\s+\[?(\d{1,2}:\d{2}\s*(?:[ap]\.?m\.?)?)\]?$/i;
+
+  // "Jane Doe:", "@jane:" at the start of a line. A single name ("Jane:")
+  // only counts after a timestamp, since "Note:" has the same shape.
+  const SPEAKER_PATTERN = /^(@[\w.-]+|[A-Z][\w.'-]*(?: [A-Z][\w.'-]*){1,3}):\s+(.+)$/;
+  const TIMED_SPEAKER_PATTERN = /^([A-Z][\w.'-]*):\s+(.+)$/;
+
+  // "“The dashboard is confusing” — Customer, Acme"
+  const QUOTE_PATTERN = /^["“](.+?)["”]\s*(?:[-–—]\s*(.+))?$/;
+
+  const schema = window.signalboard.schema;
+
+  // Current review session
+  const pasteState = {
+    candidates: [],
+    nextId: 1
+  };
+
+  // ===================================
+  // SPLITTING
+  // ===================================
+
+  function isNoise(line) {
+    return PASTE_CONFIG.noisePatterns.some(pattern => pattern.test(line));
+  }
+
+  // Strips bullet, timestamp, speaker and quote markers from a line.
+  // Any of them means the line starts a new candidate.
+  function parseLine(line) {
+    let body = line;
+    let boundary = false;
+    let time = null;
+    let speaker = null;
+    let match;
+
+    if ((match = BULLET_PATTERN.exec(body))) {
+      body = body.slice(match[0].length);
+      boundary = true;
+    }
+
+    if ((match = TIMESTAMP_PATTERN.exec(body))) {
+      time = match[1];
+      body = body.slice(match[0].length);
+      boundary = true;
+    }
+
+    if ((match = SPEAKER_PATTERN.exec(body) || (time && TIMED_SPEAKER_PATTERN.exec(body)))) {
+      speaker = match[1];
+      body = match[2];
+      boundary = true;
+    }
+
+    if ((match = QUOTE_PATTERN.exec(body))) {
+      body = match[1];
+      speaker = speaker || match[2] || null;
+      boundary = true;
+    }
+
+    return { body: body.trim(), boundary, time, speaker };
+  }
+
+  // Resolves "2024-03-04 10:42", "2024-03-04" or a bare "10:42 pm" (today)
+  function resolveTime(value) {
+    if (!value) return null;
+
+    const dateMatch = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(value);
+    if (dateMatch) {
+      const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = dateMatch;
+      const date = new Date(year, month - 1, day, hours, minutes, seconds);
+      return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    const timeMatch = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap])?/i.exec(value);
+    if (!timeMatch) return null;
+
+    let hours = Number(timeMatch[1]);
+    const meridiem = timeMatch[4]?.toLowerCase();
+    if (meridiem === 'p' && hours < 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+    if (hours > 23 || Number(timeMatch[2]) > 59) return null;
+
+    const date = new Date();
+    date.setHours(hours, Number(timeMatch[2]), Number(timeMatch[3] || 0), 0);
+    return date.toISOString();
+  }
+
+  function wordCount(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+  }
+
+  // Splits a block of text on blank lines, bullets, speakers and timestamps
+  function splitText(text) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    const candidates = [];
+    let current = null;
+    let pendingHeader = null;
+
+    const flush = () => {
+      if (current) {
+        const body = current.lines.join(' ').replace(/\s+/g, ' ').trim();
+        if (wordCount(body) >= PASTE_CONFIG.minWords) {
+          candidates.push({
+            text: body,
+            speaker: current.speaker,
+            timestamp: resolveTime(current.time)
+          });
+        }
+      }
+      current = null;
+    };
+
+    lines.forEach(raw => {
+      // Email quoting ("> ") is a transport artefact, not a boundary
+      const line = raw.replace(/^\s*(>\s?)+/, '').trim();
+
+      // A blank line also ends a Slack header's messages
+      if (!line) {
+        flush();
+        pendingHeader = null;
+        return;
+      }
+
+      // Headers and thread chrome end the current speaker's messages too
+      if (isNoise(line)) {
+        flush();
+        pendingHeader = null;
+        return;
+      }
+
+      const header = SLACK_HEADER_PATTERN.exec(line);
+      if (header) {
+        flush();
+        pendingHeader = { speaker: header[1], time: header[2] };
+        return;
+      }
+
+      const parsed = parseLine(line);
+      if (!parsed.body) return;
+      if (parsed.speaker || parsed.time) pendingHeader = null;
+
+      if (parsed.boundary || !current) {
+        flush();
+        current = {
+          lines: [],
+          speaker: parsed.speaker || pendingHeader?.speaker || null,
+          time: parsed.time || pendingHeader?.time || null
+        };
+      }
+
+      current.lines.push(parsed.body);
+    });
+
+    flush();
+    return candidates.slice(0, PASTE_CONFIG.maxCandidates);
+  }
+
+  // ===================================
+  // CLASSIFICATION
+  // ===================================
+
+  async function classifyCandidate(candidate) {
+    const { defaults } = schema.definition;
+    let analysis = {};
+
+    try {
+      analysis = await window.signalboard.classifier.classify(candidate.text);
+    } catch (error) {
+      console.warn('Could not classify pasted candidate:', error);
+    }
+
+    return {
+      ...candidate,
+      title: analysis.title || candidate.text.slice(0, 80),
+      impact: analysis.impact ?? 50,
+      urgency: analysis.urgency ?? defaults.urgency,
+      source: analysis.source || defaults.source,
+      category: analysis.category || defaults.category,
+      tier: analysis.tier || defaults.tier,
+      sentiment: analysis.sentiment || defaults.sentiment
+    };
+  }
+
+  async function buildCandidates(text) {
+    const parts = splitText(text);
+    const classified = await Promise.all(parts.map(classifyCandidate));
+
+    return classified.map(candidate => ({
+      ...candidate,
+      id: pasteState.nextId++,
+      accepted: true
+    }));
+  }
+
+  function toSignal(candidate) {
+    const context = candidate.speaker
+      ? `${candidate.text}\n— ${candidate.speaker}`
+      : candidate.text;
+
+    return schema.createSignal({
+      title: candidate.title,
+      impact: Number(candidate.impact),
+      urgency: candidate.urgency,
+      source: candidate.source,
+      category: candidate.category,
+      tier: candidate.tier,
+      sentiment: candidate.sentiment,
+      context,
+      timestamp: candidate.timestamp || undefined
+    });
+  }
+
+  // ===================================
+  // UI RENDERING
+  // ===================================
+
+  const escapeHtml = window.signalboard.escapeHtml;
+
+  function capitalize(value) {
+    return String(value).charAt(0).toUpperCase() + String(value).slice(1);
+  }
+
+  function formatOption(field, value) {
+    const formatters = {
+      urgency: window.formatUrgency,
+      source: window.formatSource,
+      category: window.formatCategory,
+      sentiment: window.formatSentiment
+    };
+    const formatter = formatters[field];
+    if (typeof formatter === 'function') return formatter(value);
+    return capitalize(value);
+  }
+
+  function renderSelect(candidate, field, options) {
+    return `
+      <select class="form-input" data-field="${field}" aria-label="${capitalize(field)}">
+        ${options.map(option => `
+          <option value="${option}" ${String(candidate[field]) === String(option) ? 'selected' : ''}>
+            ${escapeHtml(formatOption(field, option))}
+          </option>
+        `).join('')}
+      </select>
+    `;
+  }
+
+  function renderCandidates() {
+    const container = document.getElementById('paste-candidates');
+    const summary = document.getElementById('paste-summary');
+    const confirmBtn = document.getElementById('paste-import-confirm');
+    if (!container) return;
+
+    const { sources, categories, tiers, sentiments, urgencyLevels } = schema.definition;
+    const { candidates } = pasteState;
+
+    container.innerHTML = candidates.map((candidate, i) => {
+      const meta = [
+        `#${i + 1}`,
+        candidate.speaker,
+        candidate.timestamp
+          ? new Date(candidate.timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })
+          : null
+      ].filter(Boolean).map(escapeHtml).join(' • ');
+
+      return `
+        <div class="paste-candidate ${candidate.accepted ? '' : 'paste-candidate-rejected'}" data-id="${candidate.id}">
+          <div class="paste-candidate-header">
+            <label class="paste-accept">
+              <input type="checkbox" data-action="accept" ${candidate.accepted ? 'checked' : ''} />
+              <span>Keep</span>
+            </label>
+            <span class="paste-candidate-meta">${meta}</span>
+            <div class="paste-candidate-actions">
+              <button type="button" class="btn-icon" data-action="reanalyze" title="Re-analyze text">Re-analyze</button>
+              <button type="button" class="btn-icon" data-action="merge" title="Merge with the next candidate" ${i === candidates.length - 1 ? 'disabled' : ''}>Merge ↓</button>
+              <button type="button" class="btn-icon" data-action="drop" aria-label="Drop candidate">
+                <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+                  <path fill-rule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" />
+                </svg>
+              </button>
+            </div>
+          </div>
+
+          <input type="text" class="form-input" data-field="title" value="${escapeHtml(candidate.title)}" aria-label="Title" />
+          <textarea class="form-textarea" data-field="text" rows="2" aria-label="Context">${escapeHtml(candidate.text)}</textarea>
+
+          <div class="paste-candidate-fields">
+            <input type="number" class="form-input" data-field="impact" min="1" max="100" value="${escapeHtml(candidate.impact)}" aria-label="Impact" />
+            ${renderSelect(candidate, 'urgency', Object.keys(urgencyLevels).map(Number))}
+            ${renderSelect(candidate, 'source', sources)}
+            ${renderSelect(candidate, 'category', categories)}
+            ${renderSelect(candidate, 'tier', tiers)}
+            ${renderSelect(candidate, 'sentiment', sentiments)}
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    const acceptedCount = candidates.filter(c => c.accepted).length;
+
+    if (summary) {
+      summary.textContent = candidates.length > 0
+        ? `${candidates.length} candidate signal${candidates.length === 1 ? '' : 's'} found • ${acceptedCount} selected`
+        : '';
+    }
+
+    if (confirmBtn) {
+      confirmBtn.disabled = acceptedCount === 0;
+      confirmBtn.textContent = `Save ${acceptedCount} Signal${acceptedCount === 1 ? '' : 's'}`;
+    }
+  }
+
+  function findCandidate(element) {
+    const card = element.closest('.paste-candidate');
+    if (!card) return { index: -1, candidate: null };
+
+    const id = Number(card.dataset.id);
+    const index = pasteState.candidates.findIndex(c => c.id === id);
+    return { index, candidate: pasteState.candidates[index] || null };
+  }
+
+  // ===================================
+  // CANDIDATE ACTIONS
+  // ===================================
+
+  async function mergeWithNext(index) {
+    const [first, second] = pasteState.candidates.slice(index, index + 2);
+    if (!first || !second) return;
+
+    const speakers = [...new Set([first.speaker, second.speaker].filter(Boolean))];
+    const timestamps = [first.timestamp, second.timestamp].filter(Boolean).sort();
+
+    const merged = await classifyCandidate({
+      text: `${first.text} ${second.text}`,
+      speaker: speakers.join(', ') || null,
+      timestamp: timestamps[0] || null
+    });
+
+    pasteState.candidates.splice(index, 2, { ...merged, id: first.id, accepted: true });
+    renderCandidates();
+  }
+
+  async function reanalyze(index) {
+    const candidate = pasteState.candidates[index];
+    if (!candidate) return;
+
+    const analysis = await classifyCandidate(candidate);
+    pasteState.candidates[index] = { ...analysis, id: candidate.id, accepted: candidate.accepted };
+    renderCandidates();
+  }
+
+  function handleCandidateClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const { index } = findCandidate(button);
+    if (index < 0) return;
+
+    switch (button.dataset.action) {
+      case 'drop':
+        pasteState.candidates.splice(index, 1);
+        renderCandidates();
+        break;
+      case 'merge':
+        mergeWithNext(index);
+        break;
+      case 'reanalyze':
+        reanalyze(index);
+        break;
+    }
+  }
+
+  // Edits update the candidate in place so inputs keep focus while typing
+  function handleCandidateInput(event) {
+    const target = event.target;
+    const { candidate } = findCandidate(target);
+    if (!candidate) return;
+
+    if (target.dataset.action === 'accept') {
+      candidate.accepted = target.checked;
+      renderCandidates();
+      return;
+    }
+
+    const field = target.dataset.field;
+    if (!field) return;
+
+    candidate[field] = field === 'urgency' ? Number(target.value) : target.value;
+  }
+
+  // ===================================
+  // IMPORT FLOW
+  // ===================================
+
+  function openPaste() {
+    const container = document.getElementById('paste-import-container');
+    if (window.hideSignalForm) window.hideSignalForm();
+    window.signalboard.csvImport?.close();
+    window.signalboard.githubImport?.close();
+
+    if (container) {
+      container.classList.remove('hidden');
+      container.scrollIntoView({ behavior: 'smooth' });
+      document.getElementById('paste-input')?.focus();
+    }
+  }
+
+  function closePaste() {
+    const container = document.getElementById('paste-import-container');
+    if (container) container.classList.add('hidden');
+
+    const input = document.getElementById('paste-input');
+    if (input) input.value = '';
+
+    pasteState.candidates = [];
+    renderCandidates();
+  }
+
+  async function splitInput() {
+    const input = document.getElementById('paste-input');
+    const text = input?.value.trim();
+
+    if (!text) {
+      showToast('Paste some feedback first');
+      return;
+    }
+
+    pasteState.candidates = await buildCandidates(text);
+    renderCandidates();
+
+    if (pasteState.candidates.length === 0) {
+      showToast('No feedback found in the pasted text');
+      return;
+    }
+
+    console.log(`→ Split pasted text into ${pasteState.candidates.length} candidates`);
+  }
+
+  function confirmPaste() {
+    const state = window.state;
+    if (!state) return;
+    const denied = window.signalboard.users.permissionError('signals.create');
+    if (denied) {
+      showToast(denied);
+      return;
+    }
+
+    const accepted = pasteState.candidates.filter(c => c.accepted);
+    const signals = [];
+    let invalid = 0;
+
+    accepted.forEach(candidate => {
+      const signal = toSignal(candidate);
+      if (!signal || !schema.isValidSignal(signal) || signal.impact <= 0) {
+        invalid++;
+        return;
+      }
+      signals.push(signal);
+    });
+
+    if (signals.length === 0) {
+      showToast('Each signal needs a title and an impact between 1-100');
+      return;
+    }
+
+    signals.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    window.signalboard.history.perform(`Save ${signals.length} pasted signals`, () => {
+      state.signals.unshift(...signals);
+      if (window.saveState) window.saveState();
+    });
+
+    const dropped = pasteState.candidates.length - accepted.length;
+    closePaste();
+
+    if (window.updateDashboard) window.updateDashboard();
+    if (window.renderRecentSignals) window.renderRecentSignals();
+    if (window.renderTimeline) window.renderTimeline();
+
+    if (window.signalboard?.trackEvent) {
+      window.signalboard.trackEvent('signals_imported', {
+        format: 'paste',
+        imported: signals.length,
+        skipped: dropped + invalid
+      });
+    }
+
+    if (window.switchView) window.switchView('history');
+
+    window.signalboard.history.notify(`Saved ${signals.length} signal${signals.length === 1 ? '' : 's'}` +
+      (invalid > 0 ? ` (${invalid} invalid skipped)` : ''));
+    console.log(`✓ Saved ${signals.length} pasted signals, ${dropped} dropped, ${invalid} invalid`);
+  }
+
+  function showToast(message) {
+    if (typeof window.showToast === 'function') {
+      window.showToast(message);
+    } else {
+      console.log('Toast:', message);
+    }
+  }
+
+  // ===================================
+  // INITIALIZATION
+  // ===================================
+
+  function bindEvents() {
+    document.getElementById('paste-split-btn')?.addEventListener('click', splitInput);
+    document.getElementById('paste-import-confirm')?.addEventListener('click', confirmPaste);
+    document.getElementById('paste-import-cancel')?.addEventListener('click', closePaste);
+    document.getElementById('paste-single-btn')?.addEventListener('click', () => {
+      closePaste();
+      if (window.showSignalForm) window.showSignalForm();
+    });
+
+    const list = document.getElementById('paste-candidates');
+    list?.addEventListener('click', handleCandidateClick);
+    list?.addEventListener('input', handleCandidateInput);
+    list?.addEventListener('change', handleCandidateInput);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindEvents);
+  } else {
+    bindEvents();
+  }
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.pasteImport = {
+    open: openPaste,
+    close: closePaste,
+    split: splitText,
+    config: PASTE_CONFIG
+  };
+
+})();
+
+console.log('📋 SignalBoard Paste Import Loaded');
@@ -0,0 +1,717 @@
+// ===================================
+// SIGNALBOARD PRIORITIZATION RULES
+// Declarative conditions over signal fields and aggregate counts
+// that assign P0-P3 priorities and flags
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // CONFIGURATION
+  // ===================================
+
+  const RULES_CONFIG = {
+    priorities: ['P0', 'P1', 'P2', 'P3'],
+
+    // categoryCount looks back this far
+    countWindowDays: 30
+  };
+
+  // Seeded on first run, from the prioritization guidance in the PM assistant
+  const DEFAULT_RULES = [
+    {
+      id: 'rule_enterprise_bugs',
+      name: 'Enterprise bugs with high impact',
+      when: 'tier = enterprise and category = bug and impact > 70',
+      priority: 'P0',
+      flag: '',
+      enabled: true
+    },
+    {
+      id: 'rule_critical_paid',
+      name: 'Critical signals from paying customers',
+      when: 'urgency = critical and tier in [enterprise, pro]',
+      priority: 'P0',
+      flag: '',
+      enabled: true
+    },
+    {
+      id: 'rule_recurring_features',
+      name: 'Feature requests need 5+ signals',
+      when: 'category = feature and themeSize >= 5',
+      priority: 'P1',
+      flag: '',
+      enabled: true
+    },
+    {
+      id: 'rule_docs_gaps',
+      name: 'Documentation gaps are P2 unless blocking sales',
+      when: 'category = documentation and not (source = sales and urgency >= high)',
+      priority: 'P2',
+      flag: '',
+      enabled: true
+    },
+    {
+      id: 'rule_docs_blocking_sales',
+      name: 'Documentation blocking sales',
+      when: 'category = documentation and source = sales and urgency >= high',
+      priority: 'P1',
+      flag: 'blocking-sales',
+      enabled: true
+    },
+    {
+      id: 'rule_low_impact',
+      name: 'Low impact',
+      when: 'impact < 30',
+      priority: 'P3',
+      flag: '',
+      enabled: true
+    },
+    {
+      id: 'rule_churn_risk',
+      name: 'Unhappy enterprise customers',
+      when: 'tier = enterprise and sentiment = negative',
+      priority: '',
+      flag: 'churn-risk',
+      enabled: true
+    }
+  ];
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const schema = window.signalboard.schema;
+
+  // ===================================
+  // FIELDS
+  // ===================================
+
+  // Aggregates are computed once per evaluation run and only when a rule uses them
+  const FIELDS = {
+    impact: signal => signal.impact,
+    urgency: signal => signal.urgency,
+    tier: signal => signal.tier,
+    category: signal => signal.category,
+    source: signal => signal.source,
+    sentiment: signal => signal.sentiment,
+    title: signal => signal.title,
+    context: signal => signal.context,
+    age: signal => Math.max(0, (Date.now() - new Date(signal.timestamp).getTime()) / DAY_MS),
+    score: signal => window.signalboard.scoring.score(signal),
+    themeSize: (signal, context) => context.themeSize(signal),
+    categoryCount: (signal, context) => context.categoryCount(signal)
+  };
+
+  function createContext(signals) {
+    let themeSizes = null;
+    let categoryCounts = null;
+
+    return {
+      themeSize(signal) {
+        // Cached in clustering.js across runs until titles or context change
+        if (!themeSizes) themeSizes = window.signalboard.clustering?.themeSizes(signals) || new Map();
+        return themeSizes.get(signal.id) || 1;
+      },
+
+      categoryCount(signal) {
+        if (!categoryCounts) {
+          const since = Date.now() - RULES_CONFIG.countWindowDays * DAY_MS;
+          categoryCounts = {};
+          signals
+            .filter(s => new Date(s.timestamp).getTime() >= since)
+            .forEach(s => {
+              categoryCounts[s.category] = (categoryCounts[s.category] || 0) + 1;
+            });
+        }
+        return categoryCounts[signal.category] || 0;
+      }
+    };
+  }
+
+  // ===================================
+  // EXPRESSION LANGUAGE
+  // ===================================
+
+  // field op value, combined with and / or / not and parentheses:
+  //   tier = enterprise and (category = bug or urgency >= high)
+  //   title contains "sso" and themeSize >= 3
+  //   source in [sales, support]
+  const KEYWORDS = ['and', 'or', 'not', 'in', 'contains', 'matches'];
+  const COMPARATORS = ['=', '==', '!=', '>', '>=', '<', '<=', 'in', 'contains', 'matches'];
+
+  function tokenize(expression) {
+    const tokens = [];
+    const pattern = /\s*(?:(>=|<=|!=|==|[=<>()[\],])|"([^"]*)"|'([^']*)'|(-?\d+(?:\.\d+)?)(?![\w.-])|([\w.-]+))/y;
+    let index = 0;
+
+    while (index < expression.length) {
+      if (/^\s*$/.test(expression.slice(index))) break;
+
+      pattern.lastIndex = index;
+      const match = pattern.exec(expression);
+      if (!match) {
+        throw new Error(`Unexpected "${expression.slice(index).trim().charAt(0)}" at position ${index + 1}`);
+      }
+
+      // 1-based, at the token rather than the whitespace before it
+      const position = index + match[0].length - match[0].trimStart().length + 1;
+      if (match[1]) tokens.push({ type: 'symbol', value: match[1], position });
+      else if (match[2] !== undefined || match[3] !== undefined) tokens.push({ type: 'string', value: match[2] ?? match[3], position });
+      else if (match[4]) tokens.push({ type: 'number', value: Number(match[4]), position });
+      else {
+        const lower = match[5].toLowerCase();
+        tokens.push(KEYWORDS.includes(lower)
+          ? { type: 'keyword', value: lower, position }
+          : { type: 'word', value: match[5], position });
+      }
+
+      index = pattern.lastIndex;
+    }
+
+    return tokens;
+  }
+
+  // Recursive descent: or > and > not > comparison
+  function parse(expression) {
+    const tokens = tokenize(String(expression || ''));
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const describe = token => (token ? `"${token.value}" at position ${token.position}` : 'end of rule');
+    const isKeyword = (token, value) => token && token.type === 'keyword' && token.value === value;
+    const isSymbol = (token, value) => token && token.type === 'symbol' && token.value === value;
+
+    function parseOr() {
+      let node = parseAnd();
+      while (isKeyword(peek(), 'or')) {
+        next();
+        node = { type: 'or', left: node, right: parseAnd() };
+      }
+      return node;
+    }
+
+    function parseAnd() {
+      let node = parseNot();
+      while (isKeyword(peek(), 'and')) {
+        next();
+        node = { type: 'and', left: node, right: parseNot() };
+      }
+      return node;
+    }
+
+    function parseNot() {
+      if (isKeyword(peek(), 'not')) {
+        next();
+        return { type: 'not', operand: parseNot() };
+      }
+
+      if (isSymbol(peek(), '(')) {
+        next();
+        const node = parseOr();
+        if (!isSymbol(peek(), ')')) throw new Error(`Expected ")" but found ${describe(peek())}`);
+        next();
+        return node;
+      }
+
+      return parseComparison();
+    }
+
+    function parseComparison() {
+      const fieldToken = next();
+      if (!fieldToken || fieldToken.type !== 'word') {
+        throw new Error(`Expected a field name but found ${describe(fieldToken)}`);
+      }
+      if (!Object.prototype.hasOwnProperty.call(FIELDS, fieldToken.value)) {
+        throw new Error(`Unknown field "${fieldToken.value}". Fields: ${Object.keys(FIELDS).join(', ')}`);
+      }
+
+      const opToken = next();
+      if (!opToken || !COMPARATORS.includes(opToken.value) || opToken.type === 'string') {
+        throw new Error(`Expected a comparison after "${fieldToken.value}" but found ${describe(opToken)}`);
+      }
+
+      const op = opToken.value === '==' ? '=' : opToken.value;
+      const value = op === 'in' ? parseList() : parseValue();
+
+      if (fieldToken.value === 'urgency') {
+        const invalid = [].concat(value).find(level => !schema.normalizeUrgency(level));
+        if (invalid !== undefined) {
+          throw new Error(`Unknown urgency "${invalid}". Use 1-4 or low, medium, high, critical`);
+        }
+      }
+
+      if (op === 'matches') {
+        try {
+          new RegExp(value, 'i');
+        } catch (error) {
+          throw new Error(`Invalid pattern for "${fieldToken.value} matches": ${error.message}`);
+        }
+      }
+
+      return { type: 'compare', field: fieldToken.value, op, value };
+    }
+
+    function parseValue() {
+      const token = next();
+      if (!token || !['string', 'number', 'word'].includes(token.type)) {
+        throw new Error(`Expected a value but found ${describe(token)}`);
+      }
+      return token.value;
+    }
+
+    function parseList() {
+      if (!isSymbol(peek(), '[')) return [parseValue()];
+      next();
+
+      const values = [parseValue()];
+      while (isSymbol(peek(), ',')) {
+        next();
+        values.push(parseValue());
+      }
+
+      if (!isSymbol(peek(), ']')) throw new Error(`Expected "]" but found ${describe(peek())}`);
+      next();
+      return values;
+    }
+
+    if (tokens.length === 0) throw new Error('Condition is empty');
+
+    const tree = parseOr();
+    if (index < tokens.length) throw new Error(`Unexpected ${describe(peek())}`);
+    return tree;
+  }
+
+  // Urgency accepts labels ("urgency >= high") as well as levels
+  function coerce(field, actual, expected) {
+    if (field === 'urgency') return schema.normalizeUrgency(expected);
+    if (typeof actual === 'number') return Number(expected);
+    return String(expected).toLowerCase();
+  }
+
+  function compare(node, actual) {
+    if (actual === undefined || actual === null) return false;
+
+    const left = typeof actual === 'number' ? actual : String(actual).toLowerCase();
+    const values = Array.isArray(node.value) ? node.value : [node.value];
+    const right = coerce(node.field, actual, values[0]);
+
+    switch (node.op) {
+      case '=': return left === right;
+      case '!=': return left !== right;
+      case '>': return left > right;
+      case '>=': return left >= right;
+      case '<': return left < right;
+      case '<=': return left <= right;
+      case 'in': return values.some(value => left === coerce(node.field, actual, value));
+      case 'contains': return String(left).includes(String(values[0]).toLowerCase());
+      case 'matches': return new RegExp(values[0], 'i').test(String(actual));
+      default: return false;
+    }
+  }
+
+  function evaluateTree(node, signal, context) {
+    switch (node.type) {
+      case 'and': return evaluateTree(node.left, signal, context) && evaluateTree(node.right, signal, context);
+      case 'or': return evaluateTree(node.left, signal, context) || evaluateTree(node.right, signal, context);
+      case 'not': return !evaluateTree(node.operand, signal, context);
+      case 'compare': return compare(node, FIELDS[node.field](signal, context));
+      default: return false;
+    }
+  }
+
+  // Parsed trees, keyed by condition text. The editor preview parses on
+  // every keystroke, so the cache is dropped once it grows past a limit.
+  const compiled = new Map();
+
+  function compile(expression) {
+    const key = String(expression || '');
+    if (!compiled.has(key)) {
+      if (compiled.size >= 200) compiled.clear();
+      compiled.set(key, parse(key));
+    }
+    return compiled.get(key);
+  }
+
+  // ===================================
+  // RULES
+  // ===================================
+
+  function validateRule(rule) {
+    const errors = [];
+
+    if (!rule || typeof rule !== 'object') return ['Rule must be an object'];
+
+    if (typeof rule.name !== 'string' || !rule.name.trim()) {
+      errors.push('Rule name is required');
+    }
+
+    if (rule.priority && !RULES_CONFIG.priorities.includes(rule.priority)) {
+      errors.push(`Priority must be one of ${RULES_CONFIG.priorities.join(', ')}`);
+    }
+
+    if (!rule.priority && !String(rule.flag || '').trim()) {
+      errors.push('A rule must set a priority, a flag, or both');
+    }
+
+    try {
+      compile(rule.when);
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    return errors;
+  }
+
+  function getRules() {
+    const state = window.state;
+    if (!Array.isArray(state.rules)) {
+      state.rules = DEFAULT_RULES.map(rule => ({ ...rule }));
+    }
+    return state.rules;
+  }
+
+  function activeRules() {
+    return getRules().filter(rule => rule.enabled !== false && validateRule(rule).length === 0);
+  }
+
+  function priorityRank(priority) {
+    const rank = RULES_CONFIG.priorities.indexOf(priority);
+    return rank === -1 ? RULES_CONFIG.priorities.length : rank;
+  }
+
+  // The highest priority among matching rules wins; flags accumulate
+  function evaluate(signal, rules = activeRules(), context = createContext(window.state?.signals || [signal])) {
+    let priority = null;
+    const flags = [];
+    const matched = [];
+
+    rules.forEach(rule => {
+      if (!evaluateTree(compile(rule.when), signal, context)) return;
+
+      matched.push(rule.id);
+      if (rule.priority && priorityRank(rule.priority) < priorityRank(priority)) {
+        priority = rule.priority;
+      }
+      const flag = String(rule.flag || '').trim();
+      if (flag && !flags.includes(flag)) flags.push(flag);
+    });
+
+    return { priority, flags, matched };
+  }
+
+  // Stamps priority, flags and matched rule ids on every signal. Aggregates
+  // depend on the whole set, so this re-runs for all signals, and only
+  // touches the ones whose result changed. Returns how many changed.
+  function applyAll(signals = window.state?.signals || []) {
+    const rules = activeRules();
+    const context = createContext(signals);
+    let changed = 0;
+
+    signals.forEach(signal => {
+      const result = evaluate(signal, rules, context);
+      const same = signal.priority === result.priority &&
+        JSON.stringify(signal.flags || []) === JSON.stringify(result.flags) &&
+        JSON.stringify(signal.matchedRules || []) === JSON.stringify(result.matched);
+      if (same) return;
+
+      signal.priority = result.priority;
+      signal.flags = result.flags;
+      signal.matchedRules = result.matched;
+      changed++;
+    });
+
+    return changed;
+  }
+
+  // Signals a rule matches on its own, for the editor preview
+  function preview(rule, signals = window.state?.signals || []) {
+    const tree = compile(rule.when);
+    const context = createContext(signals);
+    return signals.filter(signal => evaluateTree(tree, signal, context));
+  }
+
+  function persist() {
+    // saveState re-applies rules before writing
+    if (window.saveState) window.saveState();
+    if (typeof window.renderTimeline === 'function') window.renderTimeline();
+    if (typeof window.renderRecentSignals === 'function') window.renderRecentSignals();
+    renderRules();
+  }
+
+  function saveRule(fields) {
+    const denied = window.signalboard.users.permissionError('settings.manage');
+    if (denied) return { rule: null, errors: [denied] };
+
+    const rule = {
+      id: fields.id || `rule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: String(fields.name || '').trim(),
+      when: String(fields.when || '').trim(),
+      priority: fields.priority || '',
+      flag: String(fields.flag || '').trim(),
+      enabled: fields.enabled !== false
+    };
+
+    const errors = validateRule(rule);
+    if (errors.length > 0) return { rule: null, errors };
+
+    const rules = getRules();
+    const index = rules.findIndex(existing => existing.id === rule.id);
+    if (index === -1) rules.push(rule);
+    else rules[index] = rule;
+
+    persist();
+    return { rule, errors: [] };
+  }
+
+  function deleteRule(ruleId) {
+    const denied = window.signalboard.users.permissionError('settings.manage');
+    if (denied) return { errors: [denied] };
+
+    window.state.rules = getRules().filter(rule => rule.id !== ruleId);
+    persist();
+    return { errors: [] };
+  }
+
+  function toggleRule(ruleId) {
+    const denied = window.signalboard.users.permissionError('settings.manage');
+    if (denied) return { rule: null, errors: [denied] };
+
+    const rule = getRules().find(r => r.id === ruleId);
+    if (!rule) return { rule: null, errors: [`Unknown rule "${ruleId}"`] };
+    rule.enabled = rule.enabled === false;
+    persist();
+    return { rule, errors: [] };
+  }
+
+  function resetRules() {
+    window.state.rules = DEFAULT_RULES.map(rule => ({ ...rule }));
+    persist();
+  }
+
+  // ===================================
+  // UI RENDERING
+  // ===================================
+
+  const escapeHtml = window.signalboard.escapeHtml;
+
+  function renderSummary() {
+    const summary = document.getElementById('rules-summary');
+    if (!summary) return;
+
+    const signals = window.state?.signals || [];
+    const counts = RULES_CONFIG.priorities.map(priority => (
+      `${priority}: ${signals.filter(signal => signal.priority === priority).length}`
+    ));
+    const unassigned = signals.filter(signal => !signal.priority).length;
+    summary.textContent = `${counts.join(' • ')} • Unassigned: ${unassigned}`;
+  }
+
+  function renderRules() {
+    const container = document.getElementById('rules-list');
+    if (!container) return;
+
+    renderSummary();
+
+    const rules = getRules();
+    if (rules.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <p>No rules yet. Add one above, or restore the defaults.</p>
+        </div>
+      `;
+      return;
+    }
+
+    const signals = window.state?.signals || [];
+
+    container.innerHTML = rules.map(rule => {
+      const errors = validateRule(rule);
+      const matches = errors.length === 0 ? signals.filter(signal => (signal.matchedRules || []).includes(rule.id)).length : 0;
+
+      return `
+        <div class="rule-card ${rule.enabled === false ? 'rule-disabled' : ''}" data-rule-id="${escapeHtml(rule.id)}">
+          <div class="rule-header">
+            <label class="rule-toggle">
+              <input type="checkbox" data-action="toggle" ${rule.enabled === false ? '' : 'checked'} />
+              <span class="rule-name">${escapeHtml(rule.name)}</span>
+            </label>
+            <div class="rule-outcome">
+              ${rule.priority ? `<span class="priority-badge priority-${rule.priority.toLowerCase()}">${rule.priority}</span>` : ''}
+              ${rule.flag ? `<span class="theme-chip">${escapeHtml(rule.flag)}</span>` : ''}
+            </div>
+          </div>
+          <code class="rule-when">${escapeHtml(rule.when)}</code>
+          ${errors.length > 0
+            ? `<p class="rule-error">${escapeHtml(errors[0])}</p>`
+            : `<p class="form-help">${rule.enabled === false ? 'Disabled' : `Matches ${matches} signal${matches === 1 ? '' : 's'}`}</p>`}
+          <div class="rule-actions" data-permission="settings.manage">
+            <button type="button" class="btn-secondary" data-action="edit">Edit</button>
+            <button type="button" class="btn-secondary" data-action="delete">Delete</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  function readForm() {
+    return {
+      id: document.getElementById('rule-id')?.value || '',
+      name: document.getElementById('rule-name')?.value || '',
+      when: document.getElementById('rule-when')?.value || '',
+      priority: document.getElementById('rule-priority')?.value || '',
+      flag: document.getElementById('rule-flag')?.value || ''
+    };
+  }
+
+  function fillForm(rule = {}) {
+    document.getElementById('rule-id').value = rule.id || '';
+    document.getElementById('rule-name').value = rule.name || '';
+    document.getElementById('rule-when').value = rule.when || '';
+    document.getElementById('rule-priority').value = rule.priority || '';
+    document.getElementById('rule-flag').value = rule.flag || '';
+
+    const submit = document.getElementById('rule-submit');
+    if (submit) submit.textContent = rule.id ? 'Update Rule' : 'Add Rule';
+
+    updatePreview();
+  }
+
+  // Live syntax check and match count while typing
+  function updatePreview() {
+    const output = document.getElementById('rule-preview');
+    if (!output) return;
+
+    const fields = readForm();
+    if (!fields.when.trim()) {
+      output.textContent = '';
+      output.classList.remove('rule-error');
+      return;
+    }
+
+    try {
+      const matches = preview(fields).length;
+      output.textContent = `Matches ${matches} of ${window.state?.signals.length || 0} signals`;
+      output.classList.remove('rule-error');
+    } catch (error) {
+      output.textContent = error.message;
+      output.classList.add('rule-error');
+    }
+  }
+
+  function handleSubmit(event) {
+    event.preventDefault();
+
+    const fields = readForm();
+    const editing = Boolean(fields.id);
+    const history = window.signalboard.history;
+    const { errors } = history.perform(editing ? 'Edit rule' : 'Add rule', () => saveRule(fields));
+    if (errors.length > 0) {
+      showToast(errors[0]);
+      return;
+    }
+
+    fillForm();
+    history.notify(editing ? 'Rule updated' : 'Rule added');
+  }
+
+  function handleListClick(event) {
+    const card = event.target.closest('[data-rule-id]');
+    const control = event.target.closest('[data-action]');
+    if (!card || !control) return;
+
+    const ruleId = card.dataset.ruleId;
+    if (control.dataset.action !== 'edit') {
+      const denied = window.signalboard.users.permissionError('settings.manage');
+      if (denied) {
+        showToast(denied);
+        return;
+      }
+    }
+
+    switch (control.dataset.action) {
+      case 'toggle': {
+        const enable = getRules().find(rule => rule.id === ruleId)?.enabled === false;
+        window.signalboard.history.perform(enable ? 'Enable rule' : 'Disable rule', () => toggleRule(ruleId), {
+          toast: enable ? 'Rule enabled' : 'Rule disabled'
+        });
+        break;
+      }
+      case 'edit':
+        fillForm(getRules().find(rule => rule.id === ruleId));
+        document.getElementById('rule-name')?.focus();
+        break;
+      case 'delete':
+        window.signalboard.history.perform('Delete rule', () => deleteRule(ruleId), { toast: 'Rule deleted' });
+        break;
+    }
+  }
+
+  function showToast(message) {
+    if (typeof window.showToast === 'function') {
+      window.showToast(message);
+    } else {
+      console.log('Toast:', message);
+    }
+  }
+
+  // ===================================
+  // INITIALIZATION
+  // ===================================
+
+  function bindEvents() {
+    document.getElementById('rules-form')?.addEventListener('submit', handleSubmit);
+    document.getElementById('rule-when')?.addEventListener('input', updatePreview);
+    document.getElementById('rule-cancel')?.addEventListener('click', () => fillForm());
+    document.getElementById('rules-list')?.addEventListener('click', handleListClick);
+    document.getElementById('rules-reset')?.addEventListener('click', () => {
+      const denied = window.signalboard.users.permissionError('settings.manage');
+      if (denied) {
+        showToast(denied);
+        return;
+      }
+      window.signalboard.history.perform('Restore default rules', resetRules, { toast: 'Default rules restored' });
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindEvents);
+  } else {
+    bindEvents();
+  }
+
+  // Render rules when switching to the rules view
+  const originalSwitchView = window.switchView;
+  if (originalSwitchView) {
+    window.switchView = function (viewName) {
+      originalSwitchView(viewName);
+      if (viewName === 'rules') renderRules();
+    };
+  }
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.rules = {
+    getRules,
+    saveRule,
+    deleteRule,
+    toggleRule,
+    resetRules,
+    validateRule,
+    evaluate,
+    applyAll,
+    preview,
+    parse,
+    render: renderRules,
+    fields: Object.keys(FIELDS),
+    defaults: DEFAULT_RULES,
+    config: RULES_CONFIG
+  };
+
+})();
+
+console.log('⚖️ SignalBoard Prioritization Rules Loaded');
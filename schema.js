@@ -0,0 +1,464 @@
+// ===================================
+// SIGNALBOARD SIGNAL SCHEMA
+// Canonical signal shape, validation and stored-state migration
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // SCHEMA DEFINITION
+  // ===================================
+
+  // Bump when the stored shape changes and add a step to MIGRATIONS
+  const SCHEMA_VERSION = 8;
+
+  const SIGNAL_SCHEMA = {
+    sources: ['github', 'support', 'community', 'sales', 'internal'],
+    categories: ['bug', 'feature', 'performance', 'ux', 'documentation', 'feedback'],
+    tiers: ['enterprise', 'pro', 'free'],
+    sentiments: ['positive', 'neutral', 'negative'],
+
+    // Lifecycle (workflow.js decides which transitions are allowed)
+    statuses: ['new', 'triaged', 'planned', 'shipped', 'closed'],
+    resolutions: ['shipped', 'duplicate', 'wont-fix', 'cannot-reproduce', 'out-of-scope', 'answered'],
+
+    // Urgency is stored as an integer level; labels are for display and legacy data
+    urgencyLevels: {
+      1: 'low',
+      2: 'medium',
+      3: 'high',
+      4: 'critical'
+    },
+
+    defaults: {
+      urgency: 1,
+      source: 'internal',
+      category: 'feedback',
+      tier: 'free',
+      sentiment: 'neutral',
+      status: 'new',
+      owner: '',
+      accountId: '',
+      context: '',
+      // User ids (users.js); empty on signals captured before users existed
+      createdBy: '',
+      updatedBy: ''
+    },
+
+    // Free-form tags: trimmed, without a leading #, deduplicated ignoring case
+    tagMaxLength: 32,
+    maxTags: 20
+  };
+
+  // Editable value lists (taxonomy.js) and the signal field each one feeds
+  const VOCABULARY_FIELDS = {
+    sources: 'source',
+    categories: 'category',
+    tiers: 'tier'
+  };
+
+  const BUILTIN_DEFAULTS = { ...SIGNAL_SCHEMA.defaults };
+
+  // Removed values and what they now mean, per list
+  const aliases = { sources: {}, categories: {}, tiers: {} };
+
+  // ===================================
+  // VOCABULARY
+  // ===================================
+
+  // Replaces a list in place (callers hold references to it) and keeps the
+  // default on a value that still exists
+  function setVocabulary(kind, values, remap = {}) {
+    const field = VOCABULARY_FIELDS[kind];
+    if (!field || !Array.isArray(values) || values.length === 0) return;
+
+    SIGNAL_SCHEMA[kind].splice(0, SIGNAL_SCHEMA[kind].length, ...values);
+    aliases[kind] = { ...remap };
+
+    const builtin = resolveAlias(kind, BUILTIN_DEFAULTS[field]);
+    SIGNAL_SCHEMA.defaults[field] = values.includes(builtin) ? builtin : values[0];
+  }
+
+  // Follows removed → replacement links; chains come from removing a value
+  // that an earlier removal was mapped to
+  function resolveAlias(kind, value) {
+    let key = value;
+    for (let hops = 0; hops < 10 && !SIGNAL_SCHEMA[kind].includes(key) && aliases[kind][key]; hops++) {
+      key = aliases[kind][key];
+    }
+    return key;
+  }
+
+  // ===================================
+  // FIELD HELPERS
+  // ===================================
+
+  function dayKey(date) {
+    const d = new Date(date);
+    const year = d.getFullYear();
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+
+  function todayKey() {
+    return dayKey(new Date());
+  }
+
+  function generateId() {
+    return `signal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  function normalizeUrgency(value) {
+    if (typeof value === 'number' || /^\d+$/.test(String(value ?? '').trim())) {
+      const level = Number(value);
+      return SIGNAL_SCHEMA.urgencyLevels[level] ? level : null;
+    }
+
+    const label = String(value ?? '').trim().toLowerCase();
+    const match = Object.entries(SIGNAL_SCHEMA.urgencyLevels).find(([, name]) => name === label);
+    return match ? Number(match[0]) : null;
+  }
+
+  function urgencyLabel(level) {
+    return SIGNAL_SCHEMA.urgencyLevels[normalizeUrgency(level)] || 'low';
+  }
+
+  function isCritical(signal) {
+    return normalizeUrgency(signal?.urgency) === 4;
+  }
+
+  function isHighUrgency(signal) {
+    return (normalizeUrgency(signal?.urgency) || 0) >= 3;
+  }
+
+  function normalizeEnum(value, allowed, fallback) {
+    const key = String(value ?? '').trim().toLowerCase();
+    return allowed.includes(key) ? key : fallback;
+  }
+
+  function normalizeTags(value) {
+    const raw = Array.isArray(value) ? value : String(value ?? '').split(/[,;]/);
+    const seen = new Set();
+    const tags = [];
+
+    raw.forEach(item => {
+      const tag = String(item ?? '').trim().replace(/^#+/, '').replace(/\s+/g, ' ').trim().slice(0, SIGNAL_SCHEMA.tagMaxLength);
+      if (!tag || seen.has(tag.toLowerCase())) return;
+      seen.add(tag.toLowerCase());
+      tags.push(tag);
+    });
+
+    return tags.slice(0, SIGNAL_SCHEMA.maxTags);
+  }
+
+  // Source, category or tier value, following removed values to their replacement
+  function normalizeField(field, value) {
+    const kind = Object.keys(VOCABULARY_FIELDS).find(key => VOCABULARY_FIELDS[key] === field);
+    const key = String(value ?? '').trim().toLowerCase();
+    return normalizeEnum(resolveAlias(kind, key), SIGNAL_SCHEMA[kind], SIGNAL_SCHEMA.defaults[field]);
+  }
+
+  function parseTimestamp(...candidates) {
+    for (const candidate of candidates) {
+      if (candidate === null || candidate === undefined || candidate === '') continue;
+
+      // Bare day keys are local days, not UTC midnight
+      const dayMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(candidate));
+      const date = dayMatch
+        ? new Date(Number(dayMatch[1]), Number(dayMatch[2]) - 1, Number(dayMatch[3]))
+        : new Date(candidate);
+      if (!Number.isNaN(date.getTime())) return date;
+    }
+    return null;
+  }
+
+  // ===================================
+  // VALIDATION
+  // ===================================
+
+  function validateSignal(signal) {
+    const errors = [];
+
+    if (!signal || typeof signal !== 'object') {
+      return ['Signal must be an object'];
+    }
+
+    if (typeof signal.id !== 'string' || !signal.id) {
+      errors.push('Signal id must be a non-empty string');
+    }
+
+    if (typeof signal.title !== 'string' || !signal.title.trim()) {
+      errors.push('Title is required');
+    }
+
+    if (typeof signal.impact !== 'number' || !Number.isFinite(signal.impact) ||
+        signal.impact < 0 || signal.impact > 100) {
+      errors.push('Impact score must be between 0-100');
+    }
+
+    if (!Number.isInteger(signal.urgency) || !SIGNAL_SCHEMA.urgencyLevels[signal.urgency]) {
+      errors.push('Urgency must be a level from 1 (low) to 4 (critical)');
+    }
+
+    if (!SIGNAL_SCHEMA.sources.includes(signal.source)) {
+      errors.push(`Unknown source "${signal.source}"`);
+    }
+
+    if (!SIGNAL_SCHEMA.categories.includes(signal.category)) {
+      errors.push(`Unknown category "${signal.category}"`);
+    }
+
+    if (!SIGNAL_SCHEMA.tiers.includes(signal.tier)) {
+      errors.push(`Unknown tier "${signal.tier}"`);
+    }
+
+    if (!SIGNAL_SCHEMA.sentiments.includes(signal.sentiment)) {
+      errors.push(`Unknown sentiment "${signal.sentiment}"`);
+    }
+
+    if (!SIGNAL_SCHEMA.statuses.includes(signal.status)) {
+      errors.push(`Unknown status "${signal.status}"`);
+    }
+
+    if (typeof signal.context !== 'string') {
+      errors.push('Context must be a string');
+    }
+
+    if (!Array.isArray(signal.tags) || signal.tags.some(tag => typeof tag !== 'string' || !tag)) {
+      errors.push('Tags must be a list of non-empty strings');
+    }
+
+    const timestamp = parseTimestamp(signal.timestamp);
+    if (!timestamp || timestamp.toISOString() !== signal.timestamp) {
+      errors.push('Timestamp must be an ISO 8601 string');
+    } else if (signal.date !== dayKey(timestamp)) {
+      errors.push('Date must be the local YYYY-MM-DD day of the timestamp');
+    }
+
+    return errors;
+  }
+
+  function isValidSignal(signal) {
+    return validateSignal(signal).length === 0;
+  }
+
+  // ===================================
+  // CONSTRUCTION & NORMALIZATION
+  // ===================================
+
+  // Builds a canonical signal from loosely-typed input (form values,
+  // imports, demo templates or records written by older versions).
+  // Unknown extra fields are preserved.
+  function normalizeSignal(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const title = String(raw.title ?? '').trim();
+    if (!title) return null;
+
+    const impact = Number(raw.impact);
+    const timestamp = parseTimestamp(raw.timestamp, raw.date) || new Date();
+    const { defaults } = SIGNAL_SCHEMA;
+
+    return {
+      ...raw,
+      id: raw.id !== null && raw.id !== undefined && raw.id !== '' ? String(raw.id) : generateId(),
+      title,
+      impact: Number.isFinite(impact) ? Math.max(0, Math.min(100, impact)) : 0,
+      urgency: normalizeUrgency(raw.urgency) || defaults.urgency,
+      source: normalizeField('source', raw.source),
+      category: normalizeField('category', raw.category),
+      tier: normalizeField('tier', raw.tier),
+      sentiment: normalizeEnum(raw.sentiment, SIGNAL_SCHEMA.sentiments, defaults.sentiment),
+      status: normalizeEnum(raw.status, SIGNAL_SCHEMA.statuses, defaults.status),
+      statusHistory: Array.isArray(raw.statusHistory) ? raw.statusHistory : [],
+      owner: raw.owner === null || raw.owner === undefined ? defaults.owner : String(raw.owner).trim(),
+      accountId: raw.accountId === null || raw.accountId === undefined ? defaults.accountId : String(raw.accountId),
+      context: raw.context === null || raw.context === undefined ? defaults.context : String(raw.context),
+      tags: normalizeTags(raw.tags),
+      createdBy: raw.createdBy ? String(raw.createdBy) : defaults.createdBy,
+      updatedBy: raw.updatedBy ? String(raw.updatedBy) : defaults.updatedBy,
+      timestamp: timestamp.toISOString(),
+      date: dayKey(timestamp)
+    };
+  }
+
+  // Same as normalizeSignal, but stamps a fresh id, the current time and
+  // the signed-in user unless the caller provides them. Use for newly
+  // captured signals.
+  function createSignal(fields = {}) {
+    return normalizeSignal({
+      id: generateId(),
+      timestamp: new Date().toISOString(),
+      sentiment: detectSentiment(fields),
+      createdBy: window.signalboard.users?.currentId(),
+      ...Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined))
+    });
+  }
+
+  // Uses the classifier when it is loaded; otherwise normalization
+  // falls back to the default
+  function detectSentiment(fields) {
+    const analyze = window.signalboard.classifier?.analyzeSentiment;
+    if (!analyze || fields.sentiment) return undefined;
+    return analyze(`${fields.title || ''} ${fields.context || ''}`).label;
+  }
+
+  // ===================================
+  // STATE MIGRATION
+  // ===================================
+
+  // Each step upgrades a stored blob from version N to N + 1
+  const MIGRATIONS = {
+    // v1: unversioned blob. Urgency was either 1-4 (form) or a label (demo),
+    // date was toLocaleDateString() (form) or an ISO day (demo), ids were
+    // numbers (form) or strings (demo).
+    1: data => ({
+      ...data,
+      signals: Array.isArray(data.signals) ? data.signals : []
+    }),
+
+    // v2: no sentiment. Backfill from title + context when the classifier
+    // is loaded, otherwise normalization defaults it to neutral.
+    2: data => ({
+      ...data,
+      signals: Array.isArray(data.signals)
+        ? data.signals.map(signal => (
+          signal && typeof signal === 'object' && !signal.sentiment
+            ? { ...signal, sentiment: detectSentiment(signal) }
+            : signal
+        ))
+        : []
+    }),
+
+    // v3: no lifecycle. Everything already captured starts as new with an
+    // empty transition log; normalization fills both in.
+    3: data => ({
+      ...data,
+      signals: Array.isArray(data.signals) ? data.signals : []
+    }),
+
+    // v4: no owner. Signals start unassigned; normalization fills it in.
+    4: data => ({
+      ...data,
+      signals: Array.isArray(data.signals) ? data.signals : []
+    }),
+
+    // v5: no accounts. Signals start unlinked; accounts.js owns the records.
+    5: data => ({
+      ...data,
+      signals: Array.isArray(data.signals) ? data.signals : [],
+      accounts: Array.isArray(data.accounts) ? data.accounts : []
+    }),
+
+    // v6: no tags. Signals start untagged; normalization fills in [].
+    6: data => ({
+      ...data,
+      signals: Array.isArray(data.signals) ? data.signals : []
+    }),
+
+    // v7: one hardcoded profile, no attribution. The profile becomes the
+    // first (admin) user; existing signals stay unattributed.
+    7: data => {
+      const { user, ...rest } = data;
+      return {
+        ...rest,
+        signals: Array.isArray(data.signals) ? data.signals : [],
+        users: Array.isArray(data.users)
+          ? data.users
+          : (user && typeof user === 'object' ? [{ ...user, id: 'user_owner', role: 'admin', createdAt: new Date().toISOString() }] : [])
+      };
+    }
+  };
+
+  function migrateState(data) {
+    const source = data && typeof data === 'object' ? data : {};
+    const fromVersion = Number.isInteger(source.schemaVersion) ? source.schemaVersion : 1;
+
+    let migrated = { ...source };
+    for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+      if (MIGRATIONS[version]) {
+        migrated = MIGRATIONS[version](migrated);
+      }
+    }
+
+    // Always normalize records, so mixed or hand-edited data is repaired too
+    const rawSignals = Array.isArray(migrated.signals) ? migrated.signals : [];
+    const signals = [];
+    const seenIds = new Set();
+    let repaired = 0;
+    let dropped = 0;
+
+    rawSignals.forEach(raw => {
+      const signal = normalizeSignal(raw);
+      if (!signal) {
+        dropped++;
+        return;
+      }
+
+      if (seenIds.has(signal.id)) {
+        signal.id = generateId();
+      }
+      seenIds.add(signal.id);
+
+      if (JSON.stringify(signal) !== JSON.stringify(raw)) repaired++;
+      signals.push(signal);
+    });
+
+    return {
+      data: { ...migrated, signals, schemaVersion: SCHEMA_VERSION },
+      fromVersion,
+      repaired,
+      dropped
+    };
+  }
+
+  // ===================================
+  // HTML ESCAPING
+  // ===================================
+
+  // Shared by every module that renders user-entered text: safe in element
+  // content, double-quoted attributes and the single-quoted arguments of
+  // inline handlers
+  function escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.schema = {
+    version: SCHEMA_VERSION,
+    definition: SIGNAL_SCHEMA,
+    createSignal,
+    normalizeSignal,
+    validateSignal,
+    isValidSignal,
+    migrateState,
+    normalizeField,
+    normalizeTags,
+    setVocabulary,
+    vocabularyFields: VOCABULARY_FIELDS,
+    builtinDefaults: BUILTIN_DEFAULTS,
+    normalizeUrgency,
+    urgencyLabel,
+    isCritical,
+    isHighUrgency,
+    dayKey,
+    todayKey,
+    generateId
+  };
+  window.signalboard.escapeHtml = escapeHtml;
+
+})();
+
+console.log('🧬 SignalBoard Signal Schema Loaded');
@@ -0,0 +1,254 @@
+// ===================================
+// SIGNALBOARD PRIORITY SCORING
+// One weighted score per signal, driven by the active benchmark:
+// impact × urgency × tier (or revenue) × category × recency decay
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // DEFAULT WEIGHTS
+  // ===================================
+
+  // Benchmarks override any of these. The *Weight strengths are exponents
+  // on their table: 0 turns a factor off, 1 uses the table as-is, 2 doubles down.
+  const SCORING_DEFAULTS = {
+    urgencyWeight: 1,
+    tierWeight: 1,
+    categoryWeight: 1,
+
+    urgencyMultipliers: { 1: 1, 2: 1.25, 3: 1.6, 4: 2 },
+    customerTierWeight: { enterprise: 3, pro: 2, free: 1 },
+
+    // 'tier' scales by customerTierWeight; 'revenue' by the ARR behind the
+    // signal instead: ×1 with no revenue, ×2 at the reference ARR, ×3 near 10× it
+    weightingMode: 'tier',
+    revenueReferenceArr: 100000,
+    // ARR assumed for signals that aren't linked to an account
+    tierArr: { enterprise: 100000, pro: 10000, free: 0 },
+    categoryWeights: {
+      bug: 1.2,
+      performance: 1.15,
+      feature: 1,
+      ux: 0.9,
+      documentation: 0.8,
+      feedback: 0.7
+    },
+
+    // Score halves every N days; 0 disables decay
+    recencyHalfLifeDays: 14
+  };
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const schema = window.signalboard.schema;
+
+  // ===================================
+  // WEIGHTS
+  // ===================================
+
+  function finiteOr(value, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : fallback;
+  }
+
+  function mergeTable(defaults, overrides) {
+    const table = { ...defaults };
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+      table[key] = finiteOr(value, table[key] ?? 1);
+    });
+    return table;
+  }
+
+  // Fills the gaps in a benchmark (older ones only carry customerTierWeight)
+  function weightsFor(benchmark = window.state?.currentBenchmark) {
+    const source = benchmark || {};
+
+    return {
+      urgencyWeight: finiteOr(source.urgencyWeight, SCORING_DEFAULTS.urgencyWeight),
+      tierWeight: finiteOr(source.tierWeight, SCORING_DEFAULTS.tierWeight),
+      categoryWeight: finiteOr(source.categoryWeight, SCORING_DEFAULTS.categoryWeight),
+      urgencyMultipliers: mergeTable(SCORING_DEFAULTS.urgencyMultipliers, source.urgencyMultipliers),
+      customerTierWeight: mergeTable(SCORING_DEFAULTS.customerTierWeight, source.customerTierWeight),
+      weightingMode: source.weightingMode === 'revenue' ? 'revenue' : SCORING_DEFAULTS.weightingMode,
+      revenueReferenceArr: finiteOr(source.revenueReferenceArr, 0) || SCORING_DEFAULTS.revenueReferenceArr,
+      tierArr: mergeTable(SCORING_DEFAULTS.tierArr, source.tierArr),
+      categoryWeights: mergeTable(SCORING_DEFAULTS.categoryWeights, source.categoryWeights),
+      recencyHalfLifeDays: finiteOr(source.recencyHalfLifeDays, SCORING_DEFAULTS.recencyHalfLifeDays)
+    };
+  }
+
+  // ===================================
+  // REVENUE
+  // ===================================
+
+  function linkedAccount(signal) {
+    return signal.accountId ? window.signalboard.accounts?.getAccount(signal.accountId) || null : null;
+  }
+
+  // The linked account's ARR, or the tier's assumed ARR when there is none
+  function revenueFor(signal, weights = weightsFor()) {
+    const account = linkedAccount(signal);
+    if (account) return { arr: Number(account.arr) || 0, estimated: false };
+    return { arr: weights.tierArr[signal.tier] ?? 0, estimated: true };
+  }
+
+  function revenueMultiplier(arr, weights) {
+    return 1 + Math.log10(1 + 9 * Math.max(0, arr) / weights.revenueReferenceArr);
+  }
+
+  // ARR of the distinct accounts behind these signals. Unlinked signals are
+  // counted but not priced: ten free-tier reports may all be one customer.
+  function revenueAtRisk(signals) {
+    const accounts = new Map();
+    let unlinked = 0;
+
+    signals.forEach(signal => {
+      const account = linkedAccount(signal);
+      if (account) {
+        accounts.set(account.id, Number(account.arr) || 0);
+      } else {
+        unlinked++;
+      }
+    });
+
+    return {
+      arr: [...accounts.values()].reduce((sum, arr) => sum + arr, 0),
+      accounts: accounts.size,
+      unlinked
+    };
+  }
+
+  function formatRevenue(arr) {
+    if (arr >= 1000000) return `$${Math.round(arr / 100000) / 10}M`;
+    if (arr >= 1000) return `$${Math.round(arr / 1000)}k`;
+    return `$${Math.round(arr)}`;
+  }
+
+  // ===================================
+  // SCORING
+  // ===================================
+
+  function ageInDays(signal, asOf) {
+    const reference = asOf === undefined ? Date.now() : new Date(asOf).getTime();
+    const age = (reference - new Date(signal.timestamp).getTime()) / DAY_MS;
+    return Number.isFinite(age) ? Math.max(0, age) : 0;
+  }
+
+  function formatAge(days) {
+    if (days < 1) return 'today';
+    if (days < 2) return '1 day old';
+    return `${Math.floor(days)} days old`;
+  }
+
+  function capitalize(value) {
+    return String(value).charAt(0).toUpperCase() + String(value).slice(1);
+  }
+
+  // Tier weighting, or revenue weighting when the benchmark asks for it;
+  // the benchmark's tier strength applies to either
+  function customerFactor(signal, weights) {
+    if (weights.weightingMode === 'revenue') {
+      const revenue = revenueFor(signal, weights);
+      return {
+        key: 'revenue',
+        label: `Revenue (${formatRevenue(revenue.arr)}${revenue.estimated ? ` ${signal.tier} est.` : ''})`,
+        multiplier: Math.pow(revenueMultiplier(revenue.arr, weights), weights.tierWeight)
+      };
+    }
+
+    return {
+      key: 'tier',
+      label: `Tier (${capitalize(signal.tier)})`,
+      multiplier: Math.pow(weights.customerTierWeight[signal.tier] ?? 1, weights.tierWeight)
+    };
+  }
+
+  // options: { benchmark, asOf, recency } where asOf is the moment recency is
+  // measured from (defaults to now) and recency: false skips decay entirely
+  function breakdown(signal, options = {}) {
+    const weights = weightsFor(options.benchmark);
+    const impact = Number(signal.impact) || 0;
+    const urgency = schema.normalizeUrgency(signal.urgency) || 1;
+
+    const factors = [
+      {
+        key: 'urgency',
+        label: `Urgency (${capitalize(schema.urgencyLabel(urgency))})`,
+        multiplier: Math.pow(weights.urgencyMultipliers[urgency] ?? 1, weights.urgencyWeight)
+      },
+      customerFactor(signal, weights),
+      {
+        key: 'category',
+        label: `Category (${typeof window.formatCategory === 'function' ? window.formatCategory(signal.category) : signal.category})`,
+        multiplier: Math.pow(weights.categoryWeights[signal.category] ?? 1, weights.categoryWeight)
+      }
+    ];
+
+    if (options.recency !== false && weights.recencyHalfLifeDays > 0) {
+      const age = ageInDays(signal, options.asOf);
+      factors.push({
+        key: 'recency',
+        label: `Recency (${formatAge(age)})`,
+        multiplier: Math.pow(0.5, age / weights.recencyHalfLifeDays)
+      });
+    }
+
+    const score = factors.reduce((value, factor) => value * factor.multiplier, impact);
+
+    return {
+      score: Math.round(score * 10) / 10,
+      impact,
+      factors: factors.map(factor => ({
+        ...factor,
+        multiplier: Math.round(factor.multiplier * 100) / 100
+      }))
+    };
+  }
+
+  function score(signal, options = {}) {
+    return breakdown(signal, options).score;
+  }
+
+  function totalScore(signals, options = {}) {
+    return Math.round(signals.reduce((sum, signal) => sum + score(signal, options), 0) * 10) / 10;
+  }
+
+  // Highest score first; ties go to the newer signal
+  function rank(signals, options = {}) {
+    return signals
+      .map(signal => ({ signal, score: score(signal, options) }))
+      .sort((a, b) => b.score - a.score || new Date(b.signal.timestamp) - new Date(a.signal.timestamp))
+      .map(entry => entry.signal);
+  }
+
+  // "72 impact × 1.6 urgency (High) × 3 tier (Enterprise) … = 414.7"
+  function explain(signal, options = {}) {
+    const result = breakdown(signal, options);
+    const parts = result.factors.map(factor => `${factor.multiplier} ${factor.label.toLowerCase()}`);
+    return `${result.impact} impact × ${parts.join(' × ')} = ${result.score}`;
+  }
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.scoring = {
+    score,
+    breakdown,
+    explain,
+    rank,
+    totalScore,
+    weightsFor,
+    revenueFor,
+    revenueAtRisk,
+    formatRevenue,
+    defaults: SCORING_DEFAULTS
+  };
+
+})();
+
+console.log('🎯 SignalBoard Priority Scoring Loaded');
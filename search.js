@@ -0,0 +1,568 @@
+// ===================================
+// SIGNALBOARD TIMELINE SEARCH
+// In-memory inverted index with prefix matching, combinable facets
+// with per-value counts, and filter state kept in the URL hash
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // CONFIGURATION
+  // ===================================
+
+  const SEARCH_CONFIG = {
+    // #timeline?q=sso&category=bug,performance&period=week&sort=score
+    // #timeline?mine=1 (signals the signed-in user captured or owns)
+    hashRoute: 'timeline',
+    periods: ['all', 'today', 'week', 'month', 'custom'],
+    sorts: ['newest', 'score'],
+    inputDelay: 150
+  };
+
+  const schema = window.signalboard.schema;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function capitalize(value) {
+    return String(value).charAt(0).toUpperCase() + String(value).slice(1);
+  }
+
+  // Formatters live in app.js, which loads after this file
+  function format(formatter, value) {
+    return typeof window[formatter] === 'function' ? window[formatter](value) : capitalize(value);
+  }
+
+  // Each facet reads one value per signal (tags read several); values within
+  // a facet are OR'd, facets are AND'd with each other, the query and the date range
+  const FACETS = {
+    category: {
+      label: 'Category',
+      values: () => schema.definition.categories,
+      read: signal => signal.category,
+      format: value => format('formatCategory', value)
+    },
+    tier: {
+      label: 'Tier',
+      values: () => schema.definition.tiers,
+      read: signal => signal.tier,
+      format: value => format('formatTier', value)
+    },
+    urgency: {
+      label: 'Urgency',
+      values: () => Object.keys(schema.definition.urgencyLevels).reverse(),
+      read: signal => String(signal.urgency),
+      format: value => format('formatUrgency', value)
+    },
+    source: {
+      label: 'Source',
+      values: () => schema.definition.sources,
+      read: signal => signal.source,
+      format: value => format('formatSource', value)
+    },
+    priority: {
+      label: 'Priority',
+      values: () => [...(window.signalboard.rules?.config.priorities || ['P0', 'P1', 'P2', 'P3']), 'unassigned'],
+      read: signal => signal.priority || 'unassigned',
+      format: value => (value === 'unassigned' ? 'Unassigned' : value)
+    },
+    status: {
+      label: 'Status',
+      values: () => schema.definition.statuses,
+      read: signal => signal.status,
+      format: value => window.signalboard.workflow?.statusLabels[value] || capitalize(value)
+    },
+    tags: {
+      label: 'Tags',
+      values: () => (window.signalboard.tags?.allTags() || []).map(entry => entry.tag),
+      read: signal => signal.tags || [],
+      // "eu" and "EU" are the same tag
+      fold: value => value.toLowerCase(),
+      format: value => value
+    }
+  };
+
+  function foldValue(key, value) {
+    return FACETS[key].fold ? FACETS[key].fold(String(value)) : String(value);
+  }
+
+  function readFacet(key, signal) {
+    return [].concat(FACETS[key].read(signal)).map(value => foldValue(key, value));
+  }
+
+  // ===================================
+  // INVERTED INDEX
+  // ===================================
+
+  const index = {
+    docs: new Map(),
+    postings: new Map(),
+
+    // Sorted token list for prefix lookups; rebuilt lazily when tokens come or go
+    vocabulary: null
+  };
+
+  function tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean);
+  }
+
+  function removeDoc(id, doc) {
+    doc.tokens.forEach(token => {
+      const ids = index.postings.get(token);
+      if (!ids) return;
+      ids.delete(id);
+      if (ids.size === 0) {
+        index.postings.delete(token);
+        index.vocabulary = null;
+      }
+    });
+    index.docs.delete(id);
+  }
+
+  // Re-indexes only signals whose title, context or tags changed
+  function syncIndex(signals) {
+    const seen = new Set();
+
+    signals.forEach(signal => {
+      seen.add(signal.id);
+
+      const key = `${signal.title}\n${signal.context}\n${(signal.tags || []).join(' ')}`;
+      const existing = index.docs.get(signal.id);
+      if (existing && existing.key === key) return;
+      if (existing) removeDoc(signal.id, existing);
+
+      const tokens = new Set(tokenize(key));
+      tokens.forEach(token => {
+        let ids = index.postings.get(token);
+        if (!ids) {
+          ids = new Set();
+          index.postings.set(token, ids);
+          index.vocabulary = null;
+        }
+        ids.add(signal.id);
+      });
+      index.docs.set(signal.id, { key, tokens });
+    });
+
+    index.docs.forEach((doc, id) => {
+      if (!seen.has(id)) removeDoc(id, doc);
+    });
+  }
+
+  // Every indexed token starting with prefix, via binary search on the vocabulary
+  function expandPrefix(prefix) {
+    if (!index.vocabulary) {
+      index.vocabulary = [...index.postings.keys()].sort();
+    }
+
+    const vocabulary = index.vocabulary;
+    let low = 0;
+    let high = vocabulary.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (vocabulary[mid] < prefix) low = mid + 1;
+      else high = mid;
+    }
+
+    const matches = [];
+    for (let i = low; i < vocabulary.length && vocabulary[i].startsWith(prefix); i++) {
+      matches.push(vocabulary[i]);
+    }
+    return matches;
+  }
+
+  // Ids matching every query term (each term as a prefix), or null for an empty query
+  function matchIds(query, signals = window.state?.signals || []) {
+    const terms = tokenize(query);
+    if (terms.length === 0) return null;
+
+    syncIndex(signals);
+
+    let result = null;
+    for (const term of terms) {
+      const ids = new Set();
+      expandPrefix(term).forEach(token => {
+        index.postings.get(token).forEach(id => ids.add(id));
+      });
+
+      result = result ? new Set([...result].filter(id => ids.has(id))) : ids;
+      if (result.size === 0) break;
+    }
+    return result;
+  }
+
+  function search(query, signals = window.state?.signals || []) {
+    const ids = matchIds(query, signals);
+    return ids ? signals.filter(signal => ids.has(signal.id)) : [...signals];
+  }
+
+  // ===================================
+  // FILTER STATE
+  // ===================================
+
+  function emptyFilters() {
+    return {
+      q: '',
+      period: 'all',
+      from: '',
+      to: '',
+      sort: 'newest',
+      mine: false,
+      facets: Object.fromEntries(Object.keys(FACETS).map(key => [key, []]))
+    };
+  }
+
+  let filters = emptyFilters();
+
+  function getFilters() {
+    return filters;
+  }
+
+  function normalizeFilters(raw) {
+    const next = emptyFilters();
+    next.q = String(raw.q || '');
+    next.period = SEARCH_CONFIG.periods.includes(raw.period) ? raw.period : 'all';
+    next.from = /^\d{4}-\d{2}-\d{2}$/.test(raw.from || '') ? raw.from : '';
+    next.to = /^\d{4}-\d{2}-\d{2}$/.test(raw.to || '') ? raw.to : '';
+    if (next.from || next.to) next.period = 'custom';
+    next.sort = SEARCH_CONFIG.sorts.includes(raw.sort) ? raw.sort : 'newest';
+    next.mine = raw.mine === true || raw.mine === '1';
+
+    Object.keys(FACETS).forEach(key => {
+      const allowed = FACETS[key].values().map(value => foldValue(key, value));
+      next.facets[key] = [...new Set(raw.facets?.[key] || [])].map(String).filter(value => allowed.includes(foldValue(key, value)));
+    });
+
+    return next;
+  }
+
+  function setFilters(partial = {}) {
+    filters = normalizeFilters({
+      ...filters,
+      ...partial,
+      facets: { ...filters.facets, ...(partial.facets || {}) }
+    });
+    writeHash();
+    refresh();
+  }
+
+  function clearFilters() {
+    filters = { ...emptyFilters(), sort: filters.sort };
+    writeHash();
+    refresh();
+  }
+
+  function isFiltered() {
+    return tokenize(filters.q).length > 0 || filters.period !== 'all' || filters.mine ||
+      Object.values(filters.facets).some(values => values.length > 0);
+  }
+
+  // ===================================
+  // URL HASH
+  // ===================================
+
+  function toHash() {
+    const params = new URLSearchParams();
+    if (filters.q.trim()) params.set('q', filters.q.trim());
+    if (filters.mine) params.set('mine', '1');
+    Object.entries(filters.facets).forEach(([key, values]) => {
+      if (values.length > 0) params.set(key, values.join(','));
+    });
+    if (filters.period === 'custom') {
+      if (filters.from) params.set('from', filters.from);
+      if (filters.to) params.set('to', filters.to);
+    } else if (filters.period !== 'all') {
+      params.set('period', filters.period);
+    }
+    if (filters.sort !== 'newest') params.set('sort', filters.sort);
+
+    const query = params.toString();
+    return `#${SEARCH_CONFIG.hashRoute}${query ? `?${query}` : ''}`;
+  }
+
+  function fromHash(hash) {
+    const [route, query = ''] = String(hash || '').replace(/^#/, '').split('?');
+    if (route !== SEARCH_CONFIG.hashRoute) return null;
+
+    const params = new URLSearchParams(query);
+    return normalizeFilters({
+      q: params.get('q'),
+      period: params.get('period'),
+      from: params.get('from'),
+      to: params.get('to'),
+      sort: params.get('sort'),
+      mine: params.get('mine'),
+      facets: Object.fromEntries(Object.keys(FACETS).map(key => [
+        key,
+        (params.get(key) || '').split(',').filter(Boolean)
+      ]))
+    });
+  }
+
+  // replaceState, so filtering doesn't flood the back button
+  function writeHash() {
+    if (window.state?.currentView !== 'history') return;
+    const hash = toHash();
+    if (window.location.hash !== hash) {
+      window.history.replaceState(null, '', hash);
+    }
+  }
+
+  function clearHash() {
+    if (fromHash(window.location.hash)) {
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+  }
+
+  // Switches to the timeline, or re-renders it when it's already showing
+  function showTimeline() {
+    if (window.state?.currentView !== 'history' && typeof window.switchView === 'function') {
+      window.switchView('history');
+      document.querySelectorAll('.nav-item').forEach(item => {
+        item.classList.toggle('active', item.dataset.view === 'history');
+      });
+    } else {
+      refresh();
+    }
+  }
+
+  // Opens the timeline when the page is loaded or navigated with a timeline hash
+  function applyHash() {
+    const parsed = fromHash(window.location.hash);
+    if (!parsed) return;
+
+    filters = parsed;
+    syncControls();
+    showTimeline();
+  }
+
+  // Opens the timeline with just these filters (the sort is kept), e.g. to
+  // drill down from an analytics chart
+  function openTimeline(partial = {}) {
+    filters = normalizeFilters({ ...emptyFilters(), sort: filters.sort, ...partial });
+    syncControls();
+    writeHash();
+    showTimeline();
+  }
+
+  // ===================================
+  // FILTERING
+  // ===================================
+
+  function inPeriod(signal) {
+    const now = Date.now();
+
+    switch (filters.period) {
+      case 'today':
+        return signal.date === schema.todayKey();
+      case 'week':
+        return new Date(signal.timestamp).getTime() >= now - 7 * DAY_MS;
+      case 'month':
+        return new Date(signal.timestamp).getTime() >= now - 30 * DAY_MS;
+      case 'custom':
+        return (!filters.from || signal.date >= filters.from) && (!filters.to || signal.date <= filters.to);
+      default:
+        return true;
+    }
+  }
+
+  // Captured by or assigned to the signed-in user (users.js)
+  function isMine(signal) {
+    return window.signalboard.users ? window.signalboard.users.isMine(signal) : true;
+  }
+
+  function matchesFacets(signal, skip) {
+    return Object.entries(filters.facets).every(([key, values]) => (
+      key === skip || values.length === 0 || readFacet(key, signal).some(value => values.some(selected => foldValue(key, selected) === value))
+    ));
+  }
+
+  // Returns matching signals (in their original order) and, for each facet,
+  // how many results each value would have with the other filters applied
+  function filter(signals = window.state?.signals || []) {
+    const ids = matchIds(filters.q, signals);
+    const base = signals.filter(signal => (!ids || ids.has(signal.id)) && inPeriod(signal) && (!filters.mine || isMine(signal)));
+
+    const counts = {};
+    Object.keys(FACETS).forEach(key => {
+      counts[key] = {};
+      base
+        .filter(signal => matchesFacets(signal, key))
+        .forEach(signal => {
+          readFacet(key, signal).forEach(value => {
+            counts[key][value] = (counts[key][value] || 0) + 1;
+          });
+        });
+    });
+
+    return {
+      signals: base.filter(signal => matchesFacets(signal)),
+      counts,
+      total: signals.length
+    };
+  }
+
+  // ===================================
+  // UI RENDERING
+  // ===================================
+
+  const escapeHtml = window.signalboard.escapeHtml;
+
+  function renderFacets(result) {
+    const container = document.getElementById('timeline-facets');
+    if (container) {
+      // No tags in use yet, no empty Tags group
+      container.innerHTML = Object.entries(FACETS).filter(([, facet]) => facet.values().length > 0).map(([key, facet]) => `
+        <fieldset class="facet-group">
+          <legend class="facet-title">${facet.label}</legend>
+          ${facet.values().map(String).map(value => {
+            const count = result.counts[key][foldValue(key, value)] || 0;
+            const checked = filters.facets[key].some(selected => foldValue(key, selected) === foldValue(key, value));
+            return `
+              <label class="facet-option ${count === 0 && !checked ? 'facet-empty' : ''}">
+                <input type="checkbox" data-facet="${key}" value="${escapeHtml(value)}" ${checked ? 'checked' : ''} />
+                <span>${escapeHtml(facet.format(value))}</span>
+                <span class="facet-count">${count}</span>
+              </label>
+            `;
+          }).join('')}
+        </fieldset>
+      `).join('');
+    }
+
+    const summary = document.getElementById('timeline-count');
+    if (summary) {
+      summary.textContent = isFiltered()
+        ? `${result.signals.length} of ${result.total} signals match`
+        : `${result.total} signals`;
+    }
+
+    const clear = document.getElementById('timeline-clear');
+    if (clear) clear.disabled = !isFiltered();
+  }
+
+  // Puts filter state back into the toolbar after a hash change
+  function syncControls() {
+    const input = document.getElementById('timeline-search');
+    if (input && input.value !== filters.q) input.value = filters.q;
+
+    const period = document.getElementById('history-filter');
+    if (period) period.value = filters.period;
+
+    const from = document.getElementById('history-from');
+    const to = document.getElementById('history-to');
+    if (from) {
+      from.value = filters.from;
+      from.classList.toggle('hidden', filters.period !== 'custom');
+    }
+    if (to) {
+      to.value = filters.to;
+      to.classList.toggle('hidden', filters.period !== 'custom');
+    }
+
+    const sort = document.getElementById('history-sort');
+    if (sort) sort.value = filters.sort;
+
+    const mine = document.getElementById('timeline-mine');
+    if (mine) mine.checked = filters.mine;
+  }
+
+  function refresh() {
+    syncControls();
+    if (typeof window.renderTimeline === 'function') window.renderTimeline();
+  }
+
+  function handleFacetChange(event) {
+    const input = event.target.closest('input[data-facet]');
+    if (!input) return;
+
+    const key = input.dataset.facet;
+    const values = filters.facets[key].filter(value => foldValue(key, value) !== foldValue(key, input.value));
+    if (input.checked) values.push(input.value);
+    setFilters({ facets: { [key]: values } });
+  }
+
+  // ===================================
+  // INITIALIZATION
+  // ===================================
+
+  function bindEvents() {
+    let inputTimer = null;
+    document.getElementById('timeline-search')?.addEventListener('input', event => {
+      clearTimeout(inputTimer);
+      inputTimer = setTimeout(() => setFilters({ q: event.target.value }), SEARCH_CONFIG.inputDelay);
+    });
+
+    document.getElementById('history-filter')?.addEventListener('change', event => {
+      setFilters({ period: event.target.value, from: '', to: '' });
+    });
+    document.getElementById('history-from')?.addEventListener('change', event => {
+      setFilters({ period: 'custom', from: event.target.value });
+    });
+    document.getElementById('history-to')?.addEventListener('change', event => {
+      setFilters({ period: 'custom', to: event.target.value });
+    });
+    document.getElementById('history-sort')?.addEventListener('change', event => {
+      setFilters({ sort: event.target.value });
+    });
+    document.getElementById('timeline-mine')?.addEventListener('change', event => {
+      setFilters({ mine: event.target.checked });
+    });
+
+    document.getElementById('timeline-facets')?.addEventListener('change', handleFacetChange);
+    document.getElementById('timeline-clear')?.addEventListener('click', clearFilters);
+
+    window.addEventListener('hashchange', applyHash);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindEvents);
+  } else {
+    bindEvents();
+  }
+
+  // Stored signals are needed before a shared link can be rendered
+  document.addEventListener('signalboard:state-loaded', applyHash);
+
+  // Keep the hash in step with the view: shown on the timeline, dropped elsewhere.
+  // Wrapped once app.js has defined switchView.
+  document.addEventListener('DOMContentLoaded', () => {
+    const originalSwitchView = window.switchView;
+    if (!originalSwitchView) return;
+
+    window.switchView = function (viewName) {
+      originalSwitchView(viewName);
+      if (viewName === 'history') writeHash();
+      else clearHash();
+    };
+  });
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.search = {
+    search,
+    matchIds,
+    filter,
+    renderFacets,
+    getFilters,
+    setFilters,
+    clearFilters,
+    openTimeline,
+    toHash,
+    fromHash,
+    tokenize,
+    facets: Object.keys(FACETS),
+    config: SEARCH_CONFIG
+  };
+
+})();
+
+console.log('🔎 SignalBoard Timeline Search Loaded');
@@ -0,0 +1,438 @@
+// ===================================
+// SIGNALBOARD SIGNAL EDITOR
+// In-place editing with a per-signal revision log, word-level
+// diffs and one-click revert
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // CONFIGURATION
+  // ===================================
+
+  const EDITOR_CONFIG = {
+    // Oldest revisions are dropped past this
+    maxRevisions: 50,
+
+    // Word diffs beyond this many token pairs fall back to old/new blocks
+    maxDiffCells: 250000
+  };
+
+  // Fields a PM can edit, in form order
+  const EDITABLE_FIELDS = ['title', 'impact', 'urgency', 'source', 'category', 'tier', 'sentiment', 'accountId', 'owner', 'context', 'tags', 'timestamp'];
+
+  const FIELD_LABELS = {
+    title: 'Title',
+    impact: 'Impact',
+    urgency: 'Urgency',
+    source: 'Source',
+    category: 'Category',
+    tier: 'Tier',
+    sentiment: 'Sentiment',
+    accountId: 'Account',
+    owner: 'Owner',
+    context: 'Context',
+    tags: 'Tags',
+    timestamp: 'Captured'
+  };
+
+  const schema = window.signalboard.schema;
+  const users = window.signalboard.users;
+
+  let editingId = null;
+
+  // ===================================
+  // REVISIONS
+  // ===================================
+
+  function findSignal(signalId) {
+    return (window.state?.signals || []).find(signal => signal.id === signalId) || null;
+  }
+
+  // Tags are arrays, so compare by value
+  function sameValue(a, b) {
+    return Array.isArray(a) || Array.isArray(b) ? JSON.stringify(a) === JSON.stringify(b) : a === b;
+  }
+
+  function pick(source, fields) {
+    return Object.fromEntries(fields.filter(field => field in source).map(field => [field, source[field]]));
+  }
+
+  // Applies field changes, validates the result and records one revision.
+  // Returns { signal, revision, errors }; revision is null when nothing changed.
+  // Pass { defer: true } when editing many signals and persist once afterwards.
+  function updateSignal(signalId, fields, options = {}) {
+    const existing = findSignal(signalId);
+    if (!existing) return { signal: null, revision: null, errors: ['Signal not found'] };
+
+    const denied = users.permissionError('signals.edit', existing);
+    if (denied) return { signal: existing, revision: null, errors: [denied] };
+
+    const edits = Object.fromEntries(
+      Object.entries(fields).filter(([field, value]) => EDITABLE_FIELDS.includes(field) && value !== undefined)
+    );
+
+    // Normalization clamps and defaults silently, so check raw edits first
+    const candidate = { ...existing, ...edits, id: existing.id };
+    const updated = schema.normalizeSignal(candidate);
+    const errors = updated
+      ? schema.validateSignal({ ...updated, ...pick(candidate, ['impact', 'source', 'category', 'tier', 'sentiment']) })
+      : ['Title is required'];
+    if (errors.length > 0) return { signal: existing, revision: null, errors };
+
+    const changes = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (!sameValue(updated[field], existing[field])) {
+        changes[field] = { from: existing[field], to: updated[field] };
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      return { signal: existing, revision: null, errors: [] };
+    }
+
+    const revision = {
+      id: `rev_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      at: new Date().toISOString(),
+      by: options.by || users.author(),
+      changes,
+      ...(options.revertOf ? { revertOf: options.revertOf } : {})
+    };
+
+    updated.revisions = [...(existing.revisions || []), revision].slice(-EDITOR_CONFIG.maxRevisions);
+    updated.updatedAt = revision.at;
+    updated.updatedBy = users.currentId() || existing.updatedBy;
+
+    const signals = window.state.signals;
+    signals[signals.indexOf(existing)] = updated;
+
+    // Keep newest-first order when the capture time was corrected
+    if (changes.timestamp) {
+      signals.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    if (!options.defer) persist();
+    return { signal: updated, revision, errors: [] };
+  }
+
+  // Puts back the values a revision replaced, as a new revision
+  function revert(signalId, revisionId) {
+    const signal = findSignal(signalId);
+    const revision = signal?.revisions?.find(r => r.id === revisionId);
+    if (!revision) return { signal, revision: null, errors: ['Revision not found'] };
+
+    const fields = Object.fromEntries(
+      Object.entries(revision.changes).map(([field, change]) => [field, change.from])
+    );
+    return updateSignal(signalId, fields, { revertOf: revisionId });
+  }
+
+  function history(signalId) {
+    return [...(findSignal(signalId)?.revisions || [])].reverse();
+  }
+
+  function persist() {
+    if (window.saveState) window.saveState();
+    if (typeof window.updateDashboard === 'function') window.updateDashboard();
+    if (typeof window.renderRecentSignals === 'function') window.renderRecentSignals();
+    if (typeof window.renderTimeline === 'function') window.renderTimeline();
+  }
+
+  // ===================================
+  // DIFF
+  // ===================================
+
+  // Word-level diff via longest common subsequence.
+  // Returns [{ type: 'same' | 'added' | 'removed', text }]
+  function diffWords(before, after) {
+    const a = String(before ?? '').split(/(\s+)/).filter(Boolean);
+    const b = String(after ?? '').split(/(\s+)/).filter(Boolean);
+
+    if (a.length * b.length > EDITOR_CONFIG.maxDiffCells) {
+      return [{ type: 'removed', text: a.join('') }, { type: 'added', text: b.join('') }];
+    }
+
+    // lengths[i][j] = LCS of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+      const last = parts[parts.length - 1];
+      if (last && last.type === type) last.text += text;
+      else parts.push({ type, text });
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        push('same', a[i]);
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        push('removed', a[i++]);
+      } else {
+        push('added', b[j++]);
+      }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+
+    return parts;
+  }
+
+  // ===================================
+  // UI RENDERING
+  // ===================================
+
+  const escapeHtml = window.signalboard.escapeHtml;
+
+  function formatValue(field, value) {
+    switch (field) {
+      case 'urgency': return typeof window.formatUrgency === 'function' ? window.formatUrgency(value) : value;
+      case 'source': return typeof window.formatSource === 'function' ? window.formatSource(value) : value;
+      case 'category': return typeof window.formatCategory === 'function' ? window.formatCategory(value) : value;
+      case 'sentiment': return typeof window.formatSentiment === 'function' ? window.formatSentiment(value) : value;
+      case 'tier': return typeof window.formatTier === 'function' ? window.formatTier(value) : value;
+      case 'timestamp': return new Date(value).toLocaleString();
+      case 'tags': return value?.length ? value.join(', ') : 'None';
+      case 'accountId': return window.signalboard.accounts?.accountName(value) || (value ? 'Deleted account' : 'None');
+      default: return value;
+    }
+  }
+
+  function renderChange(field, change) {
+    if (field === 'title' || field === 'context') {
+      const diff = diffWords(change.from, change.to).map(part => {
+        if (part.type === 'added') return `<ins>${escapeHtml(part.text)}</ins>`;
+        if (part.type === 'removed') return `<del>${escapeHtml(part.text)}</del>`;
+        return escapeHtml(part.text);
+      }).join('');
+      return `<div class="revision-change"><span class="revision-field">${FIELD_LABELS[field]}</span><span class="revision-diff">${diff || '<em>empty</em>'}</span></div>`;
+    }
+
+    return `
+      <div class="revision-change">
+        <span class="revision-field">${FIELD_LABELS[field]}</span>
+        <span class="revision-diff"><del>${escapeHtml(formatValue(field, change.from))}</del> → <ins>${escapeHtml(formatValue(field, change.to))}</ins></span>
+      </div>
+    `;
+  }
+
+  function renderHistory(signal) {
+    const container = document.getElementById('edit-signal-history');
+    if (!container) return;
+
+    const revisions = history(signal.id);
+    const created = `
+      <li class="revision">
+        <div class="revision-header">
+          <span>Captured ${escapeHtml(new Date(signal.timestamp).toLocaleString())}</span>
+        </div>
+      </li>
+    `;
+
+    if (revisions.length === 0) {
+      container.innerHTML = `<ul class="revision-list">${created}</ul><p class="form-help">No edits yet.</p>`;
+      return;
+    }
+
+    container.innerHTML = `
+      <ul class="revision-list">
+        ${revisions.map(revision => {
+          const reverted = revision.revertOf ? ' (revert)' : '';
+          return `
+            <li class="revision" data-revision-id="${escapeHtml(revision.id)}">
+              <div class="revision-header">
+                <span><strong>${escapeHtml(revision.by)}</strong> • ${escapeHtml(new Date(revision.at).toLocaleString())}${reverted}</span>
+                <button type="button" class="btn-secondary" data-action="revert">Revert</button>
+              </div>
+              ${Object.entries(revision.changes).map(([field, change]) => renderChange(field, change)).join('')}
+            </li>
+          `;
+        }).join('')}
+        ${created}
+      </ul>
+    `;
+  }
+
+  // Rebuilt on every open, since the taxonomy can change in between
+  function fillOptions(id, values, formatter) {
+    const select = document.getElementById(id);
+    if (!select) return;
+    select.innerHTML = values.map(value => (
+      `<option value="${escapeHtml(value)}">${escapeHtml(formatValue(formatter, value))}</option>`
+    )).join('');
+  }
+
+  // datetime-local wants local time without seconds
+  function toLocalInput(timestamp) {
+    const date = new Date(timestamp);
+    const pad = number => String(number).padStart(2, '0');
+    return `${schema.dayKey(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  function fillForm(signal) {
+    const { definition } = schema;
+    fillOptions('edit-urgency', Object.keys(definition.urgencyLevels), 'urgency');
+    fillOptions('edit-source', definition.sources, 'source');
+    fillOptions('edit-category', definition.categories, 'category');
+    fillOptions('edit-tier', definition.tiers, 'tier');
+    fillOptions('edit-sentiment', definition.sentiments, 'sentiment');
+
+    document.getElementById('edit-title').value = signal.title;
+    document.getElementById('edit-impact').value = signal.impact;
+    document.getElementById('edit-urgency').value = String(signal.urgency);
+    document.getElementById('edit-source').value = signal.source;
+    document.getElementById('edit-category').value = signal.category;
+    document.getElementById('edit-tier').value = signal.tier;
+    document.getElementById('edit-sentiment').value = signal.sentiment;
+    window.signalboard.accounts?.renderOptions();
+    document.getElementById('edit-account').value = signal.accountId || '';
+    document.getElementById('edit-owner').value = signal.owner || '';
+    document.getElementById('edit-context').value = signal.context;
+    window.signalboard.tags?.setValue('edit-tags', signal.tags);
+    document.getElementById('edit-timestamp').value = toLocalInput(signal.timestamp);
+  }
+
+  function readForm(signal) {
+    const captured = document.getElementById('edit-timestamp')?.value;
+
+    return {
+      title: document.getElementById('edit-title')?.value.trim(),
+      impact: parseFloat(document.getElementById('edit-impact')?.value),
+      urgency: parseInt(document.getElementById('edit-urgency')?.value, 10),
+      source: document.getElementById('edit-source')?.value,
+      category: document.getElementById('edit-category')?.value,
+      tier: document.getElementById('edit-tier')?.value,
+      sentiment: document.getElementById('edit-sentiment')?.value,
+      accountId: document.getElementById('edit-account')?.value,
+      owner: document.getElementById('edit-owner')?.value.trim(),
+      context: document.getElementById('edit-context')?.value.trim(),
+      tags: window.signalboard.tags?.getValue('edit-tags'),
+      // Only touch the timestamp when the minute actually changed, so seconds survive
+      timestamp: captured && captured !== toLocalInput(signal.timestamp)
+        ? new Date(captured).toISOString()
+        : undefined
+    };
+  }
+
+  function open(signalId) {
+    const signal = findSignal(signalId);
+    const modal = document.getElementById('edit-signal-modal');
+    if (!signal || !modal) return;
+
+    const denied = users.permissionError('signals.edit', signal);
+    if (denied) {
+      showToast(denied);
+      return;
+    }
+
+    editingId = signalId;
+    fillForm(signal);
+    renderHistory(signal);
+    modal.classList.remove('hidden');
+    document.getElementById('edit-title')?.focus();
+  }
+
+  function close() {
+    editingId = null;
+    document.getElementById('edit-signal-modal')?.classList.add('hidden');
+  }
+
+  function handleSubmit(event) {
+    event.preventDefault();
+
+    const signal = findSignal(editingId);
+    if (!signal) return close();
+
+    const fields = readForm(signal);
+    if (!fields.title || !(fields.impact > 0)) {
+      showToast('Title and impact score required');
+      return;
+    }
+
+    const { revision, errors } = window.signalboard.history.perform('Edit signal', () => updateSignal(signal.id, fields));
+    if (errors.length > 0) {
+      showToast(errors[0]);
+      return;
+    }
+
+    close();
+    if (revision) {
+      window.signalboard.history.notify('Signal updated');
+    } else {
+      showToast('No changes to save');
+    }
+  }
+
+  function handleHistoryClick(event) {
+    const button = event.target.closest('button[data-action="revert"]');
+    const item = event.target.closest('[data-revision-id]');
+    if (!button || !item || !editingId) return;
+
+    const history = window.signalboard.history;
+    const { signal, errors } = history.perform('Revert change', () => revert(editingId, item.dataset.revisionId));
+    if (errors.length > 0) {
+      showToast(errors[0]);
+      return;
+    }
+
+    fillForm(signal);
+    renderHistory(signal);
+    history.notify('Change reverted');
+  }
+
+  function showToast(message) {
+    if (typeof window.showToast === 'function') {
+      window.showToast(message);
+    } else {
+      console.log('Toast:', message);
+    }
+  }
+
+  // ===================================
+  // INITIALIZATION
+  // ===================================
+
+  function bindEvents() {
+    document.getElementById('edit-signal-form')?.addEventListener('submit', handleSubmit);
+    document.getElementById('edit-signal-cancel')?.addEventListener('click', close);
+    document.getElementById('edit-signal-close')?.addEventListener('click', close);
+    document.getElementById('edit-signal-history')?.addEventListener('click', handleHistoryClick);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindEvents);
+  } else {
+    bindEvents();
+  }
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.editor = {
+    open,
+    close,
+    updateSignal,
+    revert,
+    history,
+    diffWords,
+    fields: EDITABLE_FIELDS,
+    config: EDITOR_CONFIG
+  };
+
+})();
+
+console.log('✏️ SignalBoard Signal Editor Loaded');
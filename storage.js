@@ -0,0 +1,926 @@
+// ===================================
+// SIGNALBOARD STORAGE LAYER
+// IndexedDB persistence with incremental writes and a localStorage fallback,
+// scoped to the active workspace
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // CONFIGURATION
+  // ===================================
+  const STORAGE_CONFIG = {
+    dbName: 'signalboard',
+    dbVersion: 4,
+
+    // Indexes are a field name, or [name, keyPath] for compound ones
+    stores: {
+      // Keyed per workspace since dbVersion 4: imported ids are deterministic
+      // (github_<repo>_<n>), so the same issue can live in two workspaces
+      signals: {
+        keyPath: ['workspaceId', 'id'],
+        indexes: ['timestamp', 'category', 'tier', 'source', 'workspaceId']
+      },
+      // Keyed per workspace since dbVersion 3, so two workspaces can both
+      // have a 'default' benchmark
+      benchmarks: {
+        keyPath: ['workspaceId', 'id'],
+        indexes: ['workspaceId']
+      },
+      // Added in dbVersion 2; onupgradeneeded creates missing stores
+      accounts: {
+        keyPath: 'id',
+        indexes: ['tier', 'region']
+      },
+      events: {
+        keyPath: 'id',
+        indexes: ['timestamp', 'type', 'workspaceId', ['workspaceTimestamp', ['workspaceId', 'timestamp']]]
+      },
+      profile: {
+        keyPath: 'key',
+        indexes: []
+      }
+    },
+
+    // Stores whose records belong to one workspace (tagged with workspaceId)
+    workspaceStores: ['signals', 'benchmarks', 'events'],
+    defaultWorkspace: 'default',
+
+    // App-level records kept in the profile store, one record per key
+    profileKeys: ['users', 'theme', 'clusters', 'rules', 'workflow', 'workspaces'],
+
+    // Still read so schema migrations can upgrade them, no longer written
+    legacyProfileKeys: ['user'],
+
+    // Per-workspace profile records, stored as "<key>:<workspaceId>"
+    workspaceKeys: ['taxonomy'],
+
+    // Keys used before IndexedDB, read once during migration and by the fallback
+    localStorageKeys: {
+      state: 'signalboard-state',
+      legacyState: 'signalboard_state',
+      events: 'signalboard_analytics_events'
+    },
+
+    maxStoredEvents: 5000,
+
+    // Permission each part of a save needs (users.js). Signals are checked
+    // per record; a null baseline value may always be filled in.
+    permissions: {
+      signals: { create: 'signals.create', edit: 'signals.edit', delete: 'signals.delete' },
+      accounts: 'accounts.edit',
+      benchmarks: 'settings.manage',
+      clusters: 'signals.edit',
+      rules: 'settings.manage',
+      workflow: 'settings.manage',
+      taxonomy: 'settings.manage',
+      workspaces: 'settings.manage',
+      // Anyone may change their own record, but not their role
+      users: 'users.manage'
+    },
+
+    // Fields anyone may change: rules.js recomputes priorities on every save,
+    // and picking the active workspace isn't a settings change
+    unguardedFields: {
+      signals: ['priority', 'flags', 'matchedRules'],
+      workspaces: ['active']
+    }
+  };
+
+  const schema = window.signalboard.schema;
+
+  // ===================================
+  // INDEXEDDB HELPERS
+  // ===================================
+
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  function withWorkspace(record, workspaceId = STORAGE_CONFIG.defaultWorkspace) {
+    return record.workspaceId ? record : { ...record, workspaceId };
+  }
+
+  function scopedKey(key, workspaceId) {
+    return `${key}:${workspaceId}`;
+  }
+
+  function createIndexes(store, config) {
+    config.indexes.forEach(index => {
+      const [name, keyPath] = Array.isArray(index) ? index : [index, index];
+      if (!store.indexNames.contains(name)) {
+        store.createIndex(name, keyPath, { unique: false });
+      }
+    });
+  }
+
+  function keyPathChanged(store, config) {
+    return JSON.stringify(store.keyPath) !== JSON.stringify(config.keyPath);
+  }
+
+  // A new key path needs a new store: copy the records across
+  function rebuildStore(db, store, name, config) {
+    store.getAll().onsuccess = ({ target }) => {
+      db.deleteObjectStore(name);
+      const next = db.createObjectStore(name, { keyPath: config.keyPath });
+      createIndexes(next, config);
+      target.result.forEach(record => next.put(withWorkspace(record)));
+    };
+  }
+
+  // Workspace stores whose key path changed since the database was created
+  function rebuildChangedStores(db, tx) {
+    STORAGE_CONFIG.workspaceStores.forEach(name => {
+      if (!db.objectStoreNames.contains(name)) return;
+      const store = tx.objectStore(name);
+      if (keyPathChanged(store, STORAGE_CONFIG.stores[name])) rebuildStore(db, store, name, STORAGE_CONFIG.stores[name]);
+    });
+  }
+
+  // Before dbVersion 3 there was one implicit workspace: tag its records and
+  // move its per-workspace profile records under scoped keys
+  function upgradeToWorkspaces(db, tx) {
+    Object.entries(STORAGE_CONFIG.stores).forEach(([name, config]) => {
+      if (!STORAGE_CONFIG.workspaceStores.includes(name) || !db.objectStoreNames.contains(name)) return;
+      const store = tx.objectStore(name);
+
+      if (keyPathChanged(store, config)) {
+        rebuildStore(db, store, name, config);
+        return;
+      }
+
+      store.openCursor().onsuccess = ({ target }) => {
+        const cursor = target.result;
+        if (!cursor) return;
+        if (!cursor.value.workspaceId) cursor.update(withWorkspace(cursor.value));
+        cursor.continue();
+      };
+    });
+
+    const profile = tx.objectStore('profile');
+    STORAGE_CONFIG.workspaceKeys.forEach(key => {
+      profile.get(key).onsuccess = ({ target }) => {
+        if (!target.result) return;
+        profile.put({ key: scopedKey(key, STORAGE_CONFIG.defaultWorkspace), value: target.result.value });
+        profile.delete(key);
+      };
+    });
+  }
+
+  function openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(STORAGE_CONFIG.dbName, STORAGE_CONFIG.dbVersion);
+
+      request.onupgradeneeded = event => {
+        const db = request.result;
+
+        if (event.oldVersion > 0 && event.oldVersion < 3) {
+          upgradeToWorkspaces(db, request.transaction);
+        } else if (event.oldVersion === 3) {
+          rebuildChangedStores(db, request.transaction);
+        }
+
+        Object.entries(STORAGE_CONFIG.stores).forEach(([name, config]) => {
+          if (!db.objectStoreNames.contains(name)) {
+            createIndexes(db.createObjectStore(name, { keyPath: config.keyPath }), config);
+            return;
+          }
+
+          // Stores being rebuilt get their indexes in rebuildStore
+          const store = request.transaction.objectStore(name);
+          if (!keyPathChanged(store, config)) createIndexes(store, config);
+        });
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+    });
+  }
+
+  function readLocalJSON(key) {
+    try {
+      const raw = localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      console.warn(`Failed to read ${key} from localStorage:`, error);
+      return null;
+    }
+  }
+
+  // ===================================
+  // INDEXEDDB BACKEND
+  // ===================================
+
+  class IndexedDBBackend {
+    constructor(db) {
+      this.name = 'indexeddb';
+      this.db = db;
+
+      // Last persisted serialization per record, used to write only what changed
+      this.persisted = {
+        signals: new Map(),
+        benchmarks: new Map(),
+        accounts: new Map(),
+        profile: new Map()
+      };
+      this.meta = {};
+
+      // Active workspace; set by load(), or read from the profile before that
+      this.workspaceId = null;
+    }
+
+    async resolveWorkspace() {
+      if (!this.workspaceId) {
+        const record = await requestToPromise(
+          this.db.transaction('profile').objectStore('profile').get('workspaces')
+        );
+        this.workspaceId = record?.value?.active || STORAGE_CONFIG.defaultWorkspace;
+      }
+      return this.workspaceId;
+    }
+
+    // Deletes are by primary key, which includes the workspace for signals
+    // and benchmarks
+    storeKey(storeName, key) {
+      return Array.isArray(STORAGE_CONFIG.stores[storeName].keyPath) ? [this.workspaceId, key] : key;
+    }
+
+    async migrateFromLocalStorage() {
+      const meta = await requestToPromise(
+        this.db.transaction('profile').objectStore('profile').get('meta')
+      );
+      if (meta?.value?.migratedFromLocalStorage) return false;
+
+      const keys = STORAGE_CONFIG.localStorageKeys;
+      const blob = readLocalJSON(keys.state) || readLocalJSON(keys.legacyState);
+      const events = readLocalJSON(keys.events);
+
+      const tx = this.db.transaction(['signals', 'benchmarks', 'accounts', 'events', 'profile'], 'readwrite');
+
+      if (blob) {
+        const { data } = schema.migrateState(blob);
+        data.signals.forEach(signal => tx.objectStore('signals').put(withWorkspace(signal)));
+        (data.benchmarks || []).forEach((benchmark, position) => {
+          tx.objectStore('benchmarks').put(withWorkspace({ ...benchmark, position }));
+        });
+        (data.accounts || []).forEach(account => tx.objectStore('accounts').put(account));
+        STORAGE_CONFIG.profileKeys.forEach(key => {
+          if (data[key]) tx.objectStore('profile').put({ key, value: data[key] });
+        });
+        STORAGE_CONFIG.workspaceKeys.forEach(key => {
+          if (data[key]) tx.objectStore('profile').put({ key: scopedKey(key, STORAGE_CONFIG.defaultWorkspace), value: data[key] });
+        });
+      }
+
+      if (Array.isArray(events)) {
+        events.slice(-STORAGE_CONFIG.maxStoredEvents)
+          .filter(event => event && event.id)
+          .forEach(event => tx.objectStore('events').put(withWorkspace(event)));
+      }
+
+      tx.objectStore('profile').put({
+        key: 'meta',
+        value: {
+          schemaVersion: schema.version,
+          migratedFromLocalStorage: new Date().toISOString()
+        }
+      });
+
+      await transactionDone(tx);
+
+      // Free the quota only once IndexedDB holds the data
+      Object.values(keys).forEach(key => {
+        try {
+          localStorage.removeItem(key);
+        } catch (error) {
+          console.warn(`Failed to remove ${key} from localStorage:`, error);
+        }
+      });
+
+      console.log(`✓ Migrated localStorage data to IndexedDB (${blob?.signals?.length || 0} signals, ${events?.length || 0} events)`);
+      return true;
+    }
+
+    // Loads the global records plus one workspace's (the saved active one by default)
+    async load(workspaceId = null) {
+      await this.migrateFromLocalStorage();
+
+      const profileRecords = await requestToPromise(
+        this.db.transaction('profile').objectStore('profile').getAll()
+      );
+      const profile = Object.fromEntries(profileRecords.map(record => [record.key, record.value]));
+      this.meta = profile.meta || {};
+      this.workspaceId = workspaceId || profile.workspaces?.active || STORAGE_CONFIG.defaultWorkspace;
+
+      const tx = this.db.transaction(['signals', 'benchmarks', 'accounts']);
+      const [signals, benchmarks, accounts] = await Promise.all([
+        requestToPromise(tx.objectStore('signals').index('workspaceId').getAll(this.workspaceId)),
+        requestToPromise(tx.objectStore('benchmarks').index('workspaceId').getAll(this.workspaceId)),
+        requestToPromise(tx.objectStore('accounts').getAll())
+      ]);
+
+      // The previous workspace's records are no longer ours to diff against
+      this.persisted.signals = new Map(signals.map(signal => [signal.id, JSON.stringify(signal)]));
+      this.persisted.benchmarks = new Map(benchmarks.map(benchmark => [benchmark.id, JSON.stringify(benchmark)]));
+      this.persisted.accounts = new Map(accounts.map(account => [account.id, JSON.stringify(account)]));
+      this.persisted.profile = new Map(profileRecords.map(record => [record.key, JSON.stringify(record)]));
+
+      return {
+        schemaVersion: profile.meta?.schemaVersion,
+        workspaceId: this.workspaceId,
+        signals: signals
+          .map(({ workspaceId, ...signal }) => signal)
+          .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)),
+        benchmarks: benchmarks.length > 0
+          ? benchmarks
+            .sort((a, b) => (a.position ?? 0) - (b.position ?? 0))
+            .map(({ position, workspaceId, ...benchmark }) => benchmark)
+          : null,
+        accounts: accounts.sort((a, b) => a.name.localeCompare(b.name)),
+        ...Object.fromEntries([...STORAGE_CONFIG.profileKeys, ...STORAGE_CONFIG.legacyProfileKeys].map(key => [key, profile[key] ?? null])),
+        ...Object.fromEntries(STORAGE_CONFIG.workspaceKeys.map(key => [key, profile[scopedKey(key, this.workspaceId)] ?? null]))
+      };
+    }
+
+    // Writes only records whose serialization differs from what was last persisted
+    async save(snapshot) {
+      const workspaceId = await this.resolveWorkspace();
+      const changes = {
+        signals: this.diff('signals', snapshot.signals.map(signal => [signal.id, { ...signal, workspaceId }])),
+        benchmarks: this.diff('benchmarks', snapshot.benchmarks.map((benchmark, position) => [
+          benchmark.id,
+          { ...benchmark, position, workspaceId }
+        ])),
+        accounts: this.diff('accounts', snapshot.accounts.map(account => [account.id, account])),
+        profile: this.diff('profile', [
+          ...STORAGE_CONFIG.profileKeys.map(key => [key, { key, value: snapshot[key] }]),
+          ...STORAGE_CONFIG.workspaceKeys.map(key => [scopedKey(key, workspaceId), { key: scopedKey(key, workspaceId), value: snapshot[key] }]),
+          // Saved data is always in the current shape, so record that
+          ['meta', { key: 'meta', value: { ...this.meta, schemaVersion: schema.version } }]
+        ], false)
+      };
+
+      const storeNames = Object.keys(changes)
+        .filter(name => changes[name].puts.length > 0 || changes[name].deletes.length > 0);
+      if (storeNames.length === 0) return { written: 0, deleted: 0 };
+
+      const tx = this.db.transaction(storeNames, 'readwrite');
+      storeNames.forEach(name => {
+        const store = tx.objectStore(name);
+        changes[name].puts.forEach(([, record]) => store.put(record));
+        changes[name].deletes.forEach(key => store.delete(this.storeKey(name, key)));
+      });
+
+      await transactionDone(tx);
+
+      let written = 0;
+      let deleted = 0;
+      storeNames.forEach(name => {
+        changes[name].puts.forEach(([key, , json]) => this.persisted[name].set(key, json));
+        changes[name].deletes.forEach(key => this.persisted[name].delete(key));
+        written += changes[name].puts.length;
+        deleted += changes[name].deletes.length;
+      });
+
+      return { written, deleted };
+    }
+
+    diff(storeName, entries, removeMissing = true) {
+      const persisted = this.persisted[storeName];
+      const puts = [];
+      const seen = new Set();
+
+      entries.forEach(([key, record]) => {
+        seen.add(key);
+        const json = JSON.stringify(record);
+        if (persisted.get(key) !== json) puts.push([key, record, json]);
+      });
+
+      const deletes = removeMissing
+        ? [...persisted.keys()].filter(key => !seen.has(key))
+        : [];
+
+      return { puts, deletes };
+    }
+
+    // Re-keys signals under another workspace. They leave the persisted map,
+    // so the next save of this workspace doesn't delete them again.
+    async moveSignals(signals, workspaceId) {
+      const from = await this.resolveWorkspace();
+      const tx = this.db.transaction('signals', 'readwrite');
+      const store = tx.objectStore('signals');
+      signals.forEach(signal => {
+        store.delete([from, signal.id]);
+        store.put({ ...signal, workspaceId });
+      });
+      await transactionDone(tx);
+
+      signals.forEach(signal => this.persisted.signals.delete(signal.id));
+      return signals.length;
+    }
+
+    // Drops another workspace's copies of signals, when a move into it is undone
+    async removeSignals(signalIds, workspaceId) {
+      const tx = this.db.transaction('signals', 'readwrite');
+      signalIds.forEach(id => tx.objectStore('signals').delete([workspaceId, id]));
+      await transactionDone(tx);
+      return signalIds.length;
+    }
+
+    // Every workspace's signals, grouped by workspace id
+    async loadAllSignals() {
+      const signals = await requestToPromise(this.db.transaction('signals').objectStore('signals').getAll());
+      const groups = {};
+      signals.forEach(({ workspaceId, ...signal }) => {
+        const key = workspaceId || STORAGE_CONFIG.defaultWorkspace;
+        (groups[key] = groups[key] || []).push(signal);
+      });
+      return groups;
+    }
+
+    async deleteWorkspace(workspaceId) {
+      const stores = STORAGE_CONFIG.workspaceStores;
+      const tx = this.db.transaction([...stores, 'profile'], 'readwrite');
+
+      stores.forEach(name => {
+        tx.objectStore(name).index('workspaceId').openCursor(workspaceId).onsuccess = ({ target }) => {
+          const cursor = target.result;
+          if (!cursor) return;
+          cursor.delete();
+          cursor.continue();
+        };
+      });
+      STORAGE_CONFIG.workspaceKeys.forEach(key => tx.objectStore('profile').delete(scopedKey(key, workspaceId)));
+
+      await transactionDone(tx);
+    }
+
+    async querySignals(indexName, query) {
+      const workspaceId = await this.resolveWorkspace();
+      const tx = this.db.transaction('signals');
+      const signals = await requestToPromise(tx.objectStore('signals').index(indexName).getAll(query));
+      return signals
+        .filter(signal => signal.workspaceId === workspaceId)
+        .map(({ workspaceId: _, ...signal }) => signal);
+    }
+
+    eventRange(workspaceId) {
+      return IDBKeyRange.bound([workspaceId, ''], [workspaceId, '\uffff']);
+    }
+
+    async loadEvents() {
+      const workspaceId = await this.resolveWorkspace();
+      const tx = this.db.transaction('events');
+      return requestToPromise(tx.objectStore('events').index('workspaceTimestamp').getAll(this.eventRange(workspaceId)));
+    }
+
+    async appendEvent(event) {
+      const workspaceId = await this.resolveWorkspace();
+      const tx = this.db.transaction('events', 'readwrite');
+      const store = tx.objectStore('events');
+      store.put({ ...event, workspaceId });
+
+      // Trim the workspace's oldest events once over the cap
+      const countRequest = store.index('workspaceId').count(workspaceId);
+      countRequest.onsuccess = () => {
+        let excess = countRequest.result - STORAGE_CONFIG.maxStoredEvents;
+        if (excess <= 0) return;
+
+        const cursorRequest = store.index('workspaceTimestamp').openCursor(this.eventRange(workspaceId));
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (!cursor || excess <= 0) return;
+          cursor.delete();
+          excess--;
+          cursor.continue();
+        };
+      };
+
+      await transactionDone(tx);
+    }
+
+    async clearEvents() {
+      const workspaceId = await this.resolveWorkspace();
+      const tx = this.db.transaction('events', 'readwrite');
+      tx.objectStore('events').index('workspaceId').openCursor(workspaceId).onsuccess = ({ target }) => {
+        const cursor = target.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+      };
+      await transactionDone(tx);
+    }
+  }
+
+  // ===================================
+  // LOCALSTORAGE FALLBACK BACKEND
+  // ===================================
+
+  // The default workspace lives in the original keys together with the global
+  // records; every other workspace gets "<key>:<workspaceId>" keys
+  class LocalStorageBackend {
+    constructor() {
+      this.name = 'localstorage';
+      this.events = null;
+      this.workspaceId = null;
+    }
+
+    key(base, workspaceId = this.workspaceId) {
+      return workspaceId === STORAGE_CONFIG.defaultWorkspace ? base : scopedKey(base, workspaceId);
+    }
+
+    readGlobal() {
+      const keys = STORAGE_CONFIG.localStorageKeys;
+      return readLocalJSON(keys.state) || readLocalJSON(keys.legacyState);
+    }
+
+    async resolveWorkspace() {
+      if (!this.workspaceId) {
+        this.workspaceId = this.readGlobal()?.workspaces?.active || STORAGE_CONFIG.defaultWorkspace;
+      }
+      return this.workspaceId;
+    }
+
+    async load(workspaceId = null) {
+      const blob = this.readGlobal();
+      this.workspaceId = workspaceId || blob?.workspaces?.active || STORAGE_CONFIG.defaultWorkspace;
+      this.events = null;
+
+      if (this.workspaceId === STORAGE_CONFIG.defaultWorkspace) {
+        if (!blob) return null;
+        return { ...schema.migrateState(blob).data, workspaceId: this.workspaceId };
+      }
+
+      const scoped = readLocalJSON(this.key(STORAGE_CONFIG.localStorageKeys.state)) || {};
+      const { data } = schema.migrateState({
+        ...(blob || {}),
+        signals: scoped.signals || [],
+        benchmarks: scoped.benchmarks || null,
+        ...Object.fromEntries(STORAGE_CONFIG.workspaceKeys.map(key => [key, scoped[key] ?? null]))
+      });
+      return { ...data, workspaceId: this.workspaceId };
+    }
+
+    async save(snapshot) {
+      const keys = STORAGE_CONFIG.localStorageKeys;
+      const workspaceId = await this.resolveWorkspace();
+      const scopedFields = ['signals', 'benchmarks', ...STORAGE_CONFIG.workspaceKeys];
+      const pick = (source, fields) => Object.fromEntries(fields.map(field => [field, source?.[field] ?? null]));
+
+      if (workspaceId === STORAGE_CONFIG.defaultWorkspace) {
+        localStorage.setItem(keys.state, JSON.stringify({
+          schemaVersion: schema.version,
+          ...snapshot
+        }));
+      } else {
+        // Keep the default workspace's records that share the global blob
+        const global = Object.fromEntries(Object.entries(snapshot).filter(([key]) => !scopedFields.includes(key)));
+        localStorage.setItem(keys.state, JSON.stringify({
+          schemaVersion: schema.version,
+          ...pick(this.readGlobal(), scopedFields),
+          ...global
+        }));
+        localStorage.setItem(this.key(keys.state), JSON.stringify({
+          schemaVersion: schema.version,
+          ...pick(snapshot, scopedFields)
+        }));
+      }
+
+      localStorage.removeItem(keys.legacyState);
+      return { written: snapshot.signals.length, deleted: 0 };
+    }
+
+    async moveSignals(signals, workspaceId) {
+      const key = this.key(STORAGE_CONFIG.localStorageKeys.state, workspaceId);
+      const target = readLocalJSON(key) || { schemaVersion: schema.version };
+      const moved = new Set(signals.map(signal => signal.id));
+
+      target.signals = [...signals, ...(target.signals || []).filter(signal => !moved.has(signal.id))]
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+      localStorage.setItem(key, JSON.stringify(target));
+      return signals.length;
+    }
+
+    async removeSignals(signalIds, workspaceId) {
+      const key = this.key(STORAGE_CONFIG.localStorageKeys.state, workspaceId);
+      const target = readLocalJSON(key);
+      if (!Array.isArray(target?.signals)) return 0;
+
+      const removed = new Set(signalIds);
+      target.signals = target.signals.filter(signal => !removed.has(signal.id));
+      localStorage.setItem(key, JSON.stringify(target));
+      return signalIds.length;
+    }
+
+    async loadAllSignals() {
+      const workspaces = this.readGlobal()?.workspaces?.list || [{ id: STORAGE_CONFIG.defaultWorkspace }];
+      return Object.fromEntries(workspaces.map(({ id }) => {
+        const blob = readLocalJSON(this.key(STORAGE_CONFIG.localStorageKeys.state, id));
+        return [id, Array.isArray(blob?.signals) ? blob.signals : []];
+      }));
+    }
+
+    async deleteWorkspace(workspaceId) {
+      if (workspaceId === STORAGE_CONFIG.defaultWorkspace) return;
+      localStorage.removeItem(this.key(STORAGE_CONFIG.localStorageKeys.state, workspaceId));
+      localStorage.removeItem(this.key(STORAGE_CONFIG.localStorageKeys.events, workspaceId));
+    }
+
+    async querySignals(indexName, query) {
+      const signals = window.state?.signals || [];
+      return signals.filter(signal => {
+        const value = signal[indexName];
+        if (typeof IDBKeyRange !== 'undefined' && query instanceof IDBKeyRange) {
+          return query.includes(value);
+        }
+        return query === undefined || value === query;
+      });
+    }
+
+    async loadEvents() {
+      await this.resolveWorkspace();
+      const stored = readLocalJSON(this.key(STORAGE_CONFIG.localStorageKeys.events));
+      this.events = Array.isArray(stored) ? stored : [];
+      return this.events;
+    }
+
+    async appendEvent(event) {
+      if (!this.events) await this.loadEvents();
+      this.events.push(event);
+      this.events = this.events.slice(-STORAGE_CONFIG.maxStoredEvents);
+      localStorage.setItem(this.key(STORAGE_CONFIG.localStorageKeys.events), JSON.stringify(this.events));
+    }
+
+    async clearEvents() {
+      await this.resolveWorkspace();
+      this.events = [];
+      localStorage.removeItem(this.key(STORAGE_CONFIG.localStorageKeys.events));
+    }
+  }
+
+  // ===================================
+  // PERMISSIONS
+  // ===================================
+
+  // What storage holds for the loaded workspace, as of the last load or save.
+  // Saves are compared against it, so a change the signed-in user's role
+  // doesn't allow is kept out of storage even if the UI let it through.
+  let baseline = null;
+
+  function setBaseline(data) {
+    baseline = data ? JSON.parse(JSON.stringify({
+      signals: data.signals || [],
+      benchmarks: data.benchmarks ?? null,
+      accounts: data.accounts || [],
+      ...Object.fromEntries([...STORAGE_CONFIG.profileKeys, ...STORAGE_CONFIG.workspaceKeys].map(key => [key, data[key] ?? null]))
+    })) : null;
+  }
+
+  function withoutFields(value, fields = []) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return JSON.stringify(value ?? null);
+    return JSON.stringify(Object.fromEntries(Object.entries(value).filter(([field]) => !fields.includes(field))));
+  }
+
+  function authorizeSignals(signals, can, denials) {
+    const { create, edit, delete: remove } = STORAGE_CONFIG.permissions.signals;
+    const unguarded = STORAGE_CONFIG.unguardedFields.signals;
+    const previous = new Map(baseline.signals.map(signal => [signal.id, signal]));
+    const allowed = [];
+
+    signals.forEach(signal => {
+      const before = previous.get(signal.id);
+      if (!before) {
+        if (can(create, signal)) allowed.push(signal);
+        else denials.push(signal.id);
+      } else if (withoutFields(signal, unguarded) === withoutFields(before, unguarded) || can(edit, before)) {
+        allowed.push(signal);
+      } else {
+        allowed.push({ ...before, ...Object.fromEntries(unguarded.map(field => [field, signal[field]])) });
+        denials.push(signal.id);
+      }
+    });
+
+    const kept = new Set(signals.map(signal => signal.id));
+    baseline.signals.forEach(before => {
+      if (kept.has(before.id) || can(remove, before)) return;
+      allowed.push(before);
+      denials.push(before.id);
+    });
+
+    return allowed;
+  }
+
+  // Returns the snapshot with every change the current role doesn't allow
+  // put back to the baseline, and how many changes that was
+  function authorize(snapshot) {
+    const users = window.signalboard.users;
+    if (!users || !baseline) {
+      setBaseline(snapshot);
+      return { allowed: snapshot, denied: 0 };
+    }
+
+    // Roles come from the saved user list, not the one being saved
+    const actor = baseline.users?.find(user => user.id === users.currentId()) || users.current();
+    const can = (permission, record) => users.can(permission, record, actor);
+
+    const denials = [];
+    const allowed = { ...snapshot, signals: authorizeSignals(snapshot.signals, can, denials) };
+
+    Object.entries(STORAGE_CONFIG.permissions).forEach(([key, permission]) => {
+      if (key === 'signals' || baseline[key] === null || baseline[key] === undefined) return;
+
+      const unguarded = STORAGE_CONFIG.unguardedFields[key] || [];
+      if (withoutFields(snapshot[key], unguarded) === withoutFields(baseline[key], unguarded)) return;
+      if (can(permission)) return;
+      if (key === 'users' && users.ownProfileOnly(baseline.users, snapshot.users)) return;
+
+      allowed[key] = unguarded.length > 0
+        ? { ...baseline[key], ...Object.fromEntries(unguarded.map(field => [field, snapshot[key]?.[field]])) }
+        : baseline[key];
+      denials.push(key);
+    });
+
+    setBaseline(allowed);
+    return { allowed, denied: denials.length };
+  }
+
+  function reportDenied(count) {
+    const message = `${count} change${count === 1 ? '' : 's'} not saved: your role doesn't allow ${count === 1 ? 'it' : 'them'}`;
+    console.warn(message);
+    if (typeof window.showToast === 'function') {
+      window.showToast(message, 5000);
+    }
+  }
+
+  // ===================================
+  // PUBLIC API
+  // ===================================
+
+  let backend = null;
+  let ready = null;
+
+  // Writes run one at a time, in call order
+  let writeQueue = Promise.resolve();
+
+  function init() {
+    if (ready) return ready;
+
+    ready = (async () => {
+      if (typeof indexedDB !== 'undefined') {
+        try {
+          backend = new IndexedDBBackend(await openDatabase());
+          return backend.name;
+        } catch (error) {
+          console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+        }
+      }
+
+      backend = new LocalStorageBackend();
+      return backend.name;
+    })();
+
+    return ready;
+  }
+
+  function reportWriteError(error) {
+    console.error('Error saving SignalBoard data:', error);
+
+    const quotaExceeded = error && (error.name === 'QuotaExceededError' || error.code === 22);
+    const message = quotaExceeded
+      ? 'Storage is full. Recent changes were not saved.'
+      : 'Could not save changes. Check console for details.';
+
+    if (typeof window.showToast === 'function') {
+      window.showToast(message, 5000);
+    }
+  }
+
+  function enqueue(task) {
+    const run = writeQueue.then(async () => {
+      await init();
+      return task();
+    });
+
+    // Keep the queue alive after a failed write
+    writeQueue = run.catch(reportWriteError);
+    return run;
+  }
+
+  // Waits for queued writes, so switching workspaces reads what was just saved
+  async function loadState(workspaceId = null) {
+    await writeQueue;
+    await init();
+    const data = await backend.load(workspaceId);
+    setBaseline(data);
+    return data;
+  }
+
+  function saveState(snapshot) {
+    // Snapshot now; state keeps changing while the write waits its turn
+    const copy = JSON.parse(JSON.stringify({
+      signals: snapshot.signals || [],
+      benchmarks: snapshot.benchmarks || [],
+      accounts: snapshot.accounts || [],
+      ...Object.fromEntries([...STORAGE_CONFIG.profileKeys, ...STORAGE_CONFIG.workspaceKeys].map(key => [key, snapshot[key] ?? null]))
+    }));
+
+    const { allowed, denied } = authorize(copy);
+    if (denied > 0) reportDenied(denied);
+    return enqueue(() => backend.save(allowed));
+  }
+
+  function moveSignals(signals, workspaceId) {
+    const users = window.signalboard.users;
+    const copy = JSON.parse(JSON.stringify(signals))
+      .filter(signal => !users || users.can(STORAGE_CONFIG.permissions.signals.edit, signal));
+
+    return enqueue(async () => {
+      const count = await backend.moveSignals(copy, workspaceId);
+
+      // Gone from this workspace once written, so the next save doesn't count
+      // them as deleted; after a failed write they are still ours
+      if (baseline) {
+        const moved = new Set(copy.map(signal => signal.id));
+        baseline.signals = baseline.signals.filter(signal => !moved.has(signal.id));
+      }
+      return count;
+    });
+  }
+
+  function removeSignals(signalIds, workspaceId) {
+    return enqueue(() => backend.removeSignals(signalIds, workspaceId));
+  }
+
+  async function loadAllSignals() {
+    await writeQueue;
+    await init();
+    return backend.loadAllSignals();
+  }
+
+  function deleteWorkspace(workspaceId) {
+    const denied = window.signalboard.users?.permissionError(STORAGE_CONFIG.permissions.workspaces);
+    if (denied) return Promise.reject(new Error(denied));
+    return enqueue(() => backend.deleteWorkspace(workspaceId));
+  }
+
+  async function querySignals(indexName, query) {
+    await init();
+    return backend.querySignals(indexName, query);
+  }
+
+  async function loadEvents() {
+    await init();
+    return backend.loadEvents();
+  }
+
+  function appendEvent(event) {
+    return enqueue(() => backend.appendEvent(event));
+  }
+
+  function clearEvents() {
+    return enqueue(() => backend.clearEvents());
+  }
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.storage = {
+    init,
+    loadState,
+    saveState,
+    moveSignals,
+    removeSignals,
+    loadAllSignals,
+    deleteWorkspace,
+    querySignals,
+    loadEvents,
+    appendEvent,
+    clearEvents,
+    get backend() {
+      return backend ? backend.name : null;
+    },
+    get workspace() {
+      return backend ? backend.workspaceId : null;
+    },
+    config: STORAGE_CONFIG
+  };
+
+})();
+
+console.log('💾 SignalBoard Storage Layer Loaded');
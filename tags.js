@@ -0,0 +1,355 @@
+// ===================================
+// SIGNALBOARD TAGS
+// Free-form, many-to-many tags on signals: tag input with
+// autocomplete, tag detection and product-area groupings
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // CONFIGURATION
+  // ===================================
+
+  const schema = window.signalboard.schema;
+
+  const TAGS_CONFIG = {
+    maxSuggestions: 8,
+
+    // Products and regions mentioned in a title or context become tag
+    // suggestions on the capture form (and tags on demo data)
+    patterns: [
+      { tag: 'Workers', pattern: /\bworkers?\b/i },
+      { tag: 'Workers AI', pattern: /\bworkers ai\b/i },
+      { tag: 'KV', pattern: /\bkv\b/i },
+      { tag: 'R2', pattern: /\br2\b/i },
+      { tag: 'D1', pattern: /\bd1\b/i },
+      { tag: 'Pages', pattern: /\bpages\b/i },
+      { tag: 'DNS', pattern: /\bdns\b/i },
+      { tag: 'CDN', pattern: /\b(cdn|cache)\b/i },
+      { tag: 'Email Routing', pattern: /\bemail routing\b/i },
+      { tag: 'SSO', pattern: /\b(sso|saml|single sign-on)\b/i },
+      { tag: 'Dashboard', pattern: /\bdashboard\b/i },
+      { tag: 'API', pattern: /\bapi\b/i },
+      { tag: 'onboarding', pattern: /\bonboarding\b/i },
+      { tag: 'pricing', pattern: /\bpricing\b/i },
+      { tag: 'EU', pattern: /\b(eu|europe|emea)\b/i },
+      { tag: 'APAC', pattern: /\b(apac|asia)\b/i },
+      { tag: 'US', pattern: /\b(US|USA|North America)\b/ }
+    ],
+
+    // Profile product areas and the tags that belong to each. A signal tagged
+    // with the area's own name counts too.
+    productAreas: {
+      'Developer Platform': ['Workers', 'Workers AI', 'KV', 'R2', 'D1', 'Pages', 'API'],
+      'Network Services': ['DNS', 'CDN', 'Email Routing'],
+      'Security': ['SSO', 'WAF'],
+      'Analytics & Logs': ['Analytics', 'Logs', 'Dashboard'],
+      'Workers & Pages': ['Workers', 'Pages']
+    }
+  };
+
+  // Tags per tag input, keyed by the wrapper element's id
+  const inputs = new Map();
+
+  // ===================================
+  // TAG INDEX
+  // ===================================
+
+  // Every tag in use with its signal count, most used first
+  function allTags(signals = window.state?.signals || []) {
+    const counts = new Map();
+    signals.forEach(signal => {
+      (signal.tags || []).forEach(tag => {
+        const key = tag.toLowerCase();
+        const entry = counts.get(key) || { tag, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+      });
+    });
+
+    return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  // Reuses the spelling already in use, so "kv" joins "KV"
+  function canonical(tag) {
+    const [normalized] = schema.normalizeTags([tag]);
+    if (!normalized) return '';
+
+    const key = normalized.toLowerCase();
+    const known = allTags().find(entry => entry.tag.toLowerCase() === key) ||
+      TAGS_CONFIG.patterns.find(entry => entry.tag.toLowerCase() === key);
+    return known ? known.tag : normalized;
+  }
+
+  // Autocomplete: tags in use (then known product/region tags) starting with
+  // the prefix, or containing it when nothing starts with it
+  function suggest(prefix, exclude = []) {
+    const needle = String(prefix || '').trim().replace(/^#+/, '').toLowerCase();
+    const skip = new Set(exclude.map(tag => tag.toLowerCase()));
+
+    const candidates = [...allTags().map(entry => entry.tag), ...TAGS_CONFIG.patterns.map(entry => entry.tag)]
+      .filter((tag, i, list) => list.findIndex(other => other.toLowerCase() === tag.toLowerCase()) === i)
+      .filter(tag => !skip.has(tag.toLowerCase()));
+
+    if (!needle) return candidates.slice(0, TAGS_CONFIG.maxSuggestions);
+
+    const starts = candidates.filter(tag => tag.toLowerCase().startsWith(needle));
+    const contains = candidates.filter(tag => !tag.toLowerCase().startsWith(needle) && tag.toLowerCase().includes(needle));
+    return [...starts, ...contains].slice(0, TAGS_CONFIG.maxSuggestions);
+  }
+
+  function detect(text) {
+    const value = String(text || '');
+    return TAGS_CONFIG.patterns.filter(entry => entry.pattern.test(value)).map(entry => entry.tag);
+  }
+
+  function hasTag(signal, tag) {
+    const key = String(tag).toLowerCase();
+    return (signal.tags || []).some(existing => existing.toLowerCase() === key);
+  }
+
+  // ===================================
+  // PRODUCT AREAS
+  // ===================================
+
+  function areaTags(area) {
+    return [area, ...(TAGS_CONFIG.productAreas[area] || [])];
+  }
+
+  function inArea(signal, area) {
+    if (!area) return true;
+    return areaTags(area).some(tag => hasTag(signal, tag));
+  }
+
+  // ===================================
+  // TAG INPUT
+  // ===================================
+
+  // <div class="tag-input" id="signal-tags" data-suggest-from="signal-title signal-context">
+  //   <input class="tag-input-entry" />
+  // </div>
+  function getValue(id) {
+    return [...(inputs.get(id) || [])];
+  }
+
+  function setValue(id, tags) {
+    inputs.set(id, schema.normalizeTags((tags || []).map(canonical)));
+    renderInput(id);
+  }
+
+  function addTags(id, tags) {
+    setValue(id, [...getValue(id), ...tags]);
+  }
+
+  function removeTag(id, tag) {
+    setValue(id, getValue(id).filter(existing => existing !== tag));
+  }
+
+  function renderInput(id) {
+    const wrapper = document.getElementById(id);
+    if (!wrapper) return;
+
+    const entry = wrapper.querySelector('.tag-input-entry');
+    wrapper.querySelectorAll('.tag-chip').forEach(chip => chip.remove());
+    getValue(id).forEach(tag => {
+      entry.insertAdjacentHTML('beforebegin', `
+        <span class="tag-chip">${escapeHtml(tag)}<button type="button" data-remove-tag="${escapeHtml(tag)}" aria-label="Remove ${escapeHtml(tag)}">×</button></span>
+      `);
+    });
+
+    renderDetected(wrapper);
+  }
+
+  function renderSuggestions(wrapper, active = 0) {
+    let list = wrapper.querySelector('.tag-suggestions');
+    const entry = wrapper.querySelector('.tag-input-entry');
+    const matches = entry.value.trim() || document.activeElement === entry
+      ? suggest(entry.value, getValue(wrapper.id))
+      : [];
+
+    if (matches.length === 0) {
+      list?.remove();
+      return;
+    }
+
+    if (!list) {
+      list = document.createElement('ul');
+      list.className = 'tag-suggestions';
+      list.setAttribute('role', 'listbox');
+      wrapper.appendChild(list);
+    }
+
+    list.innerHTML = matches.map((tag, i) => `
+      <li role="option" data-tag="${escapeHtml(tag)}" class="${i === active ? 'active' : ''}" aria-selected="${i === active}">${escapeHtml(tag)}</li>
+    `).join('');
+  }
+
+  // "Suggested: + KV + EU" from the fields named in data-suggest-from
+  function renderDetected(wrapper) {
+    const sources = (wrapper.dataset.suggestFrom || '').split(/\s+/).filter(Boolean);
+    if (sources.length === 0) return;
+
+    const text = sources.map(source => document.getElementById(source)?.value || '').join(' ');
+    const current = getValue(wrapper.id).map(tag => tag.toLowerCase());
+    const detected = detect(text).filter(tag => !current.includes(tag.toLowerCase()));
+
+    let hint = wrapper.nextElementSibling?.classList.contains('tag-detected') ? wrapper.nextElementSibling : null;
+    if (detected.length === 0) {
+      hint?.remove();
+      return;
+    }
+
+    if (!hint) {
+      hint = document.createElement('div');
+      hint.className = 'tag-detected';
+      wrapper.insertAdjacentElement('afterend', hint);
+    }
+
+    hint.innerHTML = `Suggested: ${detected.map(tag => (
+      `<button type="button" class="tag-chip tag-chip-suggested" data-add-tag="${escapeHtml(tag)}">+ ${escapeHtml(tag)}</button>`
+    )).join(' ')}`;
+    hint.onclick = event => {
+      const button = event.target.closest('[data-add-tag]');
+      if (button) addTags(wrapper.id, [button.dataset.addTag]);
+    };
+  }
+
+  // Enter and Tab take the highlighted suggestion; comma and blur keep what was typed
+  function commitEntry(wrapper, useSuggestion = false) {
+    const entry = wrapper.querySelector('.tag-input-entry');
+    const active = useSuggestion ? wrapper.querySelector('.tag-suggestions li.active') : null;
+    const typed = entry.value.split(',').map(tag => tag.trim()).filter(Boolean);
+    const tags = active && typed.length <= 1 ? [active.dataset.tag] : typed;
+
+    entry.value = '';
+    if (tags.length > 0) addTags(wrapper.id, tags);
+    renderSuggestions(wrapper);
+    return tags.length > 0;
+  }
+
+  function moveActive(wrapper, step) {
+    const items = [...wrapper.querySelectorAll('.tag-suggestions li')];
+    if (items.length === 0) return;
+
+    const current = items.findIndex(item => item.classList.contains('active'));
+    renderSuggestions(wrapper, (current + step + items.length) % items.length);
+  }
+
+  function handleKeydown(event) {
+    const wrapper = event.target.closest('.tag-input');
+    const entry = event.target;
+
+    switch (event.key) {
+      case 'Enter':
+      case 'Tab':
+        // Enter on an empty entry still submits the form; Tab still moves on
+        if (entry.value.trim() && commitEntry(wrapper, true)) event.preventDefault();
+        break;
+      case ',':
+        event.preventDefault();
+        commitEntry(wrapper);
+        break;
+      case 'Backspace':
+        if (!entry.value) {
+          const tags = getValue(wrapper.id);
+          if (tags.length > 0) removeTag(wrapper.id, tags[tags.length - 1]);
+        }
+        break;
+      case 'ArrowDown':
+        event.preventDefault();
+        moveActive(wrapper, 1);
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        moveActive(wrapper, -1);
+        break;
+      case 'Escape':
+        wrapper.querySelector('.tag-suggestions')?.remove();
+        break;
+    }
+  }
+
+  function bindInput(wrapper) {
+    const entry = wrapper.querySelector('.tag-input-entry');
+    if (!entry) return;
+    if (!inputs.has(wrapper.id)) inputs.set(wrapper.id, []);
+
+    entry.addEventListener('keydown', handleKeydown);
+    entry.addEventListener('input', () => renderSuggestions(wrapper));
+    entry.addEventListener('focus', () => renderSuggestions(wrapper));
+    entry.addEventListener('blur', () => {
+      // Whatever was typed counts, as with a plain comma-separated field
+      if (entry.value.trim()) commitEntry(wrapper);
+      wrapper.querySelector('.tag-suggestions')?.remove();
+    });
+
+    // mousedown, so picking a suggestion doesn't blur the entry first
+    wrapper.addEventListener('mousedown', event => {
+      const option = event.target.closest('.tag-suggestions li');
+      if (!option) return;
+      event.preventDefault();
+      entry.value = '';
+      addTags(wrapper.id, [option.dataset.tag]);
+      renderSuggestions(wrapper);
+    });
+
+    wrapper.addEventListener('click', event => {
+      const remove = event.target.closest('[data-remove-tag]');
+      if (remove) removeTag(wrapper.id, remove.dataset.removeTag);
+      else entry.focus();
+    });
+
+    (wrapper.dataset.suggestFrom || '').split(/\s+/).filter(Boolean).forEach(source => {
+      document.getElementById(source)?.addEventListener('input', () => renderDetected(wrapper));
+    });
+  }
+
+  // ===================================
+  // UI RENDERING
+  // ===================================
+
+  function renderTags(signal) {
+    return (signal.tags || []).map(tag => `<span class="tag-chip">${escapeHtml(tag)}</span>`).join(' ');
+  }
+
+  const escapeHtml = window.signalboard.escapeHtml;
+
+  // ===================================
+  // INITIALIZATION
+  // ===================================
+
+  function bindEvents() {
+    document.querySelectorAll('.tag-input').forEach(bindInput);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindEvents);
+  } else {
+    bindEvents();
+  }
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.tags = {
+    allTags,
+    canonical,
+    suggest,
+    detect,
+    hasTag,
+    areaTags,
+    inArea,
+    getValue,
+    setValue,
+    addTags,
+    renderTags,
+    config: TAGS_CONFIG
+  };
+
+})();
+
+console.log('🔖 SignalBoard Tags Loaded');
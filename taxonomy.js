@@ -0,0 +1,561 @@
+// ===================================
+// SIGNALBOARD TAXONOMY
+// Sources, categories, tiers and urgency labels defined once,
+// with colors and icons, and remapping of removed values
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // CONFIGURATION
+  // ===================================
+
+  const schema = window.signalboard.schema;
+
+  // Urgency is a fixed 1-4 scale (scoring and rules compare levels), so only
+  // its labels, colors and icons can change
+  const TAXONOMY_KINDS = {
+    sources: { field: 'source', label: 'Sources', singular: 'source' },
+    categories: { field: 'category', label: 'Categories', singular: 'category' },
+    tiers: { field: 'tier', label: 'Customer Tiers', singular: 'tier' },
+    urgency: { field: 'urgency', label: 'Urgency Levels', singular: 'urgency level', fixed: true }
+  };
+
+  const TAXONOMY_DEFAULTS = {
+    sources: [
+      { id: 'github', label: 'GitHub', color: '#24292f', icon: '🐙' },
+      { id: 'support', label: 'Support', color: '#0ea5e9', icon: '🎧' },
+      { id: 'community', label: 'Community', color: '#8b5cf6', icon: '💬' },
+      { id: 'sales', label: 'Sales', color: '#10b981', icon: '💼' },
+      { id: 'internal', label: 'Internal', color: '#64748b', icon: '🏢' }
+    ],
+    categories: [
+      { id: 'bug', label: 'Bug', color: '#ef4444', icon: '🐛' },
+      { id: 'feature', label: 'Feature', color: '#6366f1', icon: '✨' },
+      { id: 'performance', label: 'Performance', color: '#f59e0b', icon: '⚡' },
+      { id: 'ux', label: 'UX', color: '#ec4899', icon: '🎨' },
+      { id: 'documentation', label: 'Docs', color: '#14b8a6', icon: '📚' },
+      { id: 'feedback', label: 'Feedback', color: '#94a3b8', icon: '💭' }
+    ],
+    tiers: [
+      { id: 'enterprise', label: 'Enterprise', color: '#7c3aed', icon: '🏛️' },
+      { id: 'pro', label: 'Pro', color: '#2563eb', icon: '⭐' },
+      { id: 'free', label: 'Free', color: '#94a3b8', icon: '🌱' }
+    ],
+    urgency: [
+      { id: '1', label: 'Low', color: '#94a3b8', icon: '🟢' },
+      { id: '2', label: 'Medium', color: '#eab308', icon: '🟡' },
+      { id: '3', label: 'High', color: '#f97316', icon: '🟠' },
+      { id: '4', label: 'Critical', color: '#ef4444', icon: '🔴' }
+    ]
+  };
+
+  const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+  const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+  // What the add/edit and remove forms are working on
+  let editing = null;
+  let removing = null;
+
+  // ===================================
+  // LISTS
+  // ===================================
+
+  // state.taxonomy only holds lists that differ from the defaults, plus
+  // remap: { categories: { removed: replacement } } for removed values
+  function settings() {
+    const state = window.state;
+    if (!state) return {};
+    if (!state.taxonomy || typeof state.taxonomy !== 'object') state.taxonomy = {};
+    return state.taxonomy;
+  }
+
+  function list(kind) {
+    const custom = settings()[kind];
+    return Array.isArray(custom) && custom.length > 0 ? custom : TAXONOMY_DEFAULTS[kind];
+  }
+
+  function ids(kind) {
+    return list(kind).map(entry => entry.id);
+  }
+
+  function remapFor(kind) {
+    return settings().remap?.[kind] || {};
+  }
+
+  function entry(kind, value) {
+    const key = String(value ?? '');
+    return list(kind).find(item => item.id === key) || null;
+  }
+
+  function label(kind, value) {
+    return entry(kind, value)?.label || String(value ?? '');
+  }
+
+  function color(kind, value) {
+    return entry(kind, value)?.color || '#94a3b8';
+  }
+
+  function icon(kind, value) {
+    return entry(kind, value)?.icon || '';
+  }
+
+  function slugify(text) {
+    return String(text || '').trim().toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  function normalizeEntry(raw, fallback = {}) {
+    const iconChars = Array.from(String(raw.icon ?? fallback.icon ?? '').trim()).slice(0, 2).join('');
+    return {
+      id: raw.id ?? fallback.id,
+      label: String(raw.label ?? fallback.label ?? '').trim(),
+      color: COLOR_PATTERN.test(raw.color) ? raw.color.toLowerCase() : (fallback.color || '#94a3b8'),
+      icon: iconChars
+    };
+  }
+
+  // Copies the list into state.taxonomy before the first change to it
+  function editableList(kind) {
+    const taxonomy = settings();
+    if (!Array.isArray(taxonomy[kind]) || taxonomy[kind].length === 0) {
+      taxonomy[kind] = TAXONOMY_DEFAULTS[kind].map(item => ({ ...item }));
+    }
+    return taxonomy[kind];
+  }
+
+  function usage(kind, value) {
+    const field = TAXONOMY_KINDS[kind].field;
+    return (window.state?.signals || []).filter(signal => String(signal[field]) === String(value)).length;
+  }
+
+  // ===================================
+  // CHANGES
+  // ===================================
+
+  // Returns { entry, errors }
+  function addValue(kind, fields) {
+    const denied = window.signalboard.users?.permissionError('settings.manage');
+    if (denied) return { entry: null, errors: [denied] };
+
+    const config = TAXONOMY_KINDS[kind];
+    if (!config || config.fixed) return { entry: null, errors: [`${config?.label || kind} can't be added to`] };
+
+    const item = normalizeEntry({ ...fields, id: slugify(fields.id || fields.label) });
+    const errors = [];
+    if (!item.label) errors.push('Label is required');
+    if (!ID_PATTERN.test(item.id)) errors.push('Key must be lowercase letters, numbers and dashes');
+    if (ids(kind).includes(item.id)) errors.push(`There is already a ${config.singular} "${item.id}"`);
+    if (errors.length > 0) return { entry: item, errors };
+
+    editableList(kind).push(item);
+
+    // Re-adding a removed value brings it back instead of remapping it
+    const remap = settings().remap?.[kind];
+    if (remap) delete remap[item.id];
+
+    commit();
+    return { entry: item, errors: [] };
+  }
+
+  // Label, color and icon only; the key is stored on every signal
+  function updateValue(kind, value, fields) {
+    const denied = window.signalboard.users?.permissionError('settings.manage');
+    if (denied) return { entry: null, errors: [denied] };
+
+    const existing = entry(kind, value);
+    if (!existing) return { entry: null, errors: [`Unknown ${TAXONOMY_KINDS[kind]?.singular || kind} "${value}"`] };
+
+    const item = normalizeEntry({ ...fields, id: existing.id }, existing);
+    if (!item.label) return { entry: item, errors: ['Label is required'] };
+
+    const items = editableList(kind);
+    items[items.findIndex(candidate => candidate.id === existing.id)] = item;
+
+    commit();
+    return { entry: item, errors: [] };
+  }
+
+  // Moves every signal (and account, for tiers) on the removed value to the
+  // replacement, and remembers the mapping for imports and older data
+  function removeValue(kind, value, replacement) {
+    const config = TAXONOMY_KINDS[kind];
+    const errors = [];
+    const denied = window.signalboard.users?.permissionError('settings.manage');
+    if (denied) errors.push(denied);
+    else if (!config || config.fixed) errors.push(`${config?.label || kind} can't be removed`);
+    else if (!entry(kind, value)) errors.push(`Unknown ${config.singular} "${value}"`);
+    else if (ids(kind).length <= 1) errors.push(`At least one ${config.singular} is required`);
+    else if (replacement === value || !entry(kind, replacement)) errors.push(`Pick another ${config.singular} to move signals to`);
+    if (errors.length > 0) return { moved: 0, errors };
+
+    const moved = remapSignals(config.field, value, replacement);
+    if (kind === 'tiers') {
+      (window.state?.accounts || []).forEach(account => {
+        if (account.tier === value) account.tier = replacement;
+      });
+    }
+
+    const taxonomy = settings();
+    taxonomy[kind] = editableList(kind).filter(item => item.id !== value);
+    taxonomy.remap = taxonomy.remap || {};
+    const remap = { ...(taxonomy.remap[kind] || {}) };
+    Object.keys(remap).forEach(key => {
+      if (remap[key] === value) remap[key] = replacement;
+    });
+    remap[value] = replacement;
+    taxonomy.remap[kind] = remap;
+
+    commit();
+    return { moved, errors: [] };
+  }
+
+  function remapSignals(field, from, to) {
+    const signals = (window.state?.signals || []).filter(signal => signal[field] === from);
+    signals.forEach(signal => moveSignal(signal, { [field]: to }));
+    return signals.length;
+  }
+
+  // Goes through the editor so each signal's change history records the move
+  function moveSignal(signal, fields) {
+    const editor = window.signalboard.editor;
+    if (editor) {
+      editor.updateSignal(signal.id, fields, { defer: true, by: 'taxonomy' });
+    } else {
+      Object.assign(signal, fields);
+    }
+  }
+
+  // Custom values fall back to each field's built-in default
+  function reset() {
+    const state = window.state;
+    state.taxonomy = {};
+    syncSchema();
+
+    const fields = Object.values(TAXONOMY_KINDS).filter(config => !config.fixed).map(config => config.field);
+    (state.signals || []).forEach(signal => {
+      const edits = {};
+      fields.forEach(field => {
+        const value = schema.normalizeField(field, signal[field]);
+        if (value !== signal[field]) edits[field] = value;
+      });
+      if (Object.keys(edits).length > 0) moveSignal(signal, edits);
+    });
+    (state.accounts || []).forEach(account => {
+      account.tier = schema.normalizeField('tier', account.tier);
+    });
+
+    commit();
+  }
+
+  function commit() {
+    apply();
+    if (window.saveState) window.saveState();
+    if (typeof window.renderAll === 'function') window.renderAll();
+  }
+
+  // ===================================
+  // SYNC
+  // ===================================
+
+  // Pushes the lists into the schema (validation, normalization, every
+  // module reading schema.definition) and refills the static selects
+  function apply() {
+    syncSchema();
+    fillSelects();
+    renderTaxonomy();
+    document.dispatchEvent(new CustomEvent('signalboard:taxonomy-changed'));
+  }
+
+  function syncSchema() {
+    Object.entries(TAXONOMY_KINDS).forEach(([kind, config]) => {
+      if (!config.fixed) schema.setVocabulary(kind, ids(kind), remapFor(kind));
+    });
+  }
+
+  // <select data-taxonomy="categories" data-default="3"> keeps its value
+  // when it still exists, otherwise falls back to data-default or the first
+  function fillSelects(root = document) {
+    root.querySelectorAll('select[data-taxonomy]').forEach(select => {
+      const kind = select.dataset.taxonomy;
+      if (!TAXONOMY_KINDS[kind]) return;
+
+      const value = select.value;
+      const fallback = select.dataset.default ?? schema.definition.defaults[TAXONOMY_KINDS[kind].field];
+      select.innerHTML = list(kind).map(item => (
+        `<option value="${escapeHtml(item.id)}"${String(item.id) === String(fallback) ? ' selected' : ''}>${escapeHtml(optionLabel(item))}</option>`
+      )).join('');
+      if (ids(kind).includes(value)) select.value = value;
+    });
+  }
+
+  function optionLabel(item) {
+    return item.icon ? `${item.icon} ${item.label}` : item.label;
+  }
+
+  // ===================================
+  // UI RENDERING
+  // ===================================
+
+  function renderChip(kind, value) {
+    const item = entry(kind, value);
+    const text = item ? optionLabel(item) : String(value ?? '');
+    return `<span class="taxonomy-chip" style="--chip-color: ${item?.color || '#94a3b8'}">${escapeHtml(text)}</span>`;
+  }
+
+  function renderTaxonomy() {
+    const container = document.getElementById('taxonomy-list');
+    if (!container) return;
+
+    container.innerHTML = Object.entries(TAXONOMY_KINDS).map(([kind, config]) => {
+      const removed = Object.entries(remapFor(kind));
+      return `
+        <div class="rule-card taxonomy-group" data-kind="${kind}">
+          <div class="rule-header">
+            <span class="rule-name">${config.label}</span>
+            ${config.fixed ? '' : `<button type="button" class="btn-secondary" data-action="add" data-permission="settings.manage">Add</button>`}
+          </div>
+          <ul class="taxonomy-values">
+            ${list(kind).map(item => `
+              <li class="taxonomy-value" data-value="${escapeHtml(item.id)}">
+                ${renderChip(kind, item.id)}
+                <code>${escapeHtml(item.id)}</code>
+                <span class="form-help">${usage(kind, item.id)} signals</span>
+                <span class="taxonomy-actions">
+                  <button type="button" class="btn-secondary" data-action="edit" data-permission="settings.manage">Edit</button>
+                  ${config.fixed ? '' : '<button type="button" class="btn-secondary" data-action="remove" data-permission="settings.manage">Remove</button>'}
+                </span>
+              </li>
+            `).join('')}
+          </ul>
+          ${removed.length > 0 ? `
+            <p class="form-help">Removed: ${removed.map(([from, to]) => `${escapeHtml(from)} → ${escapeHtml(label(kind, to))}`).join(', ')}</p>
+          ` : ''}
+        </div>
+      `;
+    }).join('');
+  }
+
+  // ===================================
+  // FORMS
+  // ===================================
+
+  function showForm(kind, item = null) {
+    const form = document.getElementById('taxonomy-form');
+    if (!form) return;
+
+    hideRemoveForm();
+    editing = { kind, value: item?.id ?? null };
+
+    const config = TAXONOMY_KINDS[kind];
+    document.getElementById('taxonomy-form-title').textContent = item
+      ? `Edit ${config.singular} "${item.label}"`
+      : `New ${config.singular}`;
+    document.getElementById('taxonomy-label').value = item?.label || '';
+    document.getElementById('taxonomy-key').value = item?.id || '';
+    document.getElementById('taxonomy-key').disabled = Boolean(item);
+    document.getElementById('taxonomy-color').value = item?.color || '#6366f1';
+    document.getElementById('taxonomy-icon').value = item?.icon || '';
+
+    form.classList.remove('hidden');
+    document.getElementById('taxonomy-label').focus();
+  }
+
+  function hideForm() {
+    const form = document.getElementById('taxonomy-form');
+    if (!form) return;
+    form.reset();
+    form.classList.add('hidden');
+    editing = null;
+  }
+
+  function handleSubmit(event) {
+    event.preventDefault();
+    if (!editing) return;
+
+    const { kind, value } = editing;
+    const fields = {
+      label: document.getElementById('taxonomy-label')?.value,
+      id: document.getElementById('taxonomy-key')?.value,
+      color: document.getElementById('taxonomy-color')?.value,
+      icon: document.getElementById('taxonomy-icon')?.value
+    };
+
+    const singular = TAXONOMY_KINDS[kind].singular;
+    const history = window.signalboard.history;
+    const { errors } = value === null
+      ? history.perform(`Add ${singular}`, () => addValue(kind, fields))
+      : history.perform(`Edit ${singular}`, () => updateValue(kind, value, fields));
+
+    if (errors.length > 0) {
+      showToast(errors[0]);
+      return;
+    }
+
+    hideForm();
+    history.notify(value === null ? `${capitalize(singular)} added` : `${capitalize(singular)} saved`);
+  }
+
+  function showRemoveForm(kind, value) {
+    const form = document.getElementById('taxonomy-remove-form');
+    if (!form) return;
+
+    hideForm();
+    removing = { kind, value };
+
+    const config = TAXONOMY_KINDS[kind];
+    const count = usage(kind, value);
+    document.getElementById('taxonomy-remove-title').textContent = `Remove ${config.singular} "${label(kind, value)}"`;
+    document.getElementById('taxonomy-remove-help').textContent = count > 0
+      ? `${count} signal${count === 1 ? '' : 's'} will move to the ${config.singular} below, and imports using "${value}" will map to it too.`
+      : `Imports using "${value}" will map to the ${config.singular} below.`;
+
+    const select = document.getElementById('taxonomy-replacement');
+    const fallback = schema.definition.defaults[config.field];
+    select.innerHTML = list(kind)
+      .filter(item => item.id !== value)
+      .map(item => `<option value="${escapeHtml(item.id)}"${item.id === fallback ? ' selected' : ''}>${escapeHtml(optionLabel(item))}</option>`)
+      .join('');
+
+    form.classList.remove('hidden');
+  }
+
+  function hideRemoveForm() {
+    const form = document.getElementById('taxonomy-remove-form');
+    if (!form) return;
+    form.classList.add('hidden');
+    removing = null;
+  }
+
+  function handleRemove(event) {
+    event.preventDefault();
+    if (!removing) return;
+
+    const { kind, value } = removing;
+    const replacement = document.getElementById('taxonomy-replacement')?.value;
+    const history = window.signalboard.history;
+    const { moved, errors } = history.perform(`Remove ${TAXONOMY_KINDS[kind].singular}`, () => removeValue(kind, value, replacement));
+
+    if (errors.length > 0) {
+      showToast(errors[0]);
+      return;
+    }
+
+    hideRemoveForm();
+    history.notify(`Removed "${value}"${moved > 0 ? `, ${moved} signal${moved === 1 ? '' : 's'} moved to ${label(kind, replacement)}` : ''}`);
+  }
+
+  function handleListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const kind = button.closest('[data-kind]')?.dataset.kind;
+    const value = button.closest('[data-value]')?.dataset.value;
+
+    switch (button.dataset.action) {
+      case 'add':
+        showForm(kind);
+        break;
+      case 'edit':
+        showForm(kind, entry(kind, value));
+        break;
+      case 'remove':
+        showRemoveForm(kind, value);
+        break;
+    }
+  }
+
+  function handleReset() {
+    const denied = window.signalboard.users.permissionError('settings.manage');
+    if (denied) {
+      showToast(denied);
+      return;
+    }
+
+    hideForm();
+    hideRemoveForm();
+    window.signalboard.history.perform('Restore taxonomy', reset, { toast: 'Taxonomy restored to defaults' });
+  }
+
+  const escapeHtml = window.signalboard.escapeHtml;
+
+  function capitalize(value) {
+    return String(value).charAt(0).toUpperCase() + String(value).slice(1);
+  }
+
+  function showToast(message) {
+    if (typeof window.showToast === 'function') {
+      window.showToast(message);
+    } else {
+      console.log('Toast:', message);
+    }
+  }
+
+  // ===================================
+  // INITIALIZATION
+  // ===================================
+
+  function bindEvents() {
+    fillSelects();
+
+    document.getElementById('taxonomy-list')?.addEventListener('click', handleListClick);
+    document.getElementById('taxonomy-form')?.addEventListener('submit', handleSubmit);
+    document.getElementById('taxonomy-cancel')?.addEventListener('click', hideForm);
+    document.getElementById('taxonomy-remove-form')?.addEventListener('submit', handleRemove);
+    document.getElementById('taxonomy-remove-cancel')?.addEventListener('click', hideRemoveForm);
+    document.getElementById('taxonomy-reset')?.addEventListener('click', handleReset);
+    document.getElementById('taxonomy-label')?.addEventListener('input', event => {
+      const key = document.getElementById('taxonomy-key');
+      if (key && !key.disabled) key.placeholder = slugify(event.target.value) || 'e.g. security';
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindEvents);
+  } else {
+    bindEvents();
+  }
+
+  // switchView comes from app.js, which loads after this file
+  document.addEventListener('signalboard:state-loaded', () => {
+    renderTaxonomy();
+
+    const originalSwitchView = window.switchView;
+    if (originalSwitchView) {
+      window.switchView = function (viewName) {
+        originalSwitchView(viewName);
+        if (viewName === 'taxonomy') renderTaxonomy();
+      };
+    }
+  }, { once: true });
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.taxonomy = {
+    list,
+    ids,
+    entry,
+    label,
+    color,
+    icon,
+    addValue,
+    updateValue,
+    removeValue,
+    reset,
+    apply,
+    fillSelects,
+    renderChip,
+    render: renderTaxonomy,
+    kinds: TAXONOMY_KINDS,
+    defaults: TAXONOMY_DEFAULTS
+  };
+
+})();
+
+console.log('🏷️ SignalBoard Taxonomy Loaded');
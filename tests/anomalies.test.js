@@ -0,0 +1,77 @@
+// ===================================
+// ANOMALY DETECTION CHECK
+// Scores synthetic daily series and checks what the detector flags.
+// Run with: node tests/anomalies.test.js
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+const assert = require('assert');
+const path = require('path');
+
+// Just enough of a browser for schema.js and anomalies.js to load
+global.window = { signalboard: {} };
+global.document = { readyState: 'complete', getElementById: () => null };
+
+require(path.join(__dirname, '..', 'schema.js'));
+require(path.join(__dirname, '..', 'anomalies.js'));
+
+const { schema, anomalies } = window.signalboard;
+
+// perDay(daysAgo) signals per day over the detector's history, today included
+function board(perDay) {
+  const signals = [];
+  for (let daysAgo = anomalies.config.historyDays - 1; daysAgo >= 0; daysAgo--) {
+    const date = new Date();
+    date.setDate(date.getDate() - daysAgo);
+    for (let i = 0; i < perDay(daysAgo); i++) {
+      signals.push({
+        id: `s_${daysAgo}_${i}`,
+        date: schema.dayKey(date),
+        timestamp: date.toISOString(),
+        impact: 50,
+        urgency: 'medium',
+        category: 'bug',
+        tier: 'pro'
+      });
+    }
+  }
+  return signals;
+}
+
+const flagged = (signals, options) => anomalies.detect(signals, options).anomalies.map(a => `${a.metric} ${a.direction}`);
+const weekdayOf = daysAgo => {
+  const date = new Date();
+  date.setDate(date.getDate() - daysAgo);
+  return date.getDay();
+};
+
+assert.strictEqual(anomalies.median([]), 0);
+assert.strictEqual(anomalies.median([5, 1, 3]), 3);
+assert.strictEqual(anomalies.median([4, 1, 3, 2]), 2.5);
+
+// A steady board raises nothing
+assert.deepStrictEqual(flagged(board(() => 20)), []);
+
+// Quiet weekends are compared with earlier weekends, so they aren't drops
+const weekends = daysAgo => ([0, 6].includes(weekdayOf(daysAgo)) ? 2 : 20);
+assert.ok(!flagged(board(weekends)).includes('volume down'));
+
+// Low volume: one extra signal on a quiet board isn't a spike
+assert.deepStrictEqual(flagged(board(daysAgo => (daysAgo === 1 ? 2 : 1))), []);
+
+// A moderate rise held for several days: EWMA adds it up, a single day
+// under MAD stays inside the band
+const shift = board(daysAgo => (daysAgo >= 1 && daysAgo <= 5 ? 28 : 20) + (daysAgo % 3));
+assert.ok(!flagged(shift).includes('volume up'));
+assert.ok(flagged(shift, { method: 'ewma' }).includes('volume up'));
+
+// A steady board with the morning's first signals in isn't a drop
+assert.deepStrictEqual(flagged(board(daysAgo => (daysAgo === 0 ? 2 : 20))), []);
+
+// ...but today can already be a spike
+assert.ok(flagged(board(daysAgo => (daysAgo === 0 ? 60 : 20))).includes('volume up'));
+
+// A full day that fell short is a drop
+assert.ok(flagged(board(daysAgo => (daysAgo === 1 ? 2 : 20))).includes('volume down'));
+
+console.log('✓ Anomaly detection');
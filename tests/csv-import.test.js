@@ -0,0 +1,51 @@
+// ===================================
+// CSV IMPORT CHECK
+// Parses RFC 4180 edge cases and validates rows the way the importer
+// does. Run with: node tests/csv-import.test.js
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+const assert = require('assert');
+const path = require('path');
+
+// Just enough of a browser for schema.js and csv-import.js to load
+global.window = { signalboard: {} };
+global.document = { readyState: 'complete', getElementById: () => null, addEventListener() {} };
+
+require(path.join(__dirname, '..', 'schema.js'));
+require(path.join(__dirname, '..', 'csv-import.js'));
+
+const { parse, validateRow } = window.signalboard.csvImport;
+
+// Quoted fields: delimiters, doubled quotes and line breaks inside quotes
+assert.deepStrictEqual(
+  parse('title,impact\n"Export, then crash",80\n"Says ""slow""",40\n"Line one\nline two",20\n'),
+  [['title', 'impact'], ['Export, then crash', '80'], ['Says "slow"', '40'], ['Line one\nline two', '20']]
+);
+
+// CRLF line endings, a byte-order mark and blank lines
+assert.deepStrictEqual(
+  parse('\uFEFFtitle,impact\r\nSlow search,60\r\n\r\n'),
+  [['title', 'impact'], ['Slow search', '60']]
+);
+
+// Semicolon-separated exports are detected
+assert.deepStrictEqual(parse('title;impact\nSlow search;60'), [['title', 'impact'], ['Slow search', '60']]);
+
+// An unterminated quote names the line it started on
+assert.throws(() => parse('title,impact\n"Never closed,60\n'), /line 2/);
+
+// Impact must be a number from 0 to 100
+const mapping = { title: 0, impact: 1 };
+const impactErrors = impact => validateRow(['Slow search', impact], mapping).errors
+  .filter(error => error.startsWith('Impact'));
+
+assert.deepStrictEqual(impactErrors('0'), []);
+assert.deepStrictEqual(impactErrors('100'), []);
+assert.deepStrictEqual(impactErrors('72.5'), []);
+assert.strictEqual(impactErrors('50abc').length, 1);
+assert.strictEqual(impactErrors('101').length, 1);
+assert.strictEqual(impactErrors('-1').length, 1);
+assert.deepStrictEqual(impactErrors(''), ['Impact is required']);
+
+console.log('✓ CSV parsing and row validation');
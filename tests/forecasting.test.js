@@ -0,0 +1,54 @@
+// ===================================
+// FORECASTING CHECK
+// Fits the models to synthetic daily counts and checks the forecasts,
+// intervals and backtests. Run with: node tests/forecasting.test.js
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+const assert = require('assert');
+const path = require('path');
+
+global.window = { signalboard: {} };
+
+require(path.join(__dirname, '..', 'forecasting.js'));
+
+const forecasting = window.signalboard.forecasting;
+const near = (actual, expected, tolerance, label) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual}, expected about ${expected}`);
+};
+
+// Too little history: no forecast
+assert.strictEqual(forecasting.forecast(Array(13).fill(5)), null);
+// Leading empty days don't count as history
+assert.strictEqual(forecasting.forecast([...Array(40).fill(0), ...Array(10).fill(5)]), null);
+
+// A flat 20 a day forecasts 20 a day, with no spread to speak of
+const flat = forecasting.forecast(Array(56).fill(20));
+assert.strictEqual(flat.points.length, 7);
+flat.points.forEach(point => near(point.value, 20, 0.01, `flat step ${point.step}`));
+assert.strictEqual(flat.backtest['moving-average'], 0);
+
+// Weekday peaks and quiet weekends: Holt-Winters wins the backtest and
+// carries the weekly shape forward
+const week = [30, 32, 31, 29, 30, 4, 5];
+const weekly = Array.from({ length: 56 }, (_, day) => week[day % 7]);
+const seasonal = forecasting.forecast(weekly);
+assert.strictEqual(seasonal.model, 'holt-winters');
+assert.ok(seasonal.backtest['holt-winters'] < seasonal.backtest['moving-average']);
+seasonal.points.forEach(point => near(point.value, week[(56 + point.step - 1) % 7], 1.5, `weekly step ${point.step}`));
+
+// The moving average predicts the mean of the last window, and its band
+// widens with the residual spread: σ·√(1 + 1/k)
+const noisy = [10, 14, 10, 14, 10, 14, 10, 14, 10, 14];
+const average = forecasting.fitMovingAverage(noisy);
+near(average.predict(1), (4 * 14 + 3 * 10) / 7, 1e-9, 'moving average');
+near(average.spread(3), average.sigma * Math.sqrt(1 + 1 / 7), 1e-9, 'moving-average spread');
+
+// Holt-Winters intervals never narrow further out
+const fit = forecasting.fitHoltWinters(weekly.map((value, day) => value + (day % 3)));
+for (let h = 2; h <= 7; h++) assert.ok(fit.spread(h) >= fit.spread(h - 1), `spread at step ${h}`);
+
+// A series too short to hold out a fold has no backtest score
+assert.strictEqual(forecasting.backtest(Array(15).fill(3), 'holt-winters'), null);
+
+console.log('✓ Forecasting models and backtests');
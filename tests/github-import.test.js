@@ -0,0 +1,116 @@
+// ===================================
+// GITHUB RE-IMPORT CHECK
+// Imports an export, triages the issues, imports the same export again and
+// checks the triage survives. Run with: node tests/github-import.test.js
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+const assert = require('assert');
+const path = require('path');
+
+// Just enough of a browser for schema.js and github-import.js to load
+global.window = {
+  signalboard: {
+    users: { currentId: () => 'importer' },
+    classifier: { classify: async () => ({}) }
+  }
+};
+global.document = { readyState: 'complete', getElementById: () => null };
+
+require(path.join(__dirname, '..', 'schema.js'));
+require(path.join(__dirname, '..', 'github-import.js'));
+
+const githubImport = window.signalboard.githubImport;
+
+function exportWith(overrides = {}) {
+  return JSON.stringify([
+    {
+      number: 1,
+      title: 'Crash on save',
+      body: 'Saving a large board crashes the tab.',
+      labels: [{ name: 'bug' }],
+      url: 'https://github.com/acme/board/issues/1',
+      createdAt: '2026-10-01T09:00:00Z',
+      updatedAt: '2026-10-02T09:00:00Z',
+      state: 'OPEN',
+      author: { login: 'outside-reporter' },
+      comments: [],
+      ...overrides
+    },
+    {
+      number: 2,
+      title: 'Dark mode for exports',
+      body: 'Exports ignore the theme.',
+      labels: [],
+      url: 'https://github.com/acme/board/issues/2',
+      createdAt: '2026-10-03T09:00:00Z',
+      updatedAt: '2026-10-03T09:00:00Z',
+      state: 'OPEN',
+      author: { login: 'another-reporter' },
+      comments: []
+    }
+  ]);
+}
+
+async function importInto(signals, content) {
+  const imported = await Promise.all(githubImport.parseExport(content).map(githubImport.issueToSignal));
+  const plan = githubImport.planImport(imported, signals);
+  githubImport.applyImport(plan.filter(({ status }) => status !== 'unchanged'), signals);
+  return plan;
+}
+
+async function run() {
+  const signals = [];
+  await importInto(signals, exportWith());
+  assert.strictEqual(signals.length, 2);
+
+  // Triage both issues, as the editor, workflow and bulk actions would
+  signals.forEach(signal => {
+    signal.status = 'triaged';
+    signal.statusHistory = [...signal.statusHistory, { status: 'triaged', at: '2026-10-04T09:00:00Z' }];
+    signal.owner = 'pm@example.com';
+    signal.accountId = 'acct_acme';
+    signal.tags = ['Q4'];
+    signal.createdBy = 'original-importer';
+  });
+  // A category picked in the editor where no label sets one
+  const unlabelled = signals.find(signal => signal.github.number === 2);
+  unlabelled.category = 'ux';
+  const triaged = JSON.parse(JSON.stringify(signals));
+
+  // The same export again changes nothing
+  window.signalboard.users.currentId = () => 'someone-else';
+  const again = await importInto(signals, exportWith());
+  assert.deepStrictEqual(again.map(({ status }) => status), ['unchanged', 'unchanged']);
+  assert.deepStrictEqual(signals, triaged);
+
+  // A newer export refreshes GitHub's fields and keeps the triage
+  const newer = await importInto(signals, exportWith({
+    title: 'Crash on save (large boards)',
+    labels: [{ name: 'bug' }, { name: 'p0' }],
+    reactionGroups: [{ content: 'THUMBS_UP', users: { totalCount: 40 } }],
+    updatedAt: '2026-10-05T09:00:00Z'
+  }));
+  assert.deepStrictEqual(newer.map(({ status }) => status), ['updated', 'unchanged']);
+
+  const updated = signals.find(signal => signal.github.number === 1);
+  assert.strictEqual(updated.title, 'Crash on save (large boards)');
+  assert.strictEqual(updated.urgency, 4);
+  // Impact follows the new reactions
+  assert.ok(updated.impact > triaged.find(signal => signal.id === updated.id).impact);
+  ['status', 'statusHistory', 'owner', 'accountId', 'tags', 'createdBy', 'id', 'timestamp'].forEach(field => {
+    assert.deepStrictEqual(updated[field], triaged.find(signal => signal.id === updated.id)[field], field);
+  });
+  assert.strictEqual(unlabelled.category, 'ux');
+
+  // Only web links are kept
+  const [planted] = githubImport.parseExport(exportWith({ url: 'javascript:alert(1)' }));
+  assert.strictEqual(planted.url, null);
+
+  console.log('✓ GitHub re-import keeps triage');
+}
+
+run().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
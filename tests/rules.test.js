@@ -0,0 +1,88 @@
+// ===================================
+// RULE LANGUAGE CHECK
+// Parses rule conditions and evaluates them against sample signals.
+// Run with: node tests/rules.test.js
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+const assert = require('assert');
+const path = require('path');
+
+// Just enough of a browser for schema.js and rules.js to load
+global.window = {
+  signalboard: {
+    // Two signals in one theme, the rest on their own
+    clustering: { themeSizes: () => new Map([['sso_1', 2], ['sso_2', 2]]) }
+  }
+};
+global.document = { readyState: 'complete', getElementById: () => null, addEventListener() {} };
+
+require(path.join(__dirname, '..', 'schema.js'));
+require(path.join(__dirname, '..', 'rules.js'));
+
+const rules = window.signalboard.rules;
+
+function signal(fields) {
+  return {
+    impact: 50,
+    urgency: 2,
+    tier: 'free',
+    category: 'feature',
+    source: 'support',
+    sentiment: 'neutral',
+    title: '',
+    context: '',
+    timestamp: new Date().toISOString(),
+    ...fields
+  };
+}
+
+const signals = [
+  signal({ id: 'sso_1', title: 'SSO login fails', tier: 'enterprise', category: 'bug', impact: 85, urgency: 4 }),
+  signal({ id: 'sso_2', title: 'SSO setup docs', category: 'documentation', source: 'sales', urgency: 3 }),
+  signal({ id: 'dark', title: 'Dark mode', impact: 20 })
+];
+window.state = { signals };
+
+const matching = when => rules.preview({ when }, signals).map(s => s.id);
+
+// Precedence: not > and > or, with parentheses overriding
+const tree = rules.parse('impact = 1 or impact = 2 and not impact = 3');
+assert.strictEqual(tree.type, 'or');
+assert.strictEqual(tree.right.type, 'and');
+assert.strictEqual(tree.right.right.type, 'not');
+assert.deepStrictEqual(matching('tier = enterprise or category = feature and impact < 30'), ['sso_1', 'dark']);
+assert.deepStrictEqual(matching('(tier = enterprise or category = feature) and impact < 30'), ['dark']);
+assert.deepStrictEqual(matching('not category = bug and not category = feature'), ['sso_2']);
+
+// Comparisons, lists, urgency labels, text and patterns
+assert.deepStrictEqual(matching('urgency >= high'), ['sso_1', 'sso_2']);
+assert.deepStrictEqual(matching('source in [sales, community]'), ['sso_2']);
+assert.deepStrictEqual(matching('title contains "sso"'), ['sso_1', 'sso_2']);
+assert.deepStrictEqual(matching("title matches '^dark'"), ['dark']);
+assert.deepStrictEqual(matching('impact == 20'), ['dark']);
+assert.deepStrictEqual(matching('impact != 20'), ['sso_1', 'sso_2']);
+
+// Aggregates
+assert.deepStrictEqual(matching('themeSize >= 2'), ['sso_1', 'sso_2']);
+assert.deepStrictEqual(matching('categoryCount >= 1 and category = bug'), ['sso_1']);
+
+// Errors point at what's wrong
+assert.throws(() => rules.parse(''), /empty/);
+assert.throws(() => rules.parse('colour = red'), /Unknown field "colour"/);
+assert.throws(() => rules.parse('urgency >= severe'), /Unknown urgency "severe"/);
+assert.throws(() => rules.parse('(impact > 5'), /Expected "\)"/);
+assert.throws(() => rules.parse('impact > 5 impact'), /Unexpected "impact" at position 12/);
+assert.throws(() => rules.parse('title matches "("'), /Invalid pattern/);
+
+// The highest priority among matching rules wins and flags accumulate
+const result = rules.evaluate(signals[0], [
+  { id: 'low', when: 'impact > 10', priority: 'P3', flag: 'seen' },
+  { id: 'high', when: 'tier = enterprise', priority: 'P0', flag: 'key-account' },
+  { id: 'none', when: 'impact < 10', priority: 'P1', flag: 'never' }
+]);
+assert.strictEqual(result.priority, 'P0');
+assert.deepStrictEqual(result.flags, ['seen', 'key-account']);
+assert.deepStrictEqual(result.matched, ['low', 'high']);
+
+console.log('✓ Rule parsing and evaluation');
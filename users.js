@@ -0,0 +1,577 @@
+// ===================================
+// SIGNALBOARD USERS
+// User records, roles and permissions, signal attribution and a
+// local mock sign-in provider
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // CONFIGURATION
+  // ===================================
+
+  const USERS_CONFIG = {
+    // A ".own" permission only covers signals the user captured
+    roles: {
+      viewer: {
+        label: 'Viewer',
+        description: 'Sees every view; can only change their own profile',
+        permissions: []
+      },
+      contributor: {
+        label: 'Contributor',
+        description: 'Captures, edits and triages signals; deletes only their own',
+        permissions: ['signals.create', 'signals.edit', 'signals.delete.own', 'accounts.edit']
+      },
+      admin: {
+        label: 'Admin',
+        description: 'Also deletes any signal and manages benchmarks, taxonomy, rules, workspaces and users',
+        permissions: ['signals.create', 'signals.edit', 'signals.delete', 'accounts.edit', 'settings.manage', 'users.manage']
+      }
+    },
+
+    defaultRole: 'contributor',
+
+    // Used in "Viewers can't ..." messages
+    actions: {
+      'signals.create': 'capture signals',
+      'signals.edit': 'edit signals',
+      'signals.delete': 'delete signals',
+      'accounts.edit': 'change accounts',
+      'settings.manage': 'change workspace settings',
+      'users.manage': 'manage users'
+    },
+
+    // Profile fields a user record carries besides id, email and role
+    profileFields: ['name', 'productArea', 'team', 'focus', 'filterDashboard', 'avatar'],
+
+    maxNameLength: 60,
+    sessionKey: 'signalboard_session'
+  };
+
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  // ===================================
+  // AUTH PROVIDER
+  // ===================================
+
+  // Stands in for a real identity provider: no passwords, anyone listed can
+  // sign in, and the session is the user's id in localStorage. A provider
+  // only needs getSession() and signIn(email); swap one in with useProvider().
+  function createMockProvider() {
+    return {
+      name: 'mock',
+
+      async getSession() {
+        try {
+          return JSON.parse(localStorage.getItem(USERS_CONFIG.sessionKey) || 'null');
+        } catch (error) {
+          return null;
+        }
+      },
+
+      async signIn(email) {
+        const user = findByEmail(email);
+        if (!user) throw new Error(`No user with the email ${email}`);
+
+        const session = { userId: user.id, email: user.email, at: new Date().toISOString() };
+        localStorage.setItem(USERS_CONFIG.sessionKey, JSON.stringify(session));
+        return session;
+      }
+    };
+  }
+
+  let provider = createMockProvider();
+
+  function useProvider(next) {
+    provider = next || createMockProvider();
+    return provider.name;
+  }
+
+  // ===================================
+  // RECORDS
+  // ===================================
+
+  function generateId() {
+    return `user_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`;
+  }
+
+  // The first run has no users yet: the built-in profile becomes the first admin
+  function getUsers() {
+    const state = window.state;
+    if (!state) return [];
+    if (!Array.isArray(state.users)) state.users = [];
+    if (state.users.length === 0) {
+      state.users.push({
+        ...pickProfile(state.user || {}),
+        id: generateId(),
+        email: state.user?.email || 'admin@example.com',
+        name: state.user?.name || 'Admin',
+        role: 'admin',
+        createdAt: new Date().toISOString()
+      });
+    }
+    return state.users;
+  }
+
+  function pickProfile(source) {
+    return Object.fromEntries(USERS_CONFIG.profileFields.filter(field => field in source).map(field => [field, source[field]]));
+  }
+
+  function getUser(userId) {
+    return getUsers().find(user => user.id === userId) || null;
+  }
+
+  function findByEmail(email) {
+    const key = String(email || '').trim().toLowerCase();
+    return getUsers().find(user => user.email.toLowerCase() === key) || null;
+  }
+
+  // state.user is the signed-in record itself, so profile edits land in state.users
+  function currentUser() {
+    const user = window.state?.user;
+    return user?.id && getUser(user.id) ? user : null;
+  }
+
+  function currentId() {
+    return currentUser()?.id || '';
+  }
+
+  // Display name for revision and status logs
+  function author() {
+    const user = currentUser() || window.state?.user || {};
+    return user.name || user.email || 'Unknown';
+  }
+
+  // Name behind a createdBy / updatedBy id; '' when the signal predates users
+  function displayName(userId) {
+    if (!userId) return '';
+    return getUser(userId)?.name || 'Removed user';
+  }
+
+  function roleOf(user) {
+    return USERS_CONFIG.roles[user?.role] || USERS_CONFIG.roles.viewer;
+  }
+
+  // Captured by the current user, or assigned to them by name or email
+  function isMine(signal) {
+    const user = currentUser();
+    if (!user || !signal) return false;
+    if (signal.createdBy === user.id) return true;
+
+    const owner = String(signal.owner || '').trim().toLowerCase();
+    return Boolean(owner) && [user.name, user.email].some(value => String(value || '').toLowerCase() === owner);
+  }
+
+  // ===================================
+  // PERMISSIONS
+  // ===================================
+
+  // Nobody is signed in only while state is still loading; there is nothing
+  // to check against then. The storage layer passes the user's last saved
+  // record as `user`, so a role changed in memory doesn't grant itself anything.
+  function can(permission, record = null, user = currentUser()) {
+    if (!user) return true;
+
+    const granted = roleOf(user).permissions;
+    if (granted.includes(permission)) return true;
+    return granted.includes(`${permission}.own`) && Boolean(record) && record.createdBy === user.id;
+  }
+
+  // Message explaining why the current user can't, or null when they can
+  function permissionError(permission, record = null) {
+    if (can(permission, record)) return null;
+
+    const role = roleOf(currentUser());
+    const action = USERS_CONFIG.actions[permission] || 'do that';
+    return role.permissions.includes(`${permission}.own`)
+      ? `${role.label}s can only ${action} they captured`
+      : `${role.label}s can't ${action}`;
+  }
+
+  // For the storage layer: true when the only change to the user list is the
+  // signed-in user's own profile, which every role may edit (but not their role)
+  function ownProfileOnly(before, after) {
+    const user = currentUser();
+    if (!user || !Array.isArray(before) || !Array.isArray(after) || before.length !== after.length) return false;
+
+    return after.every(record => {
+      const previous = before.find(entry => entry.id === record.id);
+      if (!previous) return false;
+      if (JSON.stringify(previous) === JSON.stringify(record)) return true;
+      return record.id === user.id && record.role === previous.role;
+    });
+  }
+
+  // Elements marked data-permission="..." are hidden by style.css unless
+  // the body lists that permission. A full permission also lists its ".own"
+  // form, so data-permission="signals.delete.own" means "at least their own".
+  function applyPermissions() {
+    const user = currentUser();
+    const granted = roleOf(user).permissions;
+    const listed = new Set([...granted, ...granted.filter(permission => !permission.endsWith('.own')).map(permission => `${permission}.own`)]);
+
+    document.body.dataset.role = user?.role || '';
+    document.body.dataset.permissions = [...listed].join(' ');
+  }
+
+  // ===================================
+  // SESSION
+  // ===================================
+
+  function setCurrent(user) {
+    window.state.user = user;
+    applyPermissions();
+    renderSession();
+  }
+
+  // Called by loadState once users are in state
+  async function restoreSession() {
+    const users = getUsers();
+
+    let session = null;
+    try {
+      session = await provider.getSession();
+    } catch (error) {
+      console.warn('Could not read the session:', error);
+    }
+
+    let user = getUser(session?.userId);
+    if (!user) {
+      // Like a local dev login: start as the first admin
+      user = users.find(entry => entry.role === 'admin') || users[0];
+      try {
+        await provider.signIn(user.email);
+      } catch (error) {
+        console.warn('Could not start a session:', error);
+      }
+    }
+
+    setCurrent(user);
+    return user;
+  }
+
+  async function signIn(email) {
+    const user = findByEmail(email);
+    if (!user) return { user: null, errors: [`No user with the email ${email}`] };
+
+    try {
+      await provider.signIn(user.email);
+    } catch (error) {
+      return { user: null, errors: [error.message] };
+    }
+
+    setCurrent(user);
+
+    // Undo steps were taken as the previous user
+    window.signalboard.history?.clear();
+    window.signalboard.bulk?.clear();
+    refreshViews();
+
+    document.dispatchEvent(new CustomEvent('signalboard:user-changed', { detail: { userId: user.id } }));
+    return { user, errors: [] };
+  }
+
+  function refreshViews() {
+    if (typeof window.fillProfileForm === 'function') window.fillProfileForm();
+    if (typeof window.loadSavedAvatar === 'function') window.loadSavedAvatar();
+    // Re-renders the profile, and with it this module's views
+    if (typeof window.renderAll === 'function') window.renderAll();
+  }
+
+  // After undo swapped state.users for copies, point state.user back into it
+  function resync() {
+    const state = window.state;
+    if (!state) return;
+    setCurrent(getUser(state.user?.id) || getUsers().find(user => user.role === 'admin') || getUsers()[0]);
+    renderUsers();
+  }
+
+  // ===================================
+  // USER MANAGEMENT
+  // ===================================
+
+  function validateUser(fields, exceptId = null) {
+    const errors = [];
+    const name = String(fields.name || '').trim();
+    const email = String(fields.email || '').trim();
+
+    if (!name) errors.push('Name is required');
+    else if (name.length > USERS_CONFIG.maxNameLength) errors.push(`Name must be ${USERS_CONFIG.maxNameLength} characters or fewer`);
+
+    if (!EMAIL_PATTERN.test(email)) errors.push('Enter a valid email address');
+    else if (getUsers().some(user => user.id !== exceptId && user.email.toLowerCase() === email.toLowerCase())) {
+      errors.push(`${email} already has an account`);
+    }
+
+    if (!USERS_CONFIG.roles[fields.role]) errors.push(`Unknown role "${fields.role}"`);
+    return errors;
+  }
+
+  function adminCount(users = getUsers()) {
+    return users.filter(user => user.role === 'admin').length;
+  }
+
+  function createUser(fields) {
+    const denied = permissionError('users.manage');
+    if (denied) return { user: null, errors: [denied] };
+
+    const role = fields.role || USERS_CONFIG.defaultRole;
+    const errors = validateUser({ ...fields, role });
+    if (errors.length > 0) return { user: null, errors };
+
+    const user = {
+      id: generateId(),
+      name: String(fields.name).trim(),
+      email: String(fields.email).trim(),
+      role,
+      createdAt: new Date().toISOString()
+    };
+    perform('Add user', () => getUsers().push(user));
+    return { user, errors: [] };
+  }
+
+  function setRole(userId, role) {
+    const denied = permissionError('users.manage');
+    if (denied) return { user: null, errors: [denied] };
+
+    const user = getUser(userId);
+    if (!user) return { user: null, errors: ['User not found'] };
+    if (!USERS_CONFIG.roles[role]) return { user, errors: [`Unknown role "${role}"`] };
+    if (user.role === 'admin' && role !== 'admin' && adminCount() === 1) {
+      return { user, errors: ['Keep at least one admin'] };
+    }
+
+    perform('Change role', () => {
+      user.role = role;
+    });
+    return { user, errors: [] };
+  }
+
+  function removeUser(userId) {
+    const denied = permissionError('users.manage');
+    if (denied) return { errors: [denied] };
+
+    const user = getUser(userId);
+    if (!user) return { errors: ['User not found'] };
+    if (user.id === currentId()) return { errors: ['You can\'t remove yourself'] };
+    if (user.role === 'admin' && adminCount() === 1) return { errors: ['Keep at least one admin'] };
+
+    // Their signals keep the id; attribution shows "Removed user"
+    perform('Remove user', () => {
+      window.state.users = getUsers().filter(entry => entry.id !== userId);
+    });
+    return { errors: [] };
+  }
+
+  function perform(label, run) {
+    const history = window.signalboard.history;
+    const apply = () => {
+      run();
+      if (window.saveState) window.saveState();
+    };
+
+    if (history) history.perform(label, apply);
+    else apply();
+
+    // A role change can be the current user's own
+    applyPermissions();
+    render();
+  }
+
+  // ===================================
+  // UI RENDERING
+  // ===================================
+
+  const escapeHtml = window.signalboard.escapeHtml;
+
+  function plural(count, noun = 'signal') {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+  }
+
+  function roleOptions(selected) {
+    return Object.entries(USERS_CONFIG.roles).map(([key, role]) => (
+      `<option value="${key}" ${key === selected ? 'selected' : ''}>${role.label}</option>`
+    )).join('');
+  }
+
+  // Sidebar "Signed in as" picker (mock sign-in)
+  function renderSession() {
+    const select = document.getElementById('session-user');
+    const user = currentUser();
+    if (select) {
+      select.innerHTML = getUsers().map(entry => `
+        <option value="${escapeHtml(entry.email)}" ${entry.id === user?.id ? 'selected' : ''}>${escapeHtml(entry.name)} (${roleOf(entry).label})</option>
+      `).join('');
+    }
+
+    const role = document.getElementById('profile-display-role');
+    if (role) role.textContent = user ? roleOf(user).label : '';
+  }
+
+  function render() {
+    renderSession();
+    renderUsers();
+  }
+
+  // Profile → Team: everyone sees the list, admins get the controls
+  function renderUsers() {
+    const list = document.getElementById('users-list');
+    if (!list) return;
+
+    const counts = {};
+    (window.state?.signals || []).forEach(signal => {
+      if (signal.createdBy) counts[signal.createdBy] = (counts[signal.createdBy] || 0) + 1;
+    });
+
+    const current = currentId();
+    list.innerHTML = getUsers().map(user => `
+      <div class="rule-card user-card" data-user-id="${escapeHtml(user.id)}">
+        <div class="rule-header">
+          <strong>${escapeHtml(user.name)}</strong>
+          <span class="role-badge role-${escapeHtml(user.role)}">${roleOf(user).label}</span>
+          ${user.id === current ? '<span class="status-badge status-triaged">You</span>' : ''}
+        </div>
+        <p class="form-help">${escapeHtml(user.email)} • ${plural(counts[user.id] || 0)} captured in this workspace</p>
+        <div class="rule-actions" data-permission="users.manage">
+          <select class="form-select" data-action="role" aria-label="Role for ${escapeHtml(user.name)}">${roleOptions(user.role)}</select>
+          ${user.id === current ? '' : '<button type="button" class="btn-secondary" data-action="remove">Remove</button>'}
+        </div>
+      </div>
+    `).join('');
+
+    const roles = document.getElementById('users-roles');
+    if (roles) {
+      roles.innerHTML = Object.values(USERS_CONFIG.roles).map(role => (
+        `<li><strong>${role.label}</strong> — ${escapeHtml(role.description)}</li>`
+      )).join('');
+    }
+  }
+
+  function fillRoleSelect() {
+    const select = document.getElementById('new-user-role');
+    if (select) select.innerHTML = roleOptions(USERS_CONFIG.defaultRole);
+  }
+
+  // ===================================
+  // EVENT HANDLERS
+  // ===================================
+
+  async function handleSessionChange(event) {
+    const { user, errors } = await signIn(event.target.value);
+    if (errors.length > 0) {
+      showToast(errors[0]);
+      renderSession();
+      return;
+    }
+    showToast(`Signed in as ${user.name} (${roleOf(user).label})`);
+  }
+
+  function handleUserSubmit(event) {
+    event.preventDefault();
+
+    const { user, errors } = createUser({
+      name: document.getElementById('new-user-name')?.value,
+      email: document.getElementById('new-user-email')?.value,
+      role: document.getElementById('new-user-role')?.value
+    });
+    if (errors.length > 0) {
+      showToast(errors[0]);
+      return;
+    }
+
+    event.target.reset();
+    fillRoleSelect();
+    window.signalboard.history?.notify(`Added ${user.name}`);
+  }
+
+  function handleListChange(event) {
+    const select = event.target.closest('select[data-action="role"]');
+    const card = select?.closest('[data-user-id]');
+    if (!card) return;
+
+    const { user, errors } = setRole(card.dataset.userId, select.value);
+    if (errors.length > 0) {
+      showToast(errors[0]);
+      renderUsers();
+      return;
+    }
+    window.signalboard.history?.notify(`${user.name} is now ${roleOf(user).label.toLowerCase()}`);
+  }
+
+  function handleListClick(event) {
+    const button = event.target.closest('button[data-action="remove"]');
+    const card = button?.closest('[data-user-id]');
+    if (!card) return;
+
+    const name = getUser(card.dataset.userId)?.name;
+    const { errors } = removeUser(card.dataset.userId);
+    if (errors.length > 0) {
+      showToast(errors[0]);
+      return;
+    }
+    window.signalboard.history?.notify(`Removed ${name}`);
+  }
+
+  function showToast(message) {
+    if (typeof window.showToast === 'function') {
+      window.showToast(message);
+    } else {
+      console.log('Toast:', message);
+    }
+  }
+
+  // ===================================
+  // INITIALIZATION
+  // ===================================
+
+  function bindEvents() {
+    fillRoleSelect();
+    document.getElementById('session-user')?.addEventListener('change', handleSessionChange);
+    document.getElementById('user-form')?.addEventListener('submit', handleUserSubmit);
+    document.getElementById('users-list')?.addEventListener('change', handleListChange);
+    document.getElementById('users-list')?.addEventListener('click', handleListClick);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindEvents);
+  } else {
+    bindEvents();
+  }
+
+  document.addEventListener('signalboard:state-loaded', render);
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.users = {
+    getUsers,
+    getUser,
+    findByEmail,
+    current: currentUser,
+    currentId,
+    author,
+    displayName,
+    roleOf,
+    isMine,
+    can,
+    permissionError,
+    ownProfileOnly,
+    restoreSession,
+    signIn,
+    resync,
+    useProvider,
+    createUser,
+    setRole,
+    removeUser,
+    render,
+    config: USERS_CONFIG
+  };
+
+})();
+
+console.log('👥 SignalBoard Users Loaded');
@@ -0,0 +1,501 @@
+// ===================================
+// SIGNALBOARD SIGNAL WORKFLOW
+// Lifecycle status with configurable transitions, resolution
+// reasons and time-to-triage / time-to-resolution metrics
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // CONFIGURATION
+  // ===================================
+
+  const schema = window.signalboard.schema;
+  const users = window.signalboard.users;
+
+  // Overridable per workspace through state.workflow (see configure)
+  const WORKFLOW_DEFAULTS = {
+    transitions: {
+      new: ['triaged', 'closed'],
+      triaged: ['planned', 'new', 'closed'],
+      planned: ['shipped', 'triaged', 'closed'],
+      shipped: ['closed', 'planned'],
+      closed: ['new']
+    },
+
+    // Statuses that no longer need attention
+    resolvedStatuses: ['shipped', 'closed'],
+
+    // Statuses that can only be entered with a resolution reason
+    reasonRequired: ['closed'],
+
+    // Leave resolved signals out of dashboard totals and trends
+    excludeResolved: true
+  };
+
+  const STATUS_LABELS = {
+    new: 'New',
+    triaged: 'Triaged',
+    planned: 'Planned',
+    shipped: 'Shipped',
+    closed: 'Closed'
+  };
+
+  const RESOLUTION_LABELS = {
+    shipped: 'Shipped',
+    duplicate: 'Duplicate',
+    'wont-fix': "Won't fix",
+    'cannot-reproduce': 'Cannot reproduce',
+    'out-of-scope': 'Out of scope',
+    answered: 'Answered'
+  };
+
+  const HOUR_MS = 60 * 60 * 1000;
+  const DAY_MS = 24 * HOUR_MS;
+
+  // ===================================
+  // SETTINGS
+  // ===================================
+
+  function settings() {
+    const saved = window.state?.workflow || {};
+    return {
+      ...WORKFLOW_DEFAULTS,
+      ...saved,
+      transitions: { ...WORKFLOW_DEFAULTS.transitions, ...(saved.transitions || {}) }
+    };
+  }
+
+  // Persists overrides, e.g. configure({ transitions: { new: ['triaged'] } })
+  function configure(overrides = {}) {
+    const denied = users.permissionError('settings.manage');
+    if (denied) {
+      showToast(denied);
+      refreshViews();
+      return settings();
+    }
+
+    const history = window.signalboard.history;
+    history.perform('Change workflow settings', () => {
+      const state = window.state;
+      const current = state.workflow || {};
+      const transitions = { ...(current.transitions || {}) };
+
+      Object.entries(overrides.transitions || {}).forEach(([from, targets]) => {
+        if (!schema.definition.statuses.includes(from)) return;
+        transitions[from] = [...new Set(targets)].filter(to => schema.definition.statuses.includes(to) && to !== from);
+      });
+
+      state.workflow = {
+        ...current,
+        ...overrides,
+        transitions
+      };
+
+      if (window.saveState) window.saveState();
+    });
+
+    refreshViews();
+    history.notify('Workflow settings updated');
+    return settings();
+  }
+
+  function allowedTransitions(status) {
+    return settings().transitions[status] || [];
+  }
+
+  function canTransition(from, to) {
+    return allowedTransitions(from).includes(to);
+  }
+
+  function isResolved(signal) {
+    return settings().resolvedStatuses.includes(signal.status);
+  }
+
+  // Signals that count toward dashboard totals and trends
+  function countedSignals(signals = window.state?.signals || []) {
+    return settings().excludeResolved ? signals.filter(signal => !isResolved(signal)) : signals;
+  }
+
+  // ===================================
+  // TRANSITIONS
+  // ===================================
+
+  // Moves a signal to a new status, logging when and by whom.
+  // Returns { signal, errors }. { defer: true } skips saving and re-rendering.
+  function transition(signalId, to, options = {}) {
+    const signal = (window.state?.signals || []).find(s => s.id === signalId);
+    if (!signal) return { signal: null, errors: ['Signal not found'] };
+
+    const from = signal.status;
+    const config = settings();
+    const reason = options.reason || '';
+
+    if (from === to) return { signal, errors: [] };
+
+    const denied = users.permissionError('signals.edit', signal);
+    if (denied) return { signal, errors: [denied] };
+
+    if (!canTransition(from, to)) {
+      return { signal, errors: [`Cannot move from ${STATUS_LABELS[from] || from} to ${STATUS_LABELS[to] || to}`] };
+    }
+
+    if (config.reasonRequired.includes(to) && !schema.definition.resolutions.includes(reason)) {
+      return { signal, errors: ['Choose a resolution reason'] };
+    }
+
+    const entry = {
+      from,
+      to,
+      at: new Date().toISOString(),
+      by: options.by || users.author(),
+      ...(reason ? { reason } : {}),
+      ...(options.note ? { note: String(options.note).trim() } : {})
+    };
+
+    signal.status = to;
+    signal.statusHistory = [...(signal.statusHistory || []), entry];
+    signal.updatedBy = users.currentId() || signal.updatedBy;
+
+    if (config.reasonRequired.includes(to)) {
+      signal.resolution = { reason, note: entry.note || '', at: entry.at };
+    } else if (!config.resolvedStatuses.includes(to)) {
+      delete signal.resolution;
+    }
+
+    if (!options.defer) {
+      if (window.saveState) window.saveState();
+      refreshViews();
+    }
+    return { signal, errors: [] };
+  }
+
+  // Batch form of transition that saves once. Signals that cannot make
+  // the move are skipped: { moved, skipped: [{ signalId, error }] }
+  function transitionMany(signalIds, to, options = {}) {
+    const moved = [];
+    const skipped = [];
+
+    signalIds.forEach(signalId => {
+      const result = transition(signalId, to, { ...options, defer: true });
+      if (result.errors.length > 0) {
+        skipped.push({ signalId, error: result.errors[0] });
+      } else {
+        moved.push(result.signal);
+      }
+    });
+
+    if (moved.length > 0) {
+      if (window.saveState) window.saveState();
+      refreshViews();
+    }
+    return { moved, skipped };
+  }
+
+  // ===================================
+  // METRICS
+  // ===================================
+
+  function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const index = (sorted.length - 1) * p;
+    const low = Math.floor(index);
+    const high = Math.ceil(index);
+    return sorted[low] + (sorted[high] - sorted[low]) * (index - low);
+  }
+
+  function summarize(durations) {
+    const sorted = [...durations].sort((a, b) => a - b);
+    return {
+      count: sorted.length,
+      median: percentile(sorted, 0.5),
+      p90: percentile(sorted, 0.9),
+      mean: sorted.length ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : null
+    };
+  }
+
+  // Time to triage: capture → first move out of "new".
+  // Time to resolution: capture → the move into the current resolved status.
+  function metrics(signals = window.state?.signals || [], now = Date.now()) {
+    const config = settings();
+    const triage = [];
+    const resolution = [];
+    let untriagedOverWeek = 0;
+
+    signals.forEach(signal => {
+      const captured = new Date(signal.timestamp).getTime();
+      const log = signal.statusHistory || [];
+
+      const triaged = log.find(entry => entry.from === 'new');
+      if (triaged) {
+        triage.push(new Date(triaged.at).getTime() - captured);
+      } else if (signal.status === 'new' && now - captured > 7 * DAY_MS) {
+        untriagedOverWeek++;
+      }
+
+      if (config.resolvedStatuses.includes(signal.status)) {
+        const resolved = [...log].reverse().find(entry => entry.to === signal.status);
+        if (resolved) resolution.push(new Date(resolved.at).getTime() - captured);
+      }
+    });
+
+    const byStatus = Object.fromEntries(schema.definition.statuses.map(status => [status, 0]));
+    signals.forEach(signal => {
+      byStatus[signal.status] = (byStatus[signal.status] || 0) + 1;
+    });
+
+    const resolved = signals.filter(signal => config.resolvedStatuses.includes(signal.status)).length;
+    const recent = signals.filter(signal => now - new Date(signal.timestamp).getTime() <= 30 * DAY_MS);
+
+    return {
+      byStatus,
+      open: signals.length - resolved,
+      resolved,
+      untriagedOverWeek,
+      timeToTriage: summarize(triage),
+      timeToResolution: summarize(resolution),
+      resolvedWithin30Days: recent.length
+        ? recent.filter(signal => config.resolvedStatuses.includes(signal.status)).length / recent.length
+        : null
+    };
+  }
+
+  function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '—';
+    if (ms < HOUR_MS) return `${Math.max(1, Math.round(ms / 60000))}m`;
+    if (ms < 2 * DAY_MS) return `${Math.round(ms / HOUR_MS)}h`;
+    return `${Math.round((ms / DAY_MS) * 10) / 10}d`;
+  }
+
+  // ===================================
+  // UI RENDERING
+  // ===================================
+
+  const escapeHtml = window.signalboard.escapeHtml;
+
+  // Status picker for a timeline item: the current status plus allowed moves
+  function renderStatusControl(signal) {
+    const options = [signal.status, ...allowedTransitions(signal.status)];
+    const resolution = signal.resolution ? ` title="${escapeHtml(RESOLUTION_LABELS[signal.resolution.reason] || signal.resolution.reason)}${signal.resolution.note ? `: ${escapeHtml(signal.resolution.note)}` : ''}"` : '';
+
+    // Shown read-only to roles that can't edit signals
+    const disabled = users.can('signals.edit', signal) ? '' : ' disabled';
+
+    return `
+      <select class="form-select status-select status-${escapeHtml(signal.status)}" aria-label="Status"${resolution}${disabled}
+        onchange="changeSignalStatus('${escapeHtml(signal.id)}', this.value)">
+        ${options.map(status => `
+          <option value="${escapeHtml(status)}" ${status === signal.status ? 'selected' : ''}>${escapeHtml(STATUS_LABELS[status] || status)}</option>
+        `).join('')}
+      </select>
+    `;
+  }
+
+  function renderMetrics() {
+    const container = document.getElementById('lifecycle-metrics');
+    if (!container) return;
+
+    const result = metrics();
+    const cards = [
+      ['Open', result.open, `${result.resolved} resolved`],
+      ['Time to Triage', formatDuration(result.timeToTriage.median), `median • p90 ${formatDuration(result.timeToTriage.p90)}`],
+      ['Time to Resolution', formatDuration(result.timeToResolution.median), `median • p90 ${formatDuration(result.timeToResolution.p90)}`],
+      ['Closed the Loop', result.resolvedWithin30Days === null ? '—' : `${Math.round(result.resolvedWithin30Days * 100)}%`, 'of last 30 days resolved'],
+      ['Waiting > 7 Days', result.untriagedOverWeek, 'untriaged signals']
+    ];
+
+    container.innerHTML = cards.map(([label, value, detail]) => `
+      <div class="prediction-card">
+        <div class="prediction-date">${label}</div>
+        <div class="prediction-value">${value}</div>
+        <p class="form-help">${detail}</p>
+      </div>
+    `).join('');
+  }
+
+  function renderTransitionEditor() {
+    const container = document.getElementById('workflow-transitions');
+    if (!container) return;
+
+    const statuses = schema.definition.statuses;
+    const { transitions } = settings();
+
+    container.innerHTML = `
+      <table class="workflow-matrix">
+        <thead>
+          <tr>
+            <th scope="col">From \\ To</th>
+            ${statuses.map(status => `<th scope="col">${STATUS_LABELS[status]}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${statuses.map(from => `
+            <tr>
+              <th scope="row">${STATUS_LABELS[from]}</th>
+              ${statuses.map(to => `
+                <td>${from === to ? '—' : `<input type="checkbox" data-from="${from}" data-to="${to}" ${(transitions[from] || []).includes(to) ? 'checked' : ''} aria-label="${STATUS_LABELS[from]} to ${STATUS_LABELS[to]}" />`}</td>
+              `).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+
+    const exclude = document.getElementById('exclude-resolved');
+    if (exclude) exclude.checked = settings().excludeResolved;
+  }
+
+  function refreshViews() {
+    if (typeof window.updateDashboard === 'function') window.updateDashboard();
+    if (typeof window.renderRecentSignals === 'function') window.renderRecentSignals();
+    if (typeof window.renderTimeline === 'function') window.renderTimeline();
+    renderMetrics();
+    renderTransitionEditor();
+  }
+
+  // ===================================
+  // RESOLVE MODAL
+  // ===================================
+
+  let pending = null;
+
+  // Entry point for the timeline picker and bulk actions (one id or many):
+  // asks for a reason when one is required
+  function requestTransition(signalIds, to) {
+    const ids = [].concat(signalIds);
+
+    const denied = users.permissionError('signals.edit');
+    if (denied) {
+      showToast(denied);
+      if (typeof window.renderTimeline === 'function') window.renderTimeline();
+      return;
+    }
+
+    if (!settings().reasonRequired.includes(to)) {
+      applyRequest(ids, to);
+      return;
+    }
+
+    const modal = document.getElementById('resolve-signal-modal');
+    const select = document.getElementById('resolve-reason');
+    if (!modal || !select) return;
+
+    pending = { ids, to };
+    const shipped = ids.every(id => window.state.signals.find(s => s.id === id)?.status === 'shipped');
+    select.innerHTML = schema.definition.resolutions.map(reason => (
+      `<option value="${reason}">${RESOLUTION_LABELS[reason] || reason}</option>`
+    )).join('');
+    select.value = shipped ? 'shipped' : schema.definition.resolutions[0];
+    document.getElementById('resolve-signal-title').textContent = ids.length > 1 ? `Close ${ids.length} Signals` : 'Close Signal';
+    document.getElementById('resolve-note').value = '';
+    modal.classList.remove('hidden');
+  }
+
+  function closeResolve() {
+    if (!pending) return;
+    pending = null;
+    document.getElementById('resolve-signal-modal')?.classList.add('hidden');
+    // Put the picker back if the user backed out
+    if (typeof window.renderTimeline === 'function') window.renderTimeline();
+  }
+
+  // One undoable step however many signals move
+  function applyRequest(ids, to, options = {}) {
+    const label = STATUS_LABELS[to] || to;
+    const noun = ids.length === 1 ? 'signal' : `${ids.length} signals`;
+    const { moved, skipped } = window.signalboard.history.perform(`Mark ${noun} ${label}`, () => transitionMany(ids, to, options));
+
+    if (moved.length === 0) {
+      showToast(ids.length === 1 ? skipped[0].error : `None of the ${ids.length} signals can move to ${label}`);
+      return false;
+    }
+
+    const note = skipped.length > 0 ? ` (${skipped.length} skipped)` : '';
+    window.signalboard.history.notify(`${moved.length === 1 ? 'Signal' : `${moved.length} signals`} marked ${label}${note}`);
+    if (skipped.length > 0) console.warn('Skipped status changes:', skipped);
+    return true;
+  }
+
+  function handleResolveSubmit(event) {
+    event.preventDefault();
+    if (!pending) return;
+
+    const done = applyRequest(pending.ids, pending.to, {
+      reason: document.getElementById('resolve-reason')?.value,
+      note: document.getElementById('resolve-note')?.value
+    });
+    if (done) closeResolve();
+  }
+
+  function handleMatrixChange(event) {
+    const input = event.target.closest('input[data-from]');
+    if (!input) return;
+
+    const { from, to } = input.dataset;
+    const targets = allowedTransitions(from).filter(status => status !== to);
+    if (input.checked) targets.push(to);
+    configure({ transitions: { [from]: targets } });
+  }
+
+  function showToast(message) {
+    if (typeof window.showToast === 'function') {
+      window.showToast(message);
+    } else {
+      console.log('Toast:', message);
+    }
+  }
+
+  // ===================================
+  // INITIALIZATION
+  // ===================================
+
+  function bindEvents() {
+    document.getElementById('resolve-signal-form')?.addEventListener('submit', handleResolveSubmit);
+    document.getElementById('resolve-signal-cancel')?.addEventListener('click', closeResolve);
+    document.getElementById('workflow-transitions')?.addEventListener('change', handleMatrixChange);
+    document.getElementById('exclude-resolved')?.addEventListener('change', event => {
+      configure({ excludeResolved: event.target.checked });
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindEvents);
+  } else {
+    bindEvents();
+  }
+
+  document.addEventListener('signalboard:state-loaded', () => {
+    renderMetrics();
+    renderTransitionEditor();
+  });
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.workflow = {
+    transition,
+    transitionMany,
+    requestTransition,
+    closeResolve,
+    canTransition,
+    allowedTransitions,
+    isResolved,
+    countedSignals,
+    metrics,
+    configure,
+    settings,
+    renderStatusControl,
+    renderMetrics,
+    formatDuration,
+    statusLabels: STATUS_LABELS,
+    resolutionLabels: RESOLUTION_LABELS,
+    defaults: WORKFLOW_DEFAULTS
+  };
+
+})();
+
+console.log('🔁 SignalBoard Signal Workflow Loaded');
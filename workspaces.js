@@ -0,0 +1,545 @@
+// ===================================
+// SIGNALBOARD WORKSPACES
+// Named boards with their own signals, benchmarks, taxonomy and
+// analytics events, a sidebar switcher and an all-workspaces roll-up
+// Author: Emmanuel Ahishakiye
+// ===================================
+
+(function () {
+  'use strict';
+
+  // ===================================
+  // CONFIGURATION
+  // ===================================
+
+  const schema = window.signalboard.schema;
+  const storage = window.signalboard.storage;
+  const users = window.signalboard.users;
+
+  const WORKSPACES_CONFIG = {
+    maxNameLength: 40,
+
+    // Switcher option that opens the roll-up instead of a workspace
+    allValue: '__all__',
+
+    // Open signals listed in the roll-up
+    topSignals: 10
+  };
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  let switching = false;
+
+  // ===================================
+  // RECORDS
+  // ===================================
+
+  function getWorkspaces() {
+    const state = window.state;
+    if (!state) return [];
+    if (!state.workspaces?.list?.length) {
+      state.workspaces = { list: [{ id: storage.config.defaultWorkspace, name: 'My Workspace' }], active: storage.config.defaultWorkspace };
+    }
+    return state.workspaces.list;
+  }
+
+  function getWorkspace(workspaceId) {
+    return getWorkspaces().find(workspace => workspace.id === workspaceId) || null;
+  }
+
+  function activeWorkspace() {
+    return getWorkspace(window.state?.workspaces?.active) || getWorkspaces()[0];
+  }
+
+  function workspaceName(workspaceId) {
+    return getWorkspace(workspaceId)?.name || 'Deleted workspace';
+  }
+
+  function validateName(name, exceptId = null) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) return ['Workspace name is required'];
+    if (trimmed.length > WORKSPACES_CONFIG.maxNameLength) {
+      return [`Workspace name must be ${WORKSPACES_CONFIG.maxNameLength} characters or fewer`];
+    }
+    const taken = getWorkspaces().some(workspace => (
+      workspace.id !== exceptId && workspace.name.toLowerCase() === trimmed.toLowerCase()
+    ));
+    return taken ? [`A workspace named "${trimmed}" already exists`] : [];
+  }
+
+  function create(name) {
+    const denied = users.permissionError('settings.manage');
+    if (denied) return { workspace: null, errors: [denied] };
+
+    const errors = validateName(name);
+    if (errors.length > 0) return { workspace: null, errors };
+
+    const workspace = {
+      id: `ws_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`,
+      name: String(name).trim(),
+      createdAt: new Date().toISOString()
+    };
+    getWorkspaces().push(workspace);
+    persist();
+    return { workspace, errors: [] };
+  }
+
+  function rename(workspaceId, name) {
+    const workspace = getWorkspace(workspaceId);
+    if (!workspace) return { workspace: null, errors: ['Workspace not found'] };
+
+    const denied = users.permissionError('settings.manage');
+    if (denied) return { workspace, errors: [denied] };
+
+    const errors = validateName(name, workspaceId);
+    if (errors.length > 0) return { workspace, errors };
+
+    workspace.name = String(name).trim();
+    persist();
+    return { workspace, errors: [] };
+  }
+
+  // Drops the workspace and everything stored for it. The active workspace
+  // can't be removed; switch away first.
+  async function remove(workspaceId) {
+    if (!getWorkspace(workspaceId)) return { errors: ['Workspace not found'] };
+
+    const denied = users.permissionError('settings.manage');
+    if (denied) return { errors: [denied] };
+    if (workspaceId === activeWorkspace().id) return { errors: ['Switch to another workspace before deleting this one'] };
+
+    await storage.deleteWorkspace(workspaceId);
+    window.state.workspaces.list = getWorkspaces().filter(workspace => workspace.id !== workspaceId);
+    persist();
+    return { errors: [] };
+  }
+
+  function persist() {
+    if (window.saveState) window.saveState();
+    renderSwitcher();
+    renderMoveTargets();
+  }
+
+  // ===================================
+  // SWITCHING
+  // ===================================
+
+  async function switchTo(workspaceId) {
+    const workspace = getWorkspace(workspaceId);
+    if (!workspace) return { errors: ['Workspace not found'] };
+    if (workspace.id === activeWorkspace().id || switching) return { errors: [] };
+
+    switching = true;
+    if (typeof window.showLoading === 'function') window.showLoading(`Opening ${workspace.name}...`);
+
+    try {
+      // Writes pending for the current workspace finish before the load
+      if (window.saveState) window.saveState();
+      await window.loadState(workspace.id);
+
+      // Workspace changes aren't undoable: switching swaps out everything the
+      // history diffs against, so the undo stack is cleared instead
+      window.signalboard.history?.clear();
+      window.signalboard.bulk?.clear();
+      persist();
+      refreshViews();
+
+      document.dispatchEvent(new CustomEvent('signalboard:workspace-changed', { detail: { workspaceId: workspace.id } }));
+      return { errors: [] };
+    } finally {
+      switching = false;
+      if (typeof window.hideLoading === 'function') window.hideLoading();
+    }
+  }
+
+  function refreshViews() {
+    if (typeof window.renderAll === 'function') window.renderAll();
+    window.signalboard.rules?.render();
+    window.signalboard.accounts?.render();
+    window.signalboard.accounts?.renderOptions();
+    window.signalboard.workflow?.renderMetrics();
+    if (window.state?.currentView === 'workspaces') renderWorkspaces();
+  }
+
+  // ===================================
+  // MOVING SIGNALS
+  // ===================================
+
+  // Moves touch another workspace's records, which history snapshots can't
+  // see, so a move gets its own Undo (moving the signals back) instead
+  async function moveSignals(signalIds, workspaceId) {
+    const ids = new Set(signalIds);
+    const source = activeWorkspace();
+    const target = getWorkspace(workspaceId);
+    if (!target) return { moved: 0, errors: ['Workspace not found'] };
+    if (target.id === source.id) return { moved: 0, errors: ['Signals are already in this workspace'] };
+
+    const moving = window.state.signals.filter(signal => ids.has(signal.id));
+    if (moving.length === 0) return { moved: 0, errors: ['No signals selected'] };
+
+    const denied = moving.map(signal => users.permissionError('signals.edit', signal)).find(Boolean);
+    if (denied) return { moved: 0, errors: [denied] };
+
+    // Only dropped here once they're written there; the save that follows
+    // then no longer sees them as ours
+    try {
+      await storage.moveSignals(moving, target.id);
+    } catch (error) {
+      return { moved: 0, errors: [`Couldn't move the signals to ${target.name}; they are still here`] };
+    }
+    window.state.signals = window.state.signals.filter(signal => !ids.has(signal.id));
+
+    window.signalboard.bulk?.clear();
+    window.signalboard.history?.clear();
+    if (window.saveState) window.saveState();
+    refreshViews();
+
+    showToast(`Moved ${plural(moving.length)} to ${target.name}`, {
+      label: 'Undo',
+      onClick: () => restoreMoved(moving, source.id, target.id)
+    });
+    return { moved: moving.length, errors: [] };
+  }
+
+  // Drops them from the target, then saving them here again stores them
+  // under this workspace
+  async function restoreMoved(signals, sourceId, targetId) {
+    if (activeWorkspace().id !== sourceId) {
+      showToast(`Switch back to ${workspaceName(sourceId)} to undo the move`);
+      return;
+    }
+
+    const ids = new Set(signals.map(signal => signal.id));
+    try {
+      await storage.removeSignals([...ids], targetId);
+    } catch (error) {
+      showToast(`Couldn't take the signals back from ${workspaceName(targetId)}`);
+      return;
+    }
+
+    window.state.signals = [...signals, ...window.state.signals.filter(signal => !ids.has(signal.id))]
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    if (window.saveState) window.saveState();
+    refreshViews();
+    showToast(`Moved ${plural(signals.length)} back`);
+  }
+
+  // ===================================
+  // ROLL-UP
+  // ===================================
+
+  // Per-workspace and combined figures. The active workspace uses in-memory
+  // state; the others are read from storage as saved.
+  async function rollup() {
+    const groups = await storage.loadAllSignals();
+    groups[activeWorkspace().id] = window.state.signals;
+
+    const workflow = window.signalboard.workflow;
+    const scoring = window.signalboard.scoring;
+    const weekAgo = Date.now() - 7 * DAY_MS;
+
+    const summarize = signals => {
+      const open = signals.filter(signal => !workflow.isResolved(signal));
+      return {
+        total: signals.length,
+        open: open.length,
+        lastWeek: signals.filter(signal => new Date(signal.timestamp).getTime() >= weekAgo).length,
+        critical: open.filter(signal => schema.isHighUrgency(signal)).length,
+        risk: scoring.revenueAtRisk(open)
+      };
+    };
+
+    const workspaces = getWorkspaces().map(workspace => ({
+      workspace,
+      signals: groups[workspace.id] || [],
+      ...summarize(groups[workspace.id] || [])
+    }));
+
+    const all = workspaces.flatMap(entry => entry.signals.map(signal => ({ signal, workspace: entry.workspace })));
+    const top = all
+      .filter(({ signal }) => !workflow.isResolved(signal))
+      .map(entry => ({ ...entry, score: scoring.score(entry.signal) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, WORKSPACES_CONFIG.topSignals);
+
+    return {
+      workspaces,
+      totals: summarize(all.map(({ signal }) => signal)),
+      top
+    };
+  }
+
+  // ===================================
+  // UI RENDERING
+  // ===================================
+
+  const escapeHtml = window.signalboard.escapeHtml;
+
+  function plural(count) {
+    return `${count} signal${count === 1 ? '' : 's'}`;
+  }
+
+  function formatRevenue(arr) {
+    return window.signalboard.scoring.formatRevenue(arr);
+  }
+
+  function renderSwitcher() {
+    const select = document.getElementById('workspace-select');
+    if (!select) return;
+
+    select.innerHTML = getWorkspaces().map(workspace => (
+      `<option value="${escapeHtml(workspace.id)}">${escapeHtml(workspace.name)}</option>`
+    )).join('') + `<option value="${WORKSPACES_CONFIG.allValue}">All workspaces…</option>`;
+    select.value = activeWorkspace().id;
+  }
+
+  // Bulk toolbar "Move to…" lists the other workspaces
+  function renderMoveTargets() {
+    const select = document.getElementById('bulk-workspace');
+    if (!select) return;
+
+    const targets = getWorkspaces().filter(workspace => workspace.id !== activeWorkspace().id);
+    select.length = 1;
+    select.insertAdjacentHTML('beforeend', targets.map(workspace => (
+      `<option value="${escapeHtml(workspace.id)}">${escapeHtml(workspace.name)}</option>`
+    )).join(''));
+    select.classList.toggle('hidden', targets.length === 0);
+  }
+
+  async function renderWorkspaces() {
+    const list = document.getElementById('workspaces-list');
+    if (!list) return;
+
+    let data;
+    try {
+      data = await rollup();
+    } catch (error) {
+      console.error('Failed to load workspaces:', error);
+      list.innerHTML = '<p class="form-help">Could not read the other workspaces. Check console for details.</p>';
+      return;
+    }
+
+    const active = activeWorkspace().id;
+    const totals = document.getElementById('workspace-rollup');
+    if (totals) {
+      totals.innerHTML = `
+        <div class="prediction-card">
+          <div class="prediction-date">Signals</div>
+          <div class="prediction-value">${data.totals.total}</div>
+          <p class="form-help">${data.totals.open} open across ${data.workspaces.length} workspace${data.workspaces.length === 1 ? '' : 's'}</p>
+        </div>
+        <div class="prediction-card">
+          <div class="prediction-date">Last 7 Days</div>
+          <div class="prediction-value">${data.totals.lastWeek}</div>
+          <p class="form-help">${data.totals.critical} open high urgency</p>
+        </div>
+        <div class="prediction-card">
+          <div class="prediction-date">ARR at Risk</div>
+          <div class="prediction-value">${formatRevenue(data.totals.risk.arr)}</div>
+          <p class="form-help">${data.totals.risk.accounts} account${data.totals.risk.accounts === 1 ? '' : 's'}, each counted once</p>
+        </div>
+      `;
+    }
+
+    list.innerHTML = data.workspaces.map(({ workspace, total, open, lastWeek, critical, risk }) => `
+      <div class="rule-card workspace-card ${workspace.id === active ? 'active' : ''}" data-workspace-id="${escapeHtml(workspace.id)}">
+        <div class="rule-header">
+          <strong>${escapeHtml(workspace.name)}</strong>
+          ${workspace.id === active ? '<span class="status-badge status-triaged">Active</span>' : ''}
+        </div>
+        <p class="form-help">${plural(total)} • ${open} open • ${lastWeek} in the last 7 days • ${critical} open high urgency • ${formatRevenue(risk.arr)} ARR at risk</p>
+        <div class="rule-actions">
+          ${workspace.id === active ? '' : '<button type="button" class="btn-secondary" data-action="open">Open</button>'}
+          <button type="button" class="btn-secondary" data-action="rename" data-permission="settings.manage">Rename</button>
+          ${workspace.id === active ? '' : '<button type="button" class="btn-secondary" data-action="delete" data-permission="settings.manage">Delete</button>'}
+        </div>
+      </div>
+    `).join('');
+
+    const top = document.getElementById('workspace-top-signals');
+    if (top) {
+      top.innerHTML = data.top.length === 0
+        ? '<p class="form-help">No open signals in any workspace.</p>'
+        : data.top.map(({ signal, workspace, score }) => `
+          <div class="timeline-item">
+            <div class="history-info">
+              <h4>${escapeHtml(signal.title)}</h4>
+              <p class="history-meta">
+                <span class="workspace-badge">${escapeHtml(workspace.name)}</span> •
+                ${new Date(signal.timestamp).toLocaleDateString()} •
+                ${escapeHtml(typeof window.formatCategory === 'function' ? window.formatCategory(signal.category) : signal.category)}
+              </p>
+            </div>
+            <div class="history-stats">
+              <div class="history-stat">
+                <span class="history-stat-value">${Math.round(score)}</span>
+                <span class="history-stat-label">score</span>
+              </div>
+              <div class="history-stat">
+                <span class="history-stat-value">${Math.round(signal.impact)}</span>
+                <span class="history-stat-label">impact</span>
+              </div>
+            </div>
+          </div>
+        `).join('');
+    }
+  }
+
+  function fillForm(workspace = null) {
+    const form = document.getElementById('workspace-form');
+    if (!form) return;
+
+    document.getElementById('workspace-id').value = workspace?.id || '';
+    document.getElementById('workspace-name').value = workspace?.name || '';
+    document.getElementById('workspace-submit').textContent = workspace ? 'Save Workspace' : 'Create Workspace';
+    form.classList.remove('hidden');
+    document.getElementById('workspace-name').focus();
+  }
+
+  function hideForm() {
+    document.getElementById('workspace-form')?.classList.add('hidden');
+  }
+
+  // ===================================
+  // EVENT HANDLERS
+  // ===================================
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+
+    const id = document.getElementById('workspace-id')?.value;
+    const name = document.getElementById('workspace-name')?.value;
+    const result = id ? rename(id, name) : create(name);
+    if (result.errors.length > 0) {
+      showToast(result.errors[0]);
+      return;
+    }
+
+    hideForm();
+    if (id) {
+      showToast('Workspace renamed');
+      renderWorkspaces();
+      return;
+    }
+
+    // A new workspace opens straight away
+    await switchTo(result.workspace.id);
+    showToast(`Created ${result.workspace.name}`);
+  }
+
+  async function handleListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    const card = button?.closest('[data-workspace-id]');
+    if (!card) return;
+
+    const workspace = getWorkspace(card.dataset.workspaceId);
+    if (!workspace) return;
+
+    switch (button.dataset.action) {
+      case 'open':
+        await switchTo(workspace.id);
+        showToast(`Switched to ${workspace.name}`);
+        break;
+      case 'rename':
+        fillForm(workspace);
+        break;
+      case 'delete': {
+        // Its records aren't in memory, so there's nothing to undo from: confirm instead
+        const count = (await storage.loadAllSignals())[workspace.id]?.length || 0;
+        if (!window.confirm(`Delete "${workspace.name}" and its ${plural(count)}? This can't be undone.`)) return;
+
+        const { errors } = await remove(workspace.id);
+        showToast(errors[0] || `Deleted ${workspace.name}`);
+        renderWorkspaces();
+        break;
+      }
+    }
+  }
+
+  async function handleSwitcherChange(event) {
+    const value = event.target.value;
+    if (value === WORKSPACES_CONFIG.allValue) {
+      event.target.value = activeWorkspace().id;
+      if (window.switchView) window.switchView('workspaces');
+      return;
+    }
+
+    await switchTo(value);
+    showToast(`Switched to ${workspaceName(value)}`);
+  }
+
+  async function handleMoveChange(event) {
+    const workspaceId = event.target.value;
+    event.target.value = '';
+    if (!workspaceId) return;
+
+    const ids = (window.signalboard.bulk?.selected() || []).map(signal => signal.id);
+    const { errors } = await moveSignals(ids, workspaceId);
+    if (errors.length > 0) showToast(errors[0]);
+  }
+
+  function showToast(message, action = null) {
+    if (typeof window.showToast === 'function') {
+      window.showToast(message, action ? 6000 : 3000, action);
+    } else {
+      console.log('Toast:', message);
+    }
+  }
+
+  // ===================================
+  // INITIALIZATION
+  // ===================================
+
+  function bindEvents() {
+    document.getElementById('workspace-select')?.addEventListener('change', handleSwitcherChange);
+    document.getElementById('bulk-workspace')?.addEventListener('change', handleMoveChange);
+    document.getElementById('workspace-new')?.addEventListener('click', () => fillForm());
+    document.getElementById('workspace-cancel')?.addEventListener('click', hideForm);
+    document.getElementById('workspace-form')?.addEventListener('submit', handleSubmit);
+    document.getElementById('workspaces-list')?.addEventListener('click', handleListClick);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindEvents);
+  } else {
+    bindEvents();
+  }
+
+  document.addEventListener('signalboard:state-loaded', () => {
+    renderSwitcher();
+    renderMoveTargets();
+  });
+
+  // Render the roll-up when switching to the workspaces view
+  const originalSwitchView = window.switchView;
+  if (originalSwitchView) {
+    window.switchView = function (viewName) {
+      originalSwitchView(viewName);
+      if (viewName === 'workspaces') renderWorkspaces();
+    };
+  }
+
+  // ===================================
+  // GLOBAL API
+  // ===================================
+
+  window.signalboard = window.signalboard || {};
+  window.signalboard.workspaces = {
+    getWorkspaces,
+    getWorkspace,
+    active: activeWorkspace,
+    workspaceName,
+    create,
+    rename,
+    remove,
+    switchTo,
+    moveSignals,
+    rollup,
+    render: renderWorkspaces,
+    config: WORKSPACES_CONFIG
+  };
+
+})();
+
+console.log('🗂️ SignalBoard Workspaces Loaded');